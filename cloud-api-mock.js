@@ -0,0 +1,211 @@
+// Mock WhatsApp Cloud API (Graph API) server
+// Run it, then point the backend at it to test Cloud API sessions without Meta:
+//   CLOUD_API_BASE_URL=http://localhost:5055  CLOUD_API_APP_SECRET=mock-app-secret
+//   and create a session with provider cloud_api, any numeric cloudPhoneNumberId
+//   and cloudAccessToken mock-access-token
+//
+// Sent messages get sent, delivered and read status callbacks on the backend webhook.
+// Test controls:
+//   POST /mock/inbound   { phone_number_id, from, text, name }  deliver an incoming text message
+//   GET  /mock/messages  messages sent through the mock
+//   POST /mock/reset     forget sent messages and uploaded media
+
+require('dotenv').config();
+
+const express = require('express');
+const multer = require('multer');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.CLOUD_API_MOCK_PORT) || 5055;
+const ACCESS_TOKEN = process.env.CLOUD_API_MOCK_ACCESS_TOKEN || 'mock-access-token';
+const APP_SECRET = process.env.CLOUD_API_APP_SECRET || 'mock-app-secret';
+const WEBHOOK_URL = process.env.CLOUD_API_MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/cloud-api/webhook`;
+const STATUS_DELAY_MS = parseInt(process.env.CLOUD_API_MOCK_STATUS_DELAY_MS) || 1000;
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage() });
+
+const sentMessages = [];
+const mediaFiles = new Map();
+
+const graphError = (res, status, code, message) => {
+  res.status(status).json({ error: { message, type: 'OAuthException', code, fbtrace_id: 'mock' } });
+};
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+
+// Every Graph call needs the access token (the media download URL too)
+app.use((req, res, next) => {
+  if (req.path.startsWith('/mock/') && !req.path.startsWith('/mock/files/')) {
+    return next();
+  }
+  if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+    return graphError(res, 401, 190, 'Invalid OAuth access token - Cannot parse access token');
+  }
+  next();
+});
+
+app.use(express.json({ limit: '5mb' }));
+
+// Sign and post a webhook delivery to the backend, like Meta does
+async function deliverWebhook(phoneNumberId, value) {
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'mock-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: `1555${phoneNumberId.slice(-7)}`, phone_number_id: phoneNumberId },
+          ...value
+        }
+      }]
+    }]
+  });
+
+  const signature = `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`;
+
+  try {
+    await axios.post(WEBHOOK_URL, body, {
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+      timeout: 10000
+    });
+  } catch (error) {
+    console.error(`❌ Webhook delivery failed (${error.response?.status || error.message})`);
+  }
+}
+
+function sendStatuses(phoneNumberId, message) {
+  ['sent', 'delivered', 'read'].forEach((status, index) => {
+    setTimeout(() => {
+      message.status = status;
+      deliverWebhook(phoneNumberId, {
+        statuses: [{
+          id: message.id,
+          status,
+          timestamp: String(Math.floor(Date.now() / 1000)),
+          recipient_id: message.to
+        }]
+      });
+    }, STATUS_DELAY_MS * (index + 1));
+  });
+}
+
+// Phone number details (checked when a session starts)
+app.get('/:version/:id', (req, res, next) => {
+  const media = mediaFiles.get(req.params.id);
+  if (media) {
+    return res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.id,
+      url: `http://localhost:${PORT}/mock/files/${req.params.id}`,
+      mime_type: media.mimetype,
+      sha256: crypto.createHash('sha256').update(media.buffer).digest('hex'),
+      file_size: media.buffer.length
+    });
+  }
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return next();
+  }
+
+  res.json({
+    id: req.params.id,
+    display_phone_number: `+1 555-${req.params.id.slice(-7)}`,
+    verified_name: 'Mock Business'
+  });
+});
+
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  const { messaging_product: product, to, type } = req.body || {};
+
+  if (product !== 'whatsapp' || !to || !type || !req.body[type]) {
+    return graphError(res, 400, 100, 'Invalid parameter');
+  }
+
+  if (type !== 'text' && req.body[type].id && !mediaFiles.has(req.body[type].id)) {
+    return graphError(res, 400, 131053, 'Media upload error - unknown media ID');
+  }
+
+  const message = {
+    id: `wamid.${newId('')}`,
+    phone_number_id: req.params.phoneNumberId,
+    to,
+    type,
+    content: req.body[type],
+    status: 'accepted',
+    created_at: new Date().toISOString()
+  };
+  sentMessages.push(message);
+  console.log(`📤 ${type} message to ${to} (${message.id})`);
+
+  sendStatuses(req.params.phoneNumberId, message);
+
+  res.json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: to }],
+    messages: [{ id: message.id }]
+  });
+});
+
+app.post('/:version/:phoneNumberId/media', upload.single('file'), (req, res) => {
+  if (!req.file || req.body.messaging_product !== 'whatsapp') {
+    return graphError(res, 400, 100, 'Invalid parameter');
+  }
+
+  const id = newId('').replace(/\D/g, '').padEnd(16, '7');
+  mediaFiles.set(id, { mimetype: req.body.type || req.file.mimetype, buffer: req.file.buffer, filename: req.file.originalname });
+  console.log(`📎 Media uploaded: ${req.file.originalname} (${req.file.size} bytes) -> ${id}`);
+
+  res.json({ id });
+});
+
+app.get('/mock/files/:id', (req, res) => {
+  const media = mediaFiles.get(req.params.id);
+  if (!media) {
+    return res.status(404).end();
+  }
+  res.type(media.mimetype).send(media.buffer);
+});
+
+app.post('/mock/inbound', async (req, res) => {
+  const { phone_number_id: phoneNumberId, from, text, name } = req.body || {};
+
+  if (!phoneNumberId || !from) {
+    return res.status(400).json({ success: false, error: 'phone_number_id and from are required' });
+  }
+
+  const id = `wamid.${newId('')}`;
+  await deliverWebhook(String(phoneNumberId), {
+    contacts: [{ profile: { name: name || 'Mock Customer' }, wa_id: String(from) }],
+    messages: [{
+      from: String(from),
+      id,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      type: 'text',
+      text: { body: text || 'Hello' }
+    }]
+  });
+
+  res.json({ success: true, id });
+});
+
+app.get('/mock/messages', (req, res) => {
+  res.json({ success: true, messages: sentMessages });
+});
+
+app.post('/mock/reset', (req, res) => {
+  sentMessages.length = 0;
+  mediaFiles.clear();
+  res.json({ success: true });
+});
+
+app.use((req, res) => graphError(res, 404, 803, `Unknown path ${req.method} ${req.path}`));
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Cloud API listening on http://localhost:${PORT}`);
+  console.log(`   Access token: ${ACCESS_TOKEN}`);
+  console.log(`   Webhooks to:  ${WEBHOOK_URL}`);
+});
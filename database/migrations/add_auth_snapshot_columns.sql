@@ -0,0 +1,28 @@
+-- Migration: Portable session auth storage
+-- Description: Track auth snapshots kept in the configured auth store (AUTH_STORE) and create the private storage bucket
+-- Date: 2026-10-19
+-- NOTE: Requires add_auth_backup_table.sql
+
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_store VARCHAR(20); -- NULL = metadata only
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_size_bytes BIGINT;
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_files INTEGER;
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_compressed BOOLEAN DEFAULT FALSE;
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_encrypted BOOLEAN DEFAULT FALSE;
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS snapshot_checksum VARCHAR(64);
+ALTER TABLE session_auth_backups ADD COLUMN IF NOT EXISTS last_restore_at TIMESTAMPTZ;
+
+-- Private bucket for AUTH_STORE=supabase (only the service role can read it)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('session-auth', 'session-auth', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Add comments
+COMMENT ON TABLE session_auth_backups IS 'Tracks authentication data backups: metadata, and the snapshot kept in the auth store when AUTH_STORE is set';
+COMMENT ON COLUMN session_auth_backups.snapshot_store IS 'Auth store holding the snapshot (local, supabase)';
+COMMENT ON COLUMN session_auth_backups.snapshot_checksum IS 'SHA-256 of the stored snapshot';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: auth snapshot columns added to session_auth_backups';
+END $$;
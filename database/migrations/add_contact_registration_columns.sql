@@ -0,0 +1,22 @@
+-- Migration: WhatsApp registration check cache on contacts
+-- Description: Whether a contact's number is on WhatsApp, its canonical chat ID and when it was checked
+-- Date: 2026-10-19
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS whatsapp_registered BOOLEAN; -- NULL = never checked
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS whatsapp_jid VARCHAR(100);
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS whatsapp_checked_at TIMESTAMPTZ;
+
+-- Create indexes (campaigns and imports look for contacts known not to be on WhatsApp)
+CREATE INDEX IF NOT EXISTS idx_contacts_whatsapp_registered ON contacts(session_id, whatsapp_registered)
+    WHERE whatsapp_registered IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN contacts.whatsapp_registered IS 'Result of the last WhatsApp registration check (NULL = never checked); campaigns skip false';
+COMMENT ON COLUMN contacts.whatsapp_jid IS 'Canonical WhatsApp chat ID of the number, e.g. 5511987654321@c.us';
+COMMENT ON COLUMN contacts.whatsapp_checked_at IS 'When the number was last checked; results older than REGISTRATION_CHECK_TTL_DAYS are checked again';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: registration check columns added to contacts';
+END $$;
@@ -0,0 +1,39 @@
+-- Migration: WhatsApp contact sync
+-- Description: Profile details synced from the phone's address book and chats, and sync status per session
+-- Date: 2026-10-19
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS whatsapp_name VARCHAR(255);
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS is_business BOOLEAN DEFAULT false;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS profile_picture_url TEXT;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS profile_picture_updated_at TIMESTAMPTZ;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS last_chat_at TIMESTAMPTZ;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS contacts_sync_status VARCHAR(20)
+    CHECK (contacts_sync_status IN ('running', 'completed', 'failed'));
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS contacts_synced_at TIMESTAMPTZ;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS contacts_sync_error TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS contacts_sync_stats JSONB;
+
+-- Create indexes (recent conversations first, sessions due for a sync)
+CREATE INDEX IF NOT EXISTS idx_contacts_last_chat_at ON contacts(session_id, last_chat_at DESC)
+    WHERE last_chat_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_contacts_synced_at ON sessions(contacts_synced_at);
+
+-- Add comments
+COMMENT ON COLUMN contacts.whatsapp_name IS 'Name from the phone address book or WhatsApp profile; name is only set from it when the contact is created';
+COMMENT ON COLUMN contacts.is_business IS 'Whether the contact is a WhatsApp Business account';
+COMMENT ON COLUMN contacts.profile_picture_url IS 'Last fetched profile picture URL (WhatsApp CDN, expires); NULL when hidden or none';
+COMMENT ON COLUMN contacts.profile_picture_updated_at IS 'When the profile picture was last fetched; refreshed after CONTACT_SYNC_PICTURE_TTL_DAYS';
+COMMENT ON COLUMN contacts.last_chat_at IS 'Time of the last message in the one-to-one chat with the contact';
+COMMENT ON COLUMN contacts.last_synced_at IS 'When the contact was last written by a contact sync';
+COMMENT ON COLUMN sessions.contacts_sync_status IS 'Status of the last contact sync: running, completed or failed (NULL = never synced)';
+COMMENT ON COLUMN sessions.contacts_synced_at IS 'Start of the last completed contact sync';
+COMMENT ON COLUMN sessions.contacts_sync_error IS 'Error of the last failed contact sync';
+COMMENT ON COLUMN sessions.contacts_sync_stats IS 'Counts of the last completed contact sync (contacts, chats, created, updated, unchanged, pictures)';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: contact sync columns added to contacts and sessions';
+END $$;
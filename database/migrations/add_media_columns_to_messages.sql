@@ -0,0 +1,55 @@
+-- Migration: Add media columns to messages
+-- Description: Logs media type, MIME type, file name and size for media messages
+-- Date: 2026-10-19
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'media_type'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN media_type VARCHAR(20) CHECK (media_type IN ('image', 'video', 'audio', 'document'));
+        COMMENT ON COLUMN messages.media_type IS 'Media type for media messages (NULL for text messages)';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'media_mime_type'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN media_mime_type VARCHAR(255);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'media_filename'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN media_filename VARCHAR(500);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'media_size_bytes'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN media_size_bytes BIGINT;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'media_url'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN media_url TEXT;
+        COMMENT ON COLUMN messages.media_url IS 'Source URL when media was sent by URL';
+    END IF;
+END $$;
+
+-- Media messages may be sent without a caption
+ALTER TABLE messages ALTER COLUMN message DROP NOT NULL;
+
+-- Create index for filtering media messages
+CREATE INDEX IF NOT EXISTS idx_messages_media_type ON messages(media_type);
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Media columns added to messages table';
+END $$;
@@ -0,0 +1,72 @@
+-- Migration: Add message queue columns
+-- Description: Turns the messages table into a durable outbound queue
+--              (pending -> processing -> sent/failed) with retries and backoff
+-- Date: 2026-10-19
+
+-- Allow the 'processing' status used while a queued message is being sent
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+ALTER TABLE messages ADD CONSTRAINT messages_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'failed'));
+
+-- WooCommerce notifications are logged as 'queued' when handed to the queue
+ALTER TABLE woocommerce_notifications DROP CONSTRAINT IF EXISTS woocommerce_notifications_status_check;
+ALTER TABLE woocommerce_notifications ADD CONSTRAINT woocommerce_notifications_status_check
+    CHECK (status IN ('queued', 'sent', 'failed'));
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'attempts'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN attempts INTEGER DEFAULT 0;
+        COMMENT ON COLUMN messages.attempts IS 'Number of send attempts made by the queue';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'max_attempts'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN max_attempts INTEGER DEFAULT 5;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'last_error'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN last_error TEXT;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'locked_at'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN locked_at TIMESTAMPTZ;
+        COMMENT ON COLUMN messages.locked_at IS 'When the queue worker claimed the message (stale locks are released)';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'source'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN source VARCHAR(50) DEFAULT 'api';
+        COMMENT ON COLUMN messages.source IS 'What queued the message (api, bot, woocommerce)';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'payload'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN payload JSONB;
+        COMMENT ON COLUMN messages.payload IS 'Send options (and media) for queued messages, cleared once sent';
+    END IF;
+END $$;
+
+-- Index used by the queue worker to find due messages
+CREATE INDEX IF NOT EXISTS idx_messages_queue ON messages(status, scheduled_at);
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Message queue columns added to messages table';
+END $$;
@@ -0,0 +1,58 @@
+-- Migration: Add delivery/read receipt tracking to messages
+-- Description: Stores the WhatsApp message ID and tracks sent -> delivered -> read (or failed)
+--              from the client's message_ack events
+-- Date: 2026-10-19
+
+-- Allow delivery states reported by receipts
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+ALTER TABLE messages ADD CONSTRAINT messages_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'delivered', 'read', 'failed'));
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'whatsapp_message_id'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN whatsapp_message_id VARCHAR(255);
+        COMMENT ON COLUMN messages.whatsapp_message_id IS 'Serialized WhatsApp message ID returned when sending';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'ack'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN ack SMALLINT;
+        COMMENT ON COLUMN messages.ack IS 'Last WhatsApp ack value (-1 error, 1 server, 2 device, 3 read, 4 played)';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'delivered_at'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN delivered_at TIMESTAMPTZ;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'read_at'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN read_at TIMESTAMPTZ;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'failed_at'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN failed_at TIMESTAMPTZ;
+    END IF;
+END $$;
+
+-- Index used to match acks to messages
+CREATE INDEX IF NOT EXISTS idx_messages_whatsapp_message_id ON messages(session_id, whatsapp_message_id);
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Message receipt columns added to messages table';
+END $$;
@@ -0,0 +1,22 @@
+-- Migration: Pairing code login
+-- Description: Sessions can link with an 8-character pairing code entered on the phone instead of a QR code
+-- Date: 2026-10-19
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pairing_phone_number VARCHAR(20); -- NULL = QR code login
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pairing_code VARCHAR(16);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pairing_code_expires_at TIMESTAMPTZ;
+
+-- Allow the 'pairing' status used while a pairing code waits to be entered on the phone
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_status_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_status_check
+    CHECK (status IN ('disconnected', 'connecting', 'connected', 'qr', 'pairing'));
+
+-- Add comments
+COMMENT ON COLUMN sessions.pairing_phone_number IS 'Phone number linked with a pairing code (digits); NULL when the session links with a QR code';
+COMMENT ON COLUMN sessions.pairing_code IS 'Current pairing code, cleared once the phone is linked';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: pairing code columns added to sessions';
+END $$;
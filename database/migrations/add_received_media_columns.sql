@@ -0,0 +1,74 @@
+-- Migration: Inbound media
+-- Description: Describe the media of received messages, kept in the configured media store (MEDIA_STORE),
+--              create the private storage bucket and show inbound media types in conversations
+-- Date: 2026-10-19
+-- NOTE: Requires add_sandbox_messages.sql
+
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_type VARCHAR(20)
+    CHECK (media_type IN ('image', 'video', 'audio', 'document'));
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_mime_type VARCHAR(255);
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_filename VARCHAR(500);
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_size_bytes BIGINT;
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_caption TEXT;
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_path VARCHAR(255);
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_status VARCHAR(20)
+    CHECK (media_status IN ('stored', 'too_large', 'failed', 'skipped', 'expired'));
+ALTER TABLE received_messages ADD COLUMN IF NOT EXISTS media_stored_at TIMESTAMPTZ;
+
+-- Create indexes (stored files past their retention are looked up hourly)
+CREATE INDEX IF NOT EXISTS idx_received_messages_media_stored ON received_messages(media_stored_at)
+    WHERE media_status = 'stored';
+
+-- Private bucket for MEDIA_STORE=supabase (only the service role can read it)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('inbound-media', 'inbound-media', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Same view as add_sandbox_messages.sql, with the media type of received messages
+-- (cast to plain VARCHAR: the existing view column has no length, and
+-- CREATE OR REPLACE VIEW cannot change a column's type)
+CREATE OR REPLACE VIEW conversation_messages AS
+SELECT
+    m.id,
+    m.session_id,
+    COALESCE(m.remote_jid, CASE
+        WHEN m."to" LIKE '%@%' THEN m."to"
+        ELSE regexp_replace(m."to", '\D', '', 'g') || '@c.us'
+    END) AS remote_jid,
+    'outbound'::TEXT AS direction,
+    m.message,
+    m.status,
+    m.media_type,
+    m.whatsapp_message_id,
+    COALESCE(m.sent_at, m.created_at) AS message_at,
+    m.read_at
+FROM messages m
+WHERE m.status <> 'cancelled'
+  AND NOT m.is_test
+  AND NOT (m.status = 'pending' AND m.scheduled_at > NOW())
+UNION ALL
+SELECT
+    r.id,
+    r.session_id,
+    r."from" AS remote_jid,
+    'inbound'::TEXT AS direction,
+    r.message,
+    NULL AS status,
+    r.media_type::VARCHAR AS media_type,
+    NULL AS whatsapp_message_id,
+    COALESCE(r.timestamp, r.created_at) AS message_at,
+    r.read_at
+FROM received_messages r;
+
+-- Add comments
+COMMENT ON COLUMN received_messages.media_type IS 'Media type of the message (NULL for text messages)';
+COMMENT ON COLUMN received_messages.media_caption IS 'Caption sent with the media (also in message)';
+COMMENT ON COLUMN received_messages.media_path IS 'Key of the file in the media store (MEDIA_STORE); NULL when not stored';
+COMMENT ON COLUMN received_messages.media_status IS 'stored, too_large (over MEDIA_MAX_INBOUND_BYTES), failed, skipped (MEDIA_STORE=none) or expired (after MEDIA_RETENTION_DAYS)';
+COMMENT ON COLUMN received_messages.media_stored_at IS 'When the file was stored; retention is counted from it';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: media columns added to received_messages';
+END $$;
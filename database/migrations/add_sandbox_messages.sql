@@ -0,0 +1,52 @@
+-- Migration: Sandbox (test key) messages
+-- Description: Messages sent with wp_test_ API keys are simulated and flagged with is_test.
+--              They are kept out of live history (unless asked for) and out of conversations.
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_test BOOLEAN NOT NULL DEFAULT false;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_messages_session_test ON messages(session_id, is_test, created_at DESC);
+
+-- Conversations only show real chats: same view as create_conversations_views.sql, without sandbox messages
+CREATE OR REPLACE VIEW conversation_messages AS
+SELECT
+    m.id,
+    m.session_id,
+    COALESCE(m.remote_jid, CASE
+        WHEN m."to" LIKE '%@%' THEN m."to"
+        ELSE regexp_replace(m."to", '\D', '', 'g') || '@c.us'
+    END) AS remote_jid,
+    'outbound'::TEXT AS direction,
+    m.message,
+    m.status,
+    m.media_type,
+    m.whatsapp_message_id,
+    COALESCE(m.sent_at, m.created_at) AS message_at,
+    m.read_at
+FROM messages m
+WHERE m.status <> 'cancelled'
+  AND NOT m.is_test
+  AND NOT (m.status = 'pending' AND m.scheduled_at > NOW())
+UNION ALL
+SELECT
+    r.id,
+    r.session_id,
+    r."from" AS remote_jid,
+    'inbound'::TEXT AS direction,
+    r.message,
+    NULL AS status,
+    NULL AS media_type,
+    NULL AS whatsapp_message_id,
+    COALESCE(r.timestamp, r.created_at) AS message_at,
+    r.read_at
+FROM received_messages r;
+
+-- Add comments
+COMMENT ON COLUMN messages.is_test IS 'Simulated send made with a test API key (wp_test_); never sent to WhatsApp';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: sandbox messages flagged with is_test';
+END $$;
@@ -0,0 +1,35 @@
+-- Migration: Add scheduled message support
+-- Description: Lets pending messages be cancelled and records the timezone they were scheduled in
+-- Date: 2026-10-19
+
+-- Allow cancelled scheduled messages
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+ALTER TABLE messages ADD CONSTRAINT messages_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'delivered', 'read', 'failed', 'cancelled'));
+
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'timezone'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN timezone VARCHAR(64);
+        COMMENT ON COLUMN messages.timezone IS 'IANA timezone the message was scheduled in (scheduled_at is stored in UTC)';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'cancelled_at'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN cancelled_at TIMESTAMPTZ;
+    END IF;
+END $$;
+
+-- Index for listing scheduled messages per session
+CREATE INDEX IF NOT EXISTS idx_messages_scheduled ON messages(session_id, source, status, scheduled_at);
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Scheduled message columns added to messages table';
+END $$;
@@ -0,0 +1,37 @@
+-- Migration: Session leases for running several backend nodes
+-- Description: Each session is run by the node holding its lease (CLUSTER_ENABLED=true); nodes register and heartbeat in cluster_nodes
+-- Date: 2026-10-19
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS owner_node_id VARCHAR(255); -- NULL = not running on any node
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+-- Live backend nodes and the URL other nodes reach them on
+CREATE TABLE IF NOT EXISTS cluster_nodes (
+    node_id VARCHAR(255) PRIMARY KEY,
+    url TEXT NOT NULL,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    last_heartbeat_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_sessions_owner_node ON sessions(owner_node_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_lease_expires ON sessions(lease_expires_at);
+CREATE INDEX IF NOT EXISTS idx_cluster_nodes_heartbeat ON cluster_nodes(last_heartbeat_at);
+
+-- Enable RLS
+ALTER TABLE cluster_nodes ENABLE ROW LEVEL SECURITY;
+
+-- Create policy
+CREATE POLICY "Allow all operations on cluster_nodes" ON cluster_nodes
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON COLUMN sessions.owner_node_id IS 'Backend node running the WhatsApp client of this session';
+COMMENT ON COLUMN sessions.lease_expires_at IS 'The owner renews its lease on every heartbeat; other nodes take the session over once it has expired';
+COMMENT ON TABLE cluster_nodes IS 'Backend nodes of the cluster, used to forward requests to the node running a session';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: session leases and cluster_nodes table created';
+END $$;
@@ -0,0 +1,24 @@
+-- Migration: Per-session WhatsApp provider
+-- Description: Sessions run on the web client (whatsapp-web.js, default) or on the official WhatsApp Cloud API
+-- Date: 2026-10-19
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS provider VARCHAR(20) DEFAULT 'web'; -- web or cloud_api
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cloud_phone_number_id VARCHAR(50);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cloud_access_token TEXT; -- NULL = CLOUD_API_ACCESS_TOKEN
+
+UPDATE sessions SET provider = 'web' WHERE provider IS NULL;
+
+-- Create indexes (webhook deliveries are routed by phone number ID, one session per number)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_cloud_phone_number_id ON sessions(cloud_phone_number_id)
+    WHERE cloud_phone_number_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN sessions.provider IS 'How the session connects to WhatsApp: web (whatsapp-web.js) or cloud_api (official Cloud API)';
+COMMENT ON COLUMN sessions.cloud_phone_number_id IS 'Cloud API phone number ID, matched against metadata.phone_number_id of webhook deliveries';
+COMMENT ON COLUMN sessions.cloud_access_token IS 'Cloud API access token of this session (never returned by the API)';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: provider columns added to sessions';
+END $$;
@@ -0,0 +1,38 @@
+-- Migration: Create api_keys table
+-- Description: Multiple named API keys per user with scopes, expiry, session restriction and revocation
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    key TEXT UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    session_ids UUID[], -- NULL = all of the user's sessions
+    expires_at TIMESTAMPTZ, -- NULL = never expires
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key ON api_keys(key);
+
+-- Enable RLS
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on api_keys" ON api_keys
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE api_keys IS 'Named API keys; users.api_key remains a legacy key with full access';
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes, e.g. messages:send, contacts:read, bots:write (* = all)';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: api_keys table created';
+END $$;
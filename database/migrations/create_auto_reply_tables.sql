@@ -0,0 +1,72 @@
+-- Migration: Create auto-reply tables
+-- Description: Keyword auto-reply rules per session and their execution log
+-- Date: 2026-10-19
+
+-- Auto-reply rules
+CREATE TABLE IF NOT EXISTS auto_reply_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    match_type VARCHAR(30) NOT NULL CHECK (match_type IN ('exact', 'contains', 'regex', 'first_message_of_day')),
+    pattern TEXT,
+    case_sensitive BOOLEAN DEFAULT FALSE,
+    reply_template TEXT NOT NULL,
+    priority INTEGER DEFAULT 0,
+    active_hours VARCHAR(30) DEFAULT 'always' CHECK (active_hours IN ('always', 'business_hours', 'outside_business_hours')),
+    business_hours JSONB,
+    cooldown_seconds INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per rule evaluation that matched (replied or skipped)
+CREATE TABLE IF NOT EXISTS auto_reply_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rule_id UUID REFERENCES auto_reply_rules(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    remote_jid VARCHAR(100) NOT NULL,
+    received_message_id UUID REFERENCES received_messages(id) ON DELETE SET NULL,
+    incoming_message TEXT,
+    reply TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('replied', 'cooldown', 'failed')),
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_session ON auto_reply_rules(session_id, is_active, priority DESC);
+CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_user ON auto_reply_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_auto_reply_logs_session ON auto_reply_logs(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auto_reply_logs_cooldown ON auto_reply_logs(rule_id, remote_jid, created_at DESC);
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_auto_reply_rules_updated_at
+    BEFORE UPDATE ON auto_reply_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE auto_reply_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auto_reply_logs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on auto_reply_rules" ON auto_reply_rules
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on auto_reply_logs" ON auto_reply_logs
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE auto_reply_rules IS 'Rules that reply automatically to incoming messages';
+COMMENT ON COLUMN auto_reply_rules.priority IS 'Higher priority rules are evaluated first; only the first matching rule replies';
+COMMENT ON COLUMN auto_reply_rules.business_hours IS '{ "timezone": "Africa/Casablanca", "days": [1,2,3,4,5], "start": "09:00", "end": "18:00" } (days: 0 = Sunday)';
+COMMENT ON TABLE auto_reply_logs IS 'Execution log of auto-reply rules';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Auto-reply tables created';
+END $$;
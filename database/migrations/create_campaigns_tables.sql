@@ -0,0 +1,86 @@
+-- Migration: Create campaigns tables
+-- Description: Broadcast campaigns to contact groups with per-recipient delivery tracking
+-- Date: 2026-10-19
+
+-- Campaigns
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    message_template TEXT NOT NULL,
+    group_ids UUID[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled')),
+    scheduled_at TIMESTAMPTZ,
+    timezone VARCHAR(64),
+    started_at TIMESTAMPTZ,
+    paused_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    total_recipients INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per recipient, created when the campaign starts
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE NOT NULL,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    phone_number VARCHAR(50) NOT NULL,
+    message TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'sent', 'delivered', 'read', 'failed', 'skipped', 'cancelled')),
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    error TEXT,
+    queued_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(campaign_id, phone_number)
+);
+
+-- Link queued messages back to their campaign
+DO $$ 
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'campaign_id'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_campaigns_user ON campaigns(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_message ON campaign_recipients(message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages(campaign_id);
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on campaigns" ON campaigns
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on campaign_recipients" ON campaign_recipients
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE campaigns IS 'Broadcast campaigns sent to contact groups';
+COMMENT ON TABLE campaign_recipients IS 'Per-recipient rendered message and delivery status for a campaign';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Campaigns tables created';
+END $$;
@@ -0,0 +1,100 @@
+-- Migration: Create conversation views
+-- Description: Combines sent and received messages into per-contact conversations
+-- Date: 2026-10-19
+
+DO $$ 
+BEGIN
+    -- WhatsApp chat ID the message was sent to (set when the message is sent)
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'messages' AND column_name = 'remote_jid'
+    ) THEN
+        ALTER TABLE messages ADD COLUMN remote_jid VARCHAR(100);
+    END IF;
+
+    -- When an incoming message was marked as read through the API
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'received_messages' AND column_name = 'read_at'
+    ) THEN
+        ALTER TABLE received_messages ADD COLUMN read_at TIMESTAMPTZ;
+    END IF;
+END $$;
+
+-- Best-effort backfill for messages sent before remote_jid existed
+UPDATE messages
+SET remote_jid = CASE
+    WHEN "to" LIKE '%@%' THEN "to"
+    ELSE regexp_replace("to", '\D', '', 'g') || '@c.us'
+END
+WHERE remote_jid IS NULL AND status IN ('sent', 'delivered', 'read');
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_messages_remote_jid ON messages(session_id, remote_jid);
+CREATE INDEX IF NOT EXISTS idx_received_messages_from ON received_messages(session_id, "from", timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_received_messages_unread ON received_messages(session_id, "from") WHERE read_at IS NULL;
+
+-- Both directions of every chat, one row per message
+-- Cancelled messages and messages scheduled for the future are left out
+CREATE OR REPLACE VIEW conversation_messages AS
+SELECT
+    m.id,
+    m.session_id,
+    COALESCE(m.remote_jid, CASE
+        WHEN m."to" LIKE '%@%' THEN m."to"
+        ELSE regexp_replace(m."to", '\D', '', 'g') || '@c.us'
+    END) AS remote_jid,
+    'outbound'::TEXT AS direction,
+    m.message,
+    m.status,
+    m.media_type,
+    m.whatsapp_message_id,
+    COALESCE(m.sent_at, m.created_at) AS message_at,
+    m.read_at
+FROM messages m
+WHERE m.status <> 'cancelled'
+  AND NOT (m.status = 'pending' AND m.scheduled_at > NOW())
+UNION ALL
+SELECT
+    r.id,
+    r.session_id,
+    r."from" AS remote_jid,
+    'inbound'::TEXT AS direction,
+    r.message,
+    NULL AS status,
+    NULL AS media_type,
+    NULL AS whatsapp_message_id,
+    COALESCE(r.timestamp, r.created_at) AS message_at,
+    r.read_at
+FROM received_messages r;
+
+-- One row per chat with its latest message and unread count
+CREATE OR REPLACE VIEW conversations AS
+SELECT DISTINCT ON (cm.session_id, cm.remote_jid)
+    cm.session_id,
+    cm.remote_jid,
+    cm.message_at AS last_message_at,
+    cm.direction AS last_direction,
+    LEFT(cm.message, 200) AS last_message_preview,
+    cm.status AS last_message_status,
+    cm.media_type AS last_media_type,
+    (
+        SELECT COUNT(*)
+        FROM received_messages r
+        WHERE r.session_id = cm.session_id
+          AND r."from" = cm.remote_jid
+          AND r.read_at IS NULL
+    ) AS unread_count
+FROM conversation_messages cm
+WHERE cm.remote_jid <> 'status@broadcast'
+ORDER BY cm.session_id, cm.remote_jid, cm.message_at DESC, cm.id DESC;
+
+-- Add comments
+COMMENT ON VIEW conversation_messages IS 'Sent and received messages per chat (remote_jid), in both directions';
+COMMENT ON VIEW conversations IS 'Latest message and unread count per chat';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Conversation views created';
+END $$;
@@ -0,0 +1,80 @@
+-- Migration: Create flow tables
+-- Description: Multi-step conversational flows per session and per-contact flow state
+-- Date: 2026-10-19
+
+-- Flow definitions (nodes and edges stored as JSON)
+CREATE TABLE IF NOT EXISTS flows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'keyword' CHECK (trigger_type IN ('keyword', 'regex', 'any')),
+    trigger_pattern TEXT,
+    definition JSONB NOT NULL,
+    priority INTEGER DEFAULT 0,
+    timeout_minutes INTEGER DEFAULT 30,
+    on_timeout VARCHAR(20) DEFAULT 'end' CHECK (on_timeout IN ('end', 'handoff')),
+    timeout_message TEXT,
+    max_retries INTEGER DEFAULT 2,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-contact position in a flow
+CREATE TABLE IF NOT EXISTS flow_conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    flow_id UUID REFERENCES flows(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    remote_jid VARCHAR(100) NOT NULL,
+    current_node_id VARCHAR(100),
+    variables JSONB DEFAULT '{}',
+    retries INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'handoff', 'completed', 'timed_out', 'cancelled')),
+    handoff_reason TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    last_interaction_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    handoff_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ
+);
+
+-- A contact can only be in one open conversation per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_conversations_open
+    ON flow_conversations(session_id, remote_jid)
+    WHERE status IN ('active', 'handoff');
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_flows_session ON flows(session_id, is_active, priority DESC);
+CREATE INDEX IF NOT EXISTS idx_flows_user ON flows(user_id);
+CREATE INDEX IF NOT EXISTS idx_flow_conversations_flow ON flow_conversations(flow_id, status);
+CREATE INDEX IF NOT EXISTS idx_flow_conversations_expiry ON flow_conversations(status, expires_at);
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_flows_updated_at
+    BEFORE UPDATE ON flows
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE flows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE flow_conversations ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on flows" ON flows
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on flow_conversations" ON flow_conversations
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE flows IS 'Conversational flows (chatbot state machines) per session';
+COMMENT ON COLUMN flows.definition IS '{ "start": "node id", "nodes": [...], "edges": [...] }';
+COMMENT ON TABLE flow_conversations IS 'Per-contact flow state; handoff means a human has taken over';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Flow tables created';
+END $$;
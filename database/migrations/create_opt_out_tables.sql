@@ -0,0 +1,62 @@
+-- Migration: Create opt-out tables
+-- Description: Per-user suppression list, custom opt-out keywords and the 'skipped' message status
+-- Date: 2026-10-19
+
+-- Numbers that must not be messaged (stored as digits only, e.g. 212600000000)
+CREATE TABLE IF NOT EXISTS suppression_list (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    phone_number VARCHAR(50) NOT NULL,
+    reason VARCHAR(20) DEFAULT 'manual' CHECK (reason IN ('keyword', 'manual', 'import')),
+    keyword VARCHAR(100),
+    language VARCHAR(10),
+    session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, phone_number)
+);
+
+-- Extra opt-out keywords per user and language (added to the built-in defaults)
+CREATE TABLE IF NOT EXISTS opt_out_keywords (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    language VARCHAR(10) NOT NULL,
+    keyword VARCHAR(100) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, keyword)
+);
+
+-- Messages to suppressed numbers are recorded as skipped instead of being sent
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+ALTER TABLE messages ADD CONSTRAINT messages_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'delivered', 'read', 'failed', 'cancelled', 'skipped'));
+
+-- Notifications to opted-out customers are logged as skipped
+ALTER TABLE woocommerce_notifications DROP CONSTRAINT IF EXISTS woocommerce_notifications_status_check;
+ALTER TABLE woocommerce_notifications ADD CONSTRAINT woocommerce_notifications_status_check
+    CHECK (status IN ('queued', 'sent', 'failed', 'skipped'));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_suppression_list_user ON suppression_list(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_opt_out_keywords_user ON opt_out_keywords(user_id);
+
+-- Enable RLS
+ALTER TABLE suppression_list ENABLE ROW LEVEL SECURITY;
+ALTER TABLE opt_out_keywords ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on suppression_list" ON suppression_list
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on opt_out_keywords" ON opt_out_keywords
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE suppression_list IS 'Numbers that opted out; every send path skips them';
+COMMENT ON TABLE opt_out_keywords IS 'Custom opt-out keywords per user and language';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Opt-out tables created';
+END $$;
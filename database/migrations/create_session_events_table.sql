@@ -0,0 +1,40 @@
+-- Migration: Session lifecycle event history
+-- Description: Timeline of connects, disconnects, state changes, reconnect attempts and keepalive failures per session, used for diagnostics and availability
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS session_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL, -- ready, disconnected, state_changed, keepalive_failed, reconnecting, stopped...
+    reason TEXT,
+    state VARCHAR(50), -- WhatsApp Web client state (CONNECTED, CONFLICT, UNPAIRED...)
+    attempt INTEGER,
+    details JSONB,
+    node_id VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_session_events_session_created ON session_events(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_session_events_session_event ON session_events(session_id, event);
+-- Events past SESSION_EVENTS_RETENTION_DAYS are removed hourly
+CREATE INDEX IF NOT EXISTS idx_session_events_created ON session_events(created_at);
+
+-- Enable RLS
+ALTER TABLE session_events ENABLE ROW LEVEL SECURITY;
+
+-- Create policy
+CREATE POLICY "Allow all operations on session_events" ON session_events
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE session_events IS 'Lifecycle events of WhatsApp sessions, for disconnect diagnostics and uptime reporting';
+COMMENT ON COLUMN session_events.reason IS 'Disconnect reason, authentication failure message or error';
+COMMENT ON COLUMN session_events.attempt IS 'Reconnect attempt number (reconnect_failed events)';
+COMMENT ON COLUMN session_events.node_id IS 'Backend node that recorded the event (cluster mode)';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: session_events table created';
+END $$;
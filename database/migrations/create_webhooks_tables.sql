@@ -0,0 +1,69 @@
+-- Migration: Create webhooks tables
+-- Description: Customer-configured webhook endpoints per session and their delivery log
+-- Date: 2026-10-19
+
+-- Webhook endpoints
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT ARRAY['message.received'],
+    secret VARCHAR(255) NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Delivery log (one row per event per webhook, updated on every attempt)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'delivered', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER,
+    next_attempt_at TIMESTAMPTZ,
+    response_status INTEGER,
+    response_body TEXT,
+    duration_ms INTEGER,
+    error TEXT,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_session ON webhooks(session_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(status, next_attempt_at);
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_webhooks_updated_at
+    BEFORE UPDATE ON webhooks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Allow all operations on webhooks" ON webhooks
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on webhook_deliveries" ON webhook_deliveries
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE webhooks IS 'Customer webhook endpoints that receive WhatsApp events';
+COMMENT ON TABLE webhook_deliveries IS 'Log of webhook delivery attempts with retry state';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: Webhooks tables created';
+END $$;
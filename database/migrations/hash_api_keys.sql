@@ -0,0 +1,74 @@
+-- Migration: Store API keys hashed
+-- Description: Replace plaintext API keys with a SHA-256 hash plus a short lookup prefix.
+--              Existing wp_live_ keys are hashed in place, so clients using them keep working.
+--              After this migration the full key is only shown once, when it is generated.
+-- Date: 2026-10-19
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Legacy key on users
+ALTER TABLE users ADD COLUMN IF NOT EXISTS api_key_hash TEXT UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS api_key_prefix VARCHAR(16);
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'api_key'
+    ) THEN
+        UPDATE users
+        SET api_key_hash = encode(digest(api_key, 'sha256'), 'hex'),
+            api_key_prefix = left(api_key, 16)
+        WHERE api_key IS NOT NULL;
+
+        DROP INDEX IF EXISTS idx_users_api_key;
+        ALTER TABLE users DROP COLUMN api_key;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_api_key_prefix ON users(api_key_prefix);
+
+-- Named keys
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash TEXT;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(16);
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'api_keys' AND column_name = 'key'
+    ) THEN
+        UPDATE api_keys
+        SET key_hash = encode(digest(key, 'sha256'), 'hex'),
+            key_prefix = left(key, 16);
+
+        DROP INDEX IF EXISTS idx_api_keys_key;
+        ALTER TABLE api_keys DROP COLUMN key;
+    END IF;
+END $$;
+
+ALTER TABLE api_keys ALTER COLUMN key_hash SET NOT NULL;
+ALTER TABLE api_keys ALTER COLUMN key_prefix SET NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_key_hash_key'
+    ) THEN
+        ALTER TABLE api_keys ADD CONSTRAINT api_keys_key_hash_key UNIQUE (key_hash);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_prefix ON api_keys(key_prefix);
+
+-- Add comments
+COMMENT ON COLUMN users.api_key_hash IS 'SHA-256 (hex) of the legacy API key; the key itself is never stored';
+COMMENT ON COLUMN users.api_key_prefix IS 'First 16 characters of the key (wp_live_ + 8 hex), used for lookup and display';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 (hex) of the API key; the key itself is never stored';
+COMMENT ON COLUMN api_keys.key_prefix IS 'First 16 characters of the key (wp_live_ + 8 hex), used for lookup and display';
+
+-- Log the migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed: API keys are now stored as hashes';
+END $$;
@@ -8,7 +8,7 @@ CREATE TABLE IF NOT EXISTS sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     session_name VARCHAR(255) NOT NULL,
     phone_number VARCHAR(50),
-    status VARCHAR(50) DEFAULT 'disconnected' CHECK (status IN ('disconnected', 'connecting', 'connected', 'qr')),
+    status VARCHAR(50) DEFAULT 'disconnected' CHECK (status IN ('disconnected', 'connecting', 'connected', 'qr', 'pairing')),
     qr_code TEXT,
     last_connected_at TIMESTAMPTZ,
     last_seen TIMESTAMPTZ,
@@ -18,6 +18,20 @@ const options = {
       }
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'JWT from /api/auth/login, or an API key sent as Authorization: Bearer wp_live_...'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+          description: 'API key from /api/api-keys (wp_live_..., or wp_test_... for sandbox keys that simulate sends). Named keys only reach routes covered by their scopes and sessions (403 otherwise).'
+        }
+      },
       schemas: {
         Session: {
           type: 'object',
@@ -25,12 +39,117 @@ const options = {
             id: { type: 'string', format: 'uuid' },
             session_name: { type: 'string' },
             phone_number: { type: 'string' },
-            status: { type: 'string', enum: ['disconnected', 'connecting', 'connected', 'qr'] },
+            status: { type: 'string', enum: ['disconnected', 'connecting', 'connected', 'qr', 'pairing'] },
             qr_code: { type: 'string', nullable: true },
+            pairing_phone_number: { type: 'string', nullable: true, description: 'Phone linked with a pairing code instead of a QR code' },
+            pairing_code: { type: 'string', nullable: true, example: 'ABCD1234' },
+            pairing_code_expires_at: { type: 'string', format: 'date-time', nullable: true },
+            provider: { type: 'string', enum: ['web', 'cloud_api', 'fake'], description: 'How the session connects: WhatsApp Web client, official Cloud API or in-memory fake (development only)' },
+            cloud_phone_number_id: { type: 'string', nullable: true, description: 'Cloud API phone number ID (cloud_api sessions)' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        PairingCode: {
+          type: 'object',
+          properties: {
+            phone_number: { type: 'string', description: 'Phone the code must be entered on' },
+            status: { type: 'string' },
+            pairing_code: { type: 'string', nullable: true, example: 'ABCD1234', description: 'Null while being generated or once expired' },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            expires_in_seconds: { type: 'integer' }
+          }
+        },
+        NumberCheck: {
+          type: 'object',
+          properties: {
+            input: { type: 'string', description: 'Number as sent' },
+            phone_number: { type: 'string', nullable: true, description: 'Normalized digits, null when invalid' },
+            registered: { type: 'boolean', nullable: true, description: 'Null when the number could not be checked (see error)' },
+            jid: { type: 'string', nullable: true, example: '5511987654321@c.us', description: 'Canonical chat ID to send to' },
+            checked_at: { type: 'string', format: 'date-time' },
+            cached: { type: 'boolean', description: 'Result taken from the contacts cache' },
+            error: { type: 'string' }
+          }
+        },
+        ContactSync: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['never', 'running', 'completed', 'failed'] },
+            synced_at: { type: 'string', format: 'date-time', nullable: true, description: 'Start of the last completed sync' },
+            error: { type: 'string', nullable: true },
+            stats: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                full: { type: 'boolean' },
+                contacts: { type: 'integer', description: 'Address book entries on WhatsApp' },
+                chats: { type: 'integer', description: 'One-to-one chats' },
+                created: { type: 'integer' },
+                updated: { type: 'integer' },
+                unchanged: { type: 'integer' },
+                pictures: { type: 'integer', description: 'Profile pictures fetched' }
+              }
+            }
+          }
+        },
+        Group: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '120363025246125888@g.us', description: 'Send messages to this ID' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            owner: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time', nullable: true },
+            participant_count: { type: 'integer' },
+            participants: {
+              type: 'array',
+              description: 'Only when reading a single group',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: '212612345678@c.us' },
+                  phone_number: { type: 'string', nullable: true },
+                  is_admin: { type: 'boolean' },
+                  is_super_admin: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        SessionEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            session_id: { type: 'string', format: 'uuid' },
+            event: {
+              type: 'string',
+              enum: ['qr', 'pairing_code', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'reconnecting',
+                'reconnect_failed', 'state_changed', 'keepalive_failed', 'keepalive_recovered', 'restoring', 'stopped']
+            },
+            reason: { type: 'string', nullable: true, description: 'Disconnect reason, failure message or error' },
+            state: { type: 'string', nullable: true, example: 'CONFLICT', description: 'WhatsApp Web client state' },
+            attempt: { type: 'integer', nullable: true, description: 'Reconnect attempt number' },
+            details: { type: 'object', nullable: true },
+            node_id: { type: 'string', nullable: true, description: 'Backend node that recorded the event (cluster mode)' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        SessionAvailability: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date-time', description: 'Window start (not before the session was created)' },
+            to: { type: 'string', format: 'date-time', description: 'Window end (not after now)' },
+            window_ms: { type: 'integer' },
+            uptime_ms: { type: 'integer' },
+            downtime_ms: { type: 'integer' },
+            availability_percent: { type: 'number', nullable: true, example: 99.42 },
+            disconnects: { type: 'integer', description: 'Times the session went down' },
+            reconnect_attempts: { type: 'integer' },
+            longest_outage_ms: { type: 'integer' },
+            currently_up: { type: 'boolean' }
+          }
+        },
         Message: {
           type: 'object',
           properties: {
@@ -38,9 +157,52 @@ const options = {
             session_id: { type: 'string', format: 'uuid' },
             to: { type: 'string' },
             message: { type: 'string' },
-            status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+            status: { type: 'string', enum: ['pending', 'processing', 'sent', 'delivered', 'read', 'failed', 'cancelled', 'skipped'], description: 'skipped: the recipient opted out' },
+            whatsapp_message_id: { type: 'string', nullable: true },
+            remote_jid: { type: 'string', nullable: true, description: 'WhatsApp chat ID the message was sent to' },
+            ack: { type: 'integer', nullable: true, description: 'Last WhatsApp ack (-1 error, 1 server, 2 device, 3 read, 4 played)' },
             scheduled_at: { type: 'string', format: 'date-time', nullable: true },
+            timezone: { type: 'string', nullable: true, description: 'Timezone the message was scheduled in' },
+            cancelled_at: { type: 'string', format: 'date-time', nullable: true },
             sent_at: { type: 'string', format: 'date-time', nullable: true },
+            delivered_at: { type: 'string', format: 'date-time', nullable: true },
+            read_at: { type: 'string', format: 'date-time', nullable: true },
+            failed_at: { type: 'string', format: 'date-time', nullable: true },
+            attempts: { type: 'integer' },
+            max_attempts: { type: 'integer' },
+            last_error: { type: 'string', nullable: true },
+            campaign_id: { type: 'string', format: 'uuid', nullable: true },
+            source: { type: 'string' },
+            media_type: { type: 'string', enum: ['image', 'video', 'audio', 'document'], nullable: true },
+            media_mime_type: { type: 'string', nullable: true },
+            media_filename: { type: 'string', nullable: true },
+            media_size_bytes: { type: 'integer', nullable: true },
+            media_url: { type: 'string', nullable: true },
+            is_test: { type: 'boolean', description: 'Simulated send made with a test API key (wp_test_) - never sent to WhatsApp' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReceivedMessage: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            session_id: { type: 'string', format: 'uuid' },
+            from: { type: 'string', description: 'Sender chat ID' },
+            message: { type: 'string', description: 'Text, or the caption of the media' },
+            timestamp: { type: 'string', format: 'date-time' },
+            read_at: { type: 'string', format: 'date-time', nullable: true },
+            media_type: { type: 'string', enum: ['image', 'video', 'audio', 'document'], nullable: true },
+            media_mime_type: { type: 'string', nullable: true },
+            media_filename: { type: 'string', nullable: true },
+            media_size_bytes: { type: 'integer', nullable: true },
+            media_caption: { type: 'string', nullable: true },
+            media_status: {
+              type: 'string',
+              enum: ['stored', 'too_large', 'failed', 'skipped', 'expired'],
+              nullable: true,
+              description: 'stored: download it from /api/messages/received/{sessionId}/{id}/media'
+            },
+            media_stored_at: { type: 'string', format: 'date-time', nullable: true },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
@@ -57,6 +219,178 @@ const options = {
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string', format: 'uuid' },
+            session_id: { type: 'string', format: 'uuid' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string' } },
+            secret: { type: 'string', description: 'Signing secret (masked except on create/rotate)' },
+            description: { type: 'string', nullable: true },
+            is_active: { type: 'boolean' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            webhook_id: { type: 'string', format: 'uuid' },
+            event: { type: 'string' },
+            payload: { type: 'object' },
+            status: { type: 'string', enum: ['pending', 'processing', 'delivered', 'failed'] },
+            attempts: { type: 'integer' },
+            next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+            response_status: { type: 'integer', nullable: true },
+            response_body: { type: 'string', nullable: true },
+            duration_ms: { type: 'integer', nullable: true },
+            error: { type: 'string', nullable: true },
+            delivered_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Campaign: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string', format: 'uuid' },
+            session_id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            message_template: { type: 'string', description: 'Supports {name}, {email}, {phone}, {date}, {time}, {datetime}, {day}' },
+            group_ids: { type: 'array', items: { type: 'string', format: 'uuid' } },
+            status: { type: 'string', enum: ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'] },
+            scheduled_at: { type: 'string', format: 'date-time', nullable: true },
+            timezone: { type: 'string', nullable: true },
+            started_at: { type: 'string', format: 'date-time', nullable: true },
+            paused_at: { type: 'string', format: 'date-time', nullable: true },
+            completed_at: { type: 'string', format: 'date-time', nullable: true },
+            total_recipients: { type: 'integer' },
+            stats: {
+              type: 'object',
+              description: 'Live recipient counts by status (single campaign responses only)',
+              properties: {
+                total: { type: 'integer' },
+                pending: { type: 'integer' },
+                queued: { type: 'integer' },
+                sent: { type: 'integer' },
+                delivered: { type: 'integer' },
+                read: { type: 'integer' },
+                failed: { type: 'integer' },
+                skipped: { type: 'integer' },
+                cancelled: { type: 'integer' }
+              }
+            },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Conversation: {
+          type: 'object',
+          properties: {
+            session_id: { type: 'string', format: 'uuid' },
+            remote_jid: { type: 'string', example: '212600000000@c.us' },
+            last_message_at: { type: 'string', format: 'date-time' },
+            last_direction: { type: 'string', enum: ['inbound', 'outbound'] },
+            last_message_preview: { type: 'string' },
+            last_message_status: { type: 'string', nullable: true },
+            last_media_type: { type: 'string', nullable: true },
+            unread_count: { type: 'integer' }
+          }
+        },
+        ConversationMessage: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            session_id: { type: 'string', format: 'uuid' },
+            remote_jid: { type: 'string' },
+            direction: { type: 'string', enum: ['inbound', 'outbound'] },
+            message: { type: 'string' },
+            status: { type: 'string', nullable: true, description: 'Delivery status (outbound only)' },
+            media_type: { type: 'string', nullable: true, description: 'Inbound media is downloaded from /api/messages/received/{sessionId}/{id}/media' },
+            whatsapp_message_id: { type: 'string', nullable: true },
+            message_at: { type: 'string', format: 'date-time' },
+            read_at: { type: 'string', format: 'date-time', nullable: true, description: 'Read by the recipient (outbound) or marked read via the API (inbound)' }
+          }
+        },
+        AutoReplyRule: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid', readOnly: true },
+            session_id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            match_type: { type: 'string', enum: ['exact', 'contains', 'regex', 'first_message_of_day'] },
+            pattern: { type: 'string', nullable: true, description: 'Text or regex to match (not used by first_message_of_day)' },
+            case_sensitive: { type: 'boolean', default: false },
+            reply_template: { type: 'string', example: 'Hi {name}, thanks for your message! We will get back to you soon.' },
+            priority: { type: 'integer', default: 0, description: 'Higher priority rules are evaluated first' },
+            active_hours: { type: 'string', enum: ['always', 'business_hours', 'outside_business_hours'], default: 'always' },
+            business_hours: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                timezone: { type: 'string', example: 'Africa/Casablanca' },
+                days: { type: 'array', items: { type: 'integer' }, example: [1, 2, 3, 4, 5], description: '0 = Sunday' },
+                start: { type: 'string', example: '09:00' },
+                end: { type: 'string', example: '18:00' }
+              }
+            },
+            cooldown_seconds: { type: 'integer', default: 0, description: 'Minimum time before the rule replies to the same contact again' },
+            is_active: { type: 'boolean', default: true },
+            created_at: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        Flow: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid', readOnly: true },
+            session_id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            trigger_type: { type: 'string', enum: ['keyword', 'regex', 'any'], default: 'keyword' },
+            trigger_pattern: { type: 'string', description: 'Comma-separated keywords or a regex', example: 'menu, help' },
+            definition: {
+              type: 'object',
+              description: 'Nodes (message, question, condition, handoff, end) and edges with optional conditions',
+              example: {
+                start: 'welcome',
+                nodes: [
+                  { id: 'welcome', type: 'question', text: 'Hi {name}! Reply 1 for order status or 2 to talk to us.' },
+                  { id: 'ask_order', type: 'question', text: 'Please send your order number', variable: 'order_id' },
+                  { id: 'thanks', type: 'end', text: 'Thanks! We will check order {order_id} for you.' },
+                  { id: 'human', type: 'handoff', text: 'An agent will reply shortly.' }
+                ],
+                edges: [
+                  { from: 'welcome', to: 'ask_order', condition: { type: 'equals', value: '1' } },
+                  { from: 'welcome', to: 'human', condition: { type: 'equals', value: '2' } },
+                  { from: 'ask_order', to: 'thanks' }
+                ]
+              }
+            },
+            priority: { type: 'integer', default: 0 },
+            timeout_minutes: { type: 'integer', default: 30, description: 'Inactivity before the conversation times out' },
+            on_timeout: { type: 'string', enum: ['end', 'handoff'], default: 'end' },
+            timeout_message: { type: 'string', nullable: true },
+            max_retries: { type: 'integer', default: 2, description: 'Invalid answers allowed before handing off to a human' },
+            is_active: { type: 'boolean', default: true },
+            created_at: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        OptOut: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid', readOnly: true },
+            phone_number: { type: 'string', example: '212600000000' },
+            reason: { type: 'string', enum: ['keyword', 'manual', 'import'] },
+            keyword: { type: 'string', nullable: true, description: 'Opt-out keyword the contact sent' },
+            language: { type: 'string', nullable: true, example: 'en' },
+            session_id: { type: 'string', format: 'uuid', nullable: true },
+            notes: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -125,7 +459,12 @@ const options = {
           }
         }
       }
-    }
+    },
+    // Every user route accepts either a JWT or an API key (routes marked security: [] are public)
+    security: [
+      { bearerAuth: [] },
+      { apiKeyAuth: [] }
+    ]
   },
   apis: ['./src/routes/*.js']
 };
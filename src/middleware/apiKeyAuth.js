@@ -1,29 +1,126 @@
-const { supabase } = require('../config/supabase');
-const { validateApiKeyFormat } = require('../utils/apiKeyGenerator');
+const { supabaseAdmin } = require('../config/supabase');
+const { validateApiKeyFormat, getApiKeyPrefix, verifyApiKey, getApiKeyMode } = require('../utils/apiKeyGenerator');
+const { ALL_SCOPES } = require('../utils/apiKeyScopes');
 
 /**
- * Middleware to authenticate requests using API key
- * Looks for API key in Authorization header or x-api-key header
- * 
- * IMPORTANT: API keys NEVER expire. This middleware only validates:
- * - API key format is correct
- * - API key exists in the database
- * - API key belongs to an active user
- * 
- * There is NO expiration check - API keys remain valid indefinitely until manually regenerated.
+ * Get the API key sent with a request
+ * Looks in the x-api-key header, then in Authorization: Bearer wp_live_... (or wp_test_...)
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && (authHeader.startsWith('Bearer wp_live_') || authHeader.startsWith('Bearer wp_test_'))) {
+    return authHeader.replace('Bearer ', '');
+  }
+
+  return null;
+};
+
+// last_used_at is written at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Authenticate an API key
+ *
+ * Keys are stored as a SHA-256 hash plus a short prefix: the prefix finds the
+ * candidate rows and the hash is compared in constant time.
+ * Keys from the api_keys table are checked for revocation and expiry, and carry
+ * their own scopes and session restriction. The legacy key on the users row
+ * never expires and has every scope. wp_test_ keys are sandbox keys (mode 'test'):
+ * their sends are simulated and never reach WhatsApp.
+ * @param {string} apiKey
+ * @returns {Promise<Object>} - { user, apiKey } on success, { status, message } on failure
+ */
+const authenticateApiKey = async (apiKey) => {
+  // Validate API key format
+  if (!validateApiKeyFormat(apiKey)) {
+    return { status: 401, message: 'Invalid API key format' };
+  }
+
+  const prefix = getApiKeyPrefix(apiKey);
+
+  const { data: candidates, error: keyError } = await supabaseAdmin
+    .from('api_keys')
+    .select('id, user_id, name, scopes, session_ids, expires_at, revoked_at, last_used_at, key_hash')
+    .eq('key_prefix', prefix);
+
+  if (keyError) throw keyError;
+
+  const key = candidates.find(candidate => verifyApiKey(apiKey, candidate.key_hash));
+
+  if (key) {
+    if (key.revoked_at) {
+      return { status: 401, message: 'API key has been revoked' };
+    }
+
+    if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+      return { status: 401, message: 'API key has expired' };
+    }
+
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('id, email, name, provider, avatar_url')
+      .eq('id', key.user_id)
+      .maybeSingle();
+
+    if (error || !user) {
+      return { status: 401, message: 'Invalid API key' };
+    }
+
+    if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+      supabaseAdmin
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', key.id)
+        .then(({ error: updateError }) => {
+          if (updateError) console.error('Failed to record API key usage:', updateError.message);
+        });
+    }
+
+    return {
+      user,
+      apiKey: {
+        id: key.id,
+        name: key.name,
+        mode: getApiKeyMode(apiKey),
+        scopes: key.scopes || [],
+        session_ids: key.session_ids
+      }
+    };
+  }
+
+  // Legacy key stored on the user (no expiration date stored or checked)
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, email, name, provider, avatar_url, api_key_hash')
+    .eq('api_key_prefix', prefix);
+
+  const match = !error && users.find(candidate => verifyApiKey(apiKey, candidate.api_key_hash));
+  if (!match) {
+    return { status: 401, message: 'Invalid API key' };
+  }
+
+  const { api_key_hash, ...user } = match;
+
+  return {
+    user,
+    apiKey: { id: null, name: 'Legacy API key', mode: 'live', scopes: [ALL_SCOPES], session_ids: null }
+  };
+};
+
+/**
+ * Middleware to authenticate requests using API key only
+ * Looks for API key in Authorization header or x-api-key header.
+ * Most routes should use authMiddleware, which accepts a JWT or an API key.
  */
 const apiKeyAuth = async (req, res, next) => {
   try {
-    // Try to get API key from headers
-    let apiKey = req.headers['x-api-key'];
-    
-    // Also support Bearer token format with API key
-    if (!apiKey && req.headers.authorization) {
-      const authHeader = req.headers.authorization;
-      if (authHeader.startsWith('Bearer wp_live_')) {
-        apiKey = authHeader.replace('Bearer ', '');
-      }
-    }
+    const apiKey = getApiKeyFromRequest(req);
 
     if (!apiKey) {
       return res.status(401).json({
@@ -32,31 +129,18 @@ const apiKeyAuth = async (req, res, next) => {
       });
     }
 
-    // Validate API key format (format only, no expiration check)
-    if (!validateApiKeyFormat(apiKey)) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid API key format'
-      });
-    }
-
-    // Look up user by API key (no expiration date stored or checked)
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, name')
-      .eq('api_key', apiKey)
-      .single();
-
-    if (error || !user) {
-      return res.status(401).json({
+    const result = await authenticateApiKey(apiKey);
+    if (!result.user) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Invalid API key'
+        message: result.message
       });
     }
 
     // Attach user info to request
-    req.userId = user.id;
-    req.user = user;
+    req.userId = result.user.id;
+    req.user = result.user;
+    req.apiKey = result.apiKey;
     req.authType = 'api_key';
 
     next();
@@ -69,5 +153,4 @@ const apiKeyAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { apiKeyAuth };
-
+module.exports = { apiKeyAuth, authenticateApiKey, getApiKeyFromRequest };
@@ -1,13 +1,16 @@
 const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { apiKeyAuth, authenticateApiKey, getApiKeyFromRequest } = require('./apiKeyAuth');
+const { hasScope, isTestKeyScope, isTestRequest, isSessionAllowed } = require('../utils/apiKeyScopes');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
 /**
- * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * JWT Authentication Middleware
+ * Verifies JWT token and attaches user to request.
+ * Used for account management routes that must not be reachable with an API key.
  */
-const authMiddleware = async (req, res, next) => {
+const jwtAuthMiddleware = async (req, res, next) => {
   try {
     // Check if supabaseAdmin is available
     if (!supabaseAdmin) {
@@ -24,7 +27,7 @@ const authMiddleware = async (req, res, next) => {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
-        message: 'No token provided'
+        message: 'No token or API key provided'
       });
     }
 
@@ -51,6 +54,7 @@ const authMiddleware = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.userId = user.id;
+    req.authType = 'jwt';
 
     next();
   } catch (error) {
@@ -77,6 +81,98 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication Middleware
+ * Accepts either a JWT (Authorization: Bearer <token>) or an API key
+ * (x-api-key header or Authorization: Bearer wp_live_...), attaches the user
+ * to the request and sets req.authType to 'jwt' or 'api_key'.
+ */
+const authMiddleware = (req, res, next) => {
+  if (getApiKeyFromRequest(req)) {
+    return apiKeyAuth(req, res, next);
+  }
+
+  return jwtAuthMiddleware(req, res, next);
+};
+
+/**
+ * Scope Middleware
+ * Use after authMiddleware. Requests made with an API key need the given scope,
+ * and a key restricted to some sessions cannot name another session in the
+ * path (sessionId), body or query (sessionId / session_id). Test keys are also
+ * refused write scopes other than messages:send. JWTs are not limited.
+ * @param {string} scope - e.g. 'messages:send'
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.authType !== 'api_key') {
+    return next();
+  }
+
+  if (!hasScope(req.apiKey?.scopes, scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the required scope: ${scope}`,
+      required_scope: scope
+    });
+  }
+
+  if (isTestRequest(req) && !isTestKeyScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Test API keys can only read data and simulate sends (${scope} requires a live key)`,
+      required_scope: scope
+    });
+  }
+
+  const sessionId = req.params.sessionId ||
+    req.body?.sessionId || req.body?.session_id ||
+    req.query.sessionId || req.query.session_id;
+
+  if (sessionId && !isSessionAllowed(req, sessionId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API key is not allowed to use this session'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check that the credentials of an authenticated request are still valid
+ * For long-lived requests such as event streams: the API key must not have been
+ * revoked or have expired, the JWT must not have expired, and the user must
+ * still exist and not be blocked.
+ * @param {Object} req - Request that passed authMiddleware
+ * @returns {Promise<string|null>} - Why the credentials are no longer valid, or null
+ */
+const recheckCredentials = async (req) => {
+  if (req.authType === 'api_key') {
+    const result = await authenticateApiKey(getApiKeyFromRequest(req));
+    if (!result.user || result.user.id !== req.userId) {
+      return result.message || 'Invalid API key';
+    }
+  } else {
+    try {
+      jwt.verify(req.headers.authorization.replace('Bearer ', ''), JWT_SECRET);
+    } catch (error) {
+      return error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    }
+  }
+
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('is_blocked')
+    .eq('id', req.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return 'User not found';
+  if (user.is_blocked) return 'Your account has been blocked by an administrator';
+
+  return null;
+};
+
 /**
  * Optional Auth Middleware
  * Attaches user if token exists, but doesn't require it
@@ -104,6 +200,7 @@ const optionalAuth = async (req, res, next) => {
       if (user) {
         req.user = user;
         req.userId = user.id;
+        req.authType = 'jwt';
       }
     }
     
@@ -114,5 +211,5 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, optionalAuth };
+module.exports = { authMiddleware, jwtAuthMiddleware, requireScope, recheckCredentials, optionalAuth };
 
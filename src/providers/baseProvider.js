@@ -0,0 +1,221 @@
+const EventEmitter = require('events');
+
+/**
+ * WhatsApp provider interface
+ *
+ * A provider connects one session to WhatsApp. WhatsAppService only talks to
+ * sessions through this interface, so a session can run on the web client
+ * (whatsapp-web.js) or on the official Cloud API.
+ *
+ * Events (same meaning for every provider):
+ * - 'qr' (qr)                    QR code to scan (web only)
+ * - 'code' (code)                pairing code to type on the phone (web only)
+ * - 'authenticated'
+ * - 'ready'                      connected, getPhoneNumber() is known
+ * - 'auth_failure' (message)
+ * - 'disconnected' (reason)
+ * - 'change_state' (state)
+ * - 'message' (message)          incoming message, in the shape of a whatsapp-web.js Message:
+ *                                { id: { _serialized }, from, to, body, type, hasMedia, timestamp,
+ *                                  fromMe, _data: { notifyName }, downloadMedia() }
+ * - 'message_ack' (whatsappMessageId, ack)  delivery status of an outgoing message
+ *                                (-1 error, 1 server, 2 device, 3 read, 4 played)
+ */
+class BaseProvider extends EventEmitter {
+  /**
+   * @param {Object} session - sessions row
+   */
+  constructor(session) {
+    super();
+    this.sessionId = session.id;
+  }
+
+  /**
+   * Provider name stored in sessions.provider
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  /**
+   * Whether the session keeps a browser profile in .wwebjs_auth (backed up by AuthBackupService)
+   * @returns {boolean}
+   */
+  get usesLocalAuth() {
+    return false;
+  }
+
+  /**
+   * Connect the session; progress is reported through events
+   */
+  async initialize() {
+    throw new Error(`${this.name} provider does not implement initialize`);
+  }
+
+  /**
+   * Close the connection (the session stays linked)
+   */
+  async destroy() {}
+
+  /**
+   * Connection state, whatsapp-web.js style (CONNECTED, OPENING, CONFLICT, UNPAIRED...)
+   * @returns {Promise<string|null>}
+   */
+  async getState() {
+    throw new Error(`${this.name} provider does not implement getState`);
+  }
+
+  /**
+   * Phone number (digits) of the linked account, null until ready
+   * @returns {string|null}
+   */
+  getPhoneNumber() {
+    return null;
+  }
+
+  /**
+   * Send a text or media message
+   * @param {string} chatId - Formatted recipient (e.g. 212665927999@c.us)
+   * @param {string} text - Message text (caption when sending media)
+   * @param {Object} options - { media, sendAudioAsVoice, sendMediaAsDocument }
+   * @returns {Promise<Object>} - { id } serialized WhatsApp message ID
+   */
+  async sendMessage(chatId, text, options = {}) {
+    throw this.unsupported('Sending messages');
+  }
+
+  /**
+   * Request a new pairing code (pairing code login)
+   * @param {string} phoneNumber
+   * @param {number} intervalMs - How often a new code is generated
+   * @returns {Promise<string>}
+   */
+  async requestPairingCode(phoneNumber, intervalMs) {
+    throw this.unsupported('Pairing code login');
+  }
+
+  /**
+   * Check whether a phone number has a WhatsApp account
+   * @param {string} phoneNumber - Digits with country code
+   * @returns {Promise<Object>} - { registered, jid } jid: canonical chat ID (e.g. 5511987654321@c.us), null when not registered
+   */
+  async checkNumber(phoneNumber) {
+    throw this.unsupported('Number registration checks');
+  }
+
+  /**
+   * Groups the account is in
+   * @returns {Promise<Object[]>} - [{ id, name, description, owner, created_at, participant_count }]
+   */
+  async getGroups() {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * A group with its participants
+   * @param {string} groupId - Group chat ID (…@g.us)
+   * @returns {Promise<Object>} - Group, plus participants: [{ id, phone_number, is_admin, is_super_admin }]
+   *   (throws GROUP_NOT_FOUND)
+   */
+  async getGroup(groupId) {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * Create a group
+   * @param {string} name
+   * @param {string[]} participantIds - Chat IDs (…@c.us)
+   * @returns {Promise<Object>} - { id, name, participants: [{ id, status_code, message }] }
+   */
+  async createGroup(name, participantIds) {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * Add, remove, promote or demote group participants (the account must be an admin)
+   * @param {string} groupId
+   * @param {string} action - add, remove, promote or demote
+   * @param {string[]} participantIds - Chat IDs (…@c.us)
+   * @returns {Promise<Object[]>} - [{ id, status_code, message }]
+   */
+  async updateGroupParticipants(groupId, action, participantIds) {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * Change the subject and/or description of a group
+   * @param {string} groupId
+   * @param {Object} changes - { subject, description }
+   * @returns {Promise<Object>} - Updated group
+   */
+  async updateGroup(groupId, changes) {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * Current invite code of a group (the link is https://chat.whatsapp.com/<code>)
+   * @param {string} groupId
+   * @param {Object} options - { revoke } invalidate the current code and return a new one
+   * @returns {Promise<string>}
+   */
+  async getGroupInviteCode(groupId, options = {}) {
+    throw this.unsupported('Group management');
+  }
+
+  /**
+   * Address book of the account: saved contacts that are on WhatsApp
+   * @returns {Promise<Object[]>} - [{ id, phone_number, name, push_name, is_business }]
+   *   name: as saved on the phone, push_name: the contact's own WhatsApp name
+   */
+  async getContacts() {
+    throw this.unsupported('Contact sync');
+  }
+
+  /**
+   * One-to-one chats of the account (groups excluded)
+   * @returns {Promise<Object[]>} - [{ id, phone_number, name, last_message_at }]
+   */
+  async getChats() {
+    throw this.unsupported('Contact sync');
+  }
+
+  /**
+   * Profile picture of a contact (WhatsApp URLs expire after a few weeks)
+   * @param {string} chatId - …@c.us
+   * @returns {Promise<string|null>} - null when hidden or not set
+   */
+  async getProfilePictureUrl(chatId) {
+    throw this.unsupported('Contact sync');
+  }
+
+  /**
+   * Error for a group the account is not in
+   * @param {string} groupId
+   * @returns {Error}
+   */
+  groupNotFound(groupId) {
+    const error = new Error(`Group ${groupId} not found`);
+    error.code = 'GROUP_NOT_FOUND';
+    return error;
+  }
+
+  /**
+   * Error for a group operation WhatsApp refused (e.g. the account is not an admin)
+   * @param {string} message
+   * @returns {Error}
+   */
+  groupError(message) {
+    const error = new Error(message);
+    error.code = 'GROUP_OPERATION_FAILED';
+    return error;
+  }
+
+  unsupported(feature) {
+    const error = new Error(`${feature} is not supported by the ${this.name} provider`);
+    error.code = 'PROVIDER_UNSUPPORTED';
+    return error;
+  }
+}
+
+module.exports = BaseProvider;
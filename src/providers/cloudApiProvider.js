@@ -0,0 +1,302 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+// Graph API endpoint - point CLOUD_API_BASE_URL at a mock server to test without Meta
+const CLOUD_API_BASE_URL = (process.env.CLOUD_API_BASE_URL || 'https://graph.facebook.com').replace(/\/$/, '');
+const CLOUD_API_VERSION = process.env.CLOUD_API_VERSION || 'v21.0';
+
+// Status callbacks mapped to whatsapp-web.js ack values
+const STATUS_ACKS = { failed: -1, sent: 1, delivered: 2, read: 3 };
+
+// Cloud API message types mapped to whatsapp-web.js message types
+const MESSAGE_TYPES = {
+  text: 'chat',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  document: 'document',
+  sticker: 'sticker',
+  location: 'location',
+  contacts: 'vcard',
+  button: 'buttons_response',
+  interactive: 'list_response',
+  reaction: 'reaction'
+};
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+/**
+ * Cloud API provider
+ *
+ * Runs the session on the official WhatsApp Business Cloud API (Meta Graph API)
+ * instead of WhatsApp Web. The session is identified by its phone number ID
+ * (sessions.cloud_phone_number_id); there is nothing to scan, it is ready as
+ * soon as the access token is accepted.
+ *
+ * Incoming messages and status callbacks arrive on the Cloud API webhook
+ * (/api/cloud-api/webhook), which hands them to handleWebhook().
+ *
+ * Config:
+ * - CLOUD_API_ACCESS_TOKEN  default access token (sessions.cloud_access_token overrides it)
+ * - CLOUD_API_APP_SECRET    signs webhook deliveries (X-Hub-Signature-256)
+ * - CLOUD_API_VERIFY_TOKEN  answers the webhook verification request
+ * - CLOUD_API_BASE_URL, CLOUD_API_VERSION
+ */
+class CloudApiProvider extends BaseProvider {
+  /**
+   * @param {Object} session - sessions row (cloud_phone_number_id, cloud_access_token)
+   */
+  constructor(session) {
+    super(session);
+    this.phoneNumberId = session.cloud_phone_number_id;
+    this.accessToken = session.cloud_access_token || process.env.CLOUD_API_ACCESS_TOKEN || null;
+    this.state = null;
+    this.phoneNumber = null;
+
+    this.http = axios.create({
+      baseURL: `${CLOUD_API_BASE_URL}/${CLOUD_API_VERSION}`,
+      timeout: 30000,
+      maxBodyLength: Infinity,
+      headers: { Authorization: `Bearer ${this.accessToken}` }
+    });
+  }
+
+  get name() {
+    return 'cloud_api';
+  }
+
+  /**
+   * Check the phone number ID and access token, then report the session ready
+   */
+  async initialize() {
+    if (!this.phoneNumberId || !this.accessToken) {
+      this.setState('UNPAIRED');
+      this.emit('auth_failure', 'Cloud API phone number ID or access token is missing');
+      return;
+    }
+
+    this.setState('OPENING');
+
+    let phoneNumber;
+    try {
+      phoneNumber = await this.request({
+        method: 'get',
+        url: `/${this.phoneNumberId}`,
+        params: { fields: 'display_phone_number,verified_name' }
+      });
+    } catch (error) {
+      if (error.code === 'CLOUD_API_AUTH_FAILED') {
+        this.emit('auth_failure', error.message);
+        return;
+      }
+      throw error;
+    }
+
+    this.phoneNumber = String(phoneNumber.display_phone_number || '').replace(/\D/g, '') || null;
+    this.emit('authenticated');
+    this.setState('CONNECTED');
+    this.emit('ready');
+  }
+
+  async destroy() {
+    this.state = null;
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  getPhoneNumber() {
+    return this.phoneNumber;
+  }
+
+  setState(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    this.state = state;
+    this.emit('change_state', state);
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    if (!chatId.endsWith('@c.us')) {
+      throw this.unsupported('Group messages');
+    }
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: chatId.split('@')[0]
+    };
+
+    const { media } = options;
+    if (media) {
+      const type = options.sendMediaAsDocument ? 'document' : media.mediaType;
+      const mediaId = await this.uploadMedia(media);
+
+      payload.type = type;
+      payload[type] = { id: mediaId };
+      if (text && type !== 'audio') payload[type].caption = text;
+      if (type === 'document') payload[type].filename = media.filename;
+    } else {
+      payload.type = 'text';
+      payload.text = { body: text, preview_url: false };
+    }
+
+    const result = await this.request({ method: 'post', url: `/${this.phoneNumberId}/messages`, data: payload });
+    return { id: result.messages?.[0]?.id || null };
+  }
+
+  /**
+   * Upload a media file to the Cloud API
+   * @param {Object} media - Media payload from mediaHelper ({ mimetype, data, filename })
+   * @returns {Promise<string>} - Media ID
+   */
+  async uploadMedia(media) {
+    const boundary = `----wp${crypto.randomBytes(12).toString('hex')}`;
+    const field = (name, value) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+    const filename = String(media.filename || 'file').replace(/["\r\n]/g, '');
+
+    const body = Buffer.concat([
+      Buffer.from(field('messaging_product', 'whatsapp') + field('type', media.mimetype)),
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: ${media.mimetype}\r\n\r\n`),
+      Buffer.from(media.data, 'base64'),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const result = await this.request({
+      method: 'post',
+      url: `/${this.phoneNumberId}/media`,
+      data: body,
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+
+    return result.id;
+  }
+
+  /**
+   * Download an incoming media file
+   * @param {string} mediaId
+   * @param {string|null} filename - Original name (documents only)
+   * @returns {Promise<Object>} - { mimetype, data (base64), filename, filesize }, like a whatsapp-web.js MessageMedia
+   */
+  async downloadMedia(mediaId, filename = null) {
+    const media = await this.request({ method: 'get', url: `/${mediaId}` });
+    const file = await this.request({ method: 'get', url: media.url, baseURL: '', responseType: 'arraybuffer' });
+    const data = Buffer.from(file);
+
+    return {
+      mimetype: media.mime_type,
+      data: data.toString('base64'),
+      filename,
+      filesize: data.length
+    };
+  }
+
+  /**
+   * Call the Graph API; errors carry the Graph error message and code
+   * An invalid token marks the session UNPAIRED.
+   * @param {Object} config - axios request config
+   * @returns {Promise<*>} - Response body
+   */
+  async request(config) {
+    try {
+      const response = await this.http.request(config);
+      return response.data;
+    } catch (error) {
+      const graphError = error.response?.data?.error;
+      const authFailed = error.response?.status === 401 || graphError?.code === 190;
+
+      const cloudError = new Error(graphError
+        ? `Cloud API error ${graphError.code}: ${graphError.message}`
+        : `Cloud API request failed: ${error.message}`);
+      cloudError.code = authFailed ? 'CLOUD_API_AUTH_FAILED' : 'CLOUD_API_ERROR';
+      cloudError.graphCode = graphError?.code || null;
+
+      if (authFailed && this.state === 'CONNECTED') {
+        this.setState('UNPAIRED');
+      }
+
+      throw cloudError;
+    }
+  }
+
+  /**
+   * Handle the 'messages' change of a webhook delivery for this phone number
+   * @param {Object} value - entry[].changes[].value
+   */
+  handleWebhook(value) {
+    const names = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name || null]));
+
+    for (const message of value.messages || []) {
+      this.emit('message', this.toMessage(message, names.get(message.from) || null));
+    }
+
+    for (const status of value.statuses || []) {
+      const ack = STATUS_ACKS[status.status];
+      if (ack === undefined) continue;
+
+      if (status.status === 'failed') {
+        const reason = status.errors?.[0];
+        console.error(`Cloud API message ${status.id} failed:`, reason ? `${reason.code} ${reason.title}` : 'unknown error');
+      }
+
+      this.emit('message_ack', status.id, ack);
+    }
+  }
+
+  /**
+   * Convert an incoming Cloud API message to the shape of a whatsapp-web.js Message
+   * @param {Object} message - value.messages[] item
+   * @param {string|null} notifyName - Profile name of the sender
+   * @returns {Object}
+   */
+  toMessage(message, notifyName) {
+    const content = message[message.type] || {};
+    const hasMedia = MEDIA_TYPES.includes(message.type) && !!content.id;
+
+    const type = message.type === 'audio' && content.voice ? 'ptt' : (MESSAGE_TYPES[message.type] || message.type);
+    const body = message.text?.body ||
+      content.caption ||
+      message.button?.text ||
+      message.interactive?.button_reply?.title ||
+      message.interactive?.list_reply?.title ||
+      message.location?.name ||
+      message.reaction?.emoji ||
+      '';
+
+    return {
+      id: { _serialized: message.id, id: message.id, fromMe: false },
+      from: `${message.from}@c.us`,
+      to: this.phoneNumber ? `${this.phoneNumber}@c.us` : null,
+      body,
+      type,
+      hasMedia,
+      timestamp: parseInt(message.timestamp) || Math.floor(Date.now() / 1000),
+      fromMe: false,
+      _data: { notifyName },
+      downloadMedia: () => (hasMedia ? this.downloadMedia(content.id, content.filename || null) : Promise.resolve(null))
+    };
+  }
+}
+
+/**
+ * Check the X-Hub-Signature-256 header of a webhook delivery
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string} signature - sha256=<hex HMAC of the body with the app secret>
+ * @returns {boolean}
+ */
+CloudApiProvider.verifySignature = (rawBody, signature) => {
+  const secret = process.env.CLOUD_API_APP_SECRET;
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = CloudApiProvider;
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+// Delays of the simulated linking and delivery receipts
+const FAKE_LINK_DELAY_MS = parseInt(process.env.FAKE_WHATSAPP_LINK_DELAY_MS) || 1000;
+const FAKE_ACK_DELAY_MS = parseInt(process.env.FAKE_WHATSAPP_ACK_DELAY_MS) || 500;
+
+// false: the session waits on its QR code until it is linked explicitly (link())
+const FAKE_AUTO_LINK = process.env.FAKE_WHATSAPP_AUTO_LINK !== 'false';
+
+// Receipts played for every send: server, device, read
+const FAKE_ACKS = [1, 2, 3];
+
+// Numbers the fake WhatsApp reports as not registered (comma-separated digits)
+const FAKE_UNREGISTERED_NUMBERS = (process.env.FAKE_WHATSAPP_UNREGISTERED_NUMBERS || '')
+  .split(',')
+  .map(number => number.replace(/\D/g, ''))
+  .filter(Boolean);
+
+// Recorded events kept per session
+const MAX_RECORDING = 1000;
+
+/**
+ * Fake provider
+ *
+ * In-memory WhatsApp for local development and automated tests: no browser,
+ * no phone. A new session shows a QR code and links itself after
+ * FAKE_WHATSAPP_LINK_DELAY_MS (or waits for link() with FAKE_WHATSAPP_AUTO_LINK=false);
+ * a session linked before is ready right away. Sends are accepted and acknowledged
+ * (sent, delivered, read); tests inject incoming messages and disconnects.
+ * Every number is on WhatsApp except FAKE_WHATSAPP_UNREGISTERED_NUMBERS and the
+ * ones marked with setRegistered(). Groups live in memory; the account is the
+ * creator and admin of the groups it creates. The address book starts empty
+ * (addContact()); every number messaged or heard from gets a chat.
+ *
+ * Everything that happens is recorded (getRecording) for assertions:
+ * { type, at, ... } with type status, sent, ack, received, disconnected or group.
+ *
+ * Never available in production (NODE_ENV=production).
+ */
+class FakeProvider extends BaseProvider {
+  /**
+   * @param {Object} session - sessions row (phone_number: linked before)
+   * @param {Object} options - { pairing } pairing: { phoneNumber } for pairing code login
+   */
+  constructor(session, options = {}) {
+    super(session);
+    this.pairingPhoneNumber = options.pairing?.phoneNumber || null;
+    this.linkedPhoneNumber = session.phone_number || null;
+    this.phoneNumber = null;
+    this.state = null;
+    this.timers = new Set();
+    this.recording = [];
+    this.unregisteredNumbers = new Set(FAKE_UNREGISTERED_NUMBERS);
+    this.groups = new Map(); // id -> { id, name, description, owner, created_at, participants: Map, invite_code }
+    this.contacts = new Map(); // id -> { id, phone_number, name, push_name, is_business, profile_picture_url }
+    this.chats = new Map(); // id -> { id, phone_number, name, last_message_at }
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  async initialize() {
+    this.setState('OPENING');
+
+    // Linked before: the saved "auth" is reused, like a restored web profile
+    if (this.linkedPhoneNumber) {
+      this.link(this.linkedPhoneNumber);
+      return;
+    }
+
+    if (this.pairingPhoneNumber) {
+      this.emitStatus('code', this.generatePairingCode());
+    } else {
+      this.emitStatus('qr', `fake-qr:${this.sessionId}:${Date.now()}`);
+    }
+
+    if (FAKE_AUTO_LINK) {
+      this.schedule(() => this.link(), FAKE_LINK_DELAY_MS);
+    }
+  }
+
+  async destroy() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.state = null;
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  getPhoneNumber() {
+    return this.phoneNumber;
+  }
+
+  /**
+   * Complete linking, as if the QR or pairing code was entered on a phone
+   * @param {string} phoneNumber - Digits of the linked phone (default: the pairing phone or a fake number)
+   */
+  link(phoneNumber = null) {
+    if (this.state === 'CONNECTED') {
+      return;
+    }
+
+    this.phoneNumber = phoneNumber || this.pairingPhoneNumber || this.getFakePhoneNumber();
+    this.emitStatus('authenticated');
+    this.setState('CONNECTED');
+    this.emitStatus('ready');
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    if (this.state !== 'CONNECTED') {
+      throw new Error('Fake client is not connected');
+    }
+
+    const id = `true_${chatId}_FAKE${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+    const { media } = options;
+
+    this.record('sent', {
+      id,
+      to: chatId,
+      body: text,
+      media: media ? { mimetype: media.mimetype, filename: media.filename, size: media.size, media_type: media.mediaType } : null,
+      send_audio_as_voice: !!options.sendAudioAsVoice,
+      send_media_as_document: !!options.sendMediaAsDocument
+    });
+
+    this.touchChat(chatId);
+
+    FAKE_ACKS.forEach((ack, index) => {
+      this.schedule(() => this.ack(id, ack), FAKE_ACK_DELAY_MS * (index + 1));
+    });
+
+    return { id };
+  }
+
+  async requestPairingCode(phoneNumber) {
+    this.pairingPhoneNumber = phoneNumber;
+    const code = this.generatePairingCode();
+    this.emitStatus('code', code);
+    return code;
+  }
+
+  async checkNumber(phoneNumber) {
+    const registered = !this.unregisteredNumbers.has(phoneNumber);
+    return { registered, jid: registered ? `${phoneNumber}@c.us` : null };
+  }
+
+  /**
+   * Choose whether checkNumber() reports a number as registered
+   * @param {string} phoneNumber - Digits with country code
+   * @param {boolean} registered
+   */
+  setRegistered(phoneNumber, registered) {
+    if (registered) {
+      this.unregisteredNumbers.delete(phoneNumber);
+    } else {
+      this.unregisteredNumbers.add(phoneNumber);
+    }
+  }
+
+  async getGroups() {
+    return [...this.groups.values()].map(group => this.formatGroup(group));
+  }
+
+  async getGroup(groupId) {
+    return this.formatGroup(this.getGroupRecord(groupId), { participants: true });
+  }
+
+  async createGroup(name, participantIds) {
+    const id = `120363${String(Date.now()).slice(-9)}${crypto.randomInt(100, 1000)}@g.us`;
+    const owner = `${this.phoneNumber}@c.us`;
+    const group = {
+      id,
+      name,
+      description: null,
+      owner,
+      created_at: new Date().toISOString(),
+      participants: new Map([[owner, { is_admin: true, is_super_admin: true }]]),
+      invite_code: this.generateInviteCode()
+    };
+    this.groups.set(id, group);
+
+    const participants = participantIds.map(participantId => this.addGroupParticipant(group, participantId));
+    this.record('group', { action: 'create', group_id: id, name, participants: participantIds });
+    return { id, name, participants };
+  }
+
+  async updateGroupParticipants(groupId, action, participantIds) {
+    const group = this.getGroupRecord(groupId);
+
+    const results = participantIds.map(participantId => {
+      if (action === 'add') {
+        return this.addGroupParticipant(group, participantId);
+      }
+      const participant = group.participants.get(participantId);
+      if (!participant) {
+        return { id: participantId, status_code: 404, message: 'The participant is not a group member' };
+      }
+      if (action === 'remove') {
+        group.participants.delete(participantId);
+      } else {
+        participant.is_admin = action === 'promote';
+      }
+      return { id: participantId, status_code: 200, message: null };
+    });
+
+    this.record('group', { action, group_id: groupId, participants: participantIds });
+    return results;
+  }
+
+  async updateGroup(groupId, changes) {
+    const group = this.getGroupRecord(groupId);
+    if (changes.subject !== undefined) group.name = changes.subject;
+    if (changes.description !== undefined) group.description = changes.description;
+
+    this.record('group', { action: 'update', group_id: groupId, ...changes });
+    return this.getGroup(groupId);
+  }
+
+  async getGroupInviteCode(groupId, options = {}) {
+    const group = this.getGroupRecord(groupId);
+    if (options.revoke) {
+      group.invite_code = this.generateInviteCode();
+      this.record('group', { action: 'revoke_invite', group_id: groupId });
+    }
+    return group.invite_code;
+  }
+
+  async getContacts() {
+    return [...this.contacts.values()].map(({ profile_picture_url: pictureUrl, ...contact }) => contact);
+  }
+
+  async getChats() {
+    return [...this.chats.values()];
+  }
+
+  async getProfilePictureUrl(chatId) {
+    return this.contacts.get(chatId)?.profile_picture_url || null;
+  }
+
+  /**
+   * Save a contact in the fake address book
+   * @param {Object} contact - { phoneNumber, name, pushName, isBusiness, profilePictureUrl }
+   * @returns {Object} - The address book entry
+   */
+  addContact({ phoneNumber, name = null, pushName = null, isBusiness = false, profilePictureUrl = null }) {
+    const id = `${phoneNumber}@c.us`;
+    const contact = {
+      id,
+      phone_number: phoneNumber,
+      name,
+      push_name: pushName,
+      is_business: !!isBusiness,
+      profile_picture_url: profilePictureUrl
+    };
+    this.contacts.set(id, contact);
+    return contact;
+  }
+
+  // One-to-one chat with a new message (groups have no chat entry)
+  touchChat(chatId, name = null) {
+    if (!chatId.endsWith('@c.us')) {
+      return;
+    }
+
+    const chat = this.chats.get(chatId);
+    this.chats.set(chatId, {
+      id: chatId,
+      phone_number: chatId.split('@')[0],
+      name: this.contacts.get(chatId)?.name || name || chat?.name || null,
+      last_message_at: new Date().toISOString()
+    });
+  }
+
+  getGroupRecord(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw this.groupNotFound(groupId);
+    }
+    return group;
+  }
+
+  addGroupParticipant(group, participantId) {
+    if (this.unregisteredNumbers.has(participantId.split('@')[0])) {
+      return { id: participantId, status_code: 404, message: 'The phone number is not registered on WhatsApp' };
+    }
+    if (group.participants.has(participantId)) {
+      return { id: participantId, status_code: 409, message: 'The participant is already a group member' };
+    }
+    group.participants.set(participantId, { is_admin: false, is_super_admin: false });
+    return { id: participantId, status_code: 200, message: 'The participant was added successfully' };
+  }
+
+  formatGroup(group, options = {}) {
+    const formatted = {
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      owner: group.owner,
+      created_at: group.created_at,
+      participant_count: group.participants.size
+    };
+
+    if (options.participants) {
+      formatted.participants = [...group.participants.entries()].map(([id, participant]) => ({
+        id,
+        phone_number: id.split('@')[0],
+        ...participant
+      }));
+    }
+
+    return formatted;
+  }
+
+  generateInviteCode() {
+    return crypto.randomBytes(16).toString('base64url').slice(0, 22);
+  }
+
+  /**
+   * Deliver an incoming message
+   * @param {Object} message - { from, body, type, notifyName, media }
+   *   media: { mimetype, data (base64), filename } attached file; body is its caption and
+   *   type defaults to image, video, audio or document from the MIME type
+   * @returns {Object} - The message as emitted (whatsapp-web.js Message shape)
+   */
+  injectMessage({ from, body = '', type = null, notifyName = null, media = null }) {
+    const hasMedia = !!media;
+    const file = media ? {
+      mimetype: media.mimetype || 'application/octet-stream',
+      data: media.data,
+      filename: media.filename || null,
+      filesize: Buffer.byteLength(media.data, 'base64')
+    } : null;
+    const messageType = type || (file
+      ? (['image', 'video', 'audio'].find(kind => file.mimetype.startsWith(`${kind}/`)) || 'document')
+      : 'chat');
+
+    const chatId = String(from).includes('@') ? String(from) : `${String(from).replace(/\D/g, '')}@c.us`;
+    const id = `false_${chatId}_FAKE${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+    const message = {
+      id: { _serialized: id, id, fromMe: false },
+      from: chatId,
+      to: this.phoneNumber ? `${this.phoneNumber}@c.us` : null,
+      body,
+      type: messageType,
+      hasMedia,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromMe: false,
+      _data: { notifyName, size: file?.filesize },
+      downloadMedia: async () => file
+    };
+
+    this.touchChat(chatId, notifyName);
+    this.record('received', { id, from: chatId, body, message_type: messageType, notify_name: notifyName, has_media: hasMedia });
+    this.emit('message', message);
+    return message;
+  }
+
+  /**
+   * Play a delivery receipt of an outgoing message
+   * @param {string} whatsappMessageId
+   * @param {number} ack - -1 error, 1 server, 2 device, 3 read, 4 played
+   */
+  ack(whatsappMessageId, ack) {
+    this.record('ack', { id: whatsappMessageId, ack });
+    this.emit('message_ack', whatsappMessageId, ack);
+  }
+
+  /**
+   * Drop the connection like WhatsApp Web does (LOGOUT, CONFLICT, NAVIGATION...)
+   * @param {string} reason
+   */
+  disconnect(reason = 'NAVIGATION') {
+    this.state = null;
+    this.record('disconnected', { reason });
+    this.emit('change_state', reason === 'LOGOUT' ? 'UNPAIRED' : reason);
+    this.emit('disconnected', reason);
+  }
+
+  /**
+   * Everything recorded since the client started (or the recording was cleared)
+   * @param {string} type - Only events of this type
+   * @returns {Object[]}
+   */
+  getRecording(type = null) {
+    return type ? this.recording.filter(event => event.type === type) : [...this.recording];
+  }
+
+  clearRecording() {
+    this.recording = [];
+  }
+
+  setState(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    this.state = state;
+    this.record('status', { status: 'change_state', state });
+    this.emit('change_state', state);
+  }
+
+  // Emit a connection event (qr, code, authenticated, ready) and record it
+  emitStatus(event, value) {
+    this.record('status', value === undefined ? { status: event } : { status: event, value });
+    this.emit(event, ...(value === undefined ? [] : [value]));
+  }
+
+  record(type, data) {
+    this.recording.push({ type, at: new Date().toISOString(), ...data });
+    if (this.recording.length > MAX_RECORDING) {
+      this.recording.shift();
+    }
+  }
+
+  schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  generatePairingCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+  }
+
+  // Stable fake number per session, in the 1555 test range
+  getFakePhoneNumber() {
+    const digits = parseInt(crypto.createHash('sha256').update(this.sessionId).digest('hex').slice(0, 8), 16);
+    return `1555${String(digits % 10000000).padStart(7, '0')}`;
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,64 @@
+const WebProvider = require('./webProvider');
+const CloudApiProvider = require('./cloudApiProvider');
+const FakeProvider = require('./fakeProvider');
+
+// sessions.provider -> driver
+const PROVIDERS = {
+  web: WebProvider,
+  cloud_api: CloudApiProvider,
+  fake: FakeProvider
+};
+
+const DEFAULT_PROVIDER = 'web';
+
+// Run every session on this provider whatever it was created with (e.g. fake on a laptop or in CI)
+const PROVIDER_OVERRIDE = process.env.WHATSAPP_PROVIDER || null;
+
+/**
+ * Whether a provider can be used here (the fake one never in production)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isProviderAvailable(name) {
+  if (!PROVIDERS[name]) {
+    return false;
+  }
+  return name !== 'fake' || process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Provider a session runs on
+ * @param {Object} session - sessions row
+ * @returns {string}
+ */
+function getSessionProvider(session) {
+  return PROVIDER_OVERRIDE || session.provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Create the provider that connects a session to WhatsApp
+ * @param {Object} session - sessions row (provider selects the driver, default web)
+ * @param {Object} options - Driver options (web: { authDataPath, pairing })
+ * @returns {BaseProvider}
+ */
+function createProvider(session, options = {}) {
+  const name = getSessionProvider(session);
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown WhatsApp provider: ${name}`);
+  }
+  if (!isProviderAvailable(name)) {
+    throw new Error(`The ${name} WhatsApp provider is not available in production`);
+  }
+  return new PROVIDERS[name](session, options);
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  PROVIDER_OVERRIDE,
+  isProviderAvailable,
+  getSessionProvider,
+  createProvider,
+  CloudApiProvider,
+  FakeProvider
+};
@@ -0,0 +1,248 @@
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const BaseProvider = require('./baseProvider');
+
+// Events of the whatsapp-web.js client passed through unchanged
+const PASSTHROUGH_EVENTS = ['qr', 'code', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'change_state', 'message'];
+
+/**
+ * Web provider
+ *
+ * Runs the session in WhatsApp Web through whatsapp-web.js (headless Chromium).
+ * The browser profile is kept in .wwebjs_auth/session-<id> (LocalAuth), so a
+ * linked session reconnects without scanning again.
+ */
+class WebProvider extends BaseProvider {
+  /**
+   * @param {Object} session - sessions row
+   * @param {Object} options - { authDataPath, pairing } pairing: { phoneNumber, intervalMs } for pairing code login
+   */
+  constructor(session, options = {}) {
+    super(session);
+
+    this.client = new Client({
+      authStrategy: new LocalAuth({
+        clientId: session.id,
+        dataPath: options.authDataPath
+      }),
+      puppeteer: {
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu'
+        ]
+      },
+      // Increase timeout for better stability
+      authTimeoutMs: 60000,
+      // Enable qr refresh
+      qrMaxRetries: 5,
+      ...(options.pairing ? {
+        pairWithPhoneNumber: {
+          phoneNumber: options.pairing.phoneNumber,
+          showNotification: true,
+          intervalMs: options.pairing.intervalMs
+        }
+      } : {})
+    });
+
+    for (const event of PASSTHROUGH_EVENTS) {
+      this.client.on(event, (...args) => this.emit(event, ...args));
+    }
+
+    // Only outgoing messages have a delivery status
+    this.client.on('message_ack', (message, ack) => {
+      if (message.fromMe) {
+        this.emit('message_ack', message.id?._serialized, ack);
+      }
+    });
+  }
+
+  get name() {
+    return 'web';
+  }
+
+  get usesLocalAuth() {
+    return true;
+  }
+
+  async initialize() {
+    await this.client.initialize();
+  }
+
+  async destroy() {
+    await this.client.destroy();
+  }
+
+  async getState() {
+    return this.client.getState();
+  }
+
+  getPhoneNumber() {
+    return this.client.info?.wid?.user || null;
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    const { media } = options;
+
+    const sentMessage = media
+      ? await this.client.sendMessage(chatId, new MessageMedia(media.mimetype, media.data, media.filename, media.size), {
+        caption: text || undefined,
+        sendAudioAsVoice: !!options.sendAudioAsVoice,
+        sendMediaAsDocument: !!options.sendMediaAsDocument || media.mediaType === 'document'
+      })
+      : await this.client.sendMessage(chatId, text);
+
+    return { id: sentMessage?.id?._serialized || null };
+  }
+
+  async requestPairingCode(phoneNumber, intervalMs) {
+    return this.client.requestPairingCode(phoneNumber, true, intervalMs);
+  }
+
+  async checkNumber(phoneNumber) {
+    const wid = await this.client.getNumberId(phoneNumber);
+    return { registered: !!wid, jid: wid?._serialized || null };
+  }
+
+  async getGroups() {
+    const chats = await this.client.getChats();
+    return chats.filter(chat => chat.isGroup).map(chat => this.formatGroup(chat));
+  }
+
+  async getGroup(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    return this.formatGroup(chat, { participants: true });
+  }
+
+  async createGroup(name, participantIds) {
+    const result = await this.client.createGroup(name, participantIds);
+
+    // whatsapp-web.js reports failures as a message string
+    if (typeof result === 'string') {
+      throw this.groupError(result);
+    }
+
+    return {
+      id: result.gid._serialized,
+      name: result.title,
+      participants: Object.entries(result.participants || {}).map(([id, participant]) => ({
+        id,
+        status_code: participant.statusCode,
+        message: participant.message,
+        invite_sent: !!participant.isInviteV4Sent
+      }))
+    };
+  }
+
+  async updateGroupParticipants(groupId, action, participantIds) {
+    const chat = await this.getGroupChat(groupId);
+
+    if (action === 'add') {
+      const result = await chat.addParticipants(participantIds);
+      if (typeof result === 'string') {
+        throw this.groupError(result);
+      }
+      return Object.entries(result).map(([id, participant]) => ({
+        id,
+        status_code: participant.code,
+        message: participant.message,
+        invite_sent: !!participant.isInviteV4Sent
+      }));
+    }
+
+    const methods = { remove: 'removeParticipants', promote: 'promoteParticipants', demote: 'demoteParticipants' };
+    const result = await chat[methods[action]](participantIds);
+    return participantIds.map(id => ({ id, status_code: result?.status ?? null, message: null }));
+  }
+
+  async updateGroup(groupId, changes) {
+    const chat = await this.getGroupChat(groupId);
+
+    if (changes.subject !== undefined && !(await chat.setSubject(changes.subject))) {
+      throw this.groupError('The subject could not be changed (admin rights may be required)');
+    }
+    if (changes.description !== undefined && !(await chat.setDescription(changes.description))) {
+      throw this.groupError('The description could not be changed (admin rights may be required)');
+    }
+
+    return this.getGroup(groupId);
+  }
+
+  async getGroupInviteCode(groupId, options = {}) {
+    const chat = await this.getGroupChat(groupId);
+    const code = options.revoke ? await chat.revokeInvite() : await chat.getInviteCode();
+
+    if (!code) {
+      throw this.groupError('The invite link is only available to group admins');
+    }
+    return code;
+  }
+
+  async getContacts() {
+    const contacts = await this.client.getContacts();
+
+    return contacts
+      .filter(contact => contact.isMyContact && contact.isWAContact && !contact.isMe && contact.id?.server === 'c.us')
+      .map(contact => ({
+        id: contact.id._serialized,
+        phone_number: contact.id.user,
+        name: contact.name || null,
+        push_name: contact.pushname || null,
+        is_business: !!contact.isBusiness
+      }));
+  }
+
+  async getChats() {
+    const chats = await this.client.getChats();
+
+    return chats
+      .filter(chat => !chat.isGroup && chat.id?.server === 'c.us')
+      .map(chat => ({
+        id: chat.id._serialized,
+        phone_number: chat.id.user,
+        name: chat.name || null,
+        last_message_at: chat.timestamp ? new Date(chat.timestamp * 1000).toISOString() : null
+      }));
+  }
+
+  async getProfilePictureUrl(chatId) {
+    return (await this.client.getProfilePicUrl(chatId)) || null;
+  }
+
+  async getGroupChat(groupId) {
+    const chat = await this.client.getChatById(groupId).catch(() => null);
+    if (!chat || !chat.isGroup) {
+      throw this.groupNotFound(groupId);
+    }
+    return chat;
+  }
+
+  formatGroup(chat, options = {}) {
+    const participants = chat.participants || [];
+    const group = {
+      id: chat.id._serialized,
+      name: chat.name,
+      description: chat.description || null,
+      owner: chat.owner?._serialized || null,
+      created_at: chat.groupMetadata?.creation ? new Date(chat.groupMetadata.creation * 1000).toISOString() : null,
+      participant_count: participants.length
+    };
+
+    if (options.participants) {
+      group.participants = participants.map(participant => ({
+        id: participant.id._serialized,
+        phone_number: participant.id.server === 'c.us' ? participant.id.user : null,
+        is_admin: !!participant.isAdmin,
+        is_super_admin: !!participant.isSuperAdmin
+      }));
+    }
+
+    return group;
+  }
+}
+
+module.exports = WebProvider;
@@ -1,14 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth');
-const { generateApiKey } = require('../utils/apiKeyGenerator');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { API_KEY_MODES, generateApiKey, hashApiKey, getApiKeyPrefix, getApiKeyMode } = require('../utils/apiKeyGenerator');
+const { SCOPES, validateScopes } = require('../utils/apiKeyScopes');
+
+// Only the prefix of a key is stored, which is enough to recognize it
+const maskKey = (prefix) => (prefix ? `${prefix}...` : null);
+
+// The full key is only passed (and returned) when it has just been generated
+const formatApiKey = (row, key = null) => {
+  const { key_hash, ...rest } = row;
+  return {
+    ...rest,
+    ...(key ? { key } : {}),
+    key_preview: maskKey(row.key_prefix),
+    mode: getApiKeyMode(row.key_prefix),
+    status: row.revoked_at
+      ? 'revoked'
+      : (row.expires_at && new Date(row.expires_at).getTime() <= Date.now() ? 'expired' : 'active')
+  };
+};
+
+// Validate name, scopes, expiry and session restriction (partial on update)
+const validateApiKeyFields = async (fields, userId) => {
+  if (fields.name !== undefined && (!fields.name || String(fields.name).length > 255)) {
+    return 'name is required (max 255 characters)';
+  }
+
+  if (fields.scopes !== undefined) {
+    const scopeError = validateScopes(fields.scopes);
+    if (scopeError) return scopeError;
+  }
+
+  if (fields.expires_at) {
+    const expiresAt = new Date(fields.expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+      return 'expires_at must be a future date';
+    }
+  }
+
+  if (fields.session_ids) {
+    if (!Array.isArray(fields.session_ids)) {
+      return 'session_ids must be an array of session IDs';
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('id')
+      .in('id', fields.session_ids)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    if (data.length !== new Set(fields.session_ids).size) {
+      return 'session_ids contains sessions that do not exist or do not belong to you';
+    }
+  }
+
+  return null;
+};
+
+const pickApiKeyFields = (body) => {
+  const fields = {};
+  for (const field of ['name', 'scopes', 'session_ids', 'expires_at']) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (Array.isArray(fields.session_ids) && fields.session_ids.length === 0) {
+    fields.session_ids = null;
+  }
+  return fields;
+};
 
 /**
  * GET /api/api-keys/current
- * Get current user's API key
+ * Check whether the current user has an API key
+ * Keys are stored hashed, so only the prefix can be returned here.
  */
-router.get('/current', authMiddleware, async (req, res) => {
+router.get('/current', jwtAuthMiddleware, async (req, res) => {
   try {
     if (!req.userId) {
       console.error('No userId in request');
@@ -31,7 +100,7 @@ router.get('/current', authMiddleware, async (req, res) => {
 
     const { data: user, error } = await supabaseAdmin
       .from('users')
-      .select('api_key')
+      .select('api_key_prefix')
       .eq('id', req.userId)
       .single();
 
@@ -57,8 +126,8 @@ router.get('/current', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       data: {
-        apiKey: user.api_key || null,
-        hasApiKey: !!user.api_key
+        hasApiKey: !!user.api_key_prefix,
+        keyPreview: maskKey(user.api_key_prefix)
       }
     });
   } catch (error) {
@@ -77,8 +146,9 @@ router.get('/current', authMiddleware, async (req, res) => {
  * 
  * IMPORTANT: API keys NEVER expire. They remain valid until manually regenerated or revoked.
  * When a new key is generated, the old key is immediately invalidated.
+ * The full key is only returned in this response; only its hash and prefix are stored.
  */
-router.post('/generate', authMiddleware, async (req, res) => {
+router.post('/generate', jwtAuthMiddleware, async (req, res) => {
   try {
     if (!req.userId) {
       console.error('No userId in request');
@@ -102,9 +172,9 @@ router.post('/generate', authMiddleware, async (req, res) => {
 
     const { data, error } = await supabaseAdmin
       .from('users')
-      .update({ api_key: newApiKey })
+      .update({ api_key_hash: hashApiKey(newApiKey), api_key_prefix: getApiKeyPrefix(newApiKey) })
       .eq('id', req.userId)
-      .select('api_key')
+      .select('id')
       .single();
 
     if (error) {
@@ -115,9 +185,9 @@ router.post('/generate', authMiddleware, async (req, res) => {
       if (error.message && error.message.includes('column') && error.message.includes('does not exist')) {
         return res.status(500).json({
           success: false,
-          message: 'The api_key column does not exist in the users table. Please run the migration to add it.',
+          message: 'The api_key_hash column does not exist in the users table. Please run the migration to add it.',
           error: 'COLUMN_MISSING',
-          sqlHelp: 'Run: ALTER TABLE users ADD COLUMN IF NOT EXISTS api_key TEXT UNIQUE; CREATE INDEX IF NOT EXISTS idx_users_api_key ON users(api_key);'
+          sqlHelp: 'Run database/migrations/hash_api_keys.sql'
         });
       }
       
@@ -139,9 +209,10 @@ router.post('/generate', authMiddleware, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'API key generated successfully',
+      message: 'API key generated successfully. Copy it now, it will not be shown again.',
       data: {
-        apiKey: data.api_key
+        apiKey: newApiKey,
+        keyPreview: maskKey(getApiKeyPrefix(newApiKey))
       }
     });
   } catch (error) {
@@ -163,11 +234,11 @@ router.post('/generate', authMiddleware, async (req, res) => {
  * DELETE /api/api-keys/current
  * Revoke current user's API key
  */
-router.delete('/current', authMiddleware, async (req, res) => {
+router.delete('/current', jwtAuthMiddleware, async (req, res) => {
   try {
     const { error } = await supabaseAdmin
       .from('users')
-      .update({ api_key: null })
+      .update({ api_key_hash: null, api_key_prefix: null })
       .eq('id', req.userId);
 
     if (error) {
@@ -190,5 +261,220 @@ router.delete('/current', authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * GET /api/api-keys/scopes
+ * List the scopes that can be granted to an API key
+ */
+router.get('/scopes', jwtAuthMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }))
+  });
+});
 
+/**
+ * GET /api/api-keys
+ * List the user's named API keys (keys are masked)
+ */
+router.get('/', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ success: true, data: data.map(row => formatApiKey(row)) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a named API key
+ * Body: { name, scopes: ['messages:send', ...], session_ids?: [...], expires_at?: ISO date, mode?: 'live' | 'test' }
+ * Test keys (wp_test_) simulate sends and can only use read scopes and messages:send.
+ * The full key is only returned in this response.
+ */
+router.post('/', jwtAuthMiddleware, checkBlockedMiddleware, async (req, res) => {
+  try {
+    const fields = pickApiKeyFields(req.body);
+    const mode = req.body.mode || 'live';
+
+    if (!fields.name || !fields.scopes) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and scopes are required'
+      });
+    }
+
+    if (!API_KEY_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of: ${API_KEY_MODES.join(', ')}`
+      });
+    }
+
+    const validationError = await validateApiKeyFields(fields, req.userId);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const key = generateApiKey(mode);
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .insert([{ ...fields, user_id: req.userId, key_hash: hashApiKey(key), key_prefix: getApiKeyPrefix(key) }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy it now, it will not be shown again.',
+      data: formatApiKey(data, key)
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * GET /api/api-keys/:id
+ * Get one named API key (masked)
+ */
+router.get('/:id', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    res.json({ success: true, data: formatApiKey(data) });
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch API key'
+    });
+  }
+});
+
+/**
+ * PATCH /api/api-keys/:id
+ * Rename a key or change its scopes, session restriction or expiry
+ */
+router.patch('/:id', jwtAuthMiddleware, checkBlockedMiddleware, async (req, res) => {
+  try {
+    const updates = pickApiKeyFields(req.body);
+
+    const validationError = await validateApiKeyFields(updates, req.userId);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'API key not found or revoked' });
+    }
+
+    res.json({ success: true, data: formatApiKey(data) });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update API key'
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ * Revoke a key immediately (it stays listed for auditing)
+ */
+router.post('/:id/revoke', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'API key not found or already revoked' });
+    }
+
+    res.json({ success: true, message: 'API key revoked successfully', data: formatApiKey(data) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to revoke API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Delete a key
+ */
+router.delete('/:id', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete API key'
+    });
+  }
+});
+
+module.exports = router;
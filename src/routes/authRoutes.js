@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
 const jwt = require('jsonwebtoken');
-const { generateApiKey } = require('../utils/apiKeyGenerator');
+const { generateApiKey, hashApiKey, getApiKeyPrefix } = require('../utils/apiKeyGenerator');
 
 // Secret for JWT (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
@@ -12,7 +12,9 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-producti
  * /api/auth/signup:
  *   post:
  *     summary: Register new user
+ *     description: Returns a JWT and the account's first API key (apiKey), which is shown only once.
  *     tags: [Authentication]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -60,7 +62,7 @@ router.post('/signup', async (req, res) => {
     const bcrypt = require('bcryptjs');
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Generate API key for new user
+    // Generate API key for new user (only its hash is stored; the key is returned once below)
     const apiKey = generateApiKey();
 
     // Create user
@@ -72,7 +74,8 @@ router.post('/signup', async (req, res) => {
           password: hashedPassword,
           name,
           provider: 'email',
-          api_key: apiKey
+          api_key_hash: hashApiKey(apiKey),
+          api_key_prefix: getApiKeyPrefix(apiKey)
         }
       ])
       .select()
@@ -89,13 +92,14 @@ router.post('/signup', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Account created successfully',
+      message: 'Account created successfully. Copy the API key now, it will not be shown again.',
       user: {
         id: user.id,
         email: user.email,
         name: user.name
       },
-      token
+      token,
+      apiKey
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -113,6 +117,7 @@ router.post('/signup', async (req, res) => {
  *   post:
  *     summary: Login user
  *     tags: [Authentication]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -198,6 +203,7 @@ router.post('/login', async (req, res) => {
  *   get:
  *     summary: Initiate Google OAuth login
  *     tags: [Authentication]
+ *     security: []
  */
 router.get('/google', (req, res) => {
   try {
@@ -237,6 +243,7 @@ router.get('/google', (req, res) => {
  *   post:
  *     summary: Handle Google OAuth callback
  *     tags: [Authentication]
+ *     security: []
  */
 router.post('/google/callback', async (req, res) => {
   try {
@@ -288,9 +295,12 @@ router.post('/google/callback', async (req, res) => {
       .eq('email', googleUser.email)
       .single();
 
+    // Only returned when the account is created here
+    let apiKey;
+
     if (!user) {
-      // Generate API key for new user
-      const apiKey = generateApiKey();
+      // Generate API key for new user (only its hash is stored)
+      apiKey = generateApiKey();
 
       // Create new user
       const { data: newUser, error } = await supabaseAdmin
@@ -302,7 +312,8 @@ router.post('/google/callback', async (req, res) => {
             provider: 'google',
             google_id: googleUser.id,
             avatar_url: googleUser.picture,
-            api_key: apiKey
+            api_key_hash: hashApiKey(apiKey),
+            api_key_prefix: getApiKeyPrefix(apiKey)
           }
         ])
         .select()
@@ -329,7 +340,8 @@ router.post('/google/callback', async (req, res) => {
         provider: user.provider,
         avatar_url: user.avatar_url
       },
-      token
+      token,
+      ...(apiKey && { apiKey })
     });
   } catch (error) {
     console.error('Google callback error:', error);
@@ -347,6 +359,8 @@ router.post('/google/callback', async (req, res) => {
  *   get:
  *     summary: Get current user
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  */
 router.get('/me', async (req, res) => {
   try {
@@ -395,6 +409,7 @@ router.get('/me', async (req, res) => {
  *   post:
  *     summary: Logout user
  *     tags: [Authentication]
+ *     security: []
  */
 router.post('/logout', (req, res) => {
   // Client-side will remove token
@@ -0,0 +1,459 @@
+const express = require('express');
+const router = express.Router();
+const autoReplyService = require('../services/autoReplyService');
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed, getAllowedSessionIds } = require('../utils/apiKeyScopes');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+
+// Fields clients may set on a rule
+const RULE_FIELDS = [
+  'name', 'match_type', 'pattern', 'case_sensitive', 'reply_template', 'priority',
+  'active_hours', 'business_hours', 'cooldown_seconds', 'is_active'
+];
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Load a rule owned by the current user (and allowed for its API key)
+const getOwnedRule = async (ruleId, req) => {
+  const { data, error } = await supabaseAdmin
+    .from('auto_reply_rules')
+    .select('*')
+    .eq('id', ruleId)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && isSessionAllowed(req, data.session_id) ? data : null;
+};
+
+/**
+ * @swagger
+ * /api/auto-replies:
+ *   get:
+ *     summary: Get auto-reply rules (highest priority first)
+ *     tags: [Auto Replies]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Filter by session ID
+ *     responses:
+ *       200:
+ *         description: List of rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AutoReplyRule'
+ */
+router.get('/', authMiddleware, requireScope('auto_replies:read'), async (req, res) => {
+  try {
+    const { session_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, rules: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto-reply rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies/logs:
+ *   get:
+ *     summary: Get the auto-reply execution log
+ *     tags: [Auto Replies]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rule_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [replied, cooldown, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Log entries, newest first
+ */
+router.get('/logs', authMiddleware, requireScope('auto_replies:read'), async (req, res) => {
+  try {
+    const { session_id, rule_id, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (!session_id) {
+      return res.status(400).json({ success: false, error: 'session_id is required' });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    let query = supabaseAdmin
+      .from('auto_reply_logs')
+      .select('*, auto_reply_rules(name)')
+      .eq('session_id', session_id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (rule_id) {
+      query = query.eq('rule_id', rule_id);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, logs: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto-reply logs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies/test:
+ *   post:
+ *     summary: Check which rule would answer a message (nothing is sent)
+ *     tags: [Auto Replies]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_id
+ *               - from
+ *               - message
+ *             properties:
+ *               session_id:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 example: '212600000000'
+ *               message:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Evaluate as if the message arrived at this time (default now)
+ *     responses:
+ *       200:
+ *         description: Matching rule and rendered reply (rule is null when nothing matches)
+ */
+router.post('/test', authMiddleware, requireScope('auto_replies:write'), async (req, res) => {
+  try {
+    const { session_id, from, message, at } = req.body;
+
+    if (!session_id || !from) {
+      return res.status(400).json({ success: false, error: 'session_id and from are required' });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const remoteJid = from.includes('@') ? from : `${whatsappService.normalizePhoneNumber(from) || from}@c.us`;
+    const when = at ? new Date(at) : new Date();
+    if (isNaN(when.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid at' });
+    }
+
+    const match = await autoReplyService.findMatchingRule(session_id, {
+      from: remoteJid,
+      body: message || '',
+      receivedId: null,
+      at: when
+    });
+
+    if (!match) {
+      return res.json({ success: true, rule: null, reply: null });
+    }
+
+    const phone = remoteJid.split('@')[0];
+    res.json({
+      success: true,
+      rule: match.rule,
+      on_cooldown: match.onCooldown,
+      reply: autoReplyService.renderReply(match.rule.reply_template, {
+        name: await autoReplyService.getContactName(session_id, phone),
+        phone,
+        message
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test auto-reply rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies/{id}:
+ *   get:
+ *     summary: Get an auto-reply rule
+ *     tags: [Auto Replies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule details
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/:id', authMiddleware, requireScope('auto_replies:read'), async (req, res) => {
+  try {
+    const rule = await getOwnedRule(req.params.id, req);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Auto-reply rule not found' });
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto-reply rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies:
+ *   post:
+ *     summary: Create an auto-reply rule
+ *     description: |
+ *       Rules are evaluated from the highest priority down; only the first match replies.
+ *       The reply template can use {name}, {phone}, {message}, {date}, {time}, {datetime} and {day}.
+ *     tags: [Auto Replies]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoReplyRule'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ */
+router.post('/', authMiddleware, requireScope('auto_replies:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { session_id } = req.body;
+    const fields = pickRuleFields(req.body);
+
+    if (!session_id || !fields.name || !fields.match_type || !fields.reply_template) {
+      return res.status(400).json({
+        success: false,
+        error: 'session_id, name, match_type and reply_template are required'
+      });
+    }
+
+    const validationError = autoReplyService.validateRule(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('auto_reply_rules')
+      .insert([{ ...fields, session_id, user_id: req.userId }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create auto-reply rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies/{id}:
+ *   put:
+ *     summary: Update an auto-reply rule
+ *     tags: [Auto Replies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoReplyRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', authMiddleware, requireScope('auto_replies:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const rule = await getOwnedRule(req.params.id, req);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Auto-reply rule not found' });
+    }
+
+    const updates = pickRuleFields(req.body);
+    const validationError = autoReplyService.validateRule({ ...rule, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('auto_reply_rules')
+      .update(updates)
+      .eq('id', rule.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, rule: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update auto-reply rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auto-replies/{id}:
+ *   delete:
+ *     summary: Delete an auto-reply rule
+ *     tags: [Auto Replies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ */
+router.delete('/:id', authMiddleware, requireScope('auto_replies:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('auto_reply_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId);
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Auto-reply rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete auto-reply rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
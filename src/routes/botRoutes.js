@@ -1,9 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const botService = require('../services/botService');
-const { authMiddleware } = require('../middleware/auth');
+const whatsappService = require('../services/whatsappService');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed } = require('../utils/apiKeyScopes');
 const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
 
+// The user's bot, on a session the request may use (API keys can be limited to some sessions)
+const getOwnedBot = async (req) => {
+  const bot = await botService.getBot(req.params.id).catch(() => null);
+  return bot && bot.user_id === req.userId && isSessionAllowed(req, bot.session_id) ? bot : null;
+};
+
+// Whether the session belongs to the user and the request may use it
+const isSessionOwned = async (req, sessionId) => {
+  if (!isSessionAllowed(req, sessionId)) return false;
+  return !!(await whatsappService.getSession(sessionId, req.userId).catch(() => null));
+};
+
 /**
  * @swagger
  * /api/bots:
@@ -27,10 +41,10 @@ const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requireScope('bots:read'), async (req, res) => {
   try {
     const bots = await botService.getUserBots(req.userId);
-    res.json({ success: true, bots });
+    res.json({ success: true, bots: bots.filter(bot => isSessionAllowed(req, bot.session_id)) });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -67,13 +81,19 @@ router.get('/', authMiddleware, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Bot'
+ *       404:
+ *         description: Session not found
  *       500:
  *         description: Server error
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', authMiddleware, requireScope('bots:read'), async (req, res) => {
   try {
+    if (!(await isSessionOwned(req, req.params.sessionId))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
     const bots = await botService.getBotsBySession(req.params.sessionId);
-    res.json({ success: true, bots });
+    res.json({ success: true, bots: bots.filter(bot => bot.user_id === req.userId) });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -108,12 +128,18 @@ router.get('/session/:sessionId', async (req, res) => {
  *                   type: boolean
  *                 bot:
  *                   $ref: '#/components/schemas/Bot'
+ *       404:
+ *         description: Bot not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, requireScope('bots:read'), async (req, res) => {
   try {
-    const bot = await botService.getBot(req.params.id);
+    const bot = await getOwnedBot(req);
+    if (!bot) {
+      return res.status(404).json({ success: false, error: 'Bot not found' });
+    }
+
     res.json({ success: true, bot });
   } catch (error) {
     res.status(500).json({
@@ -179,7 +205,7 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requireScope('bots:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { session_id, name, message_template, target_numbers, schedule_pattern, is_active } = req.body;
 
@@ -190,6 +216,10 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
       });
     }
 
+    if (!(await isSessionOwned(req, session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
     const botData = {
       session_id,
       name,
@@ -249,9 +279,18 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requireScope('bots:write'), checkBlockedMiddleware, async (req, res) => {
   try {
-    const updates = req.body;
+    if (!(await getOwnedBot(req))) {
+      return res.status(404).json({ success: false, error: 'Bot not found' });
+    }
+
+    // A bot stays with its owner, and can only move to another of the owner's sessions
+    const { user_id, ...updates } = req.body;
+    if (updates.session_id !== undefined && !(await isSessionOwned(req, updates.session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
     const bot = await botService.updateBot(req.params.id, updates, req.userId);
     res.json({ success: true, bot });
   } catch (error) {
@@ -282,8 +321,12 @@ router.put('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requireScope('bots:write'), checkBlockedMiddleware, async (req, res) => {
   try {
+    if (!(await getOwnedBot(req))) {
+      return res.status(404).json({ success: false, error: 'Bot not found' });
+    }
+
     await botService.deleteBot(req.params.id, req.userId);
     res.json({ success: true, message: 'Bot deleted successfully' });
   } catch (error) {
@@ -311,11 +354,17 @@ router.delete('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) =
  *     responses:
  *       200:
  *         description: Bot triggered successfully
+ *       404:
+ *         description: Bot not found
  *       500:
  *         description: Server error
  */
-router.post('/:id/trigger', async (req, res) => {
+router.post('/:id/trigger', authMiddleware, requireScope('bots:write'), checkBlockedMiddleware, async (req, res) => {
   try {
+    if (!(await getOwnedBot(req))) {
+      return res.status(404).json({ success: false, error: 'Bot not found' });
+    }
+
     await botService.sendBotMessageNow(req.params.id);
     res.json({ success: true, message: 'Bot triggered successfully' });
   } catch (error) {
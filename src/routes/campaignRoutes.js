@@ -0,0 +1,695 @@
+const express = require('express');
+const router = express.Router();
+const campaignService = require('../services/campaignService');
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { isValidTimeZone, toUtcDate } = require('../utils/timezone');
+const { isSessionAllowed, getAllowedSessionIds } = require('../utils/apiKeyScopes');
+
+// Fields that can be changed while a campaign is still a draft or scheduled
+const EDITABLE_FIELDS = ['name', 'message_template', 'group_ids'];
+
+// Resolve scheduled_at (+ timezone) to a future UTC date, or return an error message
+const resolveSchedule = (scheduledAt, timezone = 'UTC') => {
+  if (!isValidTimeZone(timezone)) {
+    return { error: `Invalid timezone: ${timezone}` };
+  }
+
+  try {
+    const date = toUtcDate(scheduledAt, timezone);
+    if (date.getTime() <= Date.now()) {
+      return { error: `scheduled_at must be in the future (got ${date.toISOString()})` };
+    }
+    return { date };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Load a campaign owned by the current user (and allowed for its API key)
+const getOwnedCampaign = async (campaignId, req) => {
+  const campaign = await campaignService.getCampaign(campaignId, req.userId);
+  return campaign && isSessionAllowed(req, campaign.session_id) ? campaign : null;
+};
+
+// Make sure every group exists and belongs to the user
+const validateGroups = async (groupIds, userId) => {
+  if (!Array.isArray(groupIds) || groupIds.length === 0) {
+    return 'group_ids must be a non-empty array';
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('contact_groups')
+    .select('id')
+    .in('id', groupIds)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const found = new Set((data || []).map(g => g.id));
+  const missing = groupIds.filter(id => !found.has(id));
+  return missing.length > 0 ? `Contact groups not found: ${missing.join(', ')}` : null;
+};
+
+const withStats = async (campaign) => ({
+  ...campaign,
+  stats: await campaignService.getStats(campaign.id)
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   get:
+ *     summary: Get all campaigns for the current user
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Filter by session ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, running, paused, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of campaigns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 campaigns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Campaign'
+ */
+router.get('/', authMiddleware, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const { session_id, status } = req.query;
+
+    let query = supabaseAdmin
+      .from('campaigns')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, campaigns: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with live recipient counts
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 campaign:
+ *                   $ref: '#/components/schemas/Campaign'
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id', authMiddleware, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    res.json({ success: true, campaign: await withStats(campaign) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   post:
+ *     summary: Create a campaign
+ *     description: |
+ *       Creates a draft, or a scheduled campaign when scheduled_at is given.
+ *       The template can use {name}, {email} and {phone} from each contact, plus {date}, {time}, {datetime} and {day}.
+ *     tags: [Campaigns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_id
+ *               - name
+ *               - message_template
+ *               - group_ids
+ *             properties:
+ *               session_id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               message_template:
+ *                 type: string
+ *                 example: 'Hi {name}, our summer sale starts today!'
+ *               group_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scheduled_at:
+ *                 type: string
+ *                 example: '2025-12-31T09:00'
+ *               timezone:
+ *                 type: string
+ *                 example: Africa/Casablanca
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { session_id, name, message_template, group_ids, scheduled_at } = req.body;
+    const timezone = req.body.timezone || 'UTC';
+
+    if (!session_id || !name || !message_template) {
+      return res.status(400).json({
+        success: false,
+        error: 'session_id, name and message_template are required'
+      });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const groupError = await validateGroups(group_ids, req.userId);
+    if (groupError) {
+      return res.status(400).json({ success: false, error: groupError });
+    }
+
+    let schedule = null;
+    if (scheduled_at) {
+      schedule = resolveSchedule(scheduled_at, timezone);
+      if (schedule.error) {
+        return res.status(400).json({ success: false, error: schedule.error });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('campaigns')
+      .insert([{
+        user_id: req.userId,
+        session_id,
+        name,
+        message_template,
+        group_ids,
+        status: schedule ? 'scheduled' : 'draft',
+        scheduled_at: schedule ? schedule.date.toISOString() : null,
+        timezone: schedule ? timezone : null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, campaign: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   put:
+ *     summary: Update a draft or scheduled campaign
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               message_template:
+ *                 type: string
+ *               group_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *       409:
+ *         description: Campaign has already started
+ */
+router.put('/:id', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    if (!['draft', 'scheduled'].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign can no longer be edited (status: ${campaign.status})`
+      });
+    }
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (updates.group_ids) {
+      const groupError = await validateGroups(updates.group_ids, req.userId);
+      if (groupError) {
+        return res.status(400).json({ success: false, error: groupError });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('campaigns')
+      .update(updates)
+      .eq('id', campaign.id)
+      .in('status', ['draft', 'scheduled'])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, campaign: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   delete:
+ *     summary: Delete a campaign that is not running
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deleted
+ *       409:
+ *         description: Campaign is running or paused (cancel it first)
+ */
+router.delete('/:id', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    if (['running', 'paused'].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cancel the campaign before deleting it'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('campaigns')
+      .delete()
+      .eq('id', campaign.id)
+      .eq('user_id', req.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Campaign deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/preview:
+ *   get:
+ *     summary: Preview rendered messages for the first recipients
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipient count and sample messages
+ */
+router.get('/:id/preview', authMiddleware, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    res.json({ success: true, preview: await campaignService.preview(campaign) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule (or reschedule) a draft campaign
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduled_at
+ *             properties:
+ *               scheduled_at:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Campaign scheduled
+ *       409:
+ *         description: Campaign has already started
+ */
+router.post('/:id/schedule', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { scheduled_at } = req.body;
+    const timezone = req.body.timezone || 'UTC';
+
+    if (!scheduled_at) {
+      return res.status(400).json({ success: false, error: 'scheduled_at is required' });
+    }
+
+    const schedule = resolveSchedule(scheduled_at, timezone);
+    if (schedule.error) {
+      return res.status(400).json({ success: false, error: schedule.error });
+    }
+
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'scheduled', scheduled_at: schedule.date.toISOString(), timezone })
+      .eq('id', campaign.id)
+      .in('status', ['draft', 'scheduled'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign can no longer be scheduled (status: ${campaign.status})`
+      });
+    }
+
+    res.json({ success: true, campaign: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule campaign',
+      message: error.message
+    });
+  }
+});
+
+// Start, pause, resume and cancel share the same shape
+const lifecycleAction = (action, handler, errorMessage) => async (req, res) => {
+  try {
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const updated = await handler(campaign);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign cannot be ${action} (status: ${campaign.status})`
+      });
+    }
+
+    res.json({ success: true, campaign: await withStats(updated) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/start:
+ *   post:
+ *     summary: Start a draft or scheduled campaign now
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign started
+ *       409:
+ *         description: Campaign is not a draft or scheduled
+ */
+router.post('/:id/start', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware,
+  lifecycleAction('started', c => campaignService.startCampaign(c), 'Failed to start campaign'));
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/pause:
+ *   post:
+ *     summary: Pause a running campaign
+ *     description: Messages already handed to WhatsApp are not recalled; the rest wait until the campaign is resumed.
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign paused
+ *       409:
+ *         description: Campaign is not running
+ */
+router.post('/:id/pause', authMiddleware, requireScope('campaigns:write'),
+  lifecycleAction('paused', c => campaignService.pauseCampaign(c), 'Failed to pause campaign'));
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/resume:
+ *   post:
+ *     summary: Resume a paused campaign
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign resumed
+ *       409:
+ *         description: Campaign is not paused
+ */
+router.post('/:id/resume', authMiddleware, requireScope('campaigns:write'), checkBlockedMiddleware,
+  lifecycleAction('resumed', c => campaignService.resumeCampaign(c), 'Failed to resume campaign'));
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign (recipients not sent yet are marked cancelled)
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled
+ *       409:
+ *         description: Campaign already finished
+ */
+router.post('/:id/cancel', authMiddleware, requireScope('campaigns:write'),
+  lifecycleAction('cancelled', c => campaignService.cancelCampaign(c), 'Failed to cancel campaign'));
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/recipients:
+ *   get:
+ *     summary: List campaign recipients and their delivery status
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, queued, sent, delivered, read, failed, skipped, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Recipients
+ */
+router.get('/:id/recipients', authMiddleware, requireScope('campaigns:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const campaign = await getOwnedCampaign(req.params.id, req);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    let query = supabaseAdmin
+      .from('campaign_recipients')
+      .select('*', { count: 'exact' })
+      .eq('campaign_id', campaign.id)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, recipients: data, total: count || 0, limit, offset });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign recipients',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const { CloudApiProvider } = require('../providers');
+
+/**
+ * @swagger
+ * /api/cloud-api/webhook:
+ *   get:
+ *     summary: Cloud API webhook verification
+ *     description: |
+ *       Called by Meta when the webhook URL is configured in the app dashboard.
+ *       Answers hub.challenge when hub.verify_token matches CLOUD_API_VERIFY_TOKEN.
+ *     tags: [Cloud API]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: hub.mode
+ *         schema:
+ *           type: string
+ *           example: subscribe
+ *       - in: query
+ *         name: hub.verify_token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The challenge, as plain text
+ *       403:
+ *         description: Invalid verify token
+ */
+router.get('/webhook', (req, res) => {
+  const verifyToken = process.env.CLOUD_API_VERIFY_TOKEN;
+
+  if (req.query['hub.mode'] === 'subscribe' && verifyToken && req.query['hub.verify_token'] === verifyToken) {
+    console.log('✅ Cloud API webhook verified');
+    return res.status(200).type('text/plain').send(String(req.query['hub.challenge'] || ''));
+  }
+
+  console.warn('Cloud API webhook verification failed');
+  res.status(403).json({ success: false, error: 'Invalid verify token' });
+});
+
+/**
+ * @swagger
+ * /api/cloud-api/webhook:
+ *   post:
+ *     summary: Cloud API webhook (incoming messages and status callbacks)
+ *     description: |
+ *       Deliveries must be signed by Meta with the app secret (X-Hub-Signature-256, CLOUD_API_APP_SECRET).
+ *       Each change is routed to the session whose cloud_phone_number_id matches metadata.phone_number_id.
+ *       Answers 503 when a session is not running, so the Cloud API delivers the change again later.
+ *     tags: [Cloud API]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Delivery processed
+ *       401:
+ *         description: Missing or invalid signature
+ *       503:
+ *         description: Session not running or temporary error - Meta retries the delivery
+ */
+router.post('/webhook', async (req, res) => {
+  if (!CloudApiProvider.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+    console.warn('Cloud API webhook signature verification failed');
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  if (req.body?.object !== 'whatsapp_business_account') {
+    return res.json({ success: true });
+  }
+
+  try {
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field === 'messages') {
+          await whatsappService.handleCloudWebhook(change.value);
+        }
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Cloud API webhook error:', error.message);
+    res.status(503).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { getAllowedSessionIds, isSessionAllowed } = require('../utils/apiKeyScopes');
 const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
 
+// Whether the session belongs to the user and the request may use it
+const isSessionOwned = async (req, sessionId) => {
+  if (!sessionId || !isSessionAllowed(req, sessionId)) return false;
+
+  const { data } = await supabaseAdmin
+    .from('sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  return !!data;
+};
+
+// A contact or contact group of the user, on a session the request may use
+const getOwnedRow = async (req, table, id) => {
+  const { data } = await supabaseAdmin
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  return data && isSessionAllowed(req, data.session_id) ? data : null;
+};
+
+// Fields of a contact or group a client may change (it stays with its owner)
+const getUpdates = async (req, res) => {
+  const { id, user_id, created_at, ...updates } = req.body;
+
+  if (updates.session_id !== undefined && !(await isSessionOwned(req, updates.session_id))) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return null;
+  }
+  return updates;
+};
+
 /**
  * @swagger
  * /api/contacts/groups:
@@ -20,7 +58,7 @@ const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
  *       200:
  *         description: List of contact groups
  */
-router.get('/groups', authMiddleware, async (req, res) => {
+router.get('/groups', authMiddleware, requireScope('contacts:read'), async (req, res) => {
   try {
     const { session_id } = req.query;
     
@@ -34,6 +72,11 @@ router.get('/groups', authMiddleware, async (req, res) => {
       query = query.eq('session_id', session_id);
     }
     
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+    
     const { data, error } = await query;
     
     if (error) throw error;
@@ -64,18 +107,15 @@ router.get('/groups', authMiddleware, async (req, res) => {
  *       200:
  *         description: Contact group details
  */
-router.get('/groups/:id', async (req, res) => {
+router.get('/groups/:id', authMiddleware, requireScope('contacts:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // Get group info
-    const { data: group, error: groupError } = await supabaseAdmin
-      .from('contact_groups')
-      .select('*')
-      .eq('id', id)
-      .single();
-    
-    if (groupError) throw groupError;
+    const group = await getOwnedRow(req, 'contact_groups', id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
     
     // Get group members
     const { data: members, error: membersError } = await supabaseAdmin
@@ -127,7 +167,7 @@ router.get('/groups/:id', async (req, res) => {
  *       201:
  *         description: Group created
  */
-router.post('/groups', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/groups', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { session_id, name, description } = req.body;
     
@@ -138,6 +178,10 @@ router.post('/groups', authMiddleware, checkBlockedMiddleware, async (req, res)
       });
     }
     
+    if (!(await isSessionOwned(req, session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
     const { data, error } = await supabaseAdmin
       .from('contact_groups')
       .insert([{ session_id, name, description, user_id: req.userId }])
@@ -163,15 +207,22 @@ router.post('/groups', authMiddleware, checkBlockedMiddleware, async (req, res)
  *     summary: Update a contact group
  *     tags: [Contacts]
  */
-router.put('/groups/:id', async (req, res) => {
+router.put('/groups/:id', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    
+    if (!(await getOwnedRow(req, 'contact_groups', id))) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
+    const updates = await getUpdates(req, res);
+    if (!updates) return;
     
     const { data, error } = await supabaseAdmin
       .from('contact_groups')
       .update(updates)
       .eq('id', id)
+      .eq('user_id', req.userId)
       .select()
       .single();
     
@@ -194,10 +245,14 @@ router.put('/groups/:id', async (req, res) => {
  *     summary: Delete a contact group
  *     tags: [Contacts]
  */
-router.delete('/groups/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.delete('/groups/:id', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     
+    if (!(await getOwnedRow(req, 'contact_groups', id))) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
     const { error } = await supabaseAdmin
       .from('contact_groups')
       .delete()
@@ -225,7 +280,7 @@ router.delete('/groups/:id', authMiddleware, checkBlockedMiddleware, async (req,
  *     summary: Get all contacts
  *     tags: [Contacts]
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requireScope('contacts:read'), async (req, res) => {
   try {
     const { session_id } = req.query;
     
@@ -239,6 +294,11 @@ router.get('/', authMiddleware, async (req, res) => {
       query = query.eq('session_id', session_id);
     }
     
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+    
     const { data, error } = await query;
     
     if (error) throw error;
@@ -260,7 +320,7 @@ router.get('/', authMiddleware, async (req, res) => {
  *     summary: Create a new contact
  *     tags: [Contacts]
  */
-router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { session_id, phone_number, name, email, notes } = req.body;
     
@@ -271,6 +331,10 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
       });
     }
     
+    if (!(await isSessionOwned(req, session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
     const { data, error } = await supabaseAdmin
       .from('contacts')
       .insert([{ session_id, phone_number, name, email, notes, user_id: req.userId }])
@@ -296,15 +360,22 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
  *     summary: Update a contact
  *     tags: [Contacts]
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    
+    if (!(await getOwnedRow(req, 'contacts', id))) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    
+    const updates = await getUpdates(req, res);
+    if (!updates) return;
     
     const { data, error } = await supabaseAdmin
       .from('contacts')
       .update(updates)
       .eq('id', id)
+      .eq('user_id', req.userId)
       .select()
       .single();
     
@@ -327,10 +398,14 @@ router.put('/:id', async (req, res) => {
  *     summary: Delete a contact
  *     tags: [Contacts]
  */
-router.delete('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     
+    if (!(await getOwnedRow(req, 'contacts', id))) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    
     const { error } = await supabaseAdmin
       .from('contacts')
       .delete()
@@ -358,7 +433,7 @@ router.delete('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) =
  *     summary: Add contact to group
  *     tags: [Contacts]
  */
-router.post('/groups/:groupId/members', async (req, res) => {
+router.post('/groups/:groupId/members', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { groupId } = req.params;
     const { contact_id } = req.body;
@@ -370,6 +445,14 @@ router.post('/groups/:groupId/members', async (req, res) => {
       });
     }
     
+    if (!(await getOwnedRow(req, 'contact_groups', groupId))) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
+    if (!(await getOwnedRow(req, 'contacts', contact_id))) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    
     const { data, error } = await supabaseAdmin
       .from('contact_group_members')
       .insert([{ group_id: groupId, contact_id }])
@@ -395,10 +478,14 @@ router.post('/groups/:groupId/members', async (req, res) => {
  *     summary: Remove contact from group
  *     tags: [Contacts]
  */
-router.delete('/groups/:groupId/members/:contactId', async (req, res) => {
+router.delete('/groups/:groupId/members/:contactId', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { groupId, contactId } = req.params;
     
+    if (!(await getOwnedRow(req, 'contact_groups', groupId))) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
     const { error } = await supabaseAdmin
       .from('contact_group_members')
       .delete()
@@ -424,10 +511,14 @@ router.delete('/groups/:groupId/members/:contactId', async (req, res) => {
  *     summary: Get all phone numbers in a group
  *     tags: [Contacts]
  */
-router.get('/groups/:groupId/phone-numbers', async (req, res) => {
+router.get('/groups/:groupId/phone-numbers', authMiddleware, requireScope('contacts:read'), async (req, res) => {
   try {
     const { groupId } = req.params;
     
+    if (!(await getOwnedRow(req, 'contact_groups', groupId))) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
     const { data, error } = await supabaseAdmin
       .from('contact_group_members')
       .select('contacts(phone_number)')
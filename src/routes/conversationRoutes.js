@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+
+// Cursors are opaque to clients: base64url-encoded JSON of the last row's sort keys
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Cursor values end up in PostgREST filters: only accept the shapes we issue
+const CURSOR_PATTERNS = {
+  t: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/, // Timestamp (ISO 8601)
+  k: /^[\w.:-]+@[\w.]+$/, // WhatsApp ID
+  id: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i // UUID
+};
+
+// Decode a cursor with the given keys, null when it is malformed or tampered with
+const decodeCursor = (cursor, keys) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const valid = keys.every(key => typeof value[key] === 'string' && CURSOR_PATTERNS[key].test(value[key]));
+  if (!valid || isNaN(Date.parse(value.t))) {
+    return null;
+  }
+
+  return value;
+};
+
+// Accept a WhatsApp ID ("212600000000@c.us", "...@g.us") or a plain phone number
+const toRemoteJid = (value) => {
+  const raw = String(value).trim();
+  if (raw.includes('@')) {
+    return raw;
+  }
+
+  const digits = whatsappService.normalizePhoneNumber(raw);
+  return digits ? `${digits}@c.us` : null;
+};
+
+// Verify user owns this session
+const ensureSessionOwner = async (req, res) => {
+  const session = await whatsappService.getSession(req.params.sessionId, req.userId).catch(() => null);
+  if (!session) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized: You do not own this session'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/conversations/{sessionId}:
+ *   get:
+ *     summary: List conversations for a session (latest activity first)
+ *     description: |
+ *       Groups sent and received messages by remote WhatsApp ID. Each conversation has a
+ *       preview of its last message and the number of unread incoming messages.
+ *       Pass next_cursor from the previous page as cursor to load more.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only conversations with unread messages
+ *     responses:
+ *       200:
+ *         description: Conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ */
+router.get('/:sessionId', authMiddleware, requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!(await ensureSessionOwner(req, res))) return;
+
+    let query = supabaseAdmin
+      .from('conversations')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('last_message_at', { ascending: false })
+      .order('remote_jid', { ascending: true })
+      .limit(limit + 1);
+
+    if (req.query.unread === 'true') {
+      query = query.gt('unread_count', 0);
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, ['t', 'k']);
+      if (!cursor) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      query = query.or(`last_message_at.lt."${cursor.t}",and(last_message_at.eq."${cursor.t}",remote_jid.gt."${cursor.k}")`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const conversations = data.slice(0, limit);
+    const last = conversations[conversations.length - 1];
+
+    res.json({
+      success: true,
+      conversations,
+      next_cursor: data.length > limit ? encodeCursor({ t: last.last_message_at, k: last.remote_jid }) : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{sessionId}/{jid}:
+ *   get:
+ *     summary: Get the messages of one conversation
+ *     description: |
+ *       Returns incoming and outgoing messages with one contact in chronological order.
+ *       Pages go back in time: pass next_cursor as cursor to load older messages.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: WhatsApp ID (e.g. 212600000000@c.us) or phone number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation messages (oldest first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 remote_jid:
+ *                   type: string
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConversationMessage'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ */
+router.get('/:sessionId/:jid', authMiddleware, requireScope('conversations:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const remoteJid = toRemoteJid(req.params.jid);
+    if (!remoteJid) {
+      return res.status(400).json({ success: false, error: 'Invalid WhatsApp ID or phone number' });
+    }
+
+    if (!(await ensureSessionOwner(req, res))) return;
+
+    // Newest first so the cursor walks back in time
+    let query = supabaseAdmin
+      .from('conversation_messages')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('remote_jid', remoteJid)
+      .order('message_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, ['t', 'id']);
+      if (!cursor) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      query = query.or(`message_at.lt."${cursor.t}",and(message_at.eq."${cursor.t}",id.lt.${cursor.id})`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const page = data.slice(0, limit);
+    const oldest = page[page.length - 1];
+
+    res.json({
+      success: true,
+      remote_jid: remoteJid,
+      messages: page.reverse(),
+      next_cursor: data.length > limit ? encodeCursor({ t: oldest.message_at, id: oldest.id }) : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/{sessionId}/{jid}/read:
+ *   post:
+ *     summary: Mark all incoming messages of a conversation as read
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of messages marked as read
+ */
+router.post('/:sessionId/:jid/read', authMiddleware, requireScope('conversations:write'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const remoteJid = toRemoteJid(req.params.jid);
+    if (!remoteJid) {
+      return res.status(400).json({ success: false, error: 'Invalid WhatsApp ID or phone number' });
+    }
+
+    if (!(await ensureSessionOwner(req, res))) return;
+
+    const { data, error } = await supabaseAdmin
+      .from('received_messages')
+      .update({ read_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .eq('from', remoteJid)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    res.json({ success: true, marked: data.length });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark conversation as read',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const eventStreamService = require('../services/eventStreamService');
+const { authMiddleware, requireScope, recheckCredentials } = require('../middleware/auth');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { hasScope, isSessionAllowed, getAllowedSessionIds, isTestRequest } = require('../utils/apiKeyScopes');
+
+// EventSource cannot send headers - accept the JWT or API key as ?access_token= too
+const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+  if (token && !req.headers.authorization && !req.headers['x-api-key']) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Stream real-time session and message events (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes events of the sessions you own as they happen:
+ *       session.qr (qr_code), session.pairing_code (pairing_code, expires_at), session.authenticated, session.ready (phone_number),
+ *       session.auth_failure, session.disconnected (reason), session.reconnecting,
+ *       session.reconnect_failed (attempt, max_attempts, retry_in_ms), session.state_changed (state),
+ *       session.keepalive_failed (state, reason), session.keepalive_recovered, session.restoring,
+ *       session.stopped (reason), message.received and message.ack.
+ *       The first event, connected, carries the current state of the streamed sessions.
+ *       Message events need the messages:read scope when using an API key; test (wp_test_) keys
+ *       only receive message events of sandbox messages.
+ *       Credentials are checked again every minute: once the API key is revoked or expired, the JWT
+ *       expired or the account blocked, a stream.closed event (reason) is sent and the stream ends.
+ *       Browsers (EventSource) can pass the JWT or API key as access_token.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Only stream events of this session
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT or API key, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: text/event-stream of events (each data line is JSON with session_id and timestamp)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: session.qr\ndata: {\"session_id\":\"...\",\"qr_code\":\"data:image/png;base64,...\",\"timestamp\":\"...\"}"
+ *       404:
+ *         description: Session not found
+ */
+router.get('/', tokenFromQuery, authMiddleware, requireScope('sessions:read'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const sessionId = req.query.sessionId || null;
+
+    const sessions = (await whatsappService.getUserSessions(req.userId))
+      .filter(session => isSessionAllowed(req, session.id))
+      .filter(session => !sessionId || session.id === sessionId);
+
+    if (sessionId && sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const close = eventStreamService.addClient(res, {
+      userId: req.userId,
+      sessionIds: getAllowedSessionIds(req),
+      sessionId,
+      includeMessages: req.authType !== 'api_key' || hasScope(req.apiKey.scopes, 'messages:read'),
+      sandbox: isTestRequest(req),
+      verify: () => recheckCredentials(req),
+      sessions: sessions.map(session => ({
+        id: session.id,
+        session_name: session.session_name,
+        status: session.status,
+        phone_number: session.phone_number || null,
+        qr_code: session.qr_code || null
+      }))
+    });
+
+    req.on('close', close);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require('express');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed } = require('../utils/apiKeyScopes');
+const { FakeProvider } = require('../providers');
+
+/**
+ * Fake WhatsApp controls
+ *
+ * Drive sessions running on the in-memory fake provider from development tools
+ * and automated tests: link them, deliver incoming messages, play receipts and
+ * disconnects, and read back everything the session sent. Only mounted outside
+ * production.
+ */
+
+const ACK_VALUES = [-1, 0, 1, 2, 3, 4];
+
+// Loads the session's fake client (running on this node) into req.fakeClient
+const loadFakeClient = async (req, res, next) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const client = whatsappService.getClient(session.id);
+    if (!(client instanceof FakeProvider)) {
+      return res.status(409).json({
+        success: false,
+        error: 'The session is not running on the fake provider on this node'
+      });
+    }
+
+    req.fakeClient = client;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load session', message: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/link:
+ *   post:
+ *     summary: Link a fake session, as if its QR or pairing code was entered on a phone
+ *     description: Needed when FAKE_WHATSAPP_AUTO_LINK=false; linked sessions are left as they are.
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Linked phone number (default the pairing phone or a fake 1555 number)
+ *     responses:
+ *       200:
+ *         description: Session linked
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/link', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  const phoneNumber = req.body.phoneNumber ? whatsappService.normalizePhoneNumber(String(req.body.phoneNumber)) : null;
+
+  if (req.body.phoneNumber && !phoneNumber) {
+    return res.status(400).json({ success: false, error: 'Invalid phoneNumber' });
+  }
+
+  req.fakeClient.link(phoneNumber);
+  res.json({ success: true, phone_number: req.fakeClient.getPhoneNumber() });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/inbound:
+ *   post:
+ *     summary: Deliver an incoming message to a fake session
+ *     description: The message goes through the same pipeline as a real one (storage, webhooks, bots, auto-replies).
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 description: Sender phone number or chat ID
+ *                 example: "15551234567"
+ *               body:
+ *                 type: string
+ *                 description: Text, or the caption of the media
+ *               type:
+ *                 type: string
+ *                 description: Message type (default chat, or image, video, audio or document from the media MIME type)
+ *               notifyName:
+ *                 type: string
+ *                 description: Sender profile name
+ *               media:
+ *                 type: object
+ *                 description: Attached file, downloaded like a real one (inbound media); requests are limited to 100kb
+ *                 required:
+ *                   - data
+ *                 properties:
+ *                   mimetype:
+ *                     type: string
+ *                     example: image/png
+ *                   data:
+ *                     type: string
+ *                     description: File contents, base64
+ *                   filename:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Message delivered
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/inbound', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  const { from, body, type, notifyName, media } = req.body;
+
+  if (!from) {
+    return res.status(400).json({ success: false, error: 'from is required' });
+  }
+
+  if (media && (typeof media.data !== 'string' || !media.data)) {
+    return res.status(400).json({ success: false, error: 'media.data (base64) is required' });
+  }
+
+  const message = req.fakeClient.injectMessage({ from, body, type, notifyName, media: media || null });
+  res.json({ success: true, id: message.id._serialized });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/ack:
+ *   post:
+ *     summary: Play a delivery receipt of a message sent by a fake session
+ *     description: Sends are acknowledged automatically (sent, delivered, read); use this for failures or played receipts.
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - whatsappMessageId
+ *               - ack
+ *             properties:
+ *               whatsappMessageId:
+ *                 type: string
+ *               ack:
+ *                 type: integer
+ *                 enum: [-1, 0, 1, 2, 3, 4]
+ *                 description: -1 error, 0 pending, 1 server, 2 device, 3 read, 4 played
+ *     responses:
+ *       200:
+ *         description: Receipt played
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/ack', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  const { whatsappMessageId } = req.body;
+  const ack = parseInt(req.body.ack);
+
+  if (!whatsappMessageId || !ACK_VALUES.includes(ack)) {
+    return res.status(400).json({
+      success: false,
+      error: `whatsappMessageId and ack (one of ${ACK_VALUES.join(', ')}) are required`
+    });
+  }
+
+  req.fakeClient.ack(String(whatsappMessageId), ack);
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/disconnect:
+ *   post:
+ *     summary: Disconnect a fake session
+ *     description: |
+ *       Handled like a WhatsApp Web disconnect: LOGOUT unlinks the session, other reasons
+ *       (NAVIGATION, CONFLICT...) make it reconnect.
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 default: NAVIGATION
+ *                 example: LOGOUT
+ *     responses:
+ *       200:
+ *         description: Session disconnected
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/disconnect', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  req.fakeClient.disconnect(req.body.reason ? String(req.body.reason) : undefined);
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/registered:
+ *   post:
+ *     summary: Choose whether a number is on the fake WhatsApp (registration checks)
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - registered
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               registered:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Number updated
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/registered', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  const phoneNumber = req.body.phoneNumber ? whatsappService.normalizePhoneNumber(String(req.body.phoneNumber)) : null;
+
+  if (!phoneNumber || typeof req.body.registered !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'phoneNumber and registered (boolean) are required' });
+  }
+
+  req.fakeClient.setRegistered(phoneNumber, req.body.registered);
+  res.json({ success: true, phone_number: phoneNumber, registered: req.body.registered });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/contacts:
+ *   post:
+ *     summary: Save a contact in the address book of a fake session (contact sync)
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Name saved on the phone
+ *               pushName:
+ *                 type: string
+ *                 description: The contact's own profile name
+ *               isBusiness:
+ *                 type: boolean
+ *               profilePictureUrl:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contact saved
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.post('/sessions/:id/contacts', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  const phoneNumber = req.body.phoneNumber ? whatsappService.normalizePhoneNumber(String(req.body.phoneNumber)) : null;
+
+  if (!phoneNumber) {
+    return res.status(400).json({ success: false, error: 'phoneNumber is required' });
+  }
+
+  const { name, pushName, isBusiness, profilePictureUrl } = req.body;
+  const contact = req.fakeClient.addContact({ phoneNumber, name, pushName, isBusiness: !!isBusiness, profilePictureUrl });
+  res.json({ success: true, contact });
+});
+
+/**
+ * @swagger
+ * /api/fake/sessions/{id}/recording:
+ *   get:
+ *     summary: Everything a fake session did (status changes, sends, receipts, incoming messages, disconnects)
+ *     description: Recorded since the client started or the recording was cleared, oldest first (last 1000 events).
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [status, sent, ack, received, disconnected]
+ *     responses:
+ *       200:
+ *         description: Recorded events
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ *   delete:
+ *     summary: Clear the recording of a fake session
+ *     tags: [Fake WhatsApp]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recording cleared
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not running on the fake provider
+ */
+router.get('/sessions/:id/recording', authMiddleware, requireScope('sessions:read'), loadFakeClient, (req, res) => {
+  res.json({ success: true, events: req.fakeClient.getRecording(req.query.type || null) });
+});
+
+router.delete('/sessions/:id/recording', authMiddleware, requireScope('sessions:write'), loadFakeClient, (req, res) => {
+  req.fakeClient.clearRecording();
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,630 @@
+const express = require('express');
+const router = express.Router();
+const flowService = require('../services/flowService');
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed, getAllowedSessionIds } = require('../utils/apiKeyScopes');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { validateRegex } = require('../utils/safeRegex');
+
+// Fields clients may set on a flow
+const FLOW_FIELDS = [
+  'name', 'description', 'trigger_type', 'trigger_pattern', 'definition', 'priority',
+  'timeout_minutes', 'on_timeout', 'timeout_message', 'max_retries', 'is_active'
+];
+
+const pickFlowFields = (body) => {
+  const fields = {};
+  for (const field of FLOW_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const validateFlow = (flow) => {
+  if (!flowService.triggerTypes.includes(flow.trigger_type || 'keyword')) {
+    return `trigger_type must be one of: ${flowService.triggerTypes.join(', ')}`;
+  }
+
+  if (flow.trigger_type !== 'any' && !flow.trigger_pattern) {
+    return 'trigger_pattern is required unless trigger_type is "any"';
+  }
+
+  if (flow.trigger_type === 'regex') {
+    const regexError = validateRegex(flow.trigger_pattern);
+    if (regexError) {
+      return `Invalid trigger regex: ${regexError}`;
+    }
+  }
+
+  if (flow.on_timeout !== undefined && !['end', 'handoff'].includes(flow.on_timeout)) {
+    return 'on_timeout must be "end" or "handoff"';
+  }
+
+  return flowService.validateDefinition(flow.definition);
+};
+
+// Load a flow owned by the current user (and allowed for its API key)
+const getOwnedFlow = async (flowId, req) => {
+  const { data, error } = await supabaseAdmin
+    .from('flows')
+    .select('*')
+    .eq('id', flowId)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && isSessionAllowed(req, data.session_id) ? data : null;
+};
+
+// Load a flow conversation whose flow belongs to the current user (and allowed for its API key)
+const getOwnedConversation = async (conversationId, req) => {
+  const { data, error } = await supabaseAdmin
+    .from('flow_conversations')
+    .select('*, flows!inner(id, name, user_id)')
+    .eq('id', conversationId)
+    .eq('flows.user_id', req.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && isSessionAllowed(req, data.session_id) ? data : null;
+};
+
+/**
+ * @swagger
+ * /api/flows:
+ *   get:
+ *     summary: Get conversational flows
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Filter by session ID
+ *     responses:
+ *       200:
+ *         description: List of flows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 flows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Flow'
+ */
+router.get('/', authMiddleware, requireScope('flows:read'), async (req, res) => {
+  try {
+    const { session_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('flows')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, flows: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flows',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/conversations:
+ *   get:
+ *     summary: Inspect flow conversations (active ones by default)
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, handoff, completed, timed_out, cancelled]
+ *       - in: query
+ *         name: flow_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Flow conversations, most recent interaction first
+ */
+router.get('/conversations', authMiddleware, requireScope('flows:read'), async (req, res) => {
+  try {
+    const { session_id, flow_id } = req.query;
+    const status = req.query.status || 'active';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (!session_id) {
+      return res.status(400).json({ success: false, error: 'session_id is required' });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    let query = supabaseAdmin
+      .from('flow_conversations')
+      .select('*, flows(name)')
+      .eq('session_id', session_id)
+      .eq('status', status)
+      .order('last_interaction_at', { ascending: false })
+      .limit(limit);
+
+    if (flow_id) {
+      query = query.eq('flow_id', flow_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, conversations: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flow conversations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/conversations/{id}:
+ *   get:
+ *     summary: Get a flow conversation with its collected variables
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation state
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:id', authMiddleware, requireScope('flows:read'), async (req, res) => {
+  try {
+    const conversation = await getOwnedConversation(req.params.id, req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Flow conversation not found' });
+    }
+
+    res.json({ success: true, conversation });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flow conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/conversations/{id}/handoff:
+ *   post:
+ *     summary: Hand a conversation over to a human (the bot stops replying to the contact)
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Conversation handed off
+ *       409:
+ *         description: Conversation is not active
+ */
+router.post('/conversations/:id/handoff', authMiddleware, requireScope('flows:write'), async (req, res) => {
+  try {
+    const conversation = await getOwnedConversation(req.params.id, req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Flow conversation not found' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('flow_conversations')
+      .update({
+        status: 'handoff',
+        handoff_at: new Date().toISOString(),
+        handoff_reason: req.body.reason || 'Taken over manually',
+        expires_at: null
+      })
+      .eq('id', conversation.id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: `Conversation is not active (status: ${conversation.status})`
+      });
+    }
+
+    res.json({ success: true, conversation: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to hand off conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/conversations/{id}/release:
+ *   post:
+ *     summary: Close an active or handed-off conversation so bots answer the contact again
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation closed
+ *       409:
+ *         description: Conversation already closed
+ */
+router.post('/conversations/:id/release', authMiddleware, requireScope('flows:write'), async (req, res) => {
+  try {
+    const conversation = await getOwnedConversation(req.params.id, req);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Flow conversation not found' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('flow_conversations')
+      .update({
+        status: conversation.status === 'handoff' ? 'completed' : 'cancelled',
+        ended_at: new Date().toISOString(),
+        expires_at: null
+      })
+      .eq('id', conversation.id)
+      .in('status', ['active', 'handoff'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: `Conversation is already closed (status: ${conversation.status})`
+      });
+    }
+
+    res.json({ success: true, conversation: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/{id}:
+ *   get:
+ *     summary: Get a flow
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flow details
+ *       404:
+ *         description: Flow not found
+ */
+router.get('/:id', authMiddleware, requireScope('flows:read'), async (req, res) => {
+  try {
+    const flow = await getOwnedFlow(req.params.id, req);
+    if (!flow) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+
+    res.json({ success: true, flow });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows:
+ *   post:
+ *     summary: Create a conversational flow
+ *     tags: [Flows]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Flow'
+ *     responses:
+ *       201:
+ *         description: Flow created
+ *       400:
+ *         description: Invalid flow definition
+ */
+router.post('/', authMiddleware, requireScope('flows:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { session_id } = req.body;
+    const fields = pickFlowFields(req.body);
+
+    if (!session_id || !fields.name || !fields.definition) {
+      return res.status(400).json({
+        success: false,
+        error: 'session_id, name and definition are required'
+      });
+    }
+
+    const validationError = validateFlow(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('flows')
+      .insert([{ ...fields, session_id, user_id: req.userId }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, flow: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create flow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/{id}:
+ *   put:
+ *     summary: Update a flow
+ *     description: Contacts already in the flow continue from their current node if it still exists, otherwise they start over.
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Flow'
+ *     responses:
+ *       200:
+ *         description: Flow updated
+ *       404:
+ *         description: Flow not found
+ */
+router.put('/:id', authMiddleware, requireScope('flows:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const flow = await getOwnedFlow(req.params.id, req);
+    if (!flow) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+
+    const updates = pickFlowFields(req.body);
+    const validationError = validateFlow({ ...flow, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('flows')
+      .update(updates)
+      .eq('id', flow.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, flow: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update flow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/{id}:
+ *   delete:
+ *     summary: Delete a flow (its conversations are removed too)
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flow deleted
+ */
+router.delete('/:id', authMiddleware, requireScope('flows:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('flows')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId);
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Flow deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete flow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/flows/{id}/test:
+ *   post:
+ *     summary: Simulate a flow with a list of contact messages (nothing is sent or stored)
+ *     tags: [Flows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messages
+ *             properties:
+ *               messages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['menu', '1', 'ORD-1042']
+ *               variables:
+ *                 type: object
+ *                 description: Initial variables (e.g. name)
+ *               definition:
+ *                 type: object
+ *                 description: Test an unsaved definition instead of the stored one
+ *     responses:
+ *       200:
+ *         description: Transcript with the replies and state after each message
+ */
+router.post('/:id/test', authMiddleware, requireScope('flows:write'), async (req, res) => {
+  try {
+    const { messages, variables, definition } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ success: false, error: 'messages must be a non-empty array' });
+    }
+
+    const flow = await getOwnedFlow(req.params.id, req);
+    if (!flow) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+
+    const candidate = definition ? { ...flow, definition } : flow;
+    const validationError = flowService.validateDefinition(candidate.definition);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    res.json({
+      success: true,
+      transcript: flowService.simulate(candidate, messages.map(String), variables || {})
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test flow',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
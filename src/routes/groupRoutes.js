@@ -0,0 +1,437 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const whatsappService = require('../services/whatsappService');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed } = require('../utils/apiKeyScopes');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+
+/**
+ * WhatsApp groups of a session (mounted on /api/sessions/:id/groups)
+ *
+ * Operations run on the session's WhatsApp account, which must be connected;
+ * changing participants, the subject, the description or the invite link
+ * needs the account to be a group admin. Messages are sent to a group with
+ * its ID as the recipient (POST /api/messages/send).
+ */
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Loads the session into req.whatsappSession
+const loadSession = async (req, res, next) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    req.whatsappSession = session;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load session', message: error.message });
+  }
+};
+
+// Group chat ID from the path: 120363025246125888, or with its @g.us suffix
+const parseGroupId = (raw) => {
+  const groupId = String(raw).endsWith('@g.us') ? String(raw) : `${raw}@g.us`;
+  return /^[0-9]+(-[0-9]+)?@g\.us$/.test(groupId) ? groupId : null;
+};
+
+// Participant phone numbers (or @c.us IDs) -> chat IDs; null when one is invalid
+const parseParticipants = (participants) => {
+  if (!Array.isArray(participants)) {
+    return null;
+  }
+  try {
+    const ids = participants.map(participant => whatsappService.formatRecipient(participant));
+    return ids.every(id => id.endsWith('@c.us')) ? [...new Set(ids)] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendError = (res, error, message) => {
+  const statuses = {
+    SESSION_NOT_RUNNING: 409,
+    PROVIDER_UNSUPPORTED: 400,
+    GROUP_NOT_FOUND: 404,
+    GROUP_OPERATION_FAILED: 422
+  };
+
+  if (statuses[error.code]) {
+    return res.status(statuses[error.code]).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: message, message: error.message });
+};
+
+const withGroupId = (req, res, next) => {
+  req.groupId = parseGroupId(req.params.groupId);
+  if (!req.groupId) {
+    return res.status(400).json({ success: false, error: 'Invalid group ID' });
+  }
+  next();
+};
+
+const formatInvite = (groupId, code) => ({
+  group_id: groupId,
+  invite_code: code,
+  invite_link: `https://chat.whatsapp.com/${code}`
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups:
+ *   get:
+ *     summary: List the groups the session's account is in
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: The session's provider has no groups
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not connected
+ */
+router.get('/', authMiddleware, requireScope('groups:read'), loadSession, async (req, res) => {
+  try {
+    const groups = await whatsappService.groupOperation(req.whatsappSession.id, 'getGroups');
+    res.json({ success: true, groups });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch groups');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups:
+ *   post:
+ *     summary: Create a group
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               participants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Phone numbers with country code
+ *                 example: ["+212612345678"]
+ *     responses:
+ *       201:
+ *         description: Group created, with the result for each participant
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not connected
+ *       422:
+ *         description: WhatsApp refused to create the group
+ */
+router.post('/', authMiddleware, requireScope('groups:write'), checkBlockedMiddleware, loadSession, async (req, res) => {
+  try {
+    const { name, participants = [] } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    const participantIds = parseParticipants(participants);
+    if (!participantIds) {
+      return res.status(400).json({ success: false, error: 'participants must be an array of phone numbers' });
+    }
+
+    const group = await whatsappService.groupOperation(req.whatsappSession.id, 'createGroup', [String(name).trim(), participantIds]);
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    sendError(res, error, 'Failed to create group');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups/{groupId}:
+ *   get:
+ *     summary: Get a group with its participants
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID, with or without @g.us
+ *     responses:
+ *       200:
+ *         description: Group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 group:
+ *                   $ref: '#/components/schemas/Group'
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: The session is not connected
+ */
+router.get('/:groupId', authMiddleware, requireScope('groups:read'), withGroupId, loadSession, async (req, res) => {
+  try {
+    const group = await whatsappService.groupOperation(req.whatsappSession.id, 'getGroup', [req.groupId]);
+    res.json({ success: true, group });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch group');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups/{groupId}:
+ *   patch:
+ *     summary: Change the subject and/or description of a group
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated group
+ *       400:
+ *         description: Nothing to change
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: The session is not connected
+ *       422:
+ *         description: WhatsApp refused the change (the account is not an admin)
+ */
+router.patch('/:groupId', authMiddleware, requireScope('groups:write'), checkBlockedMiddleware, withGroupId, loadSession, async (req, res) => {
+  try {
+    const { subject, description } = req.body;
+
+    if (subject === undefined && description === undefined) {
+      return res.status(400).json({ success: false, error: 'subject or description is required' });
+    }
+
+    if (subject !== undefined && !String(subject).trim()) {
+      return res.status(400).json({ success: false, error: 'subject cannot be empty' });
+    }
+
+    const changes = {};
+    if (subject !== undefined) changes.subject = String(subject).trim();
+    if (description !== undefined) changes.description = String(description ?? '');
+
+    const group = await whatsappService.groupOperation(req.whatsappSession.id, 'updateGroup', [req.groupId, changes]);
+    res.json({ success: true, group });
+  } catch (error) {
+    sendError(res, error, 'Failed to update group');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups/{groupId}/participants:
+ *   post:
+ *     summary: Add, remove, promote or demote group participants
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - participants
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [add, remove, promote, demote]
+ *               participants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Phone numbers with country code
+ *     responses:
+ *       200:
+ *         description: Result for each participant (status_code 200 when done; 403 when only an invite can be sent, 404 when not on WhatsApp, 409 when already a member)
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: The session is not connected
+ *       422:
+ *         description: WhatsApp refused the change (the account is not an admin)
+ */
+router.post('/:groupId/participants', authMiddleware, requireScope('groups:write'), checkBlockedMiddleware, withGroupId, loadSession, async (req, res) => {
+  try {
+    const { action, participants } = req.body;
+
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}` });
+    }
+
+    const participantIds = parseParticipants(participants);
+    if (!participantIds || participantIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'participants must be a non-empty array of phone numbers' });
+    }
+
+    const results = await whatsappService.groupOperation(
+      req.whatsappSession.id,
+      'updateGroupParticipants',
+      [req.groupId, action, participantIds]
+    );
+    res.json({ success: true, action, results });
+  } catch (error) {
+    sendError(res, error, 'Failed to update group participants');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups/{groupId}/invite-link:
+ *   get:
+ *     summary: Get the invite link of a group (admins only)
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite code and link
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: The session is not connected
+ *       422:
+ *         description: The account is not a group admin
+ */
+router.get('/:groupId/invite-link', authMiddleware, requireScope('groups:read'), withGroupId, loadSession, async (req, res) => {
+  try {
+    const code = await whatsappService.groupOperation(req.whatsappSession.id, 'getGroupInviteCode', [req.groupId]);
+    res.json({ success: true, invite: formatInvite(req.groupId, code) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch invite link');
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/groups/{groupId}/invite-link/revoke:
+ *   post:
+ *     summary: Revoke the invite link of a group and get the new one
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New invite code and link (the previous link stops working)
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: The session is not connected
+ *       422:
+ *         description: The account is not a group admin
+ */
+router.post('/:groupId/invite-link/revoke', authMiddleware, requireScope('groups:write'), checkBlockedMiddleware, withGroupId, loadSession, async (req, res) => {
+  try {
+    const code = await whatsappService.groupOperation(req.whatsappSession.id, 'getGroupInviteCode', [req.groupId, { revoke: true }]);
+    res.json({ success: true, invite: formatInvite(req.groupId, code) });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke invite link');
+  }
+});
+
+module.exports = router;
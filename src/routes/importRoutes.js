@@ -5,6 +5,10 @@ const xlsx = require('xlsx');
 const csvParser = require('csv-parser');
 const { Readable } = require('stream');
 const { supabaseAdmin } = require('../config/supabase');
+const registrationService = require('../services/registrationService');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed } = require('../utils/apiKeyScopes');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
 
 // Configure multer for file uploads (store in memory)
 const upload = multer({
@@ -47,11 +51,18 @@ const upload = multer({
  *                 format: binary
  *               session_id:
  *                 type: string
+ *               verify_whatsapp:
+ *                 type: boolean
+ *                 description: Check every number through the session first and skip the ones not on WhatsApp (files of up to 50 rows)
  *     responses:
  *       200:
  *         description: Import results
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: verify_whatsapp needs the session to be connected
  */
-router.post('/contacts', upload.single('file'), async (req, res) => {
+router.post('/contacts', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -69,6 +80,10 @@ router.post('/contacts', upload.single('file'), async (req, res) => {
       });
     }
     
+    if (!(await isSessionOwned(req, session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
     const fileType = req.file.mimetype;
     const fileName = req.file.originalname;
     let contacts = [];
@@ -92,18 +107,30 @@ router.post('/contacts', upload.single('file'), async (req, res) => {
       });
     }
     
+    const verify = isEnabled(req.body.verify_whatsapp);
+    const limitError = verify ? verifyLimitError(contacts) : null;
+    if (limitError) {
+      return res.status(400).json({ success: false, error: limitError });
+    }
+    
+    const checks = verify ? await checkContacts(contacts, session_id) : null;
+    
     // Import contacts into database
-    const results = await importContacts(contacts, session_id);
+    const results = await importContacts(contacts, session_id, req.userId, checks);
     
     res.json({
       success: true,
       imported: results.success,
       failed: results.failed,
+      skipped: results.skipped,
       total: contacts.length,
       errors: results.errors
     });
     
   } catch (error) {
+    if (error.code === 'SESSION_NOT_RUNNING' || error.code === 'PROVIDER_UNSUPPORTED') {
+      return res.status(409).json({ success: false, error: `Cannot verify numbers: ${error.message}` });
+    }
     console.error('Import error:', error);
     res.status(500).json({
       success: false,
@@ -119,6 +146,7 @@ router.post('/contacts', upload.single('file'), async (req, res) => {
  *   get:
  *     summary: Download contact import template
  *     tags: [Import]
+ *     security: []
  *     parameters:
  *       - in: query
  *         name: format
@@ -198,16 +226,70 @@ async function parseExcel(buffer) {
   }
 }
 
-// Helper: Import contacts to database
-async function importContacts(contacts, sessionId) {
+// Helper: Whether the session belongs to the user and the request may use it
+async function isSessionOwned(req, sessionId) {
+  if (!isSessionAllowed(req, sessionId)) return false;
+
+  const { data } = await supabaseAdmin
+    .from('sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  return !!data;
+}
+
+// Helper: Multipart form flag
+function isEnabled(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Helper: Check the numbers of parsed contacts through the session (one result per contact)
+function checkContacts(contacts, sessionId) {
+  return registrationService.checkNumbers(sessionId, contacts.map(contact => contact.phone_number));
+}
+
+// Helper: verify_whatsapp runs a live lookup per row on the user's account, so files are capped
+function verifyLimitError(contacts) {
+  return contacts.length > registrationService.maxNumbers
+    ? `verify_whatsapp supports at most ${registrationService.maxNumbers} rows per file (check larger lists with POST /api/sessions/{id}/check-numbers in batches)`
+    : null;
+}
+
+// Helper: Registration columns of a checked contact
+function registrationFields(check) {
+  if (!check || check.registered === null) {
+    return {};
+  }
+  return {
+    whatsapp_registered: check.registered,
+    whatsapp_jid: check.jid,
+    whatsapp_checked_at: check.checked_at
+  };
+}
+
+// Helper: Import contacts to database (checks: registration results, skip numbers not on WhatsApp)
+async function importContacts(contacts, sessionId, userId, checks = null) {
   const results = {
     success: 0,
     failed: 0,
+    skipped: 0,
     errors: []
   };
   
-  for (const contact of contacts) {
+  for (const [index, contact] of contacts.entries()) {
+    const check = checks ? checks[index] : null;
     try {
+      if (check && check.registered === false) {
+        results.skipped++;
+        results.errors.push({
+          contact: contact,
+          error: 'Not on WhatsApp'
+        });
+        continue;
+      }
+      
       // Validate phone number
       if (!contact.phone_number || contact.phone_number.length < 7) {
         results.failed++;
@@ -223,10 +305,12 @@ async function importContacts(contacts, sessionId) {
         .from('contacts')
         .insert([{
           session_id: sessionId,
+          user_id: userId,
           phone_number: contact.phone_number,
           name: contact.name,
           email: contact.email,
-          notes: contact.notes
+          notes: contact.notes,
+          ...registrationFields(check)
         }])
         .select()
         .single();
@@ -265,9 +349,33 @@ async function importContacts(contacts, sessionId) {
  * /api/import/contacts-to-group:
  *   post:
  *     summary: Import contacts directly into a group
+ *     description: With verify_whatsapp=true, numbers not on WhatsApp are skipped (see /api/import/contacts).
  *     tags: [Import]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               session_id:
+ *                 type: string
+ *               group_id:
+ *                 type: string
+ *               verify_whatsapp:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Import results
+ *       404:
+ *         description: Session or group not found
+ *       409:
+ *         description: verify_whatsapp needs the session to be connected
  */
-router.post('/contacts-to-group', upload.single('file'), async (req, res) => {
+router.post('/contacts-to-group', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -285,6 +393,21 @@ router.post('/contacts-to-group', upload.single('file'), async (req, res) => {
       });
     }
     
+    if (!(await isSessionOwned(req, session_id))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
+    const { data: group } = await supabaseAdmin
+      .from('contact_groups')
+      .select('id')
+      .eq('id', group_id)
+      .eq('user_id', req.userId)
+      .maybeSingle();
+    
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
+    }
+    
     const fileName = req.file.originalname;
     let contacts = [];
     
@@ -295,24 +418,45 @@ router.post('/contacts-to-group', upload.single('file'), async (req, res) => {
       contacts = await parseExcel(req.file.buffer);
     }
     
+    const verify = isEnabled(req.body.verify_whatsapp);
+    const limitError = verify ? verifyLimitError(contacts) : null;
+    if (limitError) {
+      return res.status(400).json({ success: false, error: limitError });
+    }
+    
+    const checks = verify ? await checkContacts(contacts, session_id) : null;
+    
     // Import and add to group
     const results = {
       success: 0,
       failed: 0,
+      skipped: 0,
       errors: []
     };
     
-    for (const contact of contacts) {
+    for (const [index, contact] of contacts.entries()) {
+      const check = checks ? checks[index] : null;
       try {
+        if (check && check.registered === false) {
+          results.skipped++;
+          results.errors.push({
+            contact: contact,
+            error: 'Not on WhatsApp'
+          });
+          continue;
+        }
+        
         // Insert contact
         const { data: newContact, error: contactError } = await supabaseAdmin
           .from('contacts')
           .insert([{
             session_id: session_id,
+            user_id: req.userId,
             phone_number: contact.phone_number,
             name: contact.name,
             email: contact.email,
-            notes: contact.notes
+            notes: contact.notes,
+            ...registrationFields(check)
           }])
           .select()
           .single();
@@ -363,11 +507,15 @@ router.post('/contacts-to-group', upload.single('file'), async (req, res) => {
       success: true,
       imported: results.success,
       failed: results.failed,
+      skipped: results.skipped,
       total: contacts.length,
       errors: results.errors
     });
     
   } catch (error) {
+    if (error.code === 'SESSION_NOT_RUNNING' || error.code === 'PROVIDER_UNSUPPORTED') {
+      return res.status(409).json({ success: false, error: `Cannot verify numbers: ${error.message}` });
+    }
     console.error('Import to group error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,132 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const whatsappService = require('../services/whatsappService');
+const eventStreamService = require('../services/eventStreamService');
+const clusterService = require('../services/clusterService');
+const contactSyncService = require('../services/contactSyncService');
+
+/**
+ * Internal cluster API
+ *
+ * Called by other backend nodes (see ClusterService) to run operations on the
+ * WhatsApp clients of this node and to relay real-time events. Not part of the
+ * public API: requests must carry the shared CLUSTER_SECRET.
+ */
+
+const clusterAuth = (req, res, next) => {
+  if (!clusterService.verifySecret(req.headers['x-cluster-secret'])) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid cluster secret'
+    });
+  }
+  next();
+};
+
+const sendError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: error.code || null
+  });
+};
+
+// Check the secret before reading the body, so only other nodes can send large payloads
+router.use(clusterAuth, bodyParser.json({ limit: '200mb' }));
+
+// Send a message through a session running on this node
+router.post('/sessions/:id/send', async (req, res) => {
+  try {
+    const { to, message, options = {} } = req.body;
+    const result = await whatsappService.sendMessage(req.params.id, to, message, { ...options, forwarded: true });
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Request a new pairing code
+router.post('/sessions/:id/pairing-code', async (req, res) => {
+  try {
+    const result = await whatsappService.regeneratePairingCode(req.params.id);
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Live client state (health status)
+router.post('/sessions/:id/state', async (req, res) => {
+  try {
+    const result = await whatsappService.getClientState(req.params.id, { forwarded: true });
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Check whether a number is on WhatsApp
+router.post('/sessions/:id/check-number', async (req, res) => {
+  try {
+    const result = await whatsappService.checkNumber(req.params.id, req.body.phoneNumber, { forwarded: true });
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Group operation (list, read, create, participants, subject/description, invite link)
+router.post('/sessions/:id/group', async (req, res) => {
+  try {
+    const { method, args = [] } = req.body;
+    const result = await whatsappService.groupOperation(req.params.id, method, args, { forwarded: true });
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Start a contact sync
+router.post('/sessions/:id/contact-sync', async (req, res) => {
+  try {
+    const result = await contactSyncService.requestSync(req.params.id, { full: !!req.body.full, forwarded: true });
+    res.json({ success: true, result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cloud API webhook received by another node
+router.post('/sessions/:id/cloud-webhook', async (req, res) => {
+  try {
+    await whatsappService.handleCloudWebhook(req.body.value, { forwarded: true });
+    res.json({ success: true, result: null });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stop the client of a session that is being deleted through another node
+router.post('/sessions/:id/release', async (req, res) => {
+  try {
+    await whatsappService.dropClient(req.params.id, { deleteAuthData: !!req.body.deleteAuthData });
+    await clusterService.release(req.params.id);
+    res.json({ success: true, result: null });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Real-time event of a session running on another node
+router.post('/events', (req, res) => {
+  const { sessionId, event, data, options = {} } = req.body;
+
+  eventStreamService.publish(sessionId, event, data || {}, { ...options, relayed: true }).catch(error => {
+    console.error(`❌ Failed to stream relayed ${event} event:`, error.message);
+  });
+
+  res.json({ success: true });
+});
+
+module.exports = router;
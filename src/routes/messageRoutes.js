@@ -1,15 +1,87 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const whatsappService = require('../services/whatsappService');
+const messageQueueService = require('../services/messageQueueService');
+const inboundMediaService = require('../services/inboundMediaService');
 const { supabaseAdmin } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed, isTestRequest } = require('../utils/apiKeyScopes');
 const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const mimeTypes = require('mime-types');
+const { MAX_DOCUMENT_BYTES, buildMediaFromUpload, buildMediaFromUrl } = require('../utils/mediaHelper');
+const { isValidTimeZone, toUtcDate } = require('../utils/timezone');
+
+// Configure multer for media uploads (store in memory, size checked per media type)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_BYTES
+  }
+});
+
+// Multipart form fields arrive as strings
+const parseBoolean = (value) => value === true || value === 'true' || value === '1';
+
+// Maximum number of messages accepted in one schedule request
+const MAX_SCHEDULE_BATCH = 1000;
+
+// Resolve a requested send time to a future UTC date
+const resolveSendAt = (sendAt, timezone) => {
+  const date = toUtcDate(sendAt, timezone || 'UTC');
+
+  if (date.getTime() <= Date.now()) {
+    throw new Error(`sendAt must be in the future (got ${date.toISOString()})`);
+  }
+
+  return date;
+};
+
+// Load a scheduled message that belongs to one of the user's sessions
+const getOwnedScheduledMessage = async (messageId, req) => {
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .select('*')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (error || !message || !isSessionAllowed(req, message.session_id)) return null;
+  if (isTestRequest(req) && !message.is_test) return null;
+
+  const session = await whatsappService.getSession(message.session_id, req.userId).catch(() => null);
+  return session ? message : null;
+};
+
+// Which messages a history request returns: test keys only ever see sandbox messages,
+// everyone else sees live messages unless they ask for ?mode=test or ?mode=all
+const getMessageMode = (req) => {
+  if (isTestRequest(req)) return 'test';
+  return ['test', 'all'].includes(req.query.mode) ? req.query.mode : 'live';
+};
+
+const filterByMode = (query, mode) => (mode === 'all' ? query : query.eq('is_test', mode === 'test'));
+
+// The recipient is on the user's suppression list - nothing was sent
+const sendOptedOut = (res, reason, message) => {
+  res.status(422).json({
+    success: false,
+    skipped: true,
+    error: 'Recipient has opted out',
+    message: reason,
+    ...(message ? { queued_message: message } : {})
+  });
+};
 
 /**
  * @swagger
  * /api/messages/send:
  *   post:
  *     summary: Send a WhatsApp message
+ *     description: |
+ *       With a test API key (wp_test_) the send is simulated: the request is validated, the number
+ *       normalized and the message logged with is_test and a fake WhatsApp ID, and simulated
+ *       delivered/read receipts follow. Nothing is sent to WhatsApp and the session does not need
+ *       to be connected.
  *     tags: [Messages]
  *     requestBody:
  *       required: true
@@ -27,10 +99,13 @@ const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
  *                 description: Session ID to use for sending
  *               to:
  *                 type: string
- *                 description: Recipient phone number (with country code)
+ *                 description: Recipient phone number (with country code) or group ID (see /api/sessions/{id}/groups)
  *               message:
  *                 type: string
  *                 description: Message text to send
+ *               queue:
+ *                 type: boolean
+ *                 description: Add the message to the rate-limited send queue instead of sending immediately
  *     responses:
  *       200:
  *         description: Message sent successfully
@@ -43,14 +118,18 @@ const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
  *                   type: boolean
  *                 message:
  *                   $ref: '#/components/schemas/Message'
+ *       202:
+ *         description: Message queued (when queue is true)
+ *       422:
+ *         description: Recipient has opted out, the message was skipped
  *       400:
  *         description: Invalid request
  *       500:
  *         description: Server error
  */
-router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/send', authMiddleware, requireScope('messages:send'), checkBlockedMiddleware, async (req, res) => {
   try {
-    const { sessionId, to, message } = req.body;
+    const { sessionId, to, message, queue } = req.body;
 
     if (!sessionId || !to || !message) {
       return res.status(400).json({
@@ -68,9 +147,20 @@ router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) =>
       });
     }
 
-    const result = await whatsappService.sendMessage(sessionId, to, message);
+    if (queue) {
+      const queued = await messageQueueService.enqueue(sessionId, to, message, { source: 'api', sandbox: isTestRequest(req) });
+      if (queued.status === 'skipped') {
+        return sendOptedOut(res, queued.last_error, queued);
+      }
+      return res.status(202).json({ success: true, queued: true, message: queued });
+    }
+
+    const result = await whatsappService.sendMessage(sessionId, to, message, { sandbox: isTestRequest(req) });
     res.json({ success: true, message: result });
   } catch (error) {
+    if (error.code === 'RECIPIENT_OPTED_OUT') {
+      return sendOptedOut(res, error.message);
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to send message',
@@ -79,6 +169,598 @@ router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/send-media:
+ *   post:
+ *     summary: Send a media message (image, video, audio, document)
+ *     description: Upload the file as multipart/form-data, or provide a public mediaUrl to download it from. URLs (and redirects) to private, loopback or link-local addresses are rejected.
+ *     tags: [Messages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *               - to
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 description: Session ID to use for sending
+ *               to:
+ *                 type: string
+ *                 description: Recipient phone number (with country code) or group ID
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Media file to send (required unless mediaUrl is provided)
+ *               mediaUrl:
+ *                 type: string
+ *                 description: Public URL of the media file (alternative to file upload)
+ *               caption:
+ *                 type: string
+ *                 description: Caption shown with the media
+ *               filename:
+ *                 type: string
+ *                 description: File name shown to the recipient (defaults to the uploaded name)
+ *               mimeType:
+ *                 type: string
+ *                 description: Override the detected MIME type
+ *               sendAsVoice:
+ *                 type: boolean
+ *                 description: Send audio as a voice note
+ *               sendAsDocument:
+ *                 type: boolean
+ *                 description: Send image or video as a document (no compression)
+ *               queue:
+ *                 type: boolean
+ *                 description: Add the message to the rate-limited send queue instead of sending immediately
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *               - to
+ *               - mediaUrl
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               mediaUrl:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               filename:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               sendAsVoice:
+ *                 type: boolean
+ *               sendAsDocument:
+ *                 type: boolean
+ *               queue:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Media message sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid request or media
+ *       422:
+ *         description: Recipient has opted out, the message was skipped
+ *       500:
+ *         description: Server error
+ */
+router.post('/send-media', authMiddleware, requireScope('messages:send'), checkBlockedMiddleware, upload.single('file'), async (req, res) => {
+  try {
+    const { sessionId, to, caption, mediaUrl, filename, mimeType } = req.body;
+    const sendAsVoice = parseBoolean(req.body.sendAsVoice);
+    const sendAsDocument = parseBoolean(req.body.sendAsDocument);
+    const queue = parseBoolean(req.body.queue);
+
+    if (!sessionId || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionId and to are required'
+      });
+    }
+
+    if (!req.file && !mediaUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either a file upload or mediaUrl is required'
+      });
+    }
+
+    // requireScope runs before the multipart body is parsed, so check the session restriction here
+    if (!isSessionAllowed(req, sessionId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is not allowed to use this session'
+      });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(sessionId, req.userId);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    let media;
+    try {
+      const mediaOptions = { filename, mimetype: mimeType, asDocument: sendAsDocument };
+      media = req.file
+        ? buildMediaFromUpload(req.file, mediaOptions)
+        : await buildMediaFromUrl(mediaUrl, mediaOptions);
+    } catch (mediaError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid media',
+        message: mediaError.message
+      });
+    }
+
+    if (queue) {
+      const queued = await messageQueueService.enqueue(sessionId, to, caption, {
+        media,
+        sendAudioAsVoice: sendAsVoice,
+        sendMediaAsDocument: sendAsDocument,
+        source: 'api',
+        sandbox: isTestRequest(req)
+      });
+      if (queued.status === 'skipped') {
+        return sendOptedOut(res, queued.last_error, queued);
+      }
+      return res.status(202).json({ success: true, queued: true, message: queued });
+    }
+
+    const result = await whatsappService.sendMedia(sessionId, to, media, {
+      caption,
+      sendAudioAsVoice: sendAsVoice,
+      sendMediaAsDocument: sendAsDocument,
+      sandbox: isTestRequest(req)
+    });
+    res.json({ success: true, message: result });
+  } catch (error) {
+    if (error.code === 'RECIPIENT_OPTED_OUT') {
+      return sendOptedOut(res, error.message);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send media message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/schedule:
+ *   post:
+ *     summary: Schedule a message or a batch of messages for a future time
+ *     description: |
+ *       sendAt is an ISO 8601 date/time. Without an offset (e.g. "2025-12-31T09:00") it is read
+ *       as wall-clock time in the given timezone; with an offset or "Z" the timezone is ignored.
+ *       Provide either to/message for a single message or a messages array for a batch.
+ *       Scheduled messages are sent through the rate-limited queue. If the session is
+ *       disconnected at send time, its messages are held until it reconnects.
+ *     tags: [Messages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *               - sendAt
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               sendAt:
+ *                 type: string
+ *                 example: '2025-12-31T09:00'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone (default UTC)
+ *                 example: Africa/Casablanca
+ *               to:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               messages:
+ *                 type: array
+ *                 description: Batch of messages (each may override sendAt)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - to
+ *                     - message
+ *                   properties:
+ *                     to:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *                     sendAt:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Messages scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 scheduled:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/schedule', authMiddleware, requireScope('messages:send'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { sessionId, sendAt, to, message } = req.body;
+    const timezone = req.body.timezone || 'UTC';
+
+    if (!sessionId || !sendAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionId and sendAt are required'
+      });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: `Invalid timezone: ${timezone}` });
+    }
+
+    const items = Array.isArray(req.body.messages) ? req.body.messages : [{ to, message }];
+
+    if (items.length === 0 || items.length > MAX_SCHEDULE_BATCH) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide between 1 and ${MAX_SCHEDULE_BATCH} messages`
+      });
+    }
+
+    // Validate the whole batch before scheduling anything
+    const resolved = [];
+    for (const [index, item] of items.entries()) {
+      if (!item || !item.to || !item.message) {
+        return res.status(400).json({
+          success: false,
+          error: `Message ${index}: to and message are required`
+        });
+      }
+
+      try {
+        resolved.push({ ...item, scheduledAt: resolveSendAt(item.sendAt || sendAt, timezone) });
+      } catch (dateError) {
+        return res.status(400).json({
+          success: false,
+          error: `Message ${index}: ${dateError.message}`
+        });
+      }
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(sessionId, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const scheduled = [];
+    for (const item of resolved) {
+      scheduled.push(await messageQueueService.enqueue(sessionId, item.to, item.message, {
+        scheduledAt: item.scheduledAt,
+        timezone,
+        source: 'scheduled',
+        sandbox: isTestRequest(req)
+      }));
+    }
+
+    // Messages to opted-out recipients are stored with status 'skipped'
+    res.status(201).json({
+      success: true,
+      scheduled,
+      skipped: scheduled.filter(row => row.status === 'skipped').length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule messages',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/scheduled:
+ *   get:
+ *     summary: List scheduled messages
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, delivered, read, failed, cancelled]
+ *           default: pending
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [live, test, all]
+ *           default: live
+ *         description: Live messages, sandbox messages sent with test API keys, or both (test keys always get test)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Scheduled messages ordered by send time
+ */
+router.get('/scheduled', authMiddleware, requireScope('messages:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const status = req.query.status || 'pending';
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'sessionId is required' });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(sessionId, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const mode = getMessageMode(req);
+    const { data, error } = await filterByMode(supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('source', 'scheduled')
+      .eq('status', status), mode)
+      .order('scheduled_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    res.json({ success: true, mode, messages: data.map(m => messageQueueService.sanitize(m)) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduled messages',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/scheduled/{id}:
+ *   patch:
+ *     summary: Reschedule a pending message (and optionally change its text)
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sendAt
+ *             properties:
+ *               sendAt:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message rescheduled
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Message is no longer pending
+ */
+router.patch('/scheduled/:id', authMiddleware, requireScope('messages:send'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { sendAt, message } = req.body;
+
+    if (!sendAt) {
+      return res.status(400).json({ success: false, error: 'sendAt is required' });
+    }
+
+    const existing = await getOwnedScheduledMessage(req.params.id, req);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    const timezone = req.body.timezone || existing.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: `Invalid timezone: ${timezone}` });
+    }
+
+    let scheduledAt;
+    try {
+      scheduledAt = resolveSendAt(sendAt, timezone);
+    } catch (dateError) {
+      return res.status(400).json({ success: false, error: dateError.message });
+    }
+
+    const updated = await messageQueueService.reschedule(existing.id, scheduledAt, { message, timezone });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: `Message can no longer be rescheduled (status: ${existing.status})`
+      });
+    }
+
+    res.json({ success: true, message: updated });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/scheduled/{id}:
+ *   delete:
+ *     summary: Cancel a pending scheduled message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message cancelled
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Message is no longer pending
+ */
+router.delete('/scheduled/:id', authMiddleware, requireScope('messages:send'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const existing = await getOwnedScheduledMessage(req.params.id, req);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    const cancelled = await messageQueueService.cancel(existing.id);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Message can no longer be cancelled (status: ${existing.status})`
+      });
+    }
+
+    res.json({ success: true, message: cancelled });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/queue/{sessionId}:
+ *   get:
+ *     summary: Get the outbound queue for a session
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of queued messages to retrieve
+ *     responses:
+ *       200:
+ *         description: Queue counts and the next messages to be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 queue:
+ *                   type: object
+ *                   properties:
+ *                     pending:
+ *                       type: integer
+ *                     processing:
+ *                       type: integer
+ *                     rate_per_minute:
+ *                       type: integer
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *       500:
+ *         description: Server error
+ */
+router.get('/queue/:sessionId', authMiddleware, requireScope('messages:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(sessionId, req.userId);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const queue = await messageQueueService.getQueueStatus(sessionId, limit);
+    res.json({ success: true, queue });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch message queue',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/history/{sessionId}:
@@ -98,9 +780,22 @@ router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) =>
  *           type: integer
  *           default: 50
  *         description: Number of messages to retrieve
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, delivered, read, failed]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [live, test, all]
+ *           default: live
+ *         description: Live messages, sandbox messages sent with test API keys, or both (test keys always get test)
  *     responses:
  *       200:
- *         description: Message history
+ *         description: Message history with delivery status and sent/delivered/read/failed timestamps
  *         content:
  *           application/json:
  *             schema:
@@ -108,6 +803,9 @@ router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) =>
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 mode:
+ *                   type: string
+ *                   enum: [live, test, all]
  *                 messages:
  *                   type: array
  *                   items:
@@ -115,7 +813,7 @@ router.post('/send', authMiddleware, checkBlockedMiddleware, async (req, res) =>
  *       500:
  *         description: Server error
  */
-router.get('/history/:sessionId', authMiddleware, async (req, res) => {
+router.get('/history/:sessionId', authMiddleware, requireScope('messages:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -129,16 +827,24 @@ router.get('/history/:sessionId', authMiddleware, async (req, res) => {
       });
     }
 
-    const { data: messages, error } = await supabaseAdmin
+    const mode = getMessageMode(req);
+    let query = filterByMode(supabaseAdmin
       .from('messages')
       .select('*')
-      .eq('session_id', sessionId)
+      .eq('session_id', sessionId), mode)
       .order('created_at', { ascending: false })
       .limit(limit);
 
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: messages, error } = await query;
+
     if (error) throw error;
 
-    res.json({ success: true, messages });
+    // Queued rows carry their send payload (possibly base64 media) - don't return it
+    res.json({ success: true, mode, messages: messages.map(m => messageQueueService.sanitize(m)) });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -148,6 +854,92 @@ router.get('/history/:sessionId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/{messageId}/status:
+ *   get:
+ *     summary: Get the delivery status of a sent message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID (from the send response)
+ *     responses:
+ *       200:
+ *         description: Current status and receipt timestamps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 status:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     whatsapp_message_id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, processing, sent, delivered, read, failed]
+ *                     ack:
+ *                       type: integer
+ *                     sent_at:
+ *                       type: string
+ *                       format: date-time
+ *                     delivered_at:
+ *                       type: string
+ *                       format: date-time
+ *                     read_at:
+ *                       type: string
+ *                       format: date-time
+ *                     failed_at:
+ *                       type: string
+ *                       format: date-time
+ *                     last_error:
+ *                       type: string
+ *                     is_test:
+ *                       type: boolean
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:messageId/status', authMiddleware, requireScope('messages:read'), async (req, res) => {
+  try {
+    const { data: message, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, session_id, to, status, whatsapp_message_id, ack, scheduled_at, sent_at, delivered_at, read_at, failed_at, last_error, is_test, created_at')
+      .eq('id', req.params.messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!message || (isTestRequest(req) && !message.is_test)) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    // Verify user owns the session the message was sent from
+    const session = await whatsappService.getSession(message.session_id, req.userId).catch(() => null);
+    if (!session || !isSessionAllowed(req, message.session_id)) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    res.json({ success: true, status: message });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch message status',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/received/{sessionId}:
@@ -179,10 +971,12 @@ router.get('/history/:sessionId', authMiddleware, async (req, res) => {
  *                   type: boolean
  *                 messages:
  *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReceivedMessage'
  *       500:
  *         description: Server error
  */
-router.get('/received/:sessionId', authMiddleware, async (req, res) => {
+router.get('/received/:sessionId', authMiddleware, requireScope('messages:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -215,5 +1009,103 @@ router.get('/received/:sessionId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/received/{sessionId}/{messageId}/media:
+ *   get:
+ *     summary: Download the media of a received message
+ *     description: |
+ *       Images, videos and audio are served inline, other files as attachments. Media over
+ *       MEDIA_MAX_INBOUND_BYTES is not kept, and stored files are removed after MEDIA_RETENTION_DAYS.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: received_messages ID
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Always serve as an attachment
+ *     responses:
+ *       200:
+ *         description: The file, with its MIME type
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Session or message not found, or the message has no media
+ *       410:
+ *         description: The media was not kept (media_status too_large, failed, skipped) or has expired
+ */
+router.get('/received/:sessionId/:messageId/media', authMiddleware, requireScope('messages:read'), async (req, res) => {
+  try {
+    const { sessionId, messageId } = req.params;
+
+    const session = isSessionAllowed(req, sessionId)
+      ? await whatsappService.getSession(sessionId, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const { data: record, error } = await supabaseAdmin
+      .from('received_messages')
+      .select('id, media_type, media_mime_type, media_filename, media_path, media_status')
+      .eq('session_id', session.id)
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!record || !record.media_status) {
+      return res.status(404).json({ success: false, error: 'Message not found or has no media' });
+    }
+
+    const file = await inboundMediaService.loadMedia(record);
+    if (!file) {
+      return res.status(410).json({
+        success: false,
+        error: 'The media of this message is not available',
+        media_status: record.media_status === 'stored' ? 'expired' : record.media_status
+      });
+    }
+
+    const mimetype = record.media_mime_type || 'application/octet-stream';
+    const extension = mimeTypes.extension(mimetype);
+    const filename = record.media_filename || `${record.media_type}${extension ? `.${extension}` : ''}`;
+
+    // Only plain media is shown in the browser; anything else (HTML, SVG...) is downloaded
+    const inline = req.query.download !== 'true' &&
+      /^(image|video|audio)\//.test(mimetype) && mimetype !== 'image/svg+xml';
+
+    res.set({
+      'Content-Type': mimetype,
+      'Content-Length': file.length,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch media',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const whatsappService = require('../services/whatsappService');
-const { authMiddleware } = require('../middleware/auth');
+const sessionEventService = require('../services/sessionEventService');
+const registrationService = require('../services/registrationService');
+const contactSyncService = require('../services/contactSyncService');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed, getAllowedSessionIds } = require('../utils/apiKeyScopes');
 const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { PROVIDERS, isProviderAvailable } = require('../providers');
+
+// Provider credentials are never returned
+const formatSession = ({ cloud_access_token, ...session }) => session;
 
 /**
  * @swagger
@@ -31,10 +39,10 @@ const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requireScope('sessions:read'), async (req, res) => {
   try {
     const sessions = await whatsappService.getUserSessions(req.userId);
-    res.json({ success: true, sessions });
+    res.json({ success: true, sessions: sessions.filter(session => isSessionAllowed(req, session.id)).map(formatSession) });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
@@ -44,6 +52,98 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Availability window from the from/to query parameters (default: the last 24 hours)
+const MAX_AVAILABILITY_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+
+const parseWindow = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_AVAILABILITY_WINDOW_MS) {
+    return { error: 'The window can be at most 90 days' };
+  }
+
+  return { from, to };
+};
+
+/**
+ * @swagger
+ * /api/sessions/availability:
+ *   get:
+ *     summary: Get uptime and availability of all sessions over a time window
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start (default 24 hours before to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (default now, at most 90 days after from)
+ *     responses:
+ *       200:
+ *         description: Availability per session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           session_id:
+ *                             type: string
+ *                           session_name:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/SessionAvailability'
+ *       400:
+ *         description: Invalid window
+ */
+router.get('/availability', authMiddleware, requireScope('sessions:read'), async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, error: window.error });
+    }
+
+    const sessions = (await whatsappService.getUserSessions(req.userId))
+      .filter(session => isSessionAllowed(req, session.id));
+
+    const availability = [];
+    for (const session of sessions) {
+      availability.push({
+        session_id: session.id,
+        session_name: session.session_name,
+        ...await sessionEventService.getAvailability(session, window.from, window.to)
+      });
+    }
+
+    res.json({ success: true, sessions: availability });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute availability',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/sessions/{id}:
@@ -74,10 +174,14 @@ router.get('/', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requireScope('sessions:read'), async (req, res) => {
   try {
+    if (!isSessionAllowed(req, req.params.id)) {
+      return res.status(403).json({ success: false, error: 'API key is not allowed to use this session' });
+    }
+
     const session = await whatsappService.getSession(req.params.id, req.userId);
-    res.json({ success: true, session });
+    res.json({ success: true, session: formatSession(session) });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
@@ -92,6 +196,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
  * /api/sessions:
  *   post:
  *     summary: Create a new WhatsApp session
+ *     description: |
+ *       Without phoneNumber the phone links by scanning the QR code (session.qr_code).
+ *       With phoneNumber the session links with an 8-character pairing code, entered on the phone under
+ *       Linked devices > Link a device > Link with phone number instead. The first code is returned
+ *       when it is ready in time; see /api/sessions/{id}/pairing-code.
+ *
+ *       With provider cloud_api the session runs on the official WhatsApp Cloud API instead of WhatsApp Web:
+ *       nothing is scanned, the session is ready once the phone number ID and access token are accepted.
+ *       Incoming messages and delivery statuses arrive on /api/cloud-api/webhook.
+ *
+ *       With provider fake the session runs on the in-memory fake WhatsApp (development and tests only,
+ *       never in production); see /api/fake.
  *     tags: [Sessions]
  *     requestBody:
  *       required: true
@@ -105,6 +221,19 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *               sessionName:
  *                 type: string
  *                 description: Name for the session
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Phone number to link (with country code) - enables pairing code login
+ *               provider:
+ *                 type: string
+ *                 enum: [web, cloud_api, fake]
+ *                 description: Default WHATSAPP_PROVIDER, else web
+ *               cloudPhoneNumberId:
+ *                 type: string
+ *                 description: Cloud API phone number ID (required for cloud_api)
+ *               cloudAccessToken:
+ *                 type: string
+ *                 description: Cloud API access token (default CLOUD_API_ACCESS_TOKEN)
  *     responses:
  *       201:
  *         description: Session created successfully
@@ -122,9 +251,14 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requireScope('sessions:write'), checkBlockedMiddleware, async (req, res) => {
   try {
-    const { sessionName } = req.body;
+    const { sessionName, phoneNumber, provider, cloudPhoneNumberId, cloudAccessToken } = req.body;
+
+    // A key limited to some sessions cannot create new ones
+    if (getAllowedSessionIds(req)) {
+      return res.status(403).json({ success: false, error: 'API key is restricted to specific sessions' });
+    }
     
     if (!sessionName) {
       return res.status(400).json({ 
@@ -133,8 +267,42 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
       });
     }
 
-    const session = await whatsappService.createSession(sessionName, req.userId);
-    res.status(201).json({ success: true, session });
+    if (provider !== undefined && !isProviderAvailable(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid provider. Use one of: ${Object.keys(PROVIDERS).filter(isProviderAvailable).join(', ')}`
+      });
+    }
+
+    if (provider === 'cloud_api') {
+      if (phoneNumber) {
+        return res.status(400).json({ success: false, error: 'Cloud API sessions do not link with a pairing code' });
+      }
+      if (!cloudPhoneNumberId || !/^\d+$/.test(String(cloudPhoneNumberId))) {
+        return res.status(400).json({ success: false, error: 'cloudPhoneNumberId is required for Cloud API sessions' });
+      }
+      if (!cloudAccessToken && !process.env.CLOUD_API_ACCESS_TOKEN) {
+        return res.status(400).json({ success: false, error: 'cloudAccessToken is required (no default Cloud API access token is configured)' });
+      }
+    }
+
+    let pairingPhoneNumber = null;
+    if (phoneNumber) {
+      pairingPhoneNumber = whatsappService.normalizePhoneNumber(String(phoneNumber));
+      if (!pairingPhoneNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phoneNumber. Use the international format with country code, e.g. +212612345678'
+        });
+      }
+    }
+
+    const session = await whatsappService.createSession(sessionName, req.userId, {
+      phoneNumber: pairingPhoneNumber,
+      provider,
+      cloudApi: provider === 'cloud_api' ? { phoneNumberId: String(cloudPhoneNumberId), accessToken: cloudAccessToken || null } : null
+    });
+    res.status(201).json({ success: true, session: formatSession(session) });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
@@ -144,6 +312,536 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
   }
 });
 
+// Pairing code details returned by the pairing-code routes
+const formatPairing = (session) => {
+  const expiresAt = session.pairing_code_expires_at ? new Date(session.pairing_code_expires_at) : null;
+  const expired = !expiresAt || expiresAt.getTime() <= Date.now();
+
+  return {
+    phone_number: session.pairing_phone_number,
+    status: session.status,
+    pairing_code: expired ? null : session.pairing_code,
+    expires_at: expired ? null : expiresAt.toISOString(),
+    expires_in_seconds: expired ? 0 : Math.round((expiresAt.getTime() - Date.now()) / 1000)
+  };
+};
+
+/**
+ * @swagger
+ * /api/sessions/{id}/pairing-code:
+ *   get:
+ *     summary: Get the current pairing code of a session that links by phone number
+ *     description: |
+ *       The code is null while the first one is being generated and after it expired.
+ *       A new code is generated automatically when the current one expires.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pairing code and expiry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 pairing:
+ *                   $ref: '#/components/schemas/PairingCode'
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session links with a QR code or is already linked
+ */
+router.get('/:id/pairing-code', authMiddleware, requireScope('sessions:read'), async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    if (!session.pairing_phone_number) {
+      return res.status(409).json({ success: false, error: 'This session links with a QR code, not a pairing code' });
+    }
+
+    if (session.phone_number) {
+      return res.status(409).json({ success: false, error: 'This session is already linked' });
+    }
+
+    res.json({ success: true, pairing: formatPairing(session) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pairing code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/pairing-code:
+ *   post:
+ *     summary: Generate a new pairing code (the previous one stops working)
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New pairing code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 pairing:
+ *                   $ref: '#/components/schemas/PairingCode'
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session links with a QR code, is already linked or is not running
+ */
+router.post('/:id/pairing-code', authMiddleware, requireScope('sessions:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const pairing = await whatsappService.regeneratePairingCode(session.id);
+    res.json({
+      success: true,
+      pairing: formatPairing({
+        ...session,
+        pairing_code: pairing.pairing_code,
+        pairing_code_expires_at: pairing.expires_at
+      })
+    });
+  } catch (error) {
+    if (error.code === 'PAIRING_CODE_UNAVAILABLE') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate pairing code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/check-numbers:
+ *   post:
+ *     summary: Check whether phone numbers are on WhatsApp
+ *     description: |
+ *       Asks WhatsApp through the session (which must be connected) and returns the canonical chat ID of
+ *       every registered number. Results are cached on the session's contacts for REGISTRATION_CHECK_TTL_DAYS;
+ *       imports with verify_whatsapp and campaigns skip contacts that are not on WhatsApp.
+ *       Numbers checked live are spaced by REGISTRATION_CHECK_DELAY_MS.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - numbers
+ *             properties:
+ *               numbers:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                 example: ["+212612345678", "5511987654321"]
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ask WhatsApp again even when a cached result is fresh
+ *     responses:
+ *       200:
+ *         description: One result per number, in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NumberCheck'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     registered:
+ *                       type: integer
+ *                     not_registered:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *       400:
+ *         description: Invalid request, or the session's provider cannot check numbers
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not connected
+ */
+router.post('/:id/check-numbers', authMiddleware, requireScope('contacts:read'), async (req, res) => {
+  try {
+    const { numbers, force = false } = req.body;
+
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      return res.status(400).json({ success: false, error: 'numbers must be a non-empty array' });
+    }
+
+    if (numbers.length > registrationService.maxNumbers) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${registrationService.maxNumbers} numbers can be checked at once`
+      });
+    }
+
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const results = await registrationService.checkNumbers(session.id, numbers, { force: !!force });
+
+    res.json({
+      success: true,
+      results,
+      summary: {
+        registered: results.filter(result => result.registered === true).length,
+        not_registered: results.filter(result => result.registered === false).length,
+        failed: results.filter(result => result.registered === null).length
+      }
+    });
+  } catch (error) {
+    if (error.code === 'SESSION_NOT_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.code === 'PROVIDER_UNSUPPORTED') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check numbers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/contacts/sync:
+ *   get:
+ *     summary: Contact sync status of a session
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status of the last sync
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sync:
+ *                   $ref: '#/components/schemas/ContactSync'
+ *       404:
+ *         description: Session not found
+ *   post:
+ *     summary: Sync the phone's WhatsApp contacts and chats into contacts
+ *     description: |
+ *       Runs in the background; follow it with GET. Incremental by default: new contacts, changed
+ *       names or business flags, chats with new messages and profile pictures older than
+ *       CONTACT_SYNC_PICTURE_TTL_DAYS. With full, every contact and picture is rewritten.
+ *       Names edited in the app are never overwritten (the WhatsApp name is stored in whatsapp_name).
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               full:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       202:
+ *         description: Sync started (or already running)
+ *       400:
+ *         description: The session's provider has no address book
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not connected
+ */
+router.get('/:id/contacts/sync', authMiddleware, requireScope('contacts:read'), async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({ success: true, sync: contactSyncService.getStatus(session) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch contact sync status',
+      message: error.message
+    });
+  }
+});
+
+router.post('/:id/contacts/sync', authMiddleware, requireScope('contacts:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const sync = await contactSyncService.requestSync(session.id, { full: !!req.body?.full });
+    res.status(202).json({ success: true, sync });
+  } catch (error) {
+    if (error.code === 'SESSION_NOT_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.code === 'PROVIDER_UNSUPPORTED') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start contact sync',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/events:
+ *   get:
+ *     summary: Get the lifecycle event history of a session (newest first)
+ *     description: |
+ *       Every connect, disconnect (with its reason), WhatsApp Web state change, reconnect attempt,
+ *       keepalive failure, restore and shutdown of the session, to diagnose why it dropped.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Only these event types (comma-separated, e.g. disconnected,state_changed)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Session events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionEvent'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id/events', authMiddleware, requireScope('sessions:read'), async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const events = req.query.event
+      ? String(req.query.event).split(',').map(event => event.trim()).filter(Boolean)
+      : null;
+    const unknown = (events || []).filter(event => !sessionEventService.SESSION_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown event type: ${unknown.join(', ')}` });
+    }
+
+    for (const param of ['from', 'to']) {
+      if (req.query[param] && isNaN(new Date(req.query[param]).getTime())) {
+        return res.status(400).json({ success: false, error: `${param} must be a valid date` });
+      }
+    }
+
+    const result = await sessionEventService.getEvents(session.id, {
+      events,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/availability:
+ *   get:
+ *     summary: Get uptime and availability of a session over a time window
+ *     description: |
+ *       The session counts as up from 'ready' (or a recovered keepalive / CONNECTED state) until it
+ *       disconnects, fails authentication, fails a keepalive check, leaves the CONNECTED state or the
+ *       server stops. The window is clipped to the session's creation and to now.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start (default 24 hours before to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (default now, at most 90 days after from)
+ *     responses:
+ *       200:
+ *         description: Session availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 availability:
+ *                   $ref: '#/components/schemas/SessionAvailability'
+ *       400:
+ *         description: Invalid window
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id/availability', authMiddleware, requireScope('sessions:read'), async (req, res) => {
+  try {
+    const session = isSessionAllowed(req, req.params.id)
+      ? await whatsappService.getSession(req.params.id, req.userId).catch(() => null)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, error: window.error });
+    }
+
+    const availability = await sessionEventService.getAvailability(session, window.from, window.to);
+    res.json({ success: true, availability });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute availability',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/sessions/{id}:
@@ -163,8 +861,12 @@ router.post('/', authMiddleware, checkBlockedMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requireScope('sessions:write'), checkBlockedMiddleware, async (req, res) => {
   try {
+    if (!isSessionAllowed(req, req.params.id)) {
+      return res.status(403).json({ success: false, error: 'API key is not allowed to use this session' });
+    }
+
     await whatsappService.deleteSession(req.params.id, req.userId);
     res.json({ success: true, message: 'Session deleted successfully' });
   } catch (error) {
@@ -191,31 +893,19 @@ router.get('/health-status', async (req, res) => {
     const sessions = await whatsappService.getAllSessions();
     
     const status = await Promise.all(sessions.map(async (session) => {
-      const client = whatsappService.getClient(session.id);
-      let clientState = 'no_client';
-      let isReady = false;
-      let phoneNumber = null;
-      
-      if (client) {
-        try {
-          clientState = await client.getState();
-          const info = await client.info;
-          isReady = !!info;
-          if (info) {
-            phoneNumber = info.wid?.user || null;
-          }
-        } catch (error) {
-          clientState = 'error';
-        }
-      }
+      // Asks the node running the session in cluster mode
+      const { state: clientState, is_ready: isReady, phone_number: phoneNumber, node_id: nodeId } =
+        await whatsappService.getClientState(session.id);
       
       return {
         id: session.id,
         name: session.session_name,
         phone: session.phone_number || phoneNumber,
+        provider: session.provider || 'web',
         db_status: session.status,
         client_state: clientState,
         is_ready: isReady,
+        node_id: nodeId,
         needs_attention: (clientState !== 'CONNECTED' && session.status === 'connected') ||
                         (clientState === 'CONFLICT' || clientState === 'UNPAIRED'),
         last_updated: session.updated_at
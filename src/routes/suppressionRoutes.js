@@ -0,0 +1,509 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const xlsx = require('xlsx');
+const csvParser = require('csv-parser');
+const { Readable } = require('stream');
+const suppressionService = require('../services/suppressionService');
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+
+// Configure multer for file uploads (store in memory)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.match(/\.(csv|xlsx|xls)$/)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, XLS, and XLSX files are allowed'));
+    }
+  }
+});
+
+// Columns written by the export (and read back by the import)
+const EXPORT_COLUMNS = ['phone_number', 'reason', 'keyword', 'language', 'notes', 'created_at'];
+
+// Phone number or WhatsApp ID -> digits stored in the suppression list
+const toPhoneNumber = (value) => whatsappService.getRecipientNumber(String(value || ''));
+
+// Helper: Parse CSV rows
+function parseCSV(buffer) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer.toString())
+      .pipe(csvParser())
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', (error) => reject(error));
+  });
+}
+
+// Helper: Parse Excel rows (first sheet)
+function parseExcel(buffer) {
+  try {
+    const workbook = xlsx.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return xlsx.utils.sheet_to_json(worksheet);
+  } catch (error) {
+    throw new Error('Failed to parse Excel file: ' + error.message);
+  }
+}
+
+// Helper: Quote a CSV value when needed
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @swagger
+ * /api/opt-outs:
+ *   get:
+ *     summary: Get the suppression list (numbers that opted out)
+ *     tags: [Opt-Outs]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by phone number
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [keyword, manual, import]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Suppressed numbers, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 opt_outs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OptOut'
+ *                 total:
+ *                   type: integer
+ */
+router.get('/', authMiddleware, requireScope('opt_outs:read'), async (req, res) => {
+  try {
+    const { search, reason } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = supabaseAdmin
+      .from('suppression_list')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      query = query.like('phone_number', `%${search.replace(/\D/g, '')}%`);
+    }
+
+    if (reason) {
+      query = query.eq('reason', reason);
+    }
+
+    const { data, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, opt_outs: data, total: count });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opt-outs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs:
+ *   post:
+ *     summary: Add numbers to the suppression list
+ *     description: No message (bot, campaign, WooCommerce, auto-reply or API) is sent to suppressed numbers.
+ *     tags: [Opt-Outs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone_number:
+ *                 type: string
+ *                 example: '212600000000'
+ *               phone_numbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Numbers added (numbers already on the list are left unchanged)
+ *       400:
+ *         description: Invalid phone number
+ */
+router.post('/', authMiddleware, requireScope('opt_outs:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { phone_number, phone_numbers, notes } = req.body;
+    const values = phone_numbers || (phone_number ? [phone_number] : []);
+
+    if (!Array.isArray(values) || values.length === 0) {
+      return res.status(400).json({ success: false, error: 'phone_number or phone_numbers is required' });
+    }
+
+    const invalid = values.filter(value => !toPhoneNumber(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid phone number(s)', invalid });
+    }
+
+    const added = await suppressionService.add(req.userId, values.map(value => ({
+      phone_number: toPhoneNumber(value),
+      reason: 'manual',
+      notes
+    })));
+
+    res.status(201).json({ success: true, added, total: values.length });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add opt-outs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/keywords:
+ *   get:
+ *     summary: Get the opt-out keywords (built-in defaults and custom keywords)
+ *     description: An incoming message that consists only of one of these keywords (case and accents ignored) adds the sender to the suppression list.
+ *     tags: [Opt-Outs]
+ *     responses:
+ *       200:
+ *         description: Keywords grouped by language
+ */
+router.get('/keywords', authMiddleware, requireScope('opt_outs:read'), async (req, res) => {
+  try {
+    const keywords = await suppressionService.getKeywords(req.userId);
+
+    const byLanguage = {};
+    for (const entry of keywords) {
+      if (!byLanguage[entry.language]) byLanguage[entry.language] = [];
+      byLanguage[entry.language].push(entry);
+    }
+
+    res.json({ success: true, keywords: byLanguage });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opt-out keywords',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/keywords:
+ *   post:
+ *     summary: Add a custom opt-out keyword
+ *     tags: [Opt-Outs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - language
+ *               - keyword
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 example: it
+ *               keyword:
+ *                 type: string
+ *                 example: BASTA
+ *     responses:
+ *       201:
+ *         description: Keyword added
+ *       409:
+ *         description: Keyword already exists
+ */
+router.post('/keywords', authMiddleware, requireScope('opt_outs:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const language = String(req.body.language || '').trim().toLowerCase();
+    const keyword = String(req.body.keyword || '').replace(/\s+/g, ' ').trim();
+
+    if (!language || !keyword) {
+      return res.status(400).json({ success: false, error: 'language and keyword are required' });
+    }
+
+    if (keyword.length > 50) {
+      return res.status(400).json({ success: false, error: 'keyword must be at most 50 characters' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('opt_out_keywords')
+      .insert([{ user_id: req.userId, language, keyword }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'Keyword already exists' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ success: true, keyword: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add opt-out keyword',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/keywords/{id}:
+ *   delete:
+ *     summary: Delete a custom opt-out keyword (built-in keywords cannot be removed)
+ *     tags: [Opt-Outs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Keyword deleted
+ */
+router.delete('/keywords/:id', authMiddleware, requireScope('opt_outs:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('opt_out_keywords')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Opt-out keyword deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete opt-out keyword',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/import:
+ *   post:
+ *     summary: Import numbers into the suppression list from CSV or Excel
+ *     description: The file needs a phone_number (or phone) column; a notes column is optional.
+ *     tags: [Opt-Outs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import results
+ */
+router.post('/import', authMiddleware, checkBlockedMiddleware, upload.single('file'), requireScope('opt_outs:write'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const rows = req.file.originalname.endsWith('.csv')
+      ? await parseCSV(req.file.buffer)
+      : parseExcel(req.file.buffer);
+
+    const entries = [];
+    const errors = [];
+    for (const row of rows) {
+      const raw = row.phone_number || row.phone;
+      const phone = toPhoneNumber(raw);
+      if (!phone) {
+        errors.push({ phone_number: raw || null, error: 'Invalid phone number' });
+        continue;
+      }
+      entries.push({ phone_number: phone, reason: 'import', notes: row.notes || null });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid phone numbers found in file',
+        errors
+      });
+    }
+
+    const imported = await suppressionService.add(req.userId, entries);
+
+    res.json({
+      success: true,
+      imported,
+      already_suppressed: entries.length - imported,
+      failed: errors.length,
+      total: rows.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Opt-out import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import opt-outs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/export:
+ *   get:
+ *     summary: Download the suppression list
+ *     tags: [Opt-Outs]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: CSV or Excel file
+ */
+router.get('/export', authMiddleware, requireScope('opt_outs:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'Invalid format' });
+    }
+
+    // Page through the list (PostgREST caps rows per request)
+    const rows = [];
+    for (let offset = 0; ; offset += 1000) {
+      const { data, error } = await supabaseAdmin
+        .from('suppression_list')
+        .select(EXPORT_COLUMNS.join(', '))
+        .eq('user_id', req.userId)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + 999);
+
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < 1000) break;
+    }
+
+    if (format === 'csv') {
+      const lines = [EXPORT_COLUMNS.join(',')];
+      for (const row of rows) {
+        lines.push(EXPORT_COLUMNS.map(column => csvValue(row[column])).join(','));
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=opt_outs.csv');
+      return res.send(lines.join('\n'));
+    }
+
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rows, { header: EXPORT_COLUMNS });
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Opt-Outs');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=opt_outs.xlsx');
+    res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export opt-outs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opt-outs/{phone}:
+ *   delete:
+ *     summary: Remove a number from the suppression list (messages can be sent to it again)
+ *     tags: [Opt-Outs]
+ *     parameters:
+ *       - in: path
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number removed
+ *       404:
+ *         description: Number is not on the list
+ */
+router.delete('/:phone', authMiddleware, requireScope('opt_outs:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const phone = toPhoneNumber(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Invalid phone number' });
+    }
+
+    const removed = await suppressionService.remove(req.userId, phone);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Number is not on the suppression list' });
+    }
+
+    res.json({ success: true, message: 'Number removed from the suppression list' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove opt-out',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,583 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+const whatsappService = require('../services/whatsappService');
+const { supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed, getAllowedSessionIds } = require('../utils/apiKeyScopes');
+const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
+const { assertPublicUrl } = require('../utils/urlGuard');
+
+// Hide the signing secret except when it is created or rotated
+const maskSecret = (webhook) => ({
+  ...webhook,
+  secret: webhook.secret ? `${webhook.secret.slice(0, 10)}...` : null
+});
+
+// Validate the event filter against supported events
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+
+  const invalid = events.filter(e => e !== '*' && !webhookService.supportedEvents.includes(e));
+  if (invalid.length > 0) {
+    return `Unsupported events: ${invalid.join(', ')}. Supported: *, ${webhookService.supportedEvents.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Validate the target URL: http(s) and a public host (checked again on every delivery)
+const validateUrl = async (url) => {
+  try {
+    await assertPublicUrl(url);
+    return null;
+  } catch (error) {
+    return `url must be a public http(s) URL: ${error.message}`;
+  }
+};
+
+// Load a webhook owned by the current user (and allowed for its API key)
+const getOwnedWebhook = async (webhookId, req) => {
+  const { data, error } = await supabaseAdmin
+    .from('webhooks')
+    .select('*')
+    .eq('id', webhookId)
+    .eq('user_id', req.userId)
+    .single();
+
+  if (error) return null;
+  return isSessionAllowed(req, data.session_id) ? data : null;
+};
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: List events that webhooks can subscribe to
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Supported webhook events
+ */
+router.get('/events', authMiddleware, requireScope('webhooks:read'), (req, res) => {
+  res.json({ success: true, events: webhookService.supportedEvents });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhooks for the current user
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Filter by session ID
+ *     responses:
+ *       200:
+ *         description: List of webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ */
+router.get('/', authMiddleware, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const { session_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('webhooks')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, webhooks: data.map(maskSecret) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a specific webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', authMiddleware, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    res.json({ success: true, webhook: maskSecret(webhook) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint for a session
+ *     description: |
+ *       Deliveries are POSTed as JSON and signed with the webhook secret.
+ *       Verify them by computing HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>"
+ *       with the secret and comparing it to the hex value in X-Webhook-Signature (sha256=...).
+ *       The secret is only returned in full when the webhook is created or its secret rotated.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_id
+ *               - url
+ *             properties:
+ *               session_id:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 description: HTTPS endpoint that receives events (private, loopback and link-local hosts are rejected)
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Events to deliver (default ["message.received"], "*" for all)
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret (generated when omitted)
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const { session_id, url, description } = req.body;
+    const events = req.body.events || ['message.received'];
+
+    if (!session_id || !url) {
+      return res.status(400).json({
+        success: false,
+        error: 'session_id and url are required'
+      });
+    }
+
+    const urlError = await validateUrl(url);
+    if (urlError) {
+      return res.status(400).json({ success: false, error: urlError });
+    }
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({ success: false, error: eventsError });
+    }
+
+    // Verify user owns this session
+    const session = await whatsappService.getSession(session_id, req.userId).catch(() => null);
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: You do not own this session'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhooks')
+      .insert([{
+        user_id: req.userId,
+        session_id,
+        url,
+        events,
+        description,
+        secret: req.body.secret || webhookService.generateSecret(),
+        is_active: true
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, webhook: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ */
+router.put('/:id', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const updates = {};
+    const { url, events, description, is_active } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await validateUrl(url);
+      if (urlError) {
+        return res.status(400).json({ success: false, error: urlError });
+      }
+      updates.url = url;
+    }
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({ success: false, error: eventsError });
+      }
+      updates.events = events;
+    }
+
+    if (description !== undefined) updates.description = description;
+    if (is_active !== undefined) updates.is_active = !!is_active;
+    updates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('webhooks')
+      .update(updates)
+      .eq('id', webhook.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, webhook: maskSecret(data) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Generate a new signing secret for a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New secret (shown in full only in this response)
+ */
+router.post('/:id/rotate-secret', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhooks')
+      .update({ secret: webhookService.generateSecret(), updated_at: new Date().toISOString() })
+      .eq('id', webhook.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, webhook: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ */
+router.delete('/:id', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('webhooks')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId);
+
+    const allowedSessions = getAllowedSessionIds(req);
+    if (allowedSessions) {
+      query = query.in('session_id', allowedSessions);
+    }
+
+    const { error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a signed test event to a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery result
+ */
+router.post('/:id/test', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const delivery = await webhookService.sendTestEvent(webhook);
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test event',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log for a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Delivery attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ */
+router.get('/:id/deliveries', authMiddleware, requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+
+    let query = supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', webhook.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ success: true, deliveries: data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a previous delivery again
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New delivery result
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', authMiddleware, requireScope('webhooks:write'), checkBlockedMiddleware, async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.params.id, req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const { data: delivery, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', req.params.deliveryId)
+      .eq('webhook_id', webhook.id)
+      .single();
+
+    if (error || !delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const result = await webhookService.redeliver(delivery, webhook);
+    res.json({ success: result.status === 'delivered', delivery: result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const whatsappService = require('../services/whatsappService');
+const messageQueueService = require('../services/messageQueueService');
 const woocommerceService = require('../services/woocommerceService');
 const PhoneValidator = require('../utils/phoneValidator');
 const { supabaseAdmin } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireScope } = require('../middleware/auth');
+const { isSessionAllowed } = require('../utils/apiKeyScopes');
 const { checkBlockedMiddleware } = require('../middleware/checkBlocked');
 
+// Order created message when the store has no template
+const DEFAULT_ORDER_CREATED_TEMPLATE = `Hello {customer_name}! 🎉
+
+Thank you for your order!
+
+📦 Order #{order_number}
+💰 Total: {currency} {total}
+📅 Date: {order_date}
+
+Items:
+{items}
+
+We'll keep you updated on your order status!
+
+Thank you for shopping with us! ❤️`;
+
 // Verify webhook signature
 function verifyWebhookSignature(payload, signature, secret) {
   const hash = crypto
@@ -23,6 +40,7 @@ function verifyWebhookSignature(payload, signature, secret) {
  *   post:
  *     summary: Webhook endpoint for WooCommerce order created
  *     tags: [WooCommerce]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -178,25 +196,7 @@ router.post('/order-created', async (req, res) => {
     }
     
     const sessionId = settings.session_id;
-    let messageTemplate = settings.order_created_template;
-    
-    // Default template if not set
-    if (!messageTemplate) {
-      messageTemplate = `Hello {customer_name}! 🎉
-
-Thank you for your order!
-
-📦 Order #{order_number}
-💰 Total: {currency} {total}
-📅 Date: {order_date}
-
-Items:
-{items}
-
-We'll keep you updated on your order status!
-
-Thank you for shopping with us! ❤️`;
-    }
+    const messageTemplate = settings.order_created_template || DEFAULT_ORDER_CREATED_TEMPLATE;
     
     // Process message template using service
     const message = woocommerceService.buildMessage(messageTemplate, order, customerName);
@@ -208,16 +208,21 @@ Thank you for shopping with us! ❤️`;
       });
     }
     
-    // Send WhatsApp message using the validated phone number
-    // whatsappService will handle normalization and add @c.us suffix
-    console.log(`📤 WooCommerce Order #${orderNumber}: Sending WhatsApp message`);
+    // Queue WhatsApp message using the validated phone number
+    // whatsappService will handle normalization and add @c.us suffix when the queue sends it
+    console.log(`📤 WooCommerce Order #${orderNumber}: Queueing WhatsApp message`);
     console.log(`   To: ${phone} (Country: ${phoneValidation.country || countryCode})`);
     
+    let queued;
     try {
-      await whatsappService.sendMessage(sessionId, phone, message);
-      console.log(`✅ WooCommerce Order #${orderNumber}: Message sent successfully to ${phone}`);
+      queued = await messageQueueService.enqueue(sessionId, phone, message, { source: 'woocommerce' });
+      if (queued.status === 'skipped') {
+        console.log(`🚫 WooCommerce Order #${orderNumber}: ${phone} has opted out, message skipped`);
+      } else {
+        console.log(`✅ WooCommerce Order #${orderNumber}: Message queued for ${phone}`);
+      }
     } catch (sendError) {
-      console.error(`❌ WooCommerce Order #${orderNumber}: Failed to send message`);
+      console.error(`❌ WooCommerce Order #${orderNumber}: Failed to queue message`);
       console.error(`   Error: ${sendError.message}`);
       throw sendError; // Re-throw to be caught by outer catch
     }
@@ -231,19 +236,23 @@ Thank you for shopping with us! ❤️`;
         order_number: orderNumber,
         customer_phone: phoneValidation.original, // Store original phone number
         message_sent: message,
-        status: 'sent'
+        status: queued.status === 'skipped' ? 'skipped' : 'queued',
+        error_message: queued.status === 'skipped' ? queued.last_error : null
       }])
       .catch(dbError => {
         console.error('Failed to log notification to database:', dbError);
         // Don't fail the request if logging fails
       });
     
-    console.log(`WooCommerce notification sent for order #${orderNumber} to ${phone}`);
+    console.log(`WooCommerce notification queued for order #${orderNumber} to ${phone}`);
     
     res.json({ 
       success: true, 
-      message: 'Notification sent successfully',
-      order_number: orderNumber
+      message: queued.status === 'skipped'
+        ? 'Notification skipped: customer has opted out'
+        : 'Notification queued successfully',
+      order_number: orderNumber,
+      skipped: queued.status === 'skipped'
     });
   } catch (error) {
     console.error('WooCommerce webhook error:', error);
@@ -305,6 +314,7 @@ Thank you for shopping with us! ❤️`;
  *   post:
  *     summary: Webhook for order status changes
  *     tags: [WooCommerce]
+ *     security: []
  */
 router.post('/order-status-changed', async (req, res) => {
   try {
@@ -412,16 +422,21 @@ router.post('/order-status-changed', async (req, res) => {
       });
     }
     
-    // Send WhatsApp message using validated phone number
-    // whatsappService will handle normalization and add @c.us suffix
-    console.log(`📤 WooCommerce Status Change Order #${order.number}: Sending message`);
+    // Queue WhatsApp message using validated phone number
+    // whatsappService will handle normalization and add @c.us suffix when the queue sends it
+    console.log(`📤 WooCommerce Status Change Order #${order.number}: Queueing message`);
     console.log(`   To: ${phone} (Country: ${phoneValidation.country || countryCode})`);
     
+    let queued;
     try {
-      await whatsappService.sendMessage(settings.session_id, phone, message);
-      console.log(`✅ WooCommerce Status Change Order #${order.number}: Message sent successfully`);
+      queued = await messageQueueService.enqueue(settings.session_id, phone, message, { source: 'woocommerce' });
+      if (queued.status === 'skipped') {
+        console.log(`🚫 WooCommerce Status Change Order #${order.number}: ${phone} has opted out, message skipped`);
+      } else {
+        console.log(`✅ WooCommerce Status Change Order #${order.number}: Message queued`);
+      }
     } catch (sendError) {
-      console.error(`❌ WooCommerce Status Change Order #${order.number}: Failed to send message`);
+      console.error(`❌ WooCommerce Status Change Order #${order.number}: Failed to queue message`);
       console.error(`   Error: ${sendError.message}`);
       throw sendError;
     }
@@ -434,14 +449,15 @@ router.post('/order-status-changed', async (req, res) => {
         order_number: order.number,
         customer_phone: phoneValidation.original, // Store original phone number
         message_sent: message,
-        status: 'sent'
+        status: queued.status === 'skipped' ? 'skipped' : 'queued',
+        error_message: queued.status === 'skipped' ? queued.last_error : null
       }])
       .catch(dbError => {
         console.error('Failed to log notification to database:', dbError);
         // Don't fail the request if logging fails
       });
     
-    res.json({ success: true });
+    res.json({ success: true, skipped: queued.status === 'skipped' });
   } catch (error) {
     console.error('Status change webhook error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -455,7 +471,7 @@ router.post('/order-status-changed', async (req, res) => {
  *     summary: Get WooCommerce integration settings
  *     tags: [WooCommerce]
  */
-router.get('/settings', authMiddleware, async (req, res) => {
+router.get('/settings', authMiddleware, requireScope('woocommerce:read'), async (req, res) => {
   try {
     const { data, error } = await supabaseAdmin
       .from('woocommerce_settings')
@@ -481,7 +497,7 @@ router.get('/settings', authMiddleware, async (req, res) => {
  *     summary: Create or update WooCommerce integration settings
  *     tags: [WooCommerce]
  */
-router.post('/settings', authMiddleware, checkBlockedMiddleware, async (req, res) => {
+router.post('/settings', authMiddleware, requireScope('woocommerce:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     // Use user_id from request body if provided, otherwise use from auth middleware
     const userId = req.body.user_id || req.userId;
@@ -558,7 +574,7 @@ router.post('/settings', authMiddleware, checkBlockedMiddleware, async (req, res
  *     summary: Get notification logs
  *     tags: [WooCommerce]
  */
-router.get('/notifications', authMiddleware, async (req, res) => {
+router.get('/notifications', authMiddleware, requireScope('woocommerce:read'), async (req, res) => {
   try {
     const { limit = 50, status } = req.query;
     
@@ -588,9 +604,27 @@ router.get('/notifications', authMiddleware, async (req, res) => {
  * /api/woocommerce/test:
  *   post:
  *     summary: Test WooCommerce integration with sample order
+ *     description: Queues the order created message of a sample order on your WooCommerce session.
  *     tags: [WooCommerce]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone_number
+ *             properties:
+ *               phone_number:
+ *                 type: string
+ *                 description: Number to send the test notification to, with country code
+ *     responses:
+ *       200:
+ *         description: Test notification queued (or skipped, the number opted out)
+ *       400:
+ *         description: Invalid phone number, or WooCommerce is not configured
  */
-router.post('/test', async (req, res) => {
+router.post('/test', authMiddleware, requireScope('woocommerce:write'), checkBlockedMiddleware, async (req, res) => {
   try {
     const { phone_number } = req.body;
     
@@ -619,12 +653,46 @@ router.post('/test', async (req, res) => {
       ]
     };
     
-    // Send to webhook endpoint
-    req.body = testOrder;
-    return router.handle(
-      { ...req, method: 'POST', url: '/order-created' },
-      res
+    // Sent through the caller's own settings and session, never another store's
+    const { data: settings, error: settingsError } = await supabaseAdmin
+      .from('woocommerce_settings')
+      .select('*')
+      .eq('user_id', req.userId)
+      .maybeSingle();
+    
+    if (settingsError) throw settingsError;
+    
+    if (!settings || !settings.session_id || !isSessionAllowed(req, settings.session_id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Settings not configured. Please configure WooCommerce integration first.' 
+      });
+    }
+    
+    const phoneValidation = PhoneValidator.validateAndFormat(String(phone_number).trim(), PhoneValidator.getCountryFromOrder(testOrder));
+    if (!phoneValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: phoneValidation.error || 'Invalid phone number format'
+      });
+    }
+    
+    const message = woocommerceService.buildMessage(
+      settings.order_created_template || DEFAULT_ORDER_CREATED_TEMPLATE,
+      testOrder,
+      testOrder.billing.first_name
     );
+    
+    const queued = await messageQueueService.enqueue(settings.session_id, phoneValidation.formatted, message, { source: 'woocommerce' });
+    
+    res.json({ 
+      success: true, 
+      message: queued.status === 'skipped'
+        ? 'Notification skipped: customer has opted out'
+        : 'Notification queued successfully',
+      order_number: testOrder.number,
+      skipped: queued.status === 'skipped'
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -637,7 +705,7 @@ router.post('/test', async (req, res) => {
  *     summary: Verify WooCommerce store connection
  *     tags: [WooCommerce]
  */
-router.post('/verify', authMiddleware, async (req, res) => {
+router.post('/verify', authMiddleware, requireScope('woocommerce:write'), async (req, res) => {
   try {
     const { store_url, consumer_key, consumer_secret } = req.body;
     
@@ -671,7 +739,7 @@ router.post('/verify', authMiddleware, async (req, res) => {
  *     summary: Get orders from WooCommerce store
  *     tags: [WooCommerce]
  */
-router.get('/orders', authMiddleware, async (req, res) => {
+router.get('/orders', authMiddleware, requireScope('woocommerce:read'), async (req, res) => {
   try {
     const { limit = 10, status = 'any' } = req.query;
     
@@ -721,7 +789,7 @@ router.get('/orders', authMiddleware, async (req, res) => {
  *     summary: Get specific order from WooCommerce store
  *     tags: [WooCommerce]
  */
-router.get('/orders/:orderId', authMiddleware, async (req, res) => {
+router.get('/orders/:orderId', authMiddleware, requireScope('woocommerce:read'), async (req, res) => {
   try {
     const { orderId } = req.params;
     
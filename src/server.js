@@ -5,7 +5,17 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const botService = require('./services/botService');
 const whatsappService = require('./services/whatsappService');
+const messageQueueService = require('./services/messageQueueService');
+const webhookService = require('./services/webhookService');
+const eventStreamService = require('./services/eventStreamService');
+const campaignService = require('./services/campaignService');
+const autoReplyService = require('./services/autoReplyService');
+const flowService = require('./services/flowService');
 const sessionHealthCheck = require('./services/sessionHealthCheck');
+const clusterService = require('./services/clusterService');
+const sessionEventService = require('./services/sessionEventService');
+const contactSyncService = require('./services/contactSyncService');
+const inboundMediaService = require('./services/inboundMediaService');
 const { verifySupabaseConnection } = require('./config/supabase');
 require('dotenv').config();
 
@@ -22,6 +32,23 @@ const corsOptions = {
   allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-API-Key', 'x-wc-webhook-signature', 'X-WC-Webhook-Signature']
 };
 app.use(cors(corsOptions));
+
+// Internal cluster API (node to node) - only in cluster mode. Mounted before the global
+// body parser: the router checks the cluster secret, then parses large bodies (forwarded
+// sends can carry media)
+if (clusterService.enabled) {
+  app.use('/api/internal', require('./routes/internalRoutes'));
+}
+
+// Cloud API webhook - signatures are computed over the raw body, so keep it
+const cloudApiRoutes = require('./routes/cloudApiRoutes');
+app.use('/api/cloud-api', bodyParser.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}), cloudApiRoutes);
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -40,9 +67,18 @@ const apiKeyRoutes = require('./routes/apiKeyRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const adminTestRoutes = require('./routes/adminTestRoutes');
 const setupRoutes = require('./routes/setupRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const campaignRoutes = require('./routes/campaignRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const autoReplyRoutes = require('./routes/autoReplyRoutes');
+const flowRoutes = require('./routes/flowRoutes');
+const suppressionRoutes = require('./routes/suppressionRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const groupRoutes = require('./routes/groupRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/sessions/:id/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/bots', botRoutes);
 app.use('/api/contacts', contactRoutes);
@@ -52,6 +88,18 @@ app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin-test', adminTestRoutes);
 app.use('/api/admin/setup', setupRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/auto-replies', autoReplyRoutes);
+app.use('/api/flows', flowRoutes);
+app.use('/api/opt-outs', suppressionRoutes);
+app.use('/api/events', eventRoutes);
+
+// Fake WhatsApp controls (development and tests only)
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/fake', require('./routes/fakeRoutes'));
+}
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -95,6 +143,14 @@ app.get('/', (req, res) => {
       contacts: '/api/contacts',
       woocommerce: '/api/woocommerce',
       import: '/api/import',
+      webhooks: '/api/webhooks',
+      campaigns: '/api/campaigns',
+      conversations: '/api/conversations',
+      autoReplies: '/api/auto-replies',
+      flows: '/api/flows',
+      optOuts: '/api/opt-outs',
+      events: '/api/events',
+      cloudApiWebhook: '/api/cloud-api/webhook',
       health: '/health'
     }
   });
@@ -155,10 +211,62 @@ try {
     }
   }, 1000);
 
+  // Start webhook delivery before sessions restore so no incoming message is missed
+  try {
+    webhookService.start();
+  } catch (error) {
+    console.error('❌ Failed to start webhook delivery worker:', error);
+  }
+
+  // Stream session and message events to connected clients (before sessions restore, so QR codes are pushed)
+  try {
+    eventStreamService.start();
+  } catch (error) {
+    console.error('❌ Failed to start event stream:', error);
+  }
+
+  // Record session lifecycle events (before sessions restore, so restores are in the timeline)
+  try {
+    sessionEventService.start();
+  } catch (error) {
+    console.error('❌ Failed to start session event history:', error);
+  }
+
+  // Sync contacts of sessions as they connect (before sessions restore)
+  try {
+    contactSyncService.start();
+  } catch (error) {
+    console.error('❌ Failed to start contact sync:', error);
+  }
+
+  // Remove inbound media past its retention
+  try {
+    inboundMediaService.start();
+  } catch (error) {
+    console.error('❌ Failed to start inbound media cleanup:', error);
+  }
+
+  // Listen for incoming messages that drive flows and auto-reply rules
+  try {
+    flowService.start();
+    autoReplyService.start();
+  } catch (error) {
+    console.error('❌ Failed to enable flows and auto-reply rules:', error);
+  }
+
   // Restore previous WhatsApp sessions (with delay to ensure everything is ready)
   console.log('');
   console.log('🔄 Step 1: Restoring WhatsApp sessions...');
   setTimeout(async () => {
+    // Cluster mode: join the cluster first, so only sessions this node wins a lease on are restored
+    try {
+      await clusterService.start();
+    } catch (error) {
+      // Running sessions outside the cluster would start them twice
+      console.error('❌ Failed to join the cluster:', error.message);
+      process.exit(1);
+    }
+
     try {
       await whatsappService.restoreAllSessions();
     } catch (error) {
@@ -188,6 +296,28 @@ try {
     }
   }, 10000); // Wait 10 seconds before starting health check
   
+  // Start outbound message queue worker (resumes messages queued before a restart)
+  console.log('');
+  console.log('📬 Step 4: Starting message queue worker...');
+  setTimeout(() => {
+    try {
+      messageQueueService.start();
+    } catch (error) {
+      console.error('❌ Failed to start message queue worker:', error);
+    }
+  }, 8000); // Wait 8 seconds so restored sessions have time to connect
+  
+  // Start campaign worker (starts scheduled campaigns and feeds running ones into the queue)
+  console.log('');
+  console.log('📣 Step 5: Starting campaign worker...');
+  setTimeout(() => {
+    try {
+      campaignService.start();
+    } catch (error) {
+      console.error('❌ Failed to start campaign worker:', error);
+    }
+  }, 8000);
+  
   console.log('');
   console.log('========================================');
   console.log('✅ Server is ready and running!');
@@ -219,6 +349,28 @@ const gracefulShutdown = async (signal) => {
   // Stop health check
   sessionHealthCheck.stop();
   
+  // Stop queue worker (pending messages stay in the database for the next start)
+  messageQueueService.stop();
+  
+  // Stop webhook retries (pending deliveries are retried on the next start)
+  webhookService.stop();
+  
+  // Close real-time event streams (clients reconnect automatically)
+  eventStreamService.stop();
+  
+  // Stop campaign worker (running campaigns continue on the next start)
+  campaignService.stop();
+  
+  // Stop reacting to incoming messages
+  autoReplyService.stop();
+  flowService.stop();
+  
+  // Stop removing expired inbound media
+  inboundMediaService.stop();
+  
+  // Stop contact syncs before their clients close
+  await contactSyncService.stop();
+  
   // Close WhatsApp clients gracefully
   try {
     const whatsappService = require('./services/whatsappService');
@@ -227,6 +379,7 @@ const gracefulShutdown = async (signal) => {
     
     for (const [sessionId, client] of clients) {
       try {
+        whatsappService.emitSessionStatus(sessionId, 'stopped', { reason: 'Server shutting down' });
         await client.destroy();
         console.log(`✅ Closed client for session ${sessionId}`);
       } catch (error) {
@@ -237,6 +390,12 @@ const gracefulShutdown = async (signal) => {
     console.error('Error during client cleanup:', error);
   }
   
+  // Finish writing session events (the 'stopped' events above)
+  await sessionEventService.stop();
+  
+  // Hand this node's sessions over to the other nodes right away
+  await clusterService.stop();
+  
   server.close(() => {
     console.log('✅ HTTP server closed');
     process.exit(0);
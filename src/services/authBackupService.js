@@ -1,26 +1,50 @@
 const fs = require('fs');
 const path = require('path');
 const { supabaseAdmin } = require('../config/supabase');
+const { createAuthStore } = require('./authStores');
+const { deriveKey, createSnapshot, restoreSnapshot } = require('../utils/authSnapshot');
+
+// How often connected sessions are snapshotted again (WhatsApp rotates keys over time)
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.AUTH_STORE_SNAPSHOT_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
 
 /**
  * Auth Backup Service
  * 
- * Provides optional backup of WhatsApp authentication data to database
+ * Provides optional backup of WhatsApp authentication data
  * This is useful for:
  * - Recovery after auth folder deletion
  * - Migration between servers
- * - Extra redundancy
+ * - Sessions that survive redeploys of stateless containers
+ * 
+ * With AUTH_STORE set, the essential profile files are snapshotted (gzip,
+ * optionally AES-256-GCM with AUTH_STORE_ENCRYPTION_KEY) into the configured
+ * store and restored when the local profile is missing. Without it, only
+ * metadata is recorded (ENABLE_AUTH_BACKUP=true).
  * 
- * NOTE: Auth data is sensitive! Ensure database is properly secured.
+ * NOTE: Auth data is sensitive! Snapshots give full access to the linked
+ * phone - encrypt them and keep the store private.
  */
 class AuthBackupService {
   constructor() {
     this.authDataPath = path.join(process.cwd(), '.wwebjs_auth');
-    this.backupEnabled = process.env.ENABLE_AUTH_BACKUP === 'true';
+    this.store = createAuthStore();
+    this.backupEnabled = process.env.ENABLE_AUTH_BACKUP === 'true' || !!this.store;
+    this.compress = process.env.AUTH_STORE_COMPRESSION !== 'none';
+    this.encryptionKey = deriveKey(process.env.AUTH_STORE_ENCRYPTION_KEY);
+    this.snapshotTimers = new Map(); // sessionId -> timeout
+    this.snapshotsInProgress = new Set();
+
+    if (this.store && !this.encryptionKey) {
+      console.warn(`⚠️ AUTH_STORE=${this.store.name} without AUTH_STORE_ENCRYPTION_KEY: session snapshots are stored unencrypted`);
+    }
+  }
+
+  getSessionAuthPath(sessionId) {
+    return path.join(this.authDataPath, `session-${sessionId}`);
   }
 
   /**
-   * Backup session auth data to database
+   * Backup session auth data (snapshot to the auth store if configured, plus metadata)
    * @param {string} sessionId - Session UUID
    */
   async backupAuthData(sessionId) {
@@ -28,34 +52,147 @@ class AuthBackupService {
       return; // Backup disabled
     }
 
+    if (this.snapshotsInProgress.has(sessionId)) {
+      return;
+    }
+
+    this.snapshotsInProgress.add(sessionId);
+
     try {
-      const sessionAuthPath = path.join(this.authDataPath, `session-${sessionId}`);
+      const sessionAuthPath = this.getSessionAuthPath(sessionId);
       
       if (!fs.existsSync(sessionAuthPath)) {
         console.log(`⚠️ No auth data to backup for session ${sessionId}`);
         return;
       }
 
-      // Create a simple marker file to indicate auth exists
-      // We don't backup the entire Chrome profile (too large)
-      // Just backup critical metadata
       const authExists = fs.existsSync(path.join(sessionAuthPath, 'Default'));
       const authSize = this.getDirectorySize(sessionAuthPath);
-      
+      const backup = {
+        session_id: sessionId,
+        auth_exists: authExists,
+        auth_size_bytes: authSize,
+        last_backup_at: new Date().toISOString()
+      };
+
+      if (this.store && authExists) {
+        const snapshot = await createSnapshot(sessionAuthPath, {
+          compress: this.compress,
+          key: this.encryptionKey
+        });
+
+        await this.store.save(sessionId, snapshot.buffer);
+
+        Object.assign(backup, {
+          snapshot_store: this.store.name,
+          snapshot_size_bytes: snapshot.buffer.length,
+          snapshot_files: snapshot.files,
+          snapshot_compressed: snapshot.compressed,
+          snapshot_encrypted: snapshot.encrypted,
+          snapshot_checksum: snapshot.checksum
+        });
+
+        this.scheduleBackup(sessionId);
+      }
+
       await supabaseAdmin
         .from('session_auth_backups')
-        .upsert({
-          session_id: sessionId,
-          auth_exists: authExists,
-          auth_size_bytes: authSize,
-          last_backup_at: new Date().toISOString()
-        }, {
+        .upsert(backup, {
           onConflict: 'session_id'
         });
 
-      console.log(`✅ Auth backup metadata saved for session ${sessionId}`);
+      if (backup.snapshot_store) {
+        console.log(`✅ Auth snapshot saved for session ${sessionId} (${backup.snapshot_files} files, ${backup.snapshot_size_bytes} bytes, ${this.store.name})`);
+      } else {
+        console.log(`✅ Auth backup metadata saved for session ${sessionId}`);
+      }
     } catch (error) {
       console.error(`Failed to backup auth data for session ${sessionId}:`, error);
+    } finally {
+      this.snapshotsInProgress.delete(sessionId);
+    }
+  }
+
+  /**
+   * Snapshot a connected session again after SNAPSHOT_INTERVAL_MS
+   * @param {string} sessionId
+   */
+  scheduleBackup(sessionId) {
+    this.cancelScheduledBackup(sessionId);
+
+    const timer = setTimeout(() => {
+      this.snapshotTimers.delete(sessionId);
+      this.backupAuthData(sessionId);
+    }, SNAPSHOT_INTERVAL_MS);
+    timer.unref();
+
+    this.snapshotTimers.set(sessionId, timer);
+  }
+
+  cancelScheduledBackup(sessionId) {
+    const timer = this.snapshotTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.snapshotTimers.delete(sessionId);
+    }
+  }
+
+  /**
+   * Restore the local profile of a session from its snapshot
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} - true if the profile was restored
+   */
+  async restoreAuthData(sessionId) {
+    if (!this.store) {
+      return false;
+    }
+
+    const sessionAuthPath = this.getSessionAuthPath(sessionId);
+
+    try {
+      const buffer = await this.store.load(sessionId);
+      if (!buffer) {
+        return false;
+      }
+
+      // Start from an empty profile so no stale files mix with the snapshot
+      await fs.promises.rm(sessionAuthPath, { recursive: true, force: true });
+      const files = await restoreSnapshot(buffer, sessionAuthPath, { key: this.encryptionKey });
+
+      await supabaseAdmin
+        .from('session_auth_backups')
+        .update({ last_restore_at: new Date().toISOString() })
+        .eq('session_id', sessionId);
+
+      console.log(`♻️ Restored auth data for session ${sessionId} from ${this.store.name} store (${files} files)`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to restore auth data for session ${sessionId}:`, error.message);
+      await fs.promises.rm(sessionAuthPath, { recursive: true, force: true }).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * Delete the snapshot of a session (deleted or logged out - it can't be used again)
+   * @param {string} sessionId
+   */
+  async deleteAuthData(sessionId) {
+    this.cancelScheduledBackup(sessionId);
+
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      await this.store.remove(sessionId);
+
+      await supabaseAdmin
+        .from('session_auth_backups')
+        .delete()
+        .eq('session_id', sessionId);
+    } catch (error) {
+      console.error(`Failed to delete auth snapshot for session ${sessionId}:`, error.message);
     }
   }
 
@@ -65,7 +202,7 @@ class AuthBackupService {
    * @returns {boolean}
    */
   authDataExists(sessionId) {
-    const sessionAuthPath = path.join(this.authDataPath, `session-${sessionId}`);
+    const sessionAuthPath = this.getSessionAuthPath(sessionId);
     return fs.existsSync(sessionAuthPath) && 
            fs.existsSync(path.join(sessionAuthPath, 'Default'));
   }
@@ -104,6 +241,8 @@ class AuthBackupService {
       backupExists: backupStatus !== null,
       lastBackup: backupStatus?.last_backup_at,
       authSize: backupStatus?.auth_size_bytes,
+      snapshotStore: backupStatus?.snapshot_store || null,
+      snapshotSize: backupStatus?.snapshot_size_bytes || null,
       status: fileExists ? 'healthy' : (backupStatus ? 'file_missing' : 'no_auth')
     };
   }
@@ -187,6 +326,7 @@ class AuthBackupService {
           authStatus: verification.status,
           fileExists: verification.fileExists,
           backupExists: verification.backupExists,
+          snapshotStore: verification.snapshotStore,
           lastBackup: verification.lastBackup
         });
       }
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Auth Stores
+ *
+ * Backends that keep session auth snapshots (see utils/authSnapshot) outside the
+ * container, so linked phones survive redeploys. Every store implements:
+ *
+ *   save(sessionId, buffer)   - Store (or replace) the snapshot of a session
+ *   load(sessionId)           - Get the snapshot as a Buffer, or null if there is none
+ *   remove(sessionId)         - Delete the snapshot
+ *
+ * Select one with AUTH_STORE (local | supabase).
+ */
+
+/**
+ * Snapshots as files in a local directory - point AUTH_STORE_DIR at a mounted
+ * volume that outlives the container
+ */
+class LocalDirectoryAuthStore {
+  constructor(directory = process.env.AUTH_STORE_DIR || path.join(process.cwd(), '.wwebjs_auth_snapshots')) {
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  getPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.snapshot`);
+  }
+
+  async save(sessionId, buffer) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Write then rename, so a crash never leaves a half written snapshot
+    const tmpPath = `${this.getPath(sessionId)}.tmp`;
+    await fs.promises.writeFile(tmpPath, buffer, { mode: 0o600 });
+    await fs.promises.rename(tmpPath, this.getPath(sessionId));
+  }
+
+  async load(sessionId) {
+    try {
+      return await fs.promises.readFile(this.getPath(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(sessionId) {
+    await fs.promises.rm(this.getPath(sessionId), { force: true });
+  }
+}
+
+/**
+ * Snapshots as objects in a private Supabase Storage bucket (AUTH_STORE_BUCKET)
+ */
+class SupabaseStorageAuthStore {
+  constructor(bucket = process.env.AUTH_STORE_BUCKET || 'session-auth') {
+    this.name = 'supabase';
+    this.bucket = bucket;
+  }
+
+  getPath(sessionId) {
+    return `${sessionId}.snapshot`;
+  }
+
+  async save(sessionId, buffer) {
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .upload(this.getPath(sessionId), buffer, {
+        contentType: 'application/octet-stream',
+        upsert: true
+      });
+
+    if (error) throw error;
+  }
+
+  async load(sessionId) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .download(this.getPath(sessionId));
+
+    if (error) {
+      // Storage reports missing objects as an error
+      if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(sessionId) {
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .remove([this.getPath(sessionId)]);
+
+    if (error) throw error;
+  }
+}
+
+const AUTH_STORES = {
+  local: LocalDirectoryAuthStore,
+  supabase: SupabaseStorageAuthStore
+};
+
+/**
+ * Create the configured auth store
+ * @param {string} name - Store name (local | supabase), empty for none
+ * @returns {Object|null}
+ */
+function createAuthStore(name = process.env.AUTH_STORE) {
+  if (!name || name === 'none') {
+    return null;
+  }
+
+  const Store = AUTH_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown AUTH_STORE "${name}" (expected one of: ${Object.keys(AUTH_STORES).join(', ')})`);
+  }
+
+  return new Store();
+}
+
+module.exports = {
+  AUTH_STORES,
+  LocalDirectoryAuthStore,
+  SupabaseStorageAuthStore,
+  createAuthStore
+};
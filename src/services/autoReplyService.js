@@ -0,0 +1,357 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const messageQueueService = require('./messageQueueService');
+const botService = require('./botService');
+const flowService = require('./flowService');
+const suppressionService = require('./suppressionService');
+const { getZonedParts, toUtcDate } = require('../utils/timezone');
+const { validateRegex, testRegex } = require('../utils/safeRegex');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex', 'first_message_of_day'];
+const ACTIVE_HOURS = ['always', 'business_hours', 'outside_business_hours'];
+
+/**
+ * Auto-Reply Service
+ *
+ * Replies to incoming messages using per-session rules. Active rules are
+ * evaluated from the highest priority down and only the first matching rule
+ * replies. A rule can be limited to (or outside of) business hours and has a
+ * per-contact cooldown so a chatty contact does not get the same reply twice.
+ *
+ * Replies go through the message queue (source 'auto_reply') and every
+ * matching evaluation is written to auto_reply_logs.
+ *
+ * Opt-outs come first: an opt-out keyword (STOP, UNSUBSCRIBE...) suppresses
+ * the sender and gets no reply. Flows come next: a message that starts or
+ * continues a flow (or comes from a contact handed off to a human) is not
+ * checked against the rules.
+ */
+class AutoReplyService {
+  constructor() {
+    this.listener = null;
+    this.matchTypes = MATCH_TYPES;
+    this.activeHours = ACTIVE_HOURS;
+  }
+
+  start() {
+    if (this.listener) {
+      return;
+    }
+
+    this.listener = ({ sessionId, message, record }) => {
+      this.handleIncomingMessage(sessionId, message, record).catch(error => {
+        console.error(`❌ Auto-reply error for session ${sessionId}:`, error.message);
+      });
+    };
+
+    whatsappService.on('message', this.listener);
+    console.log('✅ Auto-reply rules enabled');
+  }
+
+  stop() {
+    if (this.listener) {
+      whatsappService.off('message', this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Validate rule fields before saving
+   * @param {Object} rule - Rule fields (partial on update)
+   * @returns {string|null} - Error message or null when valid
+   */
+  validateRule(rule) {
+    if (rule.match_type !== undefined && !MATCH_TYPES.includes(rule.match_type)) {
+      return `match_type must be one of: ${MATCH_TYPES.join(', ')}`;
+    }
+
+    if (['exact', 'contains', 'regex'].includes(rule.match_type) && !rule.pattern) {
+      return `pattern is required for match_type "${rule.match_type}"`;
+    }
+
+    if (rule.match_type === 'regex') {
+      const regexError = validateRegex(rule.pattern);
+      if (regexError) {
+        return `Invalid regex pattern: ${regexError}`;
+      }
+    }
+
+    if (rule.active_hours !== undefined && !ACTIVE_HOURS.includes(rule.active_hours)) {
+      return `active_hours must be one of: ${ACTIVE_HOURS.join(', ')}`;
+    }
+
+    if (rule.active_hours && rule.active_hours !== 'always' && !rule.business_hours) {
+      return 'business_hours is required when active_hours is not "always"';
+    }
+
+    if (rule.business_hours) {
+      const { timezone, days, start, end } = rule.business_hours;
+      const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+      if (!timePattern.test(start || '') || !timePattern.test(end || '')) {
+        return 'business_hours.start and business_hours.end must be HH:MM';
+      }
+      if (days !== undefined && (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        return 'business_hours.days must be an array of weekdays (0 = Sunday ... 6 = Saturday)';
+      }
+      try {
+        getZonedParts(new Date(), timezone || 'UTC');
+      } catch (error) {
+        return `Invalid business_hours.timezone: ${timezone}`;
+      }
+    }
+
+    if (rule.cooldown_seconds !== undefined && (!Number.isInteger(rule.cooldown_seconds) || rule.cooldown_seconds < 0)) {
+      return 'cooldown_seconds must be a non-negative integer';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a time falls inside a rule's business hours
+   * @param {Object} businessHours - { timezone, days, start, end }
+   * @param {Date} at
+   * @returns {boolean}
+   */
+  isWithinBusinessHours(businessHours, at = new Date()) {
+    const { timezone = 'UTC', days = [1, 2, 3, 4, 5], start, end } = businessHours;
+    const parts = getZonedParts(at, timezone);
+    const minutes = parts.hour * 60 + parts.minute;
+    const toMinutes = (hhmm) => parseInt(hhmm.slice(0, 2)) * 60 + parseInt(hhmm.slice(3, 5));
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    // Overnight windows (e.g. 22:00-06:00) belong to the day they start on
+    if (startMinutes > endMinutes) {
+      if (minutes >= startMinutes) return days.includes(parts.weekday);
+      if (minutes < endMinutes) return days.includes((parts.weekday + 6) % 7);
+      return false;
+    }
+
+    return days.includes(parts.weekday) && minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  isRuleActiveAt(rule, at) {
+    if (!rule.active_hours || rule.active_hours === 'always' || !rule.business_hours) {
+      return true;
+    }
+
+    const inside = this.isWithinBusinessHours(rule.business_hours, at);
+    return rule.active_hours === 'business_hours' ? inside : !inside;
+  }
+
+  /**
+   * Check whether a message body matches a rule's pattern
+   * @param {Object} rule - auto_reply_rules row
+   * @param {string} body - Incoming message text
+   * @returns {boolean}
+   */
+  matchesPattern(rule, body) {
+    const text = (body || '').trim();
+    const pattern = rule.pattern || '';
+
+    switch (rule.match_type) {
+      case 'exact':
+        return rule.case_sensitive
+          ? text === pattern.trim()
+          : text.toLowerCase() === pattern.trim().toLowerCase();
+      case 'contains':
+        return rule.case_sensitive
+          ? text.includes(pattern)
+          : text.toLowerCase().includes(pattern.toLowerCase());
+      case 'regex':
+        return testRegex(pattern, rule.case_sensitive ? '' : 'i', text);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether this is the contact's first incoming message today
+   * @param {string} sessionId
+   * @param {string} from - Remote WhatsApp ID
+   * @param {string|null} receivedId - received_messages row of the current message
+   * @param {Object} rule - Rule (its business hours timezone defines "today")
+   * @param {Date} at
+   * @returns {Promise<boolean>}
+   */
+  async isFirstMessageOfDay(sessionId, from, receivedId, rule, at) {
+    const timezone = rule.business_hours?.timezone || 'UTC';
+    const today = getZonedParts(at, timezone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const startOfDay = toUtcDate(`${today.year}-${pad(today.month)}-${pad(today.day)}T00:00`, timezone);
+
+    let query = supabaseAdmin
+      .from('received_messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('session_id', sessionId)
+      .eq('from', from)
+      .gte('timestamp', startOfDay.toISOString())
+      .lt('timestamp', at.toISOString());
+
+    if (receivedId) {
+      query = query.neq('id', receivedId);
+    }
+
+    const { count, error } = await query;
+    if (error) throw error;
+
+    return count === 0;
+  }
+
+  async isOnCooldown(rule, from) {
+    if (!rule.cooldown_seconds) {
+      return false;
+    }
+
+    const since = new Date(Date.now() - rule.cooldown_seconds * 1000).toISOString();
+    const { count, error } = await supabaseAdmin
+      .from('auto_reply_logs')
+      .select('id', { count: 'exact', head: true })
+      .eq('rule_id', rule.id)
+      .eq('remote_jid', from)
+      .eq('status', 'replied')
+      .gte('created_at', since);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  /**
+   * Render a reply template
+   * Supports {name}, {phone}, {message} plus the bot date variables ({date}, {time}, {datetime}, {day})
+   * @param {string} template
+   * @param {Object} context - { name, phone, message }
+   * @returns {string}
+   */
+  renderReply(template, context) {
+    const reply = template
+      .replace(/\{name\}/g, context.name || '')
+      .replace(/\{phone\}/g, context.phone || '')
+      .replace(/\{message\}/g, context.message || '');
+
+    return botService.processMessageTemplate(reply);
+  }
+
+  async getActiveRules(sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from('auto_reply_rules')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('is_active', true)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Find the rule that should answer a message
+   * @param {string} sessionId
+   * @param {Object} incoming - { from, body, receivedId, at }
+   * @returns {Promise<Object|null>} - { rule, onCooldown } or null when no rule matches
+   */
+  async findMatchingRule(sessionId, incoming) {
+    const at = incoming.at || new Date();
+    const rules = await this.getActiveRules(sessionId);
+
+    for (const rule of rules) {
+      if (!this.isRuleActiveAt(rule, at)) continue;
+
+      const matched = rule.match_type === 'first_message_of_day'
+        ? await this.isFirstMessageOfDay(sessionId, incoming.from, incoming.receivedId, rule, at)
+        : this.matchesPattern(rule, incoming.body);
+
+      if (!matched) continue;
+
+      // The highest-priority match decides; a rule on cooldown does not fall through
+      return { rule, onCooldown: await this.isOnCooldown(rule, incoming.from) };
+    }
+
+    return null;
+  }
+
+  async handleIncomingMessage(sessionId, message, record) {
+    // Only direct chats get auto-replies (not groups, broadcasts or our own messages)
+    if (message.fromMe || !message.from || !message.from.endsWith('@c.us')) {
+      return;
+    }
+
+    if (await suppressionService.handleIncomingMessage(sessionId, message)) {
+      return;
+    }
+
+    const phone = message.from.split('@')[0];
+    const name = (await this.getContactName(sessionId, phone)) || message._data?.notifyName || '';
+
+    if (await flowService.handleIncomingMessage(sessionId, message, { name })) {
+      return;
+    }
+
+    const incoming = {
+      from: message.from,
+      body: message.body,
+      receivedId: record?.id || null,
+      at: message.timestamp ? new Date(message.timestamp * 1000) : new Date()
+    };
+
+    const match = await this.findMatchingRule(sessionId, incoming);
+    if (!match) {
+      return;
+    }
+
+    const { rule, onCooldown } = match;
+    const log = {
+      rule_id: rule.id,
+      session_id: sessionId,
+      remote_jid: incoming.from,
+      received_message_id: incoming.receivedId,
+      incoming_message: incoming.body
+    };
+
+    if (onCooldown) {
+      await this.writeLog({ ...log, status: 'cooldown' });
+      return;
+    }
+
+    const reply = this.renderReply(rule.reply_template, {
+      name,
+      phone,
+      message: incoming.body
+    });
+
+    try {
+      const queued = await messageQueueService.enqueue(sessionId, incoming.from, reply, { source: 'auto_reply' });
+      await this.writeLog({ ...log, reply, status: 'replied', message_id: queued.id });
+      console.log(`🤖 Auto-reply rule "${rule.name}" answered ${incoming.from}`);
+    } catch (error) {
+      await this.writeLog({ ...log, reply, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  async getContactName(sessionId, phone) {
+    const { data } = await supabaseAdmin
+      .from('contacts')
+      .select('name')
+      .eq('session_id', sessionId)
+      .eq('phone_number', phone)
+      .maybeSingle();
+
+    return data?.name || null;
+  }
+
+  async writeLog(entry) {
+    const { error } = await supabaseAdmin
+      .from('auto_reply_logs')
+      .insert([entry]);
+
+    if (error) {
+      console.error('Failed to write auto-reply log:', error.message);
+    }
+  }
+}
+
+module.exports = new AutoReplyService();
@@ -1,10 +1,17 @@
 const cron = require('node-cron');
 const { supabaseAdmin } = require('../config/supabase');
 const whatsappService = require('./whatsappService');
+const messageQueueService = require('./messageQueueService');
+const clusterService = require('./clusterService');
+
+// Cluster mode: how often every node reloads the active bots (bots changed through another node)
+const BOT_SYNC_INTERVAL_MS = 60000;
 
 class BotService {
   constructor() {
     this.scheduledJobs = new Map();
+    this.scheduledVersions = new Map(); // botId -> updated_at of the scheduled bot
+    this.syncInterval = null;
   }
 
   async createBot(botData) {
@@ -186,11 +193,17 @@ class BotService {
     }
 
     const job = cron.schedule(bot.schedule_pattern, async () => {
+      // Every node schedules every bot; only the node running the session executes it
+      if (!clusterService.isLocal(bot.session_id)) {
+        return;
+      }
+
       console.log(`Executing bot ${bot.id}: ${bot.name}`);
       await this.executeBotTask(bot);
     });
 
     this.scheduledJobs.set(bot.id, job);
+    this.scheduledVersions.set(bot.id, bot.updated_at);
     console.log(`Bot ${bot.id} scheduled with pattern: ${bot.schedule_pattern}`);
   }
 
@@ -199,6 +212,7 @@ class BotService {
     if (job) {
       job.stop();
       this.scheduledJobs.delete(botId);
+      this.scheduledVersions.delete(botId);
       console.log(`Bot ${botId} stopped`);
     }
   }
@@ -218,18 +232,22 @@ class BotService {
       // Get all target numbers (including from groups)
       const targetNumbers = await this.getBotTargetNumbers(bot);
 
-      // Send message to all target numbers
+      // Queue message for all target numbers (the queue applies per-session rate limits)
       const results = [];
       for (const number of targetNumbers) {
         try {
-          const result = await whatsappService.sendMessage(
+          const queued = await messageQueueService.enqueue(
             bot.session_id,
             number,
-            message
+            message,
+            { source: 'bot' }
           );
-          results.push({ number, status: 'sent', result });
+          // Opted-out recipients are recorded by the queue as skipped
+          results.push(queued.status === 'skipped'
+            ? { number, status: 'skipped', message_id: queued.id, error: queued.last_error }
+            : { number, status: 'queued', message_id: queued.id });
         } catch (error) {
-          console.error(`Failed to send message to ${number}:`, error);
+          console.error(`Failed to queue message to ${number}:`, error);
           results.push({ number, status: 'failed', error: error.message });
         }
       }
@@ -245,7 +263,8 @@ class BotService {
           }
         ]);
 
-      console.log(`Bot ${bot.id} executed successfully`);
+      const skipped = results.filter(result => result.status === 'skipped').length;
+      console.log(`Bot ${bot.id} executed successfully (${results.length - skipped} message(s) queued, ${skipped} skipped)`);
     } catch (error) {
       console.error(`Error executing bot ${bot.id}:`, error);
     }
@@ -284,11 +303,47 @@ class BotService {
       }
 
       console.log(`Initialized ${bots.length} active bots`);
+
+      if (clusterService.enabled && !this.syncInterval) {
+        this.syncInterval = setInterval(() => {
+          this.syncActiveBots().catch(error => {
+            console.error('Error syncing active bots:', error.message);
+          });
+        }, BOT_SYNC_INTERVAL_MS);
+      }
     } catch (error) {
       console.error('Error initializing active bots:', error);
     }
   }
 
+  /**
+   * Reschedule bots created, changed or deleted through other nodes
+   */
+  async syncActiveBots() {
+    const { data: bots, error } = await supabaseAdmin
+      .from('bots')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const scheduled = bots.filter(bot => bot.schedule_pattern);
+    const activeIds = new Set(scheduled.map(bot => bot.id));
+
+    for (const botId of [...this.scheduledJobs.keys()]) {
+      if (!activeIds.has(botId)) {
+        this.stopBot(botId);
+      }
+    }
+
+    for (const bot of scheduled) {
+      if (this.scheduledVersions.get(bot.id) !== bot.updated_at) {
+        this.stopBot(bot.id);
+        this.scheduleBot(bot);
+      }
+    }
+  }
+
   // Manual send for testing
   async sendBotMessageNow(botId) {
     const bot = await this.getBot(botId);
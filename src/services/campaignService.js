@@ -0,0 +1,629 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const messageQueueService = require('./messageQueueService');
+const botService = require('./botService');
+const suppressionService = require('./suppressionService');
+const clusterService = require('./clusterService');
+
+// Recipient statuses reported in campaign stats
+const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'delivered', 'read', 'failed', 'skipped', 'cancelled'];
+
+// Forward-only order of delivery statuses (a late 'sent' must not undo 'read')
+const DELIVERY_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Campaign Service
+ *
+ * Broadcasts a message template to every contact in one or more contact groups.
+ *
+ * Lifecycle: draft -> scheduled -> running <-> paused -> completed (or cancelled)
+ *
+ * Recipients are materialized (and their messages rendered) when the campaign
+ * starts. Running campaigns are fed into the message queue a batch at a time,
+ * so pausing only has to pull back the messages that are still waiting and
+ * other traffic on the session is not stuck behind a large campaign.
+ * Recipient rows follow their message through sent, delivered and read.
+ * Contacts that opted out or are known not to be on WhatsApp (cached
+ * registration check, see RegistrationService) are skipped.
+ */
+class CampaignService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS) || 10000;
+    this.batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 50;
+    this.pollInterval = null;
+    this.polling = false;
+    this.listeners = [];
+    this.recipientStatuses = RECIPIENT_STATUSES;
+  }
+
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.subscribe(messageQueueService, 'sent', ({ row }) => {
+      if (!row.campaign_id) return;
+      return this.updateRecipientStatus(row.id, 'sent', { sent_at: new Date().toISOString() });
+    });
+
+    this.subscribe(messageQueueService, 'failed', ({ row, error }) => {
+      if (!row.campaign_id) return;
+      return this.updateRecipientStatus(row.id, 'failed', {
+        failed_at: new Date().toISOString(),
+        error
+      });
+    });
+
+    this.subscribe(messageQueueService, 'skipped', ({ row }) => {
+      if (!row.campaign_id) return;
+      return this.updateRecipientStatus(row.id, 'skipped', { error: 'Recipient opted out' });
+    });
+
+    this.subscribe(whatsappService, 'message_ack', ({ record }) => {
+      if (!record.campaign_id) return;
+
+      if (record.status === 'failed') {
+        return this.updateRecipientStatus(record.id, 'failed', { failed_at: record.failed_at });
+      }
+
+      return this.updateRecipientStatus(record.id, record.status, {
+        sent_at: record.sent_at,
+        delivered_at: record.delivered_at,
+        read_at: record.read_at
+      });
+    });
+
+    this.pollInterval = setInterval(() => {
+      this.poll().catch(error => {
+        console.error('❌ Campaign worker error:', error.message);
+      });
+    }, this.pollIntervalMs);
+
+    console.log('✅ Campaign worker started');
+  }
+
+  stop() {
+    for (const { emitter, event, handler } of this.listeners) {
+      emitter.off(event, handler);
+    }
+    this.listeners = [];
+
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Campaign worker stopped');
+    }
+  }
+
+  subscribe(emitter, event, callback) {
+    const handler = (payload) => {
+      Promise.resolve(callback(payload)).catch(error => {
+        console.error(`❌ Failed to update campaign recipient on ${event}:`, error.message);
+      });
+    };
+
+    emitter.on(event, handler);
+    this.listeners.push({ emitter, event, handler });
+  }
+
+  /**
+   * Replace contact variables in a campaign template
+   * Supports {name}, {email}, {phone} plus the bot date variables ({date}, {time}, {datetime}, {day})
+   * @param {string} template - Message template
+   * @param {Object} contact - contacts row
+   * @returns {string}
+   */
+  renderTemplate(template, contact = {}) {
+    const values = {
+      name: contact.name || '',
+      email: contact.email || '',
+      phone: contact.phone_number || ''
+    };
+
+    // Date variables first, then every contact variable in one pass with a
+    // function replacement, so contact values are inserted literally ("$&",
+    // "{date}" or "{email}" in a name is not expanded)
+    return botService.processMessageTemplate(template)
+      .replace(/\{(name|email|phone)\}/g, (variable, key) => values[key]);
+  }
+
+  /**
+   * Get a campaign owned by a user
+   * @param {string} campaignId
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getCampaign(campaignId, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('campaigns')
+      .select('*')
+      .eq('id', campaignId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Live recipient counts for a campaign
+   * @param {string} campaignId
+   * @returns {Promise<Object>} - { total, pending, queued, sent, delivered, read, failed, skipped, cancelled }
+   */
+  async getStats(campaignId) {
+    const stats = { total: 0 };
+
+    for (const status of RECIPIENT_STATUSES) {
+      const { count, error } = await supabaseAdmin
+        .from('campaign_recipients')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('status', status);
+
+      if (error) throw error;
+
+      stats[status] = count || 0;
+      stats.total += stats[status];
+    }
+
+    return stats;
+  }
+
+  /**
+   * Load the contacts of a campaign's groups (deduplicated by phone number)
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Array>} - contacts rows
+   */
+  async getGroupContacts(campaign) {
+    if (!campaign.group_ids || campaign.group_ids.length === 0) {
+      return [];
+    }
+
+    const { data: groups, error: groupError } = await supabaseAdmin
+      .from('contact_groups')
+      .select('id')
+      .in('id', campaign.group_ids)
+      .eq('user_id', campaign.user_id);
+
+    if (groupError) throw groupError;
+
+    const groupIds = (groups || []).map(g => g.id);
+    if (groupIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('contact_group_members')
+      .select('contacts(*)')
+      .in('group_id', groupIds);
+
+    if (error) throw error;
+
+    const byPhone = new Map();
+    for (const { contacts: contact } of data || []) {
+      if (contact && !byPhone.has(contact.phone_number)) {
+        byPhone.set(contact.phone_number, contact);
+      }
+    }
+
+    return [...byPhone.values()];
+  }
+
+  /**
+   * Render the first few recipients' messages without starting the campaign
+   * @param {Object} campaign - campaigns row
+   * @param {number} limit
+   * @returns {Promise<Object>} - { total_recipients, samples }
+   */
+  async preview(campaign, limit = 5) {
+    const contacts = await this.getGroupContacts(campaign);
+
+    return {
+      total_recipients: contacts.length,
+      samples: contacts.slice(0, limit).map(contact => ({
+        contact_id: contact.id,
+        phone_number: contact.phone_number,
+        message: this.renderTemplate(campaign.message_template, contact)
+      }))
+    };
+  }
+
+  /**
+   * Create recipient rows with rendered messages for a campaign
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<number>} - Number of recipients
+   */
+  async materializeRecipients(campaign) {
+    const contacts = await this.getGroupContacts(campaign);
+    const optedOut = await suppressionService.filterSuppressed(
+      campaign.user_id,
+      contacts.map(contact => whatsappService.getRecipientNumber(contact.phone_number || ''))
+    );
+
+    const skipReason = (contact) => {
+      if (!contact.phone_number) return 'Contact has no phone number';
+      if (optedOut.has(whatsappService.getRecipientNumber(contact.phone_number))) return 'Recipient opted out';
+      if (contact.whatsapp_registered === false) return 'Not on WhatsApp';
+      return null;
+    };
+
+    const rows = contacts.map(contact => {
+      const reason = skipReason(contact);
+      return {
+        campaign_id: campaign.id,
+        contact_id: contact.id,
+        phone_number: contact.phone_number,
+        message: this.renderTemplate(campaign.message_template, contact),
+        status: reason ? 'skipped' : 'pending',
+        error: reason
+      };
+    });
+
+    // Insert in chunks to stay under request size limits
+    for (let i = 0; i < rows.length; i += 500) {
+      const { error } = await supabaseAdmin
+        .from('campaign_recipients')
+        .upsert(rows.slice(i, i + 500), { onConflict: 'campaign_id,phone_number', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Start a draft or scheduled campaign now
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Object|null>} - Updated campaign, or null if it could not be started
+   */
+  async startCampaign(campaign) {
+    // Claim the campaign so it is only started once
+    const { data: claimed, error } = await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'running', started_at: new Date().toISOString() })
+      .eq('id', campaign.id)
+      .in('status', ['draft', 'scheduled'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!claimed) return null;
+
+    try {
+      const total = await this.materializeRecipients(claimed);
+
+      const { data: updated, error: updateError } = await supabaseAdmin
+        .from('campaigns')
+        .update({ total_recipients: total })
+        .eq('id', claimed.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      console.log(`📣 Campaign ${claimed.id} started with ${total} recipient(s)`);
+      await this.feedCampaign(updated);
+
+      return updated;
+    } catch (startError) {
+      // Return to draft so the campaign can be fixed and started again
+      await supabaseAdmin
+        .from('campaigns')
+        .update({ status: 'draft', started_at: null })
+        .eq('id', claimed.id);
+      throw startError;
+    }
+  }
+
+  /**
+   * Pause a running campaign: queued messages that were not sent yet are pulled back
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Object|null>} - Updated campaign, or null if it is not running
+   */
+  async pauseCampaign(campaign) {
+    const { data: paused, error } = await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'paused', paused_at: new Date().toISOString() })
+      .eq('id', campaign.id)
+      .eq('status', 'running')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!paused) return null;
+
+    await this.withdrawQueuedMessages(paused.id, 'pending');
+
+    return paused;
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Object|null>} - Updated campaign, or null if it is not paused
+   */
+  async resumeCampaign(campaign) {
+    const { data: resumed, error } = await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'running', paused_at: null })
+      .eq('id', campaign.id)
+      .eq('status', 'paused')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!resumed) return null;
+
+    await this.feedCampaign(resumed);
+
+    return resumed;
+  }
+
+  /**
+   * Stop a campaign for good; recipients not sent yet are marked cancelled
+   * @param {Object} campaign - campaigns row
+   * @returns {Promise<Object|null>} - Updated campaign, or null if it already finished
+   */
+  async cancelCampaign(campaign) {
+    const { data: cancelled, error } = await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+      .eq('id', campaign.id)
+      .in('status', ['draft', 'scheduled', 'running', 'paused'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!cancelled) return null;
+
+    await this.withdrawQueuedMessages(cancelled.id, 'cancelled');
+
+    const { error: recipientError } = await supabaseAdmin
+      .from('campaign_recipients')
+      .update({ status: 'cancelled' })
+      .eq('campaign_id', cancelled.id)
+      .eq('status', 'pending');
+
+    if (recipientError) throw recipientError;
+
+    return cancelled;
+  }
+
+  /**
+   * Cancel queue messages of a campaign that have not been picked up yet
+   * @param {string} campaignId
+   * @param {string} recipientStatus - Status for the affected recipients ('pending' to send later)
+   */
+  async withdrawQueuedMessages(campaignId, recipientStatus) {
+    const { data: withdrawn, error } = await supabaseAdmin
+      .from('messages')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), payload: null })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw error;
+
+    const messageIds = (withdrawn || []).map(m => m.id);
+
+    for (let i = 0; i < messageIds.length; i += 200) {
+      const { error: recipientError } = await supabaseAdmin
+        .from('campaign_recipients')
+        .update({ status: recipientStatus, message_id: null, queued_at: null })
+        .in('message_id', messageIds.slice(i, i + 200));
+
+      if (recipientError) throw recipientError;
+    }
+  }
+
+  /**
+   * Queue the next batch of recipients once the previous batch has left the queue
+   * @param {Object} campaign - campaigns row (running)
+   */
+  async feedCampaign(campaign) {
+    const { count: inFlight, error: countError } = await supabaseAdmin
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaign.id)
+      .in('status', ['pending', 'processing']);
+
+    if (countError) throw countError;
+
+    const room = this.batchSize - (inFlight || 0);
+    if (room <= 0) return;
+
+    const { data: recipients, error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaign.id)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(room);
+
+    if (error) throw error;
+
+    for (const recipient of recipients || []) {
+      try {
+        const queued = await messageQueueService.enqueue(
+          campaign.session_id,
+          recipient.phone_number,
+          recipient.message,
+          { source: 'campaign', campaignId: campaign.id }
+        );
+
+        // Opted out after the campaign started - the queue stored the message as skipped
+        const update = queued.status === 'skipped'
+          ? { status: 'skipped', message_id: queued.id, error: 'Recipient opted out' }
+          : { status: 'queued', message_id: queued.id, queued_at: new Date().toISOString() };
+
+        await supabaseAdmin
+          .from('campaign_recipients')
+          .update(update)
+          .eq('id', recipient.id);
+      } catch (enqueueError) {
+        console.error(`Failed to queue campaign message to ${recipient.phone_number}:`, enqueueError.message);
+        await supabaseAdmin
+          .from('campaign_recipients')
+          .update({ status: 'failed', error: enqueueError.message, failed_at: new Date().toISOString() })
+          .eq('id', recipient.id);
+      }
+    }
+  }
+
+  /**
+   * Catch up recipients whose message left the queue while no event was received
+   * (e.g. the process restarted between the send and the status update)
+   * @param {Object} campaign - campaigns row (running)
+   */
+  async syncQueuedRecipients(campaign) {
+    const { data: recipients, error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .select('id, message_id, messages(status, sent_at, delivered_at, read_at, failed_at, last_error)')
+      .eq('campaign_id', campaign.id)
+      .eq('status', 'queued')
+      .limit(this.batchSize * 2);
+
+    if (error) throw error;
+
+    for (const recipient of recipients || []) {
+      const message = recipient.messages;
+
+      if (!message) {
+        await supabaseAdmin
+          .from('campaign_recipients')
+          .update({ status: 'failed', error: 'Queued message was deleted', failed_at: new Date().toISOString() })
+          .eq('id', recipient.id);
+        continue;
+      }
+
+      if (['pending', 'processing'].includes(message.status)) continue;
+
+      if (message.status === 'skipped') {
+        await this.updateRecipientStatus(recipient.message_id, 'skipped', { error: 'Recipient opted out' });
+      } else if (message.status === 'failed' || message.status === 'cancelled') {
+        await this.updateRecipientStatus(recipient.message_id, 'failed', {
+          failed_at: message.failed_at || new Date().toISOString(),
+          error: message.last_error || `Message ${message.status}`
+        });
+      } else {
+        await this.updateRecipientStatus(recipient.message_id, message.status, {
+          sent_at: message.sent_at,
+          delivered_at: message.delivered_at,
+          read_at: message.read_at
+        });
+      }
+    }
+  }
+
+  /**
+   * Mark a running campaign completed once every recipient has left the queue
+   * @param {Object} campaign - campaigns row (running)
+   */
+  async completeIfFinished(campaign) {
+    const { count, error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaign.id)
+      .in('status', ['pending', 'queued']);
+
+    if (error) throw error;
+    if (count > 0) return;
+
+    await supabaseAdmin
+      .from('campaigns')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', campaign.id)
+      .eq('status', 'running');
+
+    console.log(`✅ Campaign ${campaign.id} completed`);
+  }
+
+  /**
+   * Move a campaign recipient forward to the status of its message
+   * @param {string} messageId - messages row ID
+   * @param {string} status - sent | delivered | read | failed | skipped
+   * @param {Object} fields - Timestamps / error to record
+   */
+  async updateRecipientStatus(messageId, status, fields = {}) {
+    const { data: recipient, error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .select('id, status')
+      .eq('message_id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!recipient) return;
+
+    if (status === 'failed' || status === 'skipped') {
+      // A message that was already delivered cannot fail afterwards
+      if ((DELIVERY_RANK[recipient.status] || 0) >= DELIVERY_RANK.delivered) return;
+    } else if (!(status in DELIVERY_RANK) || (DELIVERY_RANK[recipient.status] ?? -1) > DELIVERY_RANK[status]) {
+      return;
+    }
+
+    const update = { status };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) update[key] = value;
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('campaign_recipients')
+      .update(update)
+      .eq('id', recipient.id);
+
+    if (updateError) throw updateError;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      // Start scheduled campaigns that are due
+      const { data: due, error: dueError } = await supabaseAdmin
+        .from('campaigns')
+        .select('*')
+        .eq('status', 'scheduled')
+        .lte('scheduled_at', new Date().toISOString());
+
+      if (dueError) throw dueError;
+
+      for (const campaign of due || []) {
+        try {
+          await this.startCampaign(campaign);
+        } catch (error) {
+          console.error(`❌ Failed to start campaign ${campaign.id}:`, error.message);
+        }
+      }
+
+      // Keep running campaigns fed and close finished ones
+      const { data: running, error: runningError } = await supabaseAdmin
+        .from('campaigns')
+        .select('*')
+        .eq('status', 'running');
+
+      if (runningError) throw runningError;
+
+      for (const campaign of running || []) {
+        // Cluster mode: the node running the campaign's session feeds it
+        if (!clusterService.isLocal(campaign.session_id)) {
+          continue;
+        }
+
+        try {
+          await this.syncQueuedRecipients(campaign);
+          await this.feedCampaign(campaign);
+          await this.completeIfFinished(campaign);
+        } catch (error) {
+          console.error(`❌ Campaign ${campaign.id} error:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,377 @@
+const os = require('os');
+const axios = require('axios');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { supabaseAdmin } = require('../config/supabase');
+
+// Node IDs are used in PostgREST filters - keep them to safe characters
+const sanitizeNodeId = (nodeId) => String(nodeId).replace(/[^A-Za-z0-9_.-]/g, '-');
+
+/**
+ * Cluster Service
+ *
+ * Lets several backend nodes share the sessions behind a load balancer
+ * (CLUSTER_ENABLED=true). Each session is run by exactly one node, which holds
+ * a lease on it in the sessions table (owner_node_id, lease_expires_at):
+ *
+ * - A node acquires the lease before starting a client and renews it on every
+ *   heartbeat; leases are taken with a conditional update, so two nodes can
+ *   never both win the same session.
+ * - Leases of a node that stops heartbeating expire after SESSION_LEASE_TTL_MS,
+ *   and live nodes take its sessions over ('takeover').
+ * - A node that finds its lease taken (e.g. after a long pause) drops its client ('lease_lost').
+ * - Operations that need the WhatsApp client of a session owned by another node
+ *   are forwarded to that node (internal API, authenticated with CLUSTER_SECRET).
+ * - Real-time events are relayed to the other nodes, so event streams work
+ *   whichever node serves them.
+ *
+ * With clustering disabled this node owns every session and nothing is stored.
+ *
+ * Events:
+ * - 'lease_lost' (sessionId)  another node took the session over
+ * - 'takeover'   (sessionId)  an authenticated session has no live owner - try to run it here
+ */
+class ClusterService extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = process.env.CLUSTER_ENABLED === 'true';
+    this.nodeId = sanitizeNodeId(process.env.NODE_ID || `${os.hostname()}-${process.pid}`);
+    this.nodeUrl = (process.env.NODE_URL || `http://${os.hostname()}:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    this.secret = process.env.CLUSTER_SECRET || '';
+    this.leaseTtlMs = parseInt(process.env.SESSION_LEASE_TTL_MS) || 60000;
+    this.heartbeatMs = parseInt(process.env.SESSION_LEASE_HEARTBEAT_MS) || 15000;
+    this.forwardTimeoutMs = 60000;
+
+    this.leases = new Set(); // Sessions this node holds a lease on
+    this.nodes = new Map(); // nodeId -> url of live nodes (refreshed on every heartbeat)
+    this.heartbeatInterval = null;
+    this.beating = false;
+  }
+
+  async start() {
+    if (!this.enabled || this.heartbeatInterval) {
+      return;
+    }
+
+    if (!this.secret) {
+      throw new Error('CLUSTER_SECRET is required when CLUSTER_ENABLED=true');
+    }
+
+    await this.heartbeat().catch(error => {
+      console.error('❌ Cluster heartbeat error:', error.message);
+    });
+
+    this.heartbeatInterval = setInterval(() => {
+      this.heartbeat().catch(error => {
+        console.error('❌ Cluster heartbeat error:', error.message);
+      });
+    }, this.heartbeatMs);
+
+    console.log(`✅ Cluster mode enabled: node ${this.nodeId} (${this.nodeUrl}), lease ${this.leaseTtlMs / 1000}s`);
+  }
+
+  /**
+   * Stop heartbeating and hand the sessions of this node over right away
+   */
+  async stop() {
+    if (!this.heartbeatInterval) {
+      return;
+    }
+
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+
+    try {
+      await supabaseAdmin
+        .from('sessions')
+        .update({ owner_node_id: null, lease_expires_at: null })
+        .eq('owner_node_id', this.nodeId);
+
+      await supabaseAdmin
+        .from('cluster_nodes')
+        .delete()
+        .eq('node_id', this.nodeId);
+
+      console.log(`Cluster node ${this.nodeId} released ${this.leases.size} session lease(s)`);
+    } catch (error) {
+      console.error('❌ Failed to release session leases:', error.message);
+    }
+
+    this.leases.clear();
+  }
+
+  getLeaseExpiry() {
+    return new Date(Date.now() + this.leaseTtlMs).toISOString();
+  }
+
+  /**
+   * Take (or renew) the lease on a session
+   * Succeeds when the session has no owner, is already owned by this node or its lease expired.
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} - true if this node may run the session
+   */
+  async acquire(sessionId) {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .update({ owner_node_id: this.nodeId, lease_expires_at: this.getLeaseExpiry() })
+      .eq('id', sessionId)
+      .or(`owner_node_id.is.null,owner_node_id.eq.${this.nodeId},lease_expires_at.lt.${new Date().toISOString()}`)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (data) {
+      this.leases.add(sessionId);
+      return true;
+    }
+
+    this.leases.delete(sessionId);
+    return false;
+  }
+
+  /**
+   * Give up the lease on a session (only if this node holds it)
+   * @param {string} sessionId
+   */
+  async release(sessionId) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.leases.delete(sessionId);
+
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update({ owner_node_id: null, lease_expires_at: null })
+      .eq('id', sessionId)
+      .eq('owner_node_id', this.nodeId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Whether this node runs the session
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  isLocal(sessionId) {
+    return !this.enabled || this.leases.has(sessionId);
+  }
+
+  /**
+   * Sessions this node holds a lease on (null when clustering is disabled: all of them)
+   * @returns {string[]|null}
+   */
+  getLocalSessionIds() {
+    return this.enabled ? [...this.leases] : null;
+  }
+
+  /**
+   * Get the live node that runs a session, when it isn't this one
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} - { node_id, url }, or null if the session is local or has no live owner
+   */
+  async getRemoteOwner(sessionId) {
+    if (!this.enabled || this.leases.has(sessionId)) {
+      return null;
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('owner_node_id, lease_expires_at')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session || !session.owner_node_id || session.owner_node_id === this.nodeId ||
+        new Date(session.lease_expires_at) < new Date()) {
+      return null;
+    }
+
+    const url = this.nodes.get(session.owner_node_id) || await this.getNodeUrl(session.owner_node_id);
+    return url ? { node_id: session.owner_node_id, url } : null;
+  }
+
+  async getNodeUrl(nodeId) {
+    const { data, error } = await supabaseAdmin
+      .from('cluster_nodes')
+      .select('url')
+      .eq('node_id', nodeId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.url : null;
+  }
+
+  /**
+   * Run an operation on the node that owns a session
+   * Errors of the owner are rethrown with their message and code.
+   * @param {Object} owner - { node_id, url } from getRemoteOwner
+   * @param {string} sessionId
+   * @param {string} action - Internal action (send, pairing-code, release, state, check-number, group, contact-sync, cloud-webhook)
+   * @param {Object} payload - Action arguments
+   * @returns {Promise<*>} - Action result
+   */
+  async forward(owner, sessionId, action, payload = {}) {
+    try {
+      const response = await axios.post(`${owner.url}/api/internal/sessions/${sessionId}/${action}`, payload, {
+        timeout: this.forwardTimeoutMs,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Cluster-Node': this.nodeId,
+          'X-Cluster-Secret': this.secret
+        }
+      });
+
+      return response.data.result;
+    } catch (error) {
+      const body = error.response?.data;
+      const forwardError = new Error(body?.message || body?.error || `Node ${owner.node_id} unreachable: ${error.message}`);
+      if (body?.code) {
+        forwardError.code = body.code;
+      }
+      throw forwardError;
+    }
+  }
+
+  /**
+   * Send a real-time event to the other live nodes (fire and forget)
+   * @param {string} sessionId
+   * @param {string} event - Event name (e.g. 'session.qr')
+   * @param {Object} data - Event payload
+   * @param {Object} options - Publish options of the event stream
+   */
+  relayEvent(sessionId, event, data, options = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const [nodeId, url] of this.nodes) {
+      if (nodeId === this.nodeId) continue;
+
+      axios.post(`${url}/api/internal/events`, { sessionId, event, data, options }, {
+        timeout: 5000,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Cluster-Node': this.nodeId,
+          'X-Cluster-Secret': this.secret
+        }
+      }).catch(error => {
+        console.error(`⚠️ Failed to relay ${event} to node ${nodeId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Check the shared secret of an internal request
+   * @param {string} secret - X-Cluster-Secret header
+   * @returns {boolean}
+   */
+  verifySecret(secret) {
+    if (!this.enabled || !this.secret || !secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.secret);
+    const received = Buffer.from(String(secret));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  async heartbeat() {
+    if (this.beating) {
+      return;
+    }
+    this.beating = true;
+
+    try {
+      const now = new Date().toISOString();
+
+      const { error: nodeError } = await supabaseAdmin
+        .from('cluster_nodes')
+        .upsert({ node_id: this.nodeId, url: this.nodeUrl, last_heartbeat_at: now }, { onConflict: 'node_id' });
+
+      if (nodeError) throw nodeError;
+
+      await this.refreshNodes();
+      await this.renewLeases();
+      await this.takeOverExpiredSessions();
+    } finally {
+      this.beating = false;
+    }
+  }
+
+  async refreshNodes() {
+    const aliveSince = new Date(Date.now() - this.leaseTtlMs).toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('cluster_nodes')
+      .select('node_id, url')
+      .gte('last_heartbeat_at', aliveSince);
+
+    if (error) throw error;
+
+    this.nodes = new Map((data || []).map(node => [node.node_id, node.url]));
+  }
+
+  async renewLeases() {
+    if (this.leases.size === 0) {
+      return;
+    }
+
+    const sessionIds = [...this.leases];
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .update({ lease_expires_at: this.getLeaseExpiry() })
+      .eq('owner_node_id', this.nodeId)
+      .in('id', sessionIds)
+      .select('id');
+
+    if (error) throw error;
+
+    const renewed = new Set((data || []).map(session => session.id));
+
+    for (const sessionId of sessionIds) {
+      if (!renewed.has(sessionId) && this.leases.has(sessionId)) {
+        console.log(`⚠️ Lease on session ${sessionId} was lost (taken over or deleted)`);
+        this.leases.delete(sessionId);
+        this.emit('lease_lost', sessionId);
+      }
+    }
+  }
+
+  /**
+   * Offer sessions without a live owner for takeover, spread across the live nodes:
+   * each heartbeat a node takes its share, so a failed node's sessions are redistributed
+   */
+  async takeOverExpiredSessions() {
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('id')
+      .not('phone_number', 'is', null)
+      .or(`owner_node_id.is.null,lease_expires_at.lt.${new Date().toISOString()}`);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return;
+
+    const share = Math.ceil(data.length / Math.max(this.nodes.size, 1));
+    const candidates = data
+      .map(session => session.id)
+      .sort(() => Math.random() - 0.5)
+      .slice(0, share);
+
+    for (const sessionId of candidates) {
+      this.emit('takeover', sessionId);
+    }
+  }
+}
+
+module.exports = new ClusterService();
@@ -0,0 +1,444 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const clusterService = require('./clusterService');
+
+const PAGE_SIZE = 1000;
+const WRITE_CHUNK_SIZE = 500;
+
+// Pause between profile picture lookups (each one is a WhatsApp query)
+const PICTURE_DELAY_MS = 200;
+
+// Statuses that stop a sync scheduled after connecting
+const STOP_STATUSES = ['disconnected', 'auth_failure', 'stopped'];
+
+/**
+ * Contact Sync Service
+ *
+ * Copies the address book and one-to-one chats of a session's WhatsApp account
+ * into contacts, with the WhatsApp display name, business flag, profile picture
+ * and time of the last chat message. New contacts are named as saved on the
+ * phone (or by their own WhatsApp name); names edited in the app are kept.
+ *
+ * Sessions are synced shortly after they connect and every
+ * CONTACT_SYNC_INTERVAL_HOURS (CONTACT_SYNC_AUTO=false: only on demand).
+ * Syncs are incremental: only new contacts, changed names or business flags
+ * and chats with new messages are written, and profile pictures are fetched
+ * again once older than CONTACT_SYNC_PICTURE_TTL_DAYS. A full sync rewrites
+ * every contact and picture. Progress is stored on the session
+ * (contacts_sync_status, contacts_synced_at, contacts_sync_stats).
+ *
+ * A sync runs on the node running the session; requests are forwarded there.
+ */
+class ContactSyncService {
+  constructor() {
+    this.autoSync = process.env.CONTACT_SYNC_AUTO !== 'false';
+    this.intervalMs = (parseInt(process.env.CONTACT_SYNC_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.pictureTtlMs = (parseInt(process.env.CONTACT_SYNC_PICTURE_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    this.connectDelayMs = 30000; // Lets the account's chats load after 'ready'
+    this.listener = null;
+    this.interval = null;
+    this.stopping = false;
+    this.timers = new Map(); // sessionId -> sync scheduled after connecting
+    this.running = new Map(); // sessionId -> sync in progress
+  }
+
+  start() {
+    if (this.listener) {
+      return;
+    }
+
+    this.stopping = false;
+    this.listener = ({ sessionId, status }) => {
+      if (status === 'ready' && this.autoSync) {
+        this.scheduleSync(sessionId);
+      } else if (STOP_STATUSES.includes(status)) {
+        this.cancelScheduledSync(sessionId);
+      }
+    };
+    whatsappService.on('session_status', this.listener);
+
+    if (this.autoSync) {
+      // Checked hourly, so a long interval still starts close to when it is due
+      this.interval = setInterval(() => {
+        this.syncDueSessions().catch(error => {
+          console.error('❌ Contact sync check failed:', error.message);
+        });
+      }, Math.min(this.intervalMs, 60 * 60 * 1000));
+    }
+
+    console.log(`✅ Contact sync enabled (${this.autoSync ? `every ${this.intervalMs / 3600000}h` : 'on demand only'})`);
+  }
+
+  /**
+   * Stop syncing; syncs in progress stop before their next profile picture
+   */
+  async stop() {
+    this.stopping = true;
+
+    if (this.listener) {
+      whatsappService.off('session_status', this.listener);
+      this.listener = null;
+    }
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    await Promise.allSettled([...this.running.values()]);
+  }
+
+  scheduleSync(sessionId) {
+    this.cancelScheduledSync(sessionId);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(sessionId);
+      this.runSync(sessionId);
+    }, this.connectDelayMs);
+    this.timers.set(sessionId, timer);
+  }
+
+  cancelScheduledSync(sessionId) {
+    clearTimeout(this.timers.get(sessionId));
+    this.timers.delete(sessionId);
+  }
+
+  /**
+   * Sync the local sessions whose last sync is older than the interval
+   */
+  async syncDueSessions() {
+    const sessionIds = [...whatsappService.getAllClients().keys()].filter(sessionId => !this.running.has(sessionId));
+    if (sessionIds.length === 0) {
+      return;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('id, contacts_synced_at')
+      .in('id', sessionIds);
+
+    if (error) throw error;
+
+    const dueBefore = Date.now() - this.intervalMs;
+    for (const session of data || []) {
+      if (!session.contacts_synced_at || new Date(session.contacts_synced_at).getTime() < dueBefore) {
+        await this.runSync(session.id);
+      }
+    }
+  }
+
+  /**
+   * Automatic incremental sync of a local session (providers without contacts are skipped)
+   * @param {string} sessionId
+   */
+  async runSync(sessionId) {
+    if (this.running.has(sessionId) || this.stopping) {
+      return;
+    }
+
+    try {
+      const client = await whatsappService.getConnectedClient(sessionId);
+      const account = await this.fetchAccount(client);
+      if (this.running.has(sessionId)) {
+        return;
+      }
+      await this.startSync(sessionId, client, account, { full: false });
+    } catch (error) {
+      if (error.code !== 'PROVIDER_UNSUPPORTED' && error.code !== 'SESSION_NOT_RUNNING') {
+        console.error(`❌ Contact sync of session ${sessionId} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Start a sync from the API (runs in the background)
+   * @param {string} sessionId
+   * @param {Object} options - { full } rewrite every contact and picture, { forwarded } (don't ask other nodes)
+   * @returns {Promise<Object>} - { status, full, contacts, chats } or { status: 'running', already_running: true }
+   */
+  async requestSync(sessionId, options = {}) {
+    if (this.running.has(sessionId)) {
+      return { status: 'running', already_running: true };
+    }
+
+    if (!whatsappService.getClient(sessionId) && !options.forwarded) {
+      const owner = await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'contact-sync', { full: !!options.full });
+      }
+    }
+
+    const client = await whatsappService.getConnectedClient(sessionId);
+    const account = await this.fetchAccount(client);
+
+    // Another sync started while the account was read
+    if (this.running.has(sessionId)) {
+      return { status: 'running', already_running: true };
+    }
+
+    this.cancelScheduledSync(sessionId);
+    this.startSync(sessionId, client, account, { full: !!options.full }).catch(error => {
+      console.error(`❌ Contact sync of session ${sessionId} failed:`, error.message);
+    });
+
+    return { status: 'running', full: !!options.full, contacts: account.contacts.length, chats: account.chats.length };
+  }
+
+  /**
+   * Address book and chats of the account
+   * @param {BaseProvider} client
+   * @returns {Promise<Object>} - { contacts, chats }
+   */
+  async fetchAccount(client) {
+    const [contacts, chats] = await Promise.all([client.getContacts(), client.getChats()]);
+    return { contacts, chats };
+  }
+
+  startSync(sessionId, client, account, options) {
+    const sync = this.applySync(sessionId, client, account, options).finally(() => {
+      this.running.delete(sessionId);
+    });
+    this.running.set(sessionId, sync);
+    return sync;
+  }
+
+  /**
+   * Write the account's contacts and chats into contacts
+   * @returns {Promise<Object>} - Stats: { contacts, chats, created, updated, unchanged, pictures }
+   */
+  async applySync(sessionId, client, account, options = {}) {
+    const startedAt = new Date().toISOString();
+    await this.updateSession(sessionId, { contacts_sync_status: 'running', contacts_sync_error: null });
+
+    try {
+      const session = await whatsappService.getSession(sessionId);
+      const existing = await this.loadContacts(sessionId);
+      const entries = this.mergeAccount(account);
+
+      const created = [];
+      const updated = [];
+      let unchanged = 0;
+
+      for (const entry of entries.values()) {
+        const current = existing.get(entry.phone_number);
+        const registration = { whatsapp_registered: true, whatsapp_jid: entry.id, whatsapp_checked_at: startedAt };
+
+        if (!current) {
+          created.push({
+            session_id: sessionId,
+            user_id: session.user_id,
+            phone_number: entry.phone_number,
+            name: entry.saved_name || entry.whatsapp_name,
+            whatsapp_name: entry.whatsapp_name,
+            is_business: entry.is_business,
+            last_chat_at: entry.last_chat_at,
+            last_synced_at: startedAt,
+            ...registration
+          });
+          continue;
+        }
+
+        // Chats only move forward, and an address book entry without a chat keeps the known one
+        const knownChatMs = current.last_chat_at ? new Date(current.last_chat_at).getTime() : 0;
+        const chatMs = entry.last_chat_at ? new Date(entry.last_chat_at).getTime() : 0;
+        const lastChatAt = chatMs > knownChatMs ? entry.last_chat_at : current.last_chat_at;
+        const changed = options.full ||
+          entry.whatsapp_name !== current.whatsapp_name ||
+          entry.is_business !== !!current.is_business ||
+          chatMs > knownChatMs;
+
+        if (!changed) {
+          unchanged++;
+          continue;
+        }
+
+        updated.push({
+          session_id: sessionId,
+          phone_number: entry.phone_number,
+          whatsapp_name: entry.whatsapp_name,
+          is_business: entry.is_business,
+          last_chat_at: lastChatAt,
+          last_synced_at: startedAt,
+          ...registration
+        });
+      }
+
+      await this.writeContacts(created, { ignoreDuplicates: true });
+      await this.writeContacts(updated, { ignoreDuplicates: false });
+
+      const pictures = await this.syncPictures(sessionId, client, entries, existing, options);
+
+      const stats = {
+        full: !!options.full,
+        contacts: account.contacts.length,
+        chats: account.chats.length,
+        created: created.length,
+        updated: updated.length,
+        unchanged,
+        pictures
+      };
+
+      await this.updateSession(sessionId, {
+        contacts_sync_status: 'completed',
+        contacts_synced_at: startedAt,
+        contacts_sync_stats: stats
+      });
+
+      console.log(`📇 Contacts of session ${sessionId} synced: ${created.length} new, ${updated.length} updated, ${pictures} picture(s)`);
+      return stats;
+    } catch (error) {
+      await this.updateSession(sessionId, { contacts_sync_status: 'failed', contacts_sync_error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * One entry per phone number, from the address book and the chats
+   * @param {Object} account - { contacts, chats }
+   * @returns {Map} - phone_number -> { id, phone_number, saved_name, whatsapp_name, is_business, last_chat_at }
+   */
+  mergeAccount({ contacts, chats }) {
+    const entries = new Map();
+
+    for (const contact of contacts) {
+      entries.set(contact.phone_number, {
+        id: contact.id,
+        phone_number: contact.phone_number,
+        saved_name: contact.name,
+        whatsapp_name: contact.push_name || contact.name || null,
+        is_business: !!contact.is_business,
+        last_chat_at: null
+      });
+    }
+
+    for (const chat of chats) {
+      const entry = entries.get(chat.phone_number);
+      if (entry) {
+        entry.last_chat_at = chat.last_message_at;
+        continue;
+      }
+
+      // Someone who chatted without being saved on the phone
+      entries.set(chat.phone_number, {
+        id: chat.id,
+        phone_number: chat.phone_number,
+        saved_name: null,
+        whatsapp_name: chat.name && chat.name.replace(/\D/g, '') !== chat.phone_number ? chat.name : null,
+        is_business: false,
+        last_chat_at: chat.last_message_at
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Contacts of a session already stored
+   * @param {string} sessionId
+   * @returns {Promise<Map>} - phone_number -> row
+   */
+  async loadContacts(sessionId) {
+    const contacts = new Map();
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabaseAdmin
+        .from('contacts')
+        .select('phone_number, whatsapp_name, is_business, last_chat_at, profile_picture_updated_at')
+        .eq('session_id', sessionId)
+        .order('phone_number', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      for (const contact of data || []) {
+        contacts.set(contact.phone_number, contact);
+      }
+
+      if (!data || data.length < PAGE_SIZE) {
+        return contacts;
+      }
+    }
+  }
+
+  // New rows are inserted (a contact created meanwhile is left alone); updates only carry WhatsApp columns
+  async writeContacts(rows, options) {
+    for (let i = 0; i < rows.length; i += WRITE_CHUNK_SIZE) {
+      const { error } = await supabaseAdmin
+        .from('contacts')
+        .upsert(rows.slice(i, i + WRITE_CHUNK_SIZE), { onConflict: 'session_id,phone_number', ...options });
+
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Fetch the profile pictures of new contacts and of pictures older than the TTL (all on a full sync)
+   * @returns {Promise<number>} - Pictures fetched
+   */
+  async syncPictures(sessionId, client, entries, existing, options) {
+    const staleBefore = Date.now() - this.pictureTtlMs;
+    const due = [...entries.values()].filter(entry => {
+      const updatedAt = existing.get(entry.phone_number)?.profile_picture_updated_at;
+      return options.full || !updatedAt || new Date(updatedAt).getTime() < staleBefore;
+    });
+
+    let fetched = 0;
+    for (const entry of due) {
+      if (this.stopping) {
+        break;
+      }
+
+      let pictureUrl;
+      try {
+        pictureUrl = await client.getProfilePictureUrl(entry.id);
+      } catch (error) {
+        continue; // Retried on the next sync
+      }
+
+      const { error } = await supabaseAdmin
+        .from('contacts')
+        .update({ profile_picture_url: pictureUrl, profile_picture_updated_at: new Date().toISOString() })
+        .eq('session_id', sessionId)
+        .eq('phone_number', entry.phone_number);
+
+      if (error) throw error;
+      fetched++;
+
+      await new Promise(resolve => setTimeout(resolve, PICTURE_DELAY_MS));
+    }
+
+    return fetched;
+  }
+
+  async updateSession(sessionId, fields) {
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update(fields)
+      .eq('id', sessionId);
+
+    if (error) {
+      console.error(`Failed to update contact sync status of session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Sync status of a session
+   * @param {Object} session - sessions row
+   * @returns {Object} - { status, synced_at, error, stats }
+   */
+  getStatus(session) {
+    return {
+      status: session.contacts_sync_status || 'never',
+      synced_at: session.contacts_synced_at || null,
+      error: session.contacts_sync_error || null,
+      stats: session.contacts_sync_stats || null
+    };
+  }
+}
+
+module.exports = new ContactSyncService();
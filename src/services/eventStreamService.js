@@ -0,0 +1,247 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const clusterService = require('./clusterService');
+
+// Comment line sent regularly so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How often the credentials of an open stream are checked again
+const CREDENTIAL_CHECK_INTERVAL_MS = 60000;
+
+/**
+ * Event Stream Service
+ *
+ * Pushes WhatsApp events to connected clients over Server-Sent Events, so they
+ * don't have to poll for QR codes, status changes or new messages. Each client
+ * only receives events of sessions its user owns (and, for restricted API keys,
+ * of the sessions the key allows); test (wp_test_) keys only receive message
+ * events of sandbox messages. Credentials are checked again while the stream
+ * is open, and the stream is closed (stream.closed event) once the key is
+ * revoked or expired, the JWT expired or the user blocked. In cluster mode,
+ * events are relayed between nodes, so a stream receives them whichever node
+ * runs the session.
+ *
+ * Events: session.qr, session.pairing_code, session.authenticated, session.ready, session.auth_failure,
+ * session.disconnected, session.reconnecting, session.reconnect_failed, session.state_changed,
+ * session.keepalive_failed, session.keepalive_recovered, session.restoring, session.stopped,
+ * message.received, message.ack, stream.closed
+ */
+class EventStreamService {
+  constructor() {
+    this.clients = new Set(); // { res, userId, sessionIds, sessionId, includeMessages, sandbox, verify, checkedAt, checking }
+    this.listeners = [];
+    this.sessionOwners = new Map(); // sessionId -> user_id, for sessions emitting events on this node
+    this.heartbeatInterval = null;
+    this.nextEventId = 1;
+  }
+
+  start() {
+    if (this.heartbeatInterval) {
+      return;
+    }
+
+    this.subscribe('session_status', ({ sessionId, status, ...data }) => {
+      return this.publish(sessionId, `session.${status}`, data);
+    });
+
+    this.subscribe('message', ({ sessionId, message, record }) => {
+      return this.publish(sessionId, 'message.received', {
+        id: record?.id || null,
+        whatsapp_message_id: message.id?._serialized || null,
+        from: message.from,
+        message: message.body,
+        type: message.type,
+        has_media: !!message.hasMedia,
+        notify_name: message._data?.notifyName || null,
+        timestamp: new Date(message.timestamp * 1000).toISOString()
+      }, { messageEvent: true });
+    });
+
+    this.subscribe('session_deleted', ({ sessionId }) => {
+      this.sessionOwners.delete(sessionId);
+    });
+
+    this.subscribe('message_ack', ({ sessionId, record, ack }) => {
+      return this.publish(sessionId, 'message.ack', {
+        id: record.id,
+        whatsapp_message_id: record.whatsapp_message_id,
+        to: record.to,
+        status: record.status,
+        ack,
+        is_test: !!record.is_test
+      }, { messageEvent: true });
+    });
+
+    this.heartbeatInterval = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+      this.recheckClients();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    console.log('✅ Real-time event stream enabled');
+  }
+
+  stop() {
+    for (const { event, handler } of this.listeners) {
+      whatsappService.off(event, handler);
+    }
+    this.listeners = [];
+
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  subscribe(event, callback) {
+    const handler = (payload) => {
+      Promise.resolve(callback(payload)).catch(error => {
+        console.error(`❌ Failed to stream ${event} event:`, error.message);
+      });
+    };
+
+    whatsappService.on(event, handler);
+    this.listeners.push({ event, handler });
+  }
+
+  /**
+   * Open an event stream on a response
+   * @param {Object} res - Express response (kept open until the client disconnects)
+   * @param {Object} options
+   * @param {string} options.userId - Owner whose sessions are streamed
+   * @param {string[]|null} options.sessionIds - Sessions an API key is limited to (null = all)
+   * @param {string|null} options.sessionId - Only stream this session
+   * @param {boolean} options.includeMessages - Stream message.* events (needs messages:read)
+   * @param {boolean} options.sandbox - Test key: only stream message events of sandbox messages
+   * @param {Function} options.verify - Resolves to why the credentials are no longer valid, or null
+   * @param {Array} options.sessions - Current state of the streamed sessions, sent with the 'connected' event
+   * @returns {Function} - Closes the stream
+   */
+  addClient(res, { userId, sessionIds = null, sessionId = null, includeMessages = true, sandbox = false, verify = null, sessions = [] }) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { res, userId, sessionIds, sessionId, includeMessages, sandbox, verify, checkedAt: Date.now() };
+    this.clients.add(client);
+    this.send(client, 'connected', { session_id: sessionId, sessions });
+
+    return () => {
+      this.clients.delete(client);
+    };
+  }
+
+  /**
+   * Check the credentials of streams not checked for CREDENTIAL_CHECK_INTERVAL_MS
+   * and close the streams whose credentials are no longer valid
+   * (a failed check, e.g. a database error, keeps the stream open)
+   */
+  recheckClients() {
+    const dueBefore = Date.now() - CREDENTIAL_CHECK_INTERVAL_MS;
+
+    for (const client of this.clients) {
+      if (!client.verify || client.checking || client.checkedAt > dueBefore) continue;
+
+      client.checking = true;
+      client.verify()
+        .then(reason => {
+          client.checkedAt = Date.now();
+          if (reason && this.clients.has(client)) {
+            this.closeClient(client, reason);
+          }
+        })
+        .catch(error => {
+          console.error('❌ Failed to check event stream credentials:', error.message);
+        })
+        .finally(() => {
+          client.checking = false;
+        });
+    }
+  }
+
+  closeClient(client, reason) {
+    this.send(client, 'stream.closed', { reason });
+    client.res.end();
+    this.clients.delete(client);
+  }
+
+  /**
+   * Get the user that owns a session (cached - sessions never change owner)
+   * @param {string} sessionId
+   * @returns {Promise<string|null>}
+   */
+  async getSessionOwner(sessionId) {
+    if (this.sessionOwners.has(sessionId)) {
+      return this.sessionOwners.get(sessionId);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('user_id')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    this.sessionOwners.set(sessionId, data.user_id);
+    return data.user_id;
+  }
+
+  /**
+   * Send an event to every client allowed to see the session
+   * @param {string} sessionId
+   * @param {string} event - Event name (e.g. 'session.qr')
+   * @param {Object} data - Event payload
+   * @param {Object} options - { messageEvent } (only sent to clients that can read messages),
+   *   { relayed, ownerId } (received from another node with the session's owner - don't relay it again)
+   */
+  async publish(sessionId, event, data, { messageEvent = false, relayed = false, ownerId = null } = {}) {
+    // The emitting node looks the owner up once and relays it with the event,
+    // so other nodes never cache owners of sessions they don't run
+    if (!relayed) {
+      if (this.clients.size === 0 && !clusterService.enabled) {
+        return;
+      }
+
+      ownerId = await this.getSessionOwner(sessionId);
+      if (!ownerId) {
+        return;
+      }
+
+      clusterService.relayEvent(sessionId, event, data, { messageEvent, ownerId });
+    }
+
+    if (this.clients.size === 0 || !ownerId) {
+      return;
+    }
+
+    for (const client of this.clients) {
+      if (client.userId !== ownerId) continue;
+      if (client.sessionId && client.sessionId !== sessionId) continue;
+      if (client.sessionIds && !client.sessionIds.includes(sessionId)) continue;
+      if (messageEvent && !client.includeMessages) continue;
+      if (messageEvent && client.sandbox && data.is_test !== true) continue;
+
+      this.send(client, event, { session_id: sessionId, ...data });
+    }
+  }
+
+  send(client, event, data) {
+    const payload = { ...data, timestamp: data.timestamp || new Date().toISOString() };
+    client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+}
+
+module.exports = new EventStreamService();
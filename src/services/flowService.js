@@ -0,0 +1,521 @@
+const { supabaseAdmin } = require('../config/supabase');
+const messageQueueService = require('./messageQueueService');
+const { validateRegex, testRegex } = require('../utils/safeRegex');
+
+const NODE_TYPES = ['message', 'question', 'condition', 'handoff', 'end'];
+const CONDITION_TYPES = ['equals', 'contains', 'regex', 'any'];
+const TRIGGER_TYPES = ['keyword', 'regex', 'any'];
+
+const DEFAULT_INVALID_TEXT = "Sorry, I didn't understand that.";
+
+// Safety limit for nodes executed in one step (guards against message/condition loops)
+const MAX_NODES_PER_STEP = 50;
+
+/**
+ * Flow Service
+ *
+ * Runs conversational flows (chatbot state machines) for incoming messages.
+ *
+ * A flow definition is JSON: { start, nodes: [...], edges: [...] }
+ * - message:   { id, type: 'message', text }            sends text, continues
+ * - question:  { id, type: 'question', text, variable?, validation?, invalid_text? }
+ *              sends text and waits for the contact's answer (menus are questions
+ *              whose edges match the options)
+ * - condition: { id, type: 'condition' }                 branches on variables, sends nothing
+ * - handoff:   { id, type: 'handoff', text? }           flags the conversation for a human
+ * - end:       { id, type: 'end', text? }               completes the conversation
+ *
+ * Edges: { from, to, condition?: { type: equals|contains|regex|any, value, variable? } }
+ * Conditions are checked in order; an edge without a condition is the fallback.
+ * Texts can use {variable} placeholders, plus {name} and {phone}.
+ *
+ * step() and begin() are pure so flows can be tested without sending anything;
+ * handleIncomingMessage() persists state in flow_conversations and sends replies
+ * through the message queue.
+ */
+class FlowService {
+  constructor() {
+    this.sweepInterval = null;
+    this.nodeTypes = NODE_TYPES;
+    this.triggerTypes = TRIGGER_TYPES;
+  }
+
+  start() {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.expireConversations().catch(error => {
+        console.error('❌ Flow timeout sweep error:', error.message);
+      });
+    }, 60000);
+
+    console.log('✅ Flow engine started');
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+
+  /**
+   * Validate a flow definition
+   * @param {Object} definition - { start, nodes, edges }
+   * @returns {string|null} - Error message or null when valid
+   */
+  validateDefinition(definition) {
+    if (!definition || !Array.isArray(definition.nodes) || definition.nodes.length === 0) {
+      return 'definition.nodes must be a non-empty array';
+    }
+
+    const ids = new Set();
+    for (const node of definition.nodes) {
+      if (!node || !node.id) return 'Every node needs an id';
+      if (ids.has(node.id)) return `Duplicate node id: ${node.id}`;
+      if (!NODE_TYPES.includes(node.type)) {
+        return `Node ${node.id}: type must be one of ${NODE_TYPES.join(', ')}`;
+      }
+      if (['message', 'question'].includes(node.type) && !node.text) {
+        return `Node ${node.id}: text is required`;
+      }
+      if (node.validation) {
+        const regexError = validateRegex(node.validation);
+        if (regexError) {
+          return `Node ${node.id}: invalid validation regex: ${regexError}`;
+        }
+      }
+      ids.add(node.id);
+    }
+
+    if (definition.start && !ids.has(definition.start)) {
+      return `Start node not found: ${definition.start}`;
+    }
+
+    for (const edge of definition.edges || []) {
+      if (!ids.has(edge.from) || !ids.has(edge.to)) {
+        return `Edge ${edge.from} -> ${edge.to} references an unknown node`;
+      }
+      if (edge.condition) {
+        if (!CONDITION_TYPES.includes(edge.condition.type)) {
+          return `Edge ${edge.from} -> ${edge.to}: condition type must be one of ${CONDITION_TYPES.join(', ')}`;
+        }
+        if (edge.condition.type === 'regex') {
+          const regexError = validateRegex(edge.condition.value);
+          if (regexError) {
+            return `Edge ${edge.from} -> ${edge.to}: invalid regex: ${regexError}`;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message starts a flow
+   * @param {Object} flow - flows row
+   * @param {string} body - Message text
+   * @returns {boolean}
+   */
+  matchesTrigger(flow, body) {
+    const text = (body || '').trim().toLowerCase();
+
+    switch (flow.trigger_type) {
+      case 'any':
+        return true;
+      case 'regex':
+        return testRegex(flow.trigger_pattern, 'i', text);
+      case 'keyword':
+      default:
+        // Comma-separated keywords, matched against the whole message
+        return (flow.trigger_pattern || '')
+          .split(',')
+          .map(k => k.trim().toLowerCase())
+          .filter(Boolean)
+          .includes(text);
+    }
+  }
+
+  matchesCondition(condition, subject) {
+    const value = String(subject ?? '').trim();
+    const expected = String(condition.value ?? '').trim();
+
+    switch (condition.type) {
+      case 'equals':
+        return value.toLowerCase() === expected.toLowerCase();
+      case 'contains':
+        return value.toLowerCase().includes(expected.toLowerCase());
+      case 'regex':
+        return testRegex(condition.value, 'i', value);
+      case 'any':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Pick the edge to follow from a node
+   * @param {Object} definition
+   * @param {string} nodeId
+   * @param {string|null} input - Contact's answer (question nodes)
+   * @param {Object} variables
+   * @returns {Object|null} - Edge or null when nothing matches
+   */
+  selectEdge(definition, nodeId, input, variables) {
+    const edges = (definition.edges || []).filter(e => e.from === nodeId);
+
+    for (const edge of edges) {
+      if (!edge.condition || edge.condition.type === 'any') continue;
+      const subject = edge.condition.variable ? variables[edge.condition.variable] : input;
+      if (this.matchesCondition(edge.condition, subject)) return edge;
+    }
+
+    return edges.find(e => !e.condition || e.condition.type === 'any') || null;
+  }
+
+  renderText(text, variables) {
+    return String(text || '').replace(/\{(\w+)\}/g, (match, key) =>
+      variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : match
+    );
+  }
+
+  /**
+   * Execute nodes from nodeId until the flow waits for input or ends
+   * @param {Object} flow - flows row
+   * @param {Object} state - { current_node_id, variables, retries, status }
+   * @param {string} nodeId
+   * @returns {Object} - { state, replies }
+   */
+  runFrom(flow, state, nodeId) {
+    const definition = flow.definition;
+    const nodes = new Map(definition.nodes.map(n => [n.id, n]));
+    const replies = [];
+    const next = { ...state, variables: { ...state.variables }, retries: 0 };
+    let currentId = nodeId;
+
+    for (let executed = 0; executed < MAX_NODES_PER_STEP; executed++) {
+      const node = currentId ? nodes.get(currentId) : null;
+
+      // Running off the end of the graph completes the flow
+      if (!node) {
+        return { state: { ...next, current_node_id: null, status: 'completed' }, replies };
+      }
+
+      if (node.text && node.type !== 'condition') {
+        replies.push(this.renderText(node.text, next.variables));
+      }
+
+      switch (node.type) {
+        case 'question':
+          return { state: { ...next, current_node_id: node.id, status: 'active' }, replies };
+        case 'handoff':
+          return {
+            state: { ...next, current_node_id: node.id, status: 'handoff', handoff_reason: node.reason || 'Handoff node reached' },
+            replies
+          };
+        case 'end':
+          return { state: { ...next, current_node_id: node.id, status: 'completed' }, replies };
+        default: {
+          const edge = this.selectEdge(definition, node.id, null, next.variables);
+          currentId = edge ? edge.to : null;
+        }
+      }
+    }
+
+    return {
+      state: { ...next, status: 'handoff', handoff_reason: 'Flow loop limit reached' },
+      replies
+    };
+  }
+
+  /**
+   * Start a flow for a contact
+   * @param {Object} flow - flows row
+   * @param {Object} variables - Initial variables (name, phone)
+   * @returns {Object} - { state, replies }
+   */
+  begin(flow, variables = {}) {
+    const definition = flow.definition;
+    const startId = definition.start || definition.nodes[0].id;
+
+    return this.runFrom(flow, { current_node_id: null, variables, retries: 0, status: 'active' }, startId);
+  }
+
+  /**
+   * Advance a waiting conversation with the contact's answer
+   * @param {Object} flow - flows row
+   * @param {Object} state - Current state (waiting on a question node)
+   * @param {string} input - Contact's message
+   * @returns {Object} - { state, replies }
+   */
+  step(flow, state, input) {
+    const definition = flow.definition;
+    const node = definition.nodes.find(n => n.id === state.current_node_id);
+
+    // The flow was edited and the node no longer exists - start over
+    if (!node || node.type !== 'question') {
+      return this.begin(flow, state.variables);
+    }
+
+    const answer = String(input || '').trim();
+    const valid = !node.validation || testRegex(node.validation, '', answer);
+    const edge = valid ? this.selectEdge(definition, node.id, answer, state.variables) : null;
+    const hasEdges = (definition.edges || []).some(e => e.from === node.id);
+
+    if (!valid || (hasEdges && !edge)) {
+      const retries = (state.retries || 0) + 1;
+      const maxRetries = flow.max_retries ?? 2;
+
+      if (retries > maxRetries) {
+        return {
+          state: { ...state, retries, status: 'handoff', handoff_reason: `No valid answer after ${retries} attempts` },
+          replies: []
+        };
+      }
+
+      return {
+        state: { ...state, retries },
+        replies: [
+          this.renderText(node.invalid_text || DEFAULT_INVALID_TEXT, state.variables),
+          this.renderText(node.text, state.variables)
+        ]
+      };
+    }
+
+    const variables = { ...state.variables, last_input: answer };
+    if (node.variable) {
+      variables[node.variable] = answer;
+    }
+
+    return this.runFrom(flow, { ...state, variables }, edge ? edge.to : null);
+  }
+
+  /**
+   * Simulate a flow with a list of incoming messages (nothing is stored or sent)
+   * @param {Object} flow - flows row
+   * @param {Array<string>} messages - Contact messages in order
+   * @param {Object} variables - Initial variables
+   * @returns {Array<Object>} - Transcript of { input, replies, state }
+   */
+  simulate(flow, messages, variables = {}) {
+    const transcript = [];
+    let state = null;
+
+    for (const input of messages) {
+      let result;
+      if (!state || state.status !== 'active') {
+        if (state && state.status === 'handoff') {
+          transcript.push({ input, replies: [], state, note: 'Conversation is waiting for a human' });
+          continue;
+        }
+        if (!this.matchesTrigger(flow, input)) {
+          transcript.push({ input, replies: [], state, note: 'Message does not trigger the flow' });
+          continue;
+        }
+        result = this.begin(flow, { name: '', phone: '', ...variables });
+      } else {
+        result = this.step(flow, state, input);
+      }
+
+      state = result.state;
+      transcript.push({ input, replies: result.replies, state });
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Get the open (active or handoff) conversation of a contact
+   * @param {string} sessionId
+   * @param {string} remoteJid
+   * @returns {Promise<Object|null>} - flow_conversations row with its flow
+   */
+  async getOpenConversation(sessionId, remoteJid) {
+    const { data, error } = await supabaseAdmin
+      .from('flow_conversations')
+      .select('*, flows(*)')
+      .eq('session_id', sessionId)
+      .eq('remote_jid', remoteJid)
+      .in('status', ['active', 'handoff'])
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  getExpiry(flow) {
+    const minutes = flow.timeout_minutes || 30;
+    return new Date(Date.now() + minutes * 60000).toISOString();
+  }
+
+  /**
+   * Persist a new state and send its replies
+   * @param {Object} conversation - flow_conversations row
+   * @param {Object} flow - flows row
+   * @param {Object} result - { state, replies }
+   */
+  async applyResult(conversation, flow, result) {
+    const { state, replies } = result;
+    const now = new Date().toISOString();
+    const update = {
+      current_node_id: state.current_node_id,
+      variables: state.variables,
+      retries: state.retries || 0,
+      status: state.status,
+      last_interaction_at: now,
+      expires_at: state.status === 'active' ? this.getExpiry(flow) : null
+    };
+
+    if (state.status === 'handoff') {
+      update.handoff_at = now;
+      update.handoff_reason = state.handoff_reason || null;
+    }
+    if (state.status === 'completed') {
+      update.ended_at = now;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('flow_conversations')
+      .update(update)
+      .eq('id', conversation.id);
+
+    if (error) throw error;
+
+    for (const reply of replies) {
+      await messageQueueService.enqueue(conversation.session_id, conversation.remote_jid, reply, { source: 'flow' });
+    }
+
+    if (state.status === 'handoff') {
+      console.log(`🙋 Flow conversation ${conversation.id} handed off to a human: ${update.handoff_reason}`);
+    }
+  }
+
+  /**
+   * End a conversation whose contact stopped answering
+   * @param {Object} conversation - flow_conversations row
+   * @param {Object} flow - flows row
+   */
+  async timeOut(conversation, flow) {
+    const handoff = flow.on_timeout === 'handoff';
+    const now = new Date().toISOString();
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('flow_conversations')
+      .update(handoff
+        ? { status: 'handoff', handoff_at: now, handoff_reason: 'Conversation timed out', expires_at: null }
+        : { status: 'timed_out', ended_at: now, expires_at: null })
+      .eq('id', conversation.id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (updated && flow.timeout_message) {
+      await messageQueueService.enqueue(conversation.session_id, conversation.remote_jid,
+        this.renderText(flow.timeout_message, conversation.variables || {}), { source: 'flow' });
+    }
+
+    return updated;
+  }
+
+  async expireConversations() {
+    const { data, error } = await supabaseAdmin
+      .from('flow_conversations')
+      .select('*, flows(*)')
+      .eq('status', 'active')
+      .lt('expires_at', new Date().toISOString())
+      .limit(100);
+
+    if (error) throw error;
+
+    for (const { flows: flow, ...conversation } of data || []) {
+      await this.timeOut(conversation, flow || {});
+    }
+  }
+
+  /**
+   * Route an incoming message through flows
+   * @param {string} sessionId
+   * @param {Object} message - whatsapp-web.js message
+   * @param {Object} context - { name } of the contact
+   * @returns {Promise<boolean>} - true when the message belongs to a flow (or a human handoff)
+   */
+  async handleIncomingMessage(sessionId, message, context = {}) {
+    const remoteJid = message.from;
+    const open = await this.getOpenConversation(sessionId, remoteJid);
+
+    if (open) {
+      const { flows: flow, ...conversation } = open;
+
+      // A human has taken over - stay quiet until the handoff is released
+      if (conversation.status === 'handoff') {
+        return true;
+      }
+
+      const expired = conversation.expires_at && new Date(conversation.expires_at) < new Date();
+      if (!flow || !flow.is_active || expired) {
+        const timedOut = await this.timeOut(conversation, flow || {});
+        if (timedOut && timedOut.status === 'handoff') {
+          return true;
+        }
+      } else {
+        const result = this.step(flow, {
+          current_node_id: conversation.current_node_id,
+          variables: conversation.variables || {},
+          retries: conversation.retries || 0,
+          status: conversation.status
+        }, message.body);
+
+        await this.applyResult(conversation, flow, result);
+        return true;
+      }
+    }
+
+    // No open conversation - see whether the message starts a flow
+    const { data: flows, error } = await supabaseAdmin
+      .from('flows')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('is_active', true)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const flow = (flows || []).find(f => this.matchesTrigger(f, message.body));
+    if (!flow) {
+      return false;
+    }
+
+    const { data: conversation, error: insertError } = await supabaseAdmin
+      .from('flow_conversations')
+      .insert([{
+        flow_id: flow.id,
+        session_id: sessionId,
+        remote_jid: remoteJid,
+        status: 'active',
+        variables: {}
+      }])
+      .select()
+      .single();
+
+    // Another message from the same contact started a conversation first
+    if (insertError) {
+      console.warn(`Could not start flow ${flow.id} for ${remoteJid}:`, insertError.message);
+      return true;
+    }
+
+    const phone = remoteJid.split('@')[0];
+    await this.applyResult(conversation, flow, this.begin(flow, { name: context.name || '', phone }));
+    console.log(`🧭 Flow "${flow.name}" started for ${remoteJid}`);
+
+    return true;
+  }
+}
+
+module.exports = new FlowService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const mimeTypes = require('mime-types');
+const { supabaseAdmin } = require('../config/supabase');
+const { createMediaStore } = require('./mediaStores');
+const { detectMimeType, getMediaType } = require('../utils/mediaHelper');
+
+// A download that takes longer is given up (the message is stored without its file)
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+// Expired files removed per cleanup query
+const CLEANUP_BATCH_SIZE = 500;
+
+// Media type of a message before its MIME type is known
+const MESSAGE_MEDIA_TYPES = {
+  image: 'image',
+  sticker: 'image',
+  video: 'video',
+  audio: 'audio',
+  ptt: 'audio',
+  document: 'document'
+};
+
+/**
+ * Inbound Media Service
+ *
+ * Downloads the media of incoming messages (images, videos, voice notes,
+ * documents, stickers) into the configured media store (see mediaStores) and
+ * describes it on the received_messages row: media_type, media_mime_type,
+ * media_filename, media_size_bytes, media_caption, media_path and media_status:
+ *
+ *   stored     - the file is in the store
+ *   too_large  - over MEDIA_MAX_INBOUND_BYTES, not downloaded
+ *   failed     - WhatsApp no longer has the file, or the download failed
+ *   skipped    - no store configured (MEDIA_STORE=none)
+ *   expired    - removed after MEDIA_RETENTION_DAYS
+ *
+ * Files are removed MEDIA_RETENTION_DAYS after they were stored (0 keeps them)
+ * and with their session.
+ */
+class InboundMediaService {
+  constructor() {
+    this.store = createMediaStore();
+    this.maxBytes = parseInt(process.env.MEDIA_MAX_INBOUND_BYTES) || 16 * 1024 * 1024;
+    const retentionDays = parseInt(process.env.MEDIA_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(retentionDays) ? 90 : Math.max(retentionDays, 0);
+    this.cleanupInterval = null;
+  }
+
+  start() {
+    if (this.cleanupInterval || !this.store || !this.retentionDays) {
+      return;
+    }
+
+    const cleanup = () => {
+      this.removeExpiredMedia().catch(error => {
+        console.error('❌ Inbound media cleanup failed:', error.message);
+      });
+    };
+    this.cleanupInterval = setInterval(cleanup, 60 * 60 * 1000);
+    cleanup();
+
+    console.log(`✅ Inbound media kept in the ${this.store.name} store for ${this.retentionDays} day(s)`);
+  }
+
+  stop() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  /**
+   * Download the media of an incoming message into the store
+   * Never throws: a message is always stored, with media_status telling what happened.
+   * @param {string} sessionId
+   * @param {Object} message - Incoming message (whatsapp-web.js Message shape)
+   * @returns {Promise<Object>} - media_* columns of the received_messages row ({} without media)
+   */
+  async captureMedia(sessionId, message) {
+    if (!message.hasMedia) {
+      return {};
+    }
+
+    const fields = {
+      media_type: MESSAGE_MEDIA_TYPES[message.type] || 'document',
+      media_mime_type: null,
+      media_filename: null,
+      media_size_bytes: parseInt(message._data?.size) || null,
+      media_caption: message.body || null,
+      media_path: null,
+      media_status: 'skipped'
+    };
+
+    if (!this.store) {
+      return fields;
+    }
+
+    // Known before downloading on the web client
+    if (fields.media_size_bytes > this.maxBytes) {
+      return { ...fields, media_status: 'too_large' };
+    }
+
+    try {
+      let timeout;
+      const media = await Promise.race([
+        message.downloadMedia(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Media download timed out')), DOWNLOAD_TIMEOUT_MS);
+        })
+      ]).finally(() => clearTimeout(timeout));
+
+      if (!media || !media.data) {
+        return { ...fields, media_status: 'failed' };
+      }
+
+      const buffer = Buffer.from(media.data, 'base64');
+      const mimetype = detectMimeType(media.filename, media.mimetype);
+
+      fields.media_mime_type = mimetype;
+      fields.media_filename = media.filename || null;
+      fields.media_size_bytes = buffer.length;
+      if (message.type === 'document' || !MESSAGE_MEDIA_TYPES[message.type]) {
+        fields.media_type = getMediaType(mimetype);
+      }
+
+      if (buffer.length > this.maxBytes) {
+        return { ...fields, media_status: 'too_large' };
+      }
+
+      const extension = mimeTypes.extension(mimetype);
+      const key = `${sessionId}/${crypto.randomUUID()}${extension ? `.${extension}` : ''}`;
+      await this.store.save(key, buffer, mimetype);
+
+      return { ...fields, media_path: key, media_status: 'stored', media_stored_at: new Date().toISOString() };
+    } catch (error) {
+      console.error(`Failed to store media of message ${message.id?._serialized} in session ${sessionId}:`, error.message);
+      return { ...fields, media_status: 'failed' };
+    }
+  }
+
+  /**
+   * Read the stored file of a received message
+   * @param {Object} record - received_messages row
+   * @returns {Promise<Buffer|null>} - null when the file is gone
+   */
+  async loadMedia(record) {
+    if (!this.store || record.media_status !== 'stored' || !record.media_path) {
+      return null;
+    }
+    return this.store.load(record.media_path);
+  }
+
+  /**
+   * Remove files stored longer than MEDIA_RETENTION_DAYS
+   * @returns {Promise<number>} - Files removed
+   */
+  async removeExpiredMedia() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    let removed = 0;
+
+    for (;;) {
+      const { data, error } = await supabaseAdmin
+        .from('received_messages')
+        .select('id, media_path')
+        .eq('media_status', 'stored')
+        .lt('media_stored_at', cutoff)
+        .limit(CLEANUP_BATCH_SIZE);
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+
+      await this.store.remove(data.map(record => record.media_path).filter(Boolean));
+
+      const { error: updateError } = await supabaseAdmin
+        .from('received_messages')
+        .update({ media_status: 'expired', media_path: null })
+        .in('id', data.map(record => record.id));
+
+      if (updateError) throw updateError;
+
+      removed += data.length;
+      if (data.length < CLEANUP_BATCH_SIZE) break;
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} inbound media file(s) older than ${this.retentionDays} day(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every stored file of a session (the session is being deleted)
+   * @param {string} sessionId
+   */
+  async deleteSessionMedia(sessionId) {
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      await this.store.removeSession(sessionId);
+    } catch (error) {
+      console.error(`Failed to delete inbound media of session ${sessionId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new InboundMediaService();
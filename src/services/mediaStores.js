@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Media Stores
+ *
+ * Backends that keep the media files of incoming messages. Files are stored
+ * under a key of the form <session id>/<file name>. Every store implements:
+ *
+ *   save(key, buffer, mimetype)  - Store (or replace) a file
+ *   load(key)                    - Get a file as a Buffer, or null if there is none
+ *   remove(keys)                 - Delete files
+ *   removeSession(sessionId)     - Delete every file of a session
+ *
+ * Select one with MEDIA_STORE (local | supabase | none, default local).
+ */
+
+/**
+ * Files in a local directory - point MEDIA_STORE_DIR at a mounted volume that
+ * outlives the container (shared by every node in cluster mode)
+ */
+class LocalDirectoryMediaStore {
+  constructor(directory = process.env.MEDIA_STORE_DIR || path.join(process.cwd(), '.inbound_media')) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  getPath(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    // Keys are generated, but never let one point outside the directory
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.getPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename, so a crash never leaves a half written file
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, buffer, { mode: 0o600 });
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async load(key) {
+    try {
+      return await fs.promises.readFile(this.getPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(keys) {
+    await Promise.all(keys.map(key => fs.promises.rm(this.getPath(key), { force: true })));
+  }
+
+  async removeSession(sessionId) {
+    await fs.promises.rm(this.getPath(sessionId), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Files as objects in a private Supabase Storage bucket (MEDIA_STORE_BUCKET)
+ */
+class SupabaseStorageMediaStore {
+  constructor(bucket = process.env.MEDIA_STORE_BUCKET || 'inbound-media') {
+    this.name = 'supabase';
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, mimetype) {
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .upload(key, buffer, {
+        contentType: mimetype || 'application/octet-stream',
+        upsert: true
+      });
+
+    if (error) throw error;
+  }
+
+  async load(key) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      // Storage reports missing objects as an error
+      if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(keys) {
+    if (keys.length === 0) {
+      return;
+    }
+
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .remove(keys);
+
+    if (error) throw error;
+  }
+
+  async removeSession(sessionId) {
+    // Listing returns at most 1000 objects: delete page by page
+    for (;;) {
+      const { data, error } = await supabaseAdmin.storage
+        .from(this.bucket)
+        .list(sessionId, { limit: 1000 });
+
+      if (error) throw error;
+      if (!data || data.length === 0) return;
+
+      await this.remove(data.map(file => `${sessionId}/${file.name}`));
+    }
+  }
+}
+
+const MEDIA_STORES = {
+  local: LocalDirectoryMediaStore,
+  supabase: SupabaseStorageMediaStore
+};
+
+/**
+ * Create the configured media store
+ * @param {string} name - Store name (local | supabase), none to keep no media
+ * @returns {Object|null}
+ */
+function createMediaStore(name = process.env.MEDIA_STORE || 'local') {
+  if (name === 'none') {
+    return null;
+  }
+
+  const Store = MEDIA_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown MEDIA_STORE "${name}" (expected one of: ${Object.keys(MEDIA_STORES).join(', ')}, none)`);
+  }
+
+  return new Store();
+}
+
+module.exports = {
+  MEDIA_STORES,
+  LocalDirectoryMediaStore,
+  SupabaseStorageMediaStore,
+  createMediaStore
+};
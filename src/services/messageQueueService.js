@@ -0,0 +1,514 @@
+const EventEmitter = require('events');
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const suppressionService = require('./suppressionService');
+const clusterService = require('./clusterService');
+
+/**
+ * Message Queue Service
+ *
+ * Durable outbound queue in front of WhatsAppService.sendMessage.
+ * Queued messages are stored in the messages table with status 'pending'
+ * and a scheduled_at time, so nothing in flight is lost on restart.
+ *
+ * - Per-session throughput limit (messages per minute)
+ * - Jittered delay between consecutive sends on the same session
+ * - Retries with exponential backoff for transient failures
+ * - Messages stuck in 'processing' (e.g. after a crash) are released on start
+ * - Messages to opted-out numbers are stored as 'skipped' and never sent
+ * - Sandbox messages (is_test, from test API keys) are simulated, even while the session is disconnected
+ * - In cluster mode each node only sends messages of the sessions it runs
+ *
+ * Events:
+ * - 'sent'    ({ row })         a queued message was handed to WhatsApp
+ * - 'failed'  ({ row, error })  a queued message failed permanently
+ * - 'skipped' ({ row })         the recipient opted out while the message was queued
+ */
+class MessageQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.pollIntervalMs = parseInt(process.env.MESSAGE_QUEUE_POLL_INTERVAL_MS) || 5000;
+    this.batchSize = parseInt(process.env.MESSAGE_QUEUE_BATCH_SIZE) || 50;
+    this.ratePerMinute = parseInt(process.env.MESSAGE_QUEUE_RATE_PER_MINUTE) || 20;
+    this.minDelayMs = parseInt(process.env.MESSAGE_QUEUE_MIN_DELAY_MS) || 2000;
+    this.jitterMs = parseInt(process.env.MESSAGE_QUEUE_JITTER_MS) || 3000;
+    this.maxAttempts = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = parseInt(process.env.MESSAGE_QUEUE_RETRY_BASE_MS) || 30000;
+    this.retryMaxMs = 60 * 60 * 1000; // Never wait more than 1 hour between attempts
+    this.lockTimeoutMs = 5 * 60 * 1000; // 'processing' rows older than this are considered abandoned
+
+    this.pollInterval = null;
+    this.polling = false;
+    this.activeSessions = new Set(); // Sessions currently being drained
+    this.sentTimestamps = new Map(); // sessionId -> timestamps of sends in the last minute
+    this.nextSendAt = new Map(); // sessionId -> earliest time for the next send
+    this.heldSessions = new Set(); // Disconnected sessions whose messages are held until they reconnect
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {string} sessionId - Session UUID
+   * @param {string} to - Recipient phone number or WhatsApp ID
+   * @param {string} message - Message text (caption for media)
+   * @param {Object} options - { media, sendAudioAsVoice, sendMediaAsDocument, scheduledAt, timezone, maxAttempts, source, campaignId, sandbox }
+   * @returns {Promise<Object>} - Queued messages row (status 'skipped' if the recipient opted out)
+   */
+  async enqueue(sessionId, to, message, options = {}) {
+    const media = options.media || null;
+    const optedOut = await suppressionService.isSuppressedForSession(sessionId, whatsappService.getRecipientNumber(to));
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .insert([{
+        session_id: sessionId,
+        to: to,
+        message: message || '',
+        status: optedOut ? 'skipped' : 'pending',
+        last_error: optedOut ? 'Recipient has opted out of messages' : null,
+        scheduled_at: options.scheduledAt ? new Date(options.scheduledAt).toISOString() : new Date().toISOString(),
+        attempts: 0,
+        max_attempts: options.maxAttempts || this.maxAttempts,
+        source: options.source || 'api',
+        timezone: options.timezone || null,
+        campaign_id: options.campaignId || null,
+        is_test: !!options.sandbox,
+        payload: optedOut ? null : {
+          media,
+          sendAudioAsVoice: !!options.sendAudioAsVoice,
+          sendMediaAsDocument: !!options.sendMediaAsDocument
+        },
+        media_type: media ? media.mediaType : null,
+        media_mime_type: media ? media.mimetype : null,
+        media_filename: media ? media.filename : null,
+        media_size_bytes: media ? media.size : null,
+        media_url: media ? media.url || null : null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this.sanitize(data);
+  }
+
+  /**
+   * Move a pending message to a new send time (and optionally new text)
+   * @param {string} messageId - messages row ID
+   * @param {Date|string} scheduledAt - New send time
+   * @param {Object} updates - { message, timezone }
+   * @returns {Promise<Object|null>} - Updated row, or null if it is no longer pending
+   */
+  async reschedule(messageId, scheduledAt, updates = {}) {
+    const changes = {
+      scheduled_at: new Date(scheduledAt).toISOString()
+    };
+
+    if (updates.message !== undefined) changes.message = updates.message;
+    if (updates.timezone !== undefined) changes.timezone = updates.timezone;
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .update(changes)
+      .eq('id', messageId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return this.sanitize(data);
+  }
+
+  /**
+   * Cancel a pending message so the worker never sends it
+   * @param {string} messageId - messages row ID
+   * @returns {Promise<Object|null>} - Cancelled row, or null if it is no longer pending
+   */
+  async cancel(messageId) {
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        payload: null
+      })
+      .eq('id', messageId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return this.sanitize(data);
+  }
+
+  /**
+   * Strip the stored send payload (may contain base64 media) from a row
+   * @param {Object} row - messages row
+   * @returns {Object}
+   */
+  sanitize(row) {
+    if (!row) return row;
+    const { payload, ...rest } = row;
+    return rest;
+  }
+
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    // Release messages left in 'processing' by a previous process
+    this.releaseStaleMessages().catch(error => {
+      console.error('❌ Failed to release stale queued messages:', error.message);
+    });
+
+    this.pollInterval = setInterval(() => {
+      this.poll().catch(error => {
+        console.error('❌ Message queue poll error:', error.message);
+      });
+    }, this.pollIntervalMs);
+
+    console.log(`✅ Message queue worker started (every ${this.pollIntervalMs / 1000}s, ${this.ratePerMinute} msg/min per session)`);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Message queue worker stopped');
+    }
+  }
+
+  async releaseStaleMessages() {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs).toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .update({ status: 'pending', locked_at: null })
+      .eq('status', 'processing')
+      .or(`locked_at.is.null,locked_at.lt.${staleBefore}`)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data && data.length > 0) {
+      console.log(`🔄 Released ${data.length} queued message(s) left in processing`);
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      await this.releaseStaleMessages();
+
+      // Held sessions that reconnected take messages again
+      for (const sessionId of this.heldSessions) {
+        if (await this.isSessionReady(sessionId)) {
+          this.heldSessions.delete(sessionId);
+        }
+      }
+
+      const query = supabaseAdmin
+        .from('messages')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('scheduled_at', new Date().toISOString());
+
+      // Leave out sessions being drained and held sessions (except their sandbox
+      // sends, which need no client), so their backlog never starves the others
+      if (this.activeSessions.size > 0) {
+        query.not('session_id', 'in', `(${[...this.activeSessions].join(',')})`);
+      }
+
+      // Cluster mode: only sessions running on this node
+      const localSessionIds = clusterService.getLocalSessionIds();
+      if (localSessionIds) {
+        const sendable = localSessionIds.filter(sessionId => !this.heldSessions.has(sessionId));
+        if (sendable.length > 0) {
+          query.or(`is_test.eq.true,session_id.in.(${sendable.join(',')})`);
+        } else {
+          query.eq('is_test', true);
+        }
+      } else if (this.heldSessions.size > 0) {
+        query.or(`is_test.eq.true,session_id.not.in.(${[...this.heldSessions].join(',')})`);
+      }
+
+      const { data: dueMessages, error } = await query
+        .order('scheduled_at', { ascending: true })
+        .limit(this.batchSize);
+
+      if (error) throw error;
+      if (!dueMessages || dueMessages.length === 0) return;
+
+      // Group by session so each session is drained independently
+      const bySession = new Map();
+      for (const row of dueMessages) {
+        if (!bySession.has(row.session_id)) {
+          bySession.set(row.session_id, []);
+        }
+        bySession.get(row.session_id).push(row);
+      }
+
+      for (const [sessionId, rows] of bySession) {
+        this.activeSessions.add(sessionId);
+        this.drainSession(sessionId, rows)
+          .catch(drainError => {
+            console.error(`❌ Queue error for session ${sessionId}:`, drainError.message);
+          })
+          .finally(() => {
+            this.activeSessions.delete(sessionId);
+          });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Check whether a session has a connected client that can send right now
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isSessionReady(sessionId) {
+    const client = whatsappService.getClient(sessionId);
+    if (!client) {
+      return false;
+    }
+
+    try {
+      return (await client.getState()) === 'CONNECTED';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async drainSession(sessionId, rows) {
+    for (const row of rows) {
+      // Hold sessions that are disconnected at send time - their messages stay
+      // pending and are picked up after reconnection (sandbox sends don't need the client)
+      if (!row.is_test && !(await this.isSessionReady(sessionId))) {
+        if (!this.heldSessions.has(sessionId)) {
+          this.heldSessions.add(sessionId);
+          console.log(`⏭️ Queue: session ${sessionId} is not connected, holding its due messages until it reconnects`);
+        }
+        return;
+      }
+
+      await this.waitForSendSlot(sessionId);
+
+      // Claim the message so no other worker sends it
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .from('messages')
+        .update({ status: 'processing', locked_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'pending')
+        .select()
+        .single();
+
+      if (claimError || !claimed) {
+        continue; // Cancelled, rescheduled or claimed elsewhere
+      }
+
+      await this.processMessage(claimed);
+      this.recordSend(sessionId);
+    }
+  }
+
+  async processMessage(row) {
+    const payload = row.payload || {};
+
+    try {
+      await whatsappService.sendMessage(row.session_id, row.to, row.message, {
+        media: payload.media || null,
+        sendAudioAsVoice: payload.sendAudioAsVoice,
+        sendMediaAsDocument: payload.sendMediaAsDocument,
+        messageId: row.id,
+        sandbox: !!row.is_test
+      });
+
+      // Clear the stored payload (media can be large) once delivered
+      await supabaseAdmin
+        .from('messages')
+        .update({
+          attempts: (row.attempts || 0) + 1,
+          locked_at: null,
+          last_error: null,
+          payload: null
+        })
+        .eq('id', row.id);
+
+      this.emit('sent', { row: this.sanitize(row) });
+    } catch (error) {
+      await this.handleFailure(row, error);
+    }
+  }
+
+  async handleFailure(row, error) {
+    const message = error.message || 'Unknown error';
+
+    // Session dropped between the readiness check and the send - don't burn an attempt
+    if (message.includes('not connected') || message.includes('Session not found')) {
+      await supabaseAdmin
+        .from('messages')
+        .update({ status: 'pending', locked_at: null, last_error: message })
+        .eq('id', row.id);
+      return;
+    }
+
+    const attempts = (row.attempts || 0) + 1;
+    const maxAttempts = row.max_attempts || this.maxAttempts;
+
+    if (error.code === 'RECIPIENT_OPTED_OUT') {
+      console.log(`🚫 Queued message ${row.id} skipped: recipient opted out`);
+      await supabaseAdmin
+        .from('messages')
+        .update({
+          status: 'skipped',
+          attempts,
+          locked_at: null,
+          last_error: message,
+          payload: null
+        })
+        .eq('id', row.id);
+
+      this.emit('skipped', { row: this.sanitize(row) });
+      return;
+    }
+
+    if (!this.isRetryable(message) || attempts >= maxAttempts) {
+      console.error(`❌ Queued message ${row.id} failed permanently after ${attempts} attempt(s): ${message}`);
+      await supabaseAdmin
+        .from('messages')
+        .update({
+          status: 'failed',
+          failed_at: new Date().toISOString(),
+          attempts,
+          locked_at: null,
+          last_error: message,
+          payload: null
+        })
+        .eq('id', row.id);
+
+      this.emit('failed', { row: this.sanitize(row), error: message });
+      return;
+    }
+
+    const delay = this.getRetryDelay(attempts);
+    console.log(`⏰ Queued message ${row.id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s`);
+
+    await supabaseAdmin
+      .from('messages')
+      .update({
+        status: 'pending',
+        attempts,
+        locked_at: null,
+        last_error: message,
+        scheduled_at: new Date(Date.now() + delay).toISOString()
+      })
+      .eq('id', row.id);
+  }
+
+  /**
+   * Errors caused by the recipient or the content will fail again on retry
+   * @param {string} message - Error message
+   * @returns {boolean}
+   */
+  isRetryable(message) {
+    const permanentIndicators = [
+      'not registered on WhatsApp',
+      'Invalid phone number',
+      'Phone number error',
+      'Media file is too large'
+    ];
+
+    return !permanentIndicators.some(indicator => message.includes(indicator));
+  }
+
+  /**
+   * Exponential backoff with jitter: base, 2x base, 4x base... capped at retryMaxMs
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const backoff = Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+    return backoff + Math.floor(Math.random() * this.retryBaseMs);
+  }
+
+  /**
+   * Wait until the session is allowed to send again (jittered delay + per-minute limit)
+   * @param {string} sessionId
+   */
+  async waitForSendSlot(sessionId) {
+    for (;;) {
+      const now = Date.now();
+      const recent = (this.sentTimestamps.get(sessionId) || []).filter(ts => now - ts < 60000);
+      this.sentTimestamps.set(sessionId, recent);
+
+      let waitMs = Math.max(0, (this.nextSendAt.get(sessionId) || 0) - now);
+
+      if (recent.length >= this.ratePerMinute) {
+        // Wait until the oldest send leaves the one-minute window
+        waitMs = Math.max(waitMs, 60000 - (now - recent[0]));
+      }
+
+      if (waitMs <= 0) {
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  recordSend(sessionId) {
+    const now = Date.now();
+    const recent = this.sentTimestamps.get(sessionId) || [];
+    recent.push(now);
+    this.sentTimestamps.set(sessionId, recent);
+
+    const delay = this.minDelayMs + Math.floor(Math.random() * this.jitterMs);
+    this.nextSendAt.set(sessionId, now + delay);
+  }
+
+  /**
+   * Get queue statistics and pending messages for a session
+   * @param {string} sessionId
+   * @param {number} limit - Number of queued messages to return
+   * @returns {Promise<Object>}
+   */
+  async getQueueStatus(sessionId, limit = 50) {
+    const { data: messages, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, session_id, to, message, status, scheduled_at, attempts, max_attempts, last_error, source, media_type, is_test, created_at')
+      .eq('session_id', sessionId)
+      .in('status', ['pending', 'processing'])
+      .order('scheduled_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const countByStatus = async (status) => {
+      const { count, error: countError } = await supabaseAdmin
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('session_id', sessionId)
+        .eq('status', status);
+
+      if (countError) throw countError;
+      return count || 0;
+    };
+
+    return {
+      pending: await countByStatus('pending'),
+      processing: await countByStatus('processing'),
+      rate_per_minute: this.ratePerMinute,
+      messages
+    };
+  }
+}
+
+module.exports = new MessageQueueService();
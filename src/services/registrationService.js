@@ -0,0 +1,155 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+
+// Live checks run one after another (REGISTRATION_CHECK_DELAY_MS apart) within the request:
+// keep a full check well under usual proxy timeouts
+const MAX_NUMBERS_PER_CHECK = 50;
+
+/**
+ * Registration Service
+ *
+ * Checks whether phone numbers have a WhatsApp account, through a connected
+ * session, and returns the canonical chat ID WhatsApp knows them by. Results
+ * are cached on the session's contacts (whatsapp_registered, whatsapp_jid,
+ * whatsapp_checked_at) for REGISTRATION_CHECK_TTL_DAYS, so imports and
+ * campaigns can skip numbers that are not on WhatsApp without asking again.
+ */
+class RegistrationService {
+  constructor() {
+    this.cacheTtlMs = (parseInt(process.env.REGISTRATION_CHECK_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    this.checkDelayMs = parseInt(process.env.REGISTRATION_CHECK_DELAY_MS) || 250; // Between live checks
+    this.maxNumbers = MAX_NUMBERS_PER_CHECK;
+  }
+
+  /**
+   * Contact phone numbers an input may be stored as (digits as typed, normalized)
+   * @param {string} input
+   * @param {string} phoneNumber - Normalized digits
+   * @returns {string[]}
+   */
+  getCandidates(input, phoneNumber) {
+    return [...new Set([String(input).replace(/\D/g, ''), phoneNumber].filter(Boolean))];
+  }
+
+  /**
+   * Fresh cached results of a session's contacts
+   * @param {string} sessionId
+   * @param {string[]} phoneNumbers - Contact phone numbers
+   * @returns {Promise<Map>} - phone_number -> { registered, jid, checked_at }
+   */
+  async getCachedResults(sessionId, phoneNumbers) {
+    const cached = new Map();
+    const since = new Date(Date.now() - this.cacheTtlMs).toISOString();
+
+    for (let i = 0; i < phoneNumbers.length; i += 500) {
+      const { data, error } = await supabaseAdmin
+        .from('contacts')
+        .select('phone_number, whatsapp_registered, whatsapp_jid, whatsapp_checked_at')
+        .eq('session_id', sessionId)
+        .in('phone_number', phoneNumbers.slice(i, i + 500))
+        .not('whatsapp_registered', 'is', null)
+        .gte('whatsapp_checked_at', since);
+
+      if (error) throw error;
+
+      for (const contact of data || []) {
+        cached.set(contact.phone_number, {
+          registered: contact.whatsapp_registered,
+          jid: contact.whatsapp_jid,
+          checked_at: contact.whatsapp_checked_at
+        });
+      }
+    }
+
+    return cached;
+  }
+
+  /**
+   * Store a check result on the session's contacts with that number
+   * @param {string} sessionId
+   * @param {string[]} phoneNumbers - Contact phone numbers
+   * @param {Object} result - { registered, jid, checked_at }
+   */
+  async saveResult(sessionId, phoneNumbers, result) {
+    const { error } = await supabaseAdmin
+      .from('contacts')
+      .update({
+        whatsapp_registered: result.registered,
+        whatsapp_jid: result.jid,
+        whatsapp_checked_at: result.checked_at
+      })
+      .eq('session_id', sessionId)
+      .in('phone_number', phoneNumbers);
+
+    if (error) {
+      console.error(`Failed to cache registration check of ${phoneNumbers[0]}:`, error.message);
+    }
+  }
+
+  /**
+   * Check numbers through a session, using cached results when they are fresh
+   * @param {string} sessionId
+   * @param {string[]} numbers - Phone numbers as typed (with country code)
+   * @param {Object} options - { force } ignore cached results
+   * @returns {Promise<Array>} - One result per input, in order:
+   *   { input, phone_number, registered, jid, checked_at, cached } or { input, phone_number, registered: null, error }
+   */
+  async checkNumbers(sessionId, numbers, options = {}) {
+    const entries = numbers.map(input => {
+      const phoneNumber = whatsappService.normalizePhoneNumber(String(input));
+      return { input, phoneNumber, candidates: phoneNumber ? this.getCandidates(input, phoneNumber) : [] };
+    });
+
+    const cached = options.force
+      ? new Map()
+      : await this.getCachedResults(sessionId, [...new Set(entries.flatMap(entry => entry.candidates))]);
+
+    // One live check per number, even when it is listed several times
+    const checked = new Map();
+    let lastCheckAt = 0;
+
+    const results = [];
+    for (const { input, phoneNumber, candidates } of entries) {
+      if (!phoneNumber) {
+        results.push({ input, phone_number: null, registered: null, error: 'Invalid phone number' });
+        continue;
+      }
+
+      const hit = candidates.map(candidate => cached.get(candidate)).find(Boolean);
+      if (hit) {
+        results.push({ input, phone_number: phoneNumber, ...hit, cached: true });
+        continue;
+      }
+
+      if (!checked.has(phoneNumber)) {
+        const wait = lastCheckAt + this.checkDelayMs - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        lastCheckAt = Date.now();
+
+        try {
+          const { registered, jid } = await whatsappService.checkNumber(sessionId, phoneNumber);
+          const result = { registered, jid: jid || null, checked_at: new Date().toISOString() };
+          await this.saveResult(sessionId, candidates, result);
+          checked.set(phoneNumber, result);
+        } catch (error) {
+          // The session cannot check anything - no point going on
+          if (['SESSION_NOT_RUNNING', 'PROVIDER_UNSUPPORTED'].includes(error.code)) {
+            throw error;
+          }
+          checked.set(phoneNumber, { error: error.message });
+        }
+      }
+
+      const result = checked.get(phoneNumber);
+      results.push(result.error
+        ? { input, phone_number: phoneNumber, registered: null, error: result.error }
+        : { input, phone_number: phoneNumber, ...result, cached: false });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new RegistrationService();
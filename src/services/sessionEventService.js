@@ -0,0 +1,370 @@
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const clusterService = require('./clusterService');
+
+// Lifecycle events stored in the timeline (the session_status statuses of WhatsAppService)
+const SESSION_EVENTS = [
+  'qr', 'pairing_code', 'authenticated', 'ready', 'auth_failure', 'disconnected',
+  'reconnecting', 'reconnect_failed', 'state_changed', 'keepalive_failed',
+  'keepalive_recovered', 'restoring', 'stopped'
+];
+
+// Events that change availability: the session is up after 'ready' until one of the down events
+const UP_EVENTS = ['ready', 'keepalive_recovered'];
+const DOWN_EVENTS = ['disconnected', 'auth_failure', 'keepalive_failed', 'stopped'];
+
+// Codes refreshed while waiting for the phone: only the first of a series is stored
+const REFRESHED_EVENTS = ['qr', 'pairing_code'];
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Session Event Service
+ *
+ * Stores the lifecycle of every session (connects, disconnect reasons, state
+ * changes, reconnect attempts, keepalive failures) in session_events, so drops
+ * can be diagnosed after the fact, and computes uptime/availability from it.
+ *
+ * Downtime the process could not record itself (a crash, a killed node) is
+ * closed when the session is restored: a 'stopped' event is added at the
+ * session's last keepalive (last_seen).
+ *
+ * QR code and pairing code refreshes are not stored again while the session
+ * waits for the phone, and events are removed SESSION_EVENTS_RETENTION_DAYS
+ * after they happened (0 keeps them).
+ */
+class SessionEventService {
+  constructor() {
+    this.listener = null;
+    this.pending = new Set(); // Inserts in flight, awaited on shutdown
+    const retentionDays = parseInt(process.env.SESSION_EVENTS_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(retentionDays) ? 90 : Math.max(retentionDays, 0);
+    this.cleanupInterval = null;
+  }
+
+  start() {
+    if (this.listener) {
+      return;
+    }
+
+    if (this.retentionDays) {
+      const cleanup = () => {
+        this.removeExpiredEvents().catch(error => {
+          console.error('❌ Session event cleanup failed:', error.message);
+        });
+      };
+      this.cleanupInterval = setInterval(cleanup, 60 * 60 * 1000);
+      cleanup();
+    }
+
+    this.listener = (payload) => {
+      const write = this.handleStatus(payload)
+        .catch(error => {
+          console.error(`❌ Failed to record ${payload.status} event for session ${payload.sessionId}:`, error.message);
+        })
+        .finally(() => {
+          this.pending.delete(write);
+        });
+      this.pending.add(write);
+    };
+
+    whatsappService.on('session_status', this.listener);
+    console.log('✅ Session event history enabled');
+  }
+
+  /**
+   * Stop recording and wait for the events still being written
+   */
+  async stop() {
+    if (this.listener) {
+      whatsappService.off('session_status', this.listener);
+      this.listener = null;
+    }
+
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+
+    await Promise.all([...this.pending]);
+  }
+
+  async handleStatus({ sessionId, status, ...data }) {
+    if (!SESSION_EVENTS.includes(status)) {
+      return;
+    }
+
+    if (REFRESHED_EVENTS.includes(status) && (await this.getLastEvent(sessionId))?.event === status) {
+      return;
+    }
+
+    // Restored after a crash or taken over from a dead node: close the uptime it left open
+    if (status === 'restoring' || status === 'reconnecting') {
+      await this.closeUnrecordedOutage(sessionId);
+    }
+
+    await this.record(sessionId, status, {
+      reason: data.reason || data.error || null,
+      state: data.state || (status === 'ready' ? 'CONNECTED' : null),
+      attempt: data.attempt || null,
+      details: this.getDetails(status, data)
+    });
+  }
+
+  /**
+   * Event details worth keeping (never the QR code or pairing code themselves)
+   * @param {string} status
+   * @param {Object} data - session_status payload
+   * @returns {Object|null}
+   */
+  getDetails(status, data) {
+    const details = {};
+
+    if (data.phone_number) details.phone_number = data.phone_number;
+    if (data.max_attempts) details.max_attempts = data.max_attempts;
+    if (data.retry_in_ms !== undefined) details.retry_in_ms = data.retry_in_ms;
+    if (data.expires_at) details.expires_at = data.expires_at;
+
+    return Object.keys(details).length > 0 ? details : null;
+  }
+
+  /**
+   * Store an event in the timeline of a session
+   * @param {string} sessionId
+   * @param {string} event - One of SESSION_EVENTS
+   * @param {Object} fields - { reason, state, attempt, details }
+   * @param {Date|string} at - When it happened (default: now)
+   */
+  async record(sessionId, event, { reason = null, state = null, attempt = null, details = null } = {}, at = new Date()) {
+    const { error } = await supabaseAdmin
+      .from('session_events')
+      .insert({
+        session_id: sessionId,
+        event,
+        reason,
+        state,
+        attempt,
+        details,
+        node_id: clusterService.enabled ? clusterService.nodeId : null,
+        created_at: new Date(at).toISOString()
+      });
+
+    // The session was deleted while the event was in flight
+    if (error && error.code !== '23503') throw error;
+  }
+
+  /**
+   * Get the latest event of a session
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async getLastEvent(sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from('session_events')
+      .select('event, created_at')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    return data[0] || null;
+  }
+
+  /**
+   * Remove events older than SESSION_EVENTS_RETENTION_DAYS
+   * @returns {Promise<number>} - Events removed
+   */
+  async removeExpiredEvents() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { count, error } = await supabaseAdmin
+      .from('session_events')
+      .delete({ count: 'exact' })
+      .lt('created_at', cutoff);
+
+    if (error) throw error;
+
+    if (count > 0) {
+      console.log(`🧹 Removed ${count} session event(s) older than ${this.retentionDays} day(s)`);
+    }
+    return count || 0;
+  }
+
+  /**
+   * Add the 'stopped' event a crashed process could not record, at the last keepalive
+   * @param {string} sessionId
+   */
+  async closeUnrecordedOutage(sessionId) {
+    const last = await this.getLastAvailabilityEvent(sessionId);
+    if (!last || !UP_EVENTS.includes(last.event)) {
+      return;
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('last_seen')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Without a later keepalive, the session went down right after its last event
+    const lastSeen = session?.last_seen && new Date(session.last_seen) > new Date(last.created_at)
+      ? session.last_seen
+      : last.created_at;
+
+    await this.record(sessionId, 'stopped', { reason: 'Process stopped without closing the session' }, lastSeen);
+  }
+
+  /**
+   * Get the last event that changed availability
+   * @param {string} sessionId
+   * @param {string} before - Only events before this time (default: any)
+   * @returns {Promise<Object|null>}
+   */
+  async getLastAvailabilityEvent(sessionId, before = null) {
+    let query = supabaseAdmin
+      .from('session_events')
+      .select('event, state, created_at')
+      .eq('session_id', sessionId)
+      .in('event', [...UP_EVENTS, ...DOWN_EVENTS, 'state_changed'])
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data[0] || null;
+  }
+
+  /**
+   * Whether an event means the session is up (true), down (false) or doesn't change it (null)
+   * @param {Object} event - session_events row
+   * @returns {boolean|null}
+   */
+  isUpEvent(event) {
+    if (UP_EVENTS.includes(event.event)) return true;
+    if (DOWN_EVENTS.includes(event.event)) return false;
+    if (event.event === 'state_changed') return event.state === 'CONNECTED';
+    return null;
+  }
+
+  /**
+   * Get the timeline of a session, newest first
+   * @param {string} sessionId
+   * @param {Object} filters - { events, from, to, limit, offset }
+   * @returns {Promise<Object>} - { events, total }
+   */
+  async getEvents(sessionId, { events = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from('session_events')
+      .select('*', { count: 'exact' })
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (events && events.length > 0) query = query.in('event', events);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    return { events: data, total: count };
+  }
+
+  /**
+   * Compute uptime and availability of a session over a time window
+   * The window starts no earlier than the session's creation and ends no later than now.
+   * @param {Object} session - sessions row (id, created_at)
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Promise<Object>}
+   */
+  async getAvailability(session, from, to) {
+    const start = new Date(Math.max(from.getTime(), new Date(session.created_at).getTime()));
+    const end = new Date(Math.min(to.getTime(), Date.now()));
+    const windowMs = Math.max(0, end - start);
+
+    const previous = await this.getLastAvailabilityEvent(session.id, start.toISOString());
+    let up = previous ? this.isUpEvent(previous) === true : false;
+    let cursor = start.getTime();
+    let outageStart = up ? null : cursor;
+    let uptimeMs = 0;
+    let disconnects = 0;
+    let longestOutageMs = 0;
+    let reconnectAttempts = 0;
+
+    for (let offset = 0; windowMs > 0; offset += PAGE_SIZE) {
+      const { data: events, error } = await supabaseAdmin
+        .from('session_events')
+        .select('event, state, created_at')
+        .eq('session_id', session.id)
+        .gte('created_at', start.toISOString())
+        .lte('created_at', end.toISOString())
+        .in('event', [...UP_EVENTS, ...DOWN_EVENTS, 'state_changed', 'reconnecting'])
+        .order('created_at', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      for (const event of events) {
+        if (event.event === 'reconnecting') {
+          reconnectAttempts++;
+          continue;
+        }
+
+        const eventUp = this.isUpEvent(event);
+        const at = new Date(event.created_at).getTime();
+
+        if (up) {
+          uptimeMs += at - cursor;
+        }
+
+        if (up && !eventUp) {
+          disconnects++;
+          outageStart = at;
+        } else if (!up && eventUp) {
+          longestOutageMs = Math.max(longestOutageMs, at - outageStart);
+          outageStart = null;
+        }
+
+        up = eventUp;
+        cursor = at;
+      }
+
+      if (events.length < PAGE_SIZE) break;
+    }
+
+    if (windowMs > 0) {
+      if (up) {
+        uptimeMs += end.getTime() - cursor;
+      } else if (outageStart !== null) {
+        longestOutageMs = Math.max(longestOutageMs, end.getTime() - outageStart);
+      }
+    }
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      window_ms: windowMs,
+      uptime_ms: uptimeMs,
+      downtime_ms: windowMs - uptimeMs,
+      availability_percent: windowMs > 0 ? Math.round((uptimeMs / windowMs) * 10000) / 100 : null,
+      disconnects,
+      reconnect_attempts: reconnectAttempts,
+      longest_outage_ms: longestOutageMs,
+      currently_up: up
+    };
+  }
+}
+
+const sessionEventService = new SessionEventService();
+sessionEventService.SESSION_EVENTS = SESSION_EVENTS;
+
+module.exports = sessionEventService;
@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const whatsappService = require('./whatsappService');
+const clusterService = require('./clusterService');
 const { supabaseAdmin } = require('../config/supabase');
 
 class SessionHealthCheck {
@@ -52,6 +53,11 @@ class SessionHealthCheck {
       
       // No client instance found - try to restore regardless of status
       if (!client) {
+        // Cluster mode: sessions running on other nodes are checked there
+        if (await clusterService.getRemoteOwner(session.id)) {
+          return;
+        }
+
         console.log(`⚠️ Session ${session.session_name} has no client instance`);
         
         // If session has been authenticated before (has phone_number), always try to restore
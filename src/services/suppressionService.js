@@ -0,0 +1,258 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Built-in opt-out keywords per language (users can add their own per language)
+const DEFAULT_KEYWORDS = {
+  en: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPT OUT', 'OPTOUT'],
+  fr: ['ARRET', 'STOP', 'DESABONNER', 'DESINSCRIRE'],
+  es: ['BAJA', 'PARAR', 'DETENER', 'CANCELAR'],
+  pt: ['PARAR', 'SAIR', 'CANCELAR'],
+  de: ['STOPP', 'ABMELDEN', 'ABBESTELLEN'],
+  ar: ['توقف', 'إلغاء', 'الغاء']
+};
+
+const REASONS = ['keyword', 'manual', 'import'];
+
+/**
+ * Suppression Service
+ *
+ * Per-user list of phone numbers that asked not to be messaged. The list is
+ * enforced by WhatsAppService.sendMessage and the message queue, so bots,
+ * WooCommerce notifications, campaigns and API sends all skip suppressed
+ * numbers. Group chats are never suppressed.
+ *
+ * Numbers are added automatically when a contact replies with an opt-out
+ * keyword (matched against the whole message, ignoring case and accents).
+ */
+class SuppressionService {
+  constructor() {
+    this.defaultKeywords = DEFAULT_KEYWORDS;
+    this.reasons = REASONS;
+    this.sessionOwners = new Map(); // sessionId -> user_id
+  }
+
+  /**
+   * Normalize text for keyword comparison: trimmed, upper case, no accents or extra spaces
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeKeyword(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase();
+  }
+
+  /**
+   * Get the opt-out keywords of a user (built-in defaults plus custom keywords)
+   * @param {string} userId
+   * @returns {Promise<Array>} - [{ keyword, language, custom, id }]
+   */
+  async getKeywords(userId) {
+    const keywords = [];
+    for (const [language, words] of Object.entries(DEFAULT_KEYWORDS)) {
+      for (const keyword of words) {
+        keywords.push({ keyword, language, custom: false });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('opt_out_keywords')
+      .select('id, keyword, language')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      keywords.push({ ...row, custom: true });
+    }
+
+    return keywords;
+  }
+
+  /**
+   * Find the opt-out keyword a message consists of
+   * @param {string} userId
+   * @param {string} body - Incoming message text
+   * @returns {Promise<Object|null>} - { keyword, language } or null
+   */
+  async matchOptOutKeyword(userId, body) {
+    const text = this.normalizeKeyword(body);
+    if (!text || text.length > 50) {
+      return null;
+    }
+
+    const keywords = await this.getKeywords(userId);
+    const match = keywords.find(entry => this.normalizeKeyword(entry.keyword) === text);
+
+    return match ? { keyword: match.keyword, language: match.language } : null;
+  }
+
+  /**
+   * Get the user that owns a session (cached - sessions never change owner)
+   * @param {string} sessionId
+   * @returns {Promise<string|null>}
+   */
+  async getSessionOwner(sessionId) {
+    if (this.sessionOwners.has(sessionId)) {
+      return this.sessionOwners.get(sessionId);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('sessions')
+      .select('user_id')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    this.sessionOwners.set(sessionId, data.user_id);
+    return data.user_id;
+  }
+
+  /**
+   * Check whether a number is on a user's suppression list
+   * @param {string} userId
+   * @param {string} phoneNumber - Digits only
+   * @returns {Promise<boolean>}
+   */
+  async isSuppressed(userId, phoneNumber) {
+    if (!userId || !phoneNumber) {
+      return false;
+    }
+
+    const { count, error } = await supabaseAdmin
+      .from('suppression_list')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('phone_number', phoneNumber);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  /**
+   * Check whether a number is suppressed for the owner of a session
+   * @param {string} sessionId
+   * @param {string} phoneNumber - Digits only
+   * @returns {Promise<boolean>}
+   */
+  async isSuppressedForSession(sessionId, phoneNumber) {
+    if (!phoneNumber) {
+      return false;
+    }
+
+    return this.isSuppressed(await this.getSessionOwner(sessionId), phoneNumber);
+  }
+
+  /**
+   * Find which of many numbers are suppressed (for bulk sends)
+   * @param {string} userId
+   * @param {string[]} phoneNumbers - Digits only
+   * @returns {Promise<Set<string>>} - Suppressed numbers
+   */
+  async filterSuppressed(userId, phoneNumbers) {
+    const suppressed = new Set();
+    const unique = [...new Set(phoneNumbers.filter(Boolean))];
+
+    for (let i = 0; i < unique.length; i += 500) {
+      const { data, error } = await supabaseAdmin
+        .from('suppression_list')
+        .select('phone_number')
+        .eq('user_id', userId)
+        .in('phone_number', unique.slice(i, i + 500));
+
+      if (error) throw error;
+      for (const row of data || []) {
+        suppressed.add(row.phone_number);
+      }
+    }
+
+    return suppressed;
+  }
+
+  /**
+   * Add numbers to a user's suppression list (existing entries are kept as they are)
+   * @param {string} userId
+   * @param {Array} entries - [{ phone_number, reason, keyword, language, session_id, notes }]
+   * @returns {Promise<number>} - Number of newly suppressed numbers
+   */
+  async add(userId, entries) {
+    const rows = entries.map(entry => ({
+      user_id: userId,
+      phone_number: entry.phone_number,
+      reason: entry.reason || 'manual',
+      keyword: entry.keyword || null,
+      language: entry.language || null,
+      session_id: entry.session_id || null,
+      notes: entry.notes || null
+    }));
+
+    let added = 0;
+    for (let i = 0; i < rows.length; i += 500) {
+      const { data, error } = await supabaseAdmin
+        .from('suppression_list')
+        .upsert(rows.slice(i, i + 500), { onConflict: 'user_id,phone_number', ignoreDuplicates: true })
+        .select('id');
+
+      if (error) throw error;
+      added += (data || []).length;
+    }
+
+    return added;
+  }
+
+  /**
+   * Remove a number from a user's suppression list
+   * @param {string} userId
+   * @param {string} phoneNumber - Digits only
+   * @returns {Promise<boolean>} - Whether the number was on the list
+   */
+  async remove(userId, phoneNumber) {
+    const { data, error } = await supabaseAdmin
+      .from('suppression_list')
+      .delete()
+      .eq('user_id', userId)
+      .eq('phone_number', phoneNumber)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Suppress the sender of an incoming message if it is an opt-out keyword
+   * @param {string} sessionId
+   * @param {Object} message - whatsapp-web.js message (direct chat)
+   * @returns {Promise<boolean>} - true when the message was an opt-out
+   */
+  async handleIncomingMessage(sessionId, message) {
+    const userId = await this.getSessionOwner(sessionId);
+    if (!userId) {
+      return false;
+    }
+
+    const match = await this.matchOptOutKeyword(userId, message.body);
+    if (!match) {
+      return false;
+    }
+
+    const phone = message.from.split('@')[0];
+    await this.add(userId, [{
+      phone_number: phone,
+      reason: 'keyword',
+      keyword: match.keyword,
+      language: match.language,
+      session_id: sessionId,
+      notes: message.body
+    }]);
+
+    console.log(`🚫 ${phone} opted out with "${match.keyword}" (${match.language}) on session ${sessionId}`);
+    return true;
+  }
+}
+
+module.exports = new SuppressionService();
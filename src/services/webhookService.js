@@ -0,0 +1,425 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const whatsappService = require('./whatsappService');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('../utils/urlGuard');
+
+// Events customers can subscribe to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = [
+  'message.received',
+  'message.ack'
+];
+
+// A first attempt is sent inline by dispatch(); one still unsent after this long
+// was lost (e.g. the process stopped) and is picked up by the retry worker
+const FIRST_ATTEMPT_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * Webhook Service
+ *
+ * Pushes WhatsApp events to customer-configured URLs.
+ * Every delivery is logged in webhook_deliveries and signed with the
+ * webhook's secret:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Failed deliveries are retried with exponential backoff by a background worker.
+ */
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+    this.retryMaxMs = 6 * 60 * 60 * 1000; // Never wait more than 6 hours between attempts
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    this.retryInterval = null;
+    this.retrying = false;
+    this.listeners = [];
+    this.supportedEvents = WEBHOOK_EVENTS;
+  }
+
+  /**
+   * Generate a signing secret for a webhook
+   * @returns {string} - Secret in format whsec_[48 hex characters]
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a payload the same way receivers should verify it
+   * @param {string} secret - Webhook signing secret
+   * @param {number} timestamp - Unix timestamp (seconds)
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const hmac = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${hmac}`;
+  }
+
+  start() {
+    if (this.retryInterval) {
+      return;
+    }
+
+    // Forward WhatsApp events to webhooks
+    this.subscribe('message', ({ sessionId, message, record }) => {
+      return this.dispatch(sessionId, 'message.received', {
+        id: record?.id || null,
+        whatsapp_message_id: message.id?._serialized || null,
+        from: message.from,
+        message: message.body,
+        type: message.type,
+        has_media: !!message.hasMedia,
+        media: record?.media_status ? {
+          type: record.media_type,
+          mime_type: record.media_mime_type,
+          filename: record.media_filename,
+          size_bytes: record.media_size_bytes,
+          caption: record.media_caption,
+          status: record.media_status
+        } : null,
+        notify_name: message._data?.notifyName || null,
+        timestamp: new Date(message.timestamp * 1000).toISOString()
+      });
+    });
+
+    this.subscribe('message_ack', ({ sessionId, record, ack }) => {
+      return this.dispatch(sessionId, 'message.ack', {
+        id: record.id,
+        whatsapp_message_id: record.whatsapp_message_id,
+        to: record.to,
+        status: record.status,
+        ack,
+        sent_at: record.sent_at,
+        delivered_at: record.delivered_at,
+        read_at: record.read_at,
+        failed_at: record.failed_at,
+        is_test: !!record.is_test
+      });
+    });
+
+    // Release deliveries left in 'processing' by a previous process
+    this.releaseStaleDeliveries().catch(error => {
+      console.error('❌ Failed to release stale webhook deliveries:', error.message);
+    });
+
+    this.retryInterval = setInterval(() => {
+      this.retryDueDeliveries().catch(error => {
+        console.error('❌ Webhook retry worker error:', error.message);
+      });
+    }, 30000);
+
+    console.log('✅ Webhook delivery worker started');
+  }
+
+  stop() {
+    for (const { event, handler } of this.listeners) {
+      whatsappService.off(event, handler);
+    }
+    this.listeners = [];
+
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+      console.log('Webhook delivery worker stopped');
+    }
+  }
+
+  subscribe(event, callback) {
+    const handler = (payload) => {
+      Promise.resolve(callback(payload)).catch(error => {
+        console.error(`❌ Failed to dispatch webhooks for ${event}:`, error.message);
+      });
+    };
+
+    whatsappService.on(event, handler);
+    this.listeners.push({ event, handler });
+  }
+
+  /**
+   * Create deliveries for every webhook subscribed to an event and send them
+   * @param {string} sessionId - Session the event belongs to
+   * @param {string} event - Event name (e.g. 'message.received')
+   * @param {Object} data - Event data
+   */
+  async dispatch(sessionId, event, data) {
+    const { data: webhooks, error } = await supabaseAdmin
+      .from('webhooks')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const subscribed = (webhooks || []).filter(webhook =>
+      (webhook.events || []).includes('*') || (webhook.events || []).includes(event)
+    );
+
+    for (const webhook of subscribed) {
+      const { data: delivery, error: insertError } = await supabaseAdmin
+        .from('webhook_deliveries')
+        .insert([{
+          webhook_id: webhook.id,
+          user_id: webhook.user_id,
+          event,
+          payload: {
+            event,
+            session_id: sessionId,
+            created_at: new Date().toISOString(),
+            data
+          },
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (insertError) {
+        console.error(`Failed to create webhook delivery for ${webhook.id}:`, insertError.message);
+        continue;
+      }
+
+      await this.deliver(delivery, webhook);
+    }
+  }
+
+  /**
+   * Send one delivery attempt and record the outcome
+   * @param {Object} delivery - webhook_deliveries row
+   * @param {Object} webhook - webhooks row
+   * @returns {Promise<Object>} - Updated delivery row
+   */
+  async deliver(delivery, webhook) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const startedAt = Date.now();
+
+    let update;
+    try {
+      // The host may resolve elsewhere than when the webhook was saved
+      await assertPublicUrl(webhook.url);
+
+      const response = await axios.post(webhook.url, body, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WhatsApp-Platform-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        // Connect only to public addresses and never follow redirects
+        httpAgent,
+        httpsAgent,
+        maxRedirects: 0,
+        // Treat every HTTP status as a response; non-2xx is handled below
+        validateStatus: () => true
+      });
+
+      const responseBody = typeof response.data === 'string'
+        ? response.data
+        : JSON.stringify(response.data);
+
+      if (response.status >= 200 && response.status < 300) {
+        update = {
+          status: 'delivered',
+          attempts,
+          response_status: response.status,
+          response_body: responseBody ? responseBody.slice(0, 2000) : null,
+          duration_ms: Date.now() - startedAt,
+          error: null,
+          delivered_at: new Date().toISOString(),
+          next_attempt_at: null
+        };
+      } else {
+        update = this.buildFailureUpdate(delivery, attempts, `HTTP ${response.status}`, {
+          response_status: response.status,
+          response_body: responseBody ? responseBody.slice(0, 2000) : null,
+          duration_ms: Date.now() - startedAt
+        });
+      }
+    } catch (error) {
+      update = this.buildFailureUpdate(delivery, attempts, error.message, {
+        response_status: null,
+        response_body: null,
+        duration_ms: Date.now() - startedAt
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Failed to record webhook delivery ${delivery.id}:`, error.message);
+    }
+
+    if (update.status === 'failed') {
+      console.error(`❌ Webhook delivery ${delivery.id} to ${webhook.url} failed permanently: ${update.error}`);
+    }
+
+    return data || { ...delivery, ...update };
+  }
+
+  buildFailureUpdate(delivery, attempts, errorMessage, details) {
+    const maxAttempts = delivery.max_attempts || this.maxAttempts;
+
+    if (attempts >= maxAttempts) {
+      return {
+        ...details,
+        status: 'failed',
+        attempts,
+        error: errorMessage,
+        next_attempt_at: null
+      };
+    }
+
+    // Exponential backoff with jitter: 30s, 1m, 2m, 4m... capped at retryMaxMs
+    const backoff = Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+    const delay = backoff + Math.floor(Math.random() * this.retryBaseMs);
+
+    return {
+      ...details,
+      status: 'pending',
+      attempts,
+      error: errorMessage,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    };
+  }
+
+  async releaseStaleDeliveries() {
+    // Retries are claimed once next_attempt_at is due, so a 'processing' row
+    // whose attempt time is long past was abandoned mid-delivery
+    const staleBefore = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+
+    const { error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .update({ status: 'pending' })
+      .eq('status', 'processing')
+      .lt('next_attempt_at', staleBefore);
+
+    if (error) throw error;
+  }
+
+  async retryDueDeliveries() {
+    if (this.retrying) {
+      return;
+    }
+    this.retrying = true;
+
+    try {
+      const lostBefore = new Date(Date.now() - FIRST_ATTEMPT_GRACE_MS).toISOString();
+
+      const { data: deliveries, error } = await supabaseAdmin
+        .from('webhook_deliveries')
+        .select('*, webhooks(*)')
+        .eq('status', 'pending')
+        .or(`attempts.gt.0,created_at.lt.${lostBefore}`)
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(50);
+
+      if (error) throw error;
+
+      for (const delivery of deliveries || []) {
+        const { webhooks: webhook, ...row } = delivery;
+
+        if (!webhook || !webhook.is_active) {
+          await supabaseAdmin
+            .from('webhook_deliveries')
+            .update({ status: 'failed', error: 'Webhook disabled or deleted', next_attempt_at: null })
+            .eq('id', row.id);
+          continue;
+        }
+
+        // Claim the delivery so a slow attempt isn't picked up twice
+        const { data: claimed } = await supabaseAdmin
+          .from('webhook_deliveries')
+          .update({ status: 'processing' })
+          .eq('id', row.id)
+          .eq('status', 'pending')
+          .select()
+          .single();
+
+        if (!claimed) {
+          continue;
+        }
+
+        await this.deliver(claimed, webhook);
+      }
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  /**
+   * Send a test event to a webhook
+   * @param {Object} webhook - webhooks row
+   * @returns {Promise<Object>} - Delivery row
+   */
+  async sendTestEvent(webhook) {
+    const { data: delivery, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .insert([{
+        webhook_id: webhook.id,
+        user_id: webhook.user_id,
+        event: 'webhook.test',
+        payload: {
+          event: 'webhook.test',
+          session_id: webhook.session_id,
+          created_at: new Date().toISOString(),
+          data: { message: 'This is a test event from WhatsApp Platform' }
+        },
+        status: 'pending',
+        attempts: 0,
+        // Test events are not retried
+        max_attempts: 1,
+        next_attempt_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this.deliver(delivery, webhook);
+  }
+
+  /**
+   * Send a previous delivery again (creates a new delivery with the same payload)
+   * @param {Object} delivery - webhook_deliveries row
+   * @param {Object} webhook - webhooks row
+   * @returns {Promise<Object>} - New delivery row
+   */
+  async redeliver(delivery, webhook) {
+    const { data: copy, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .insert([{
+        webhook_id: webhook.id,
+        user_id: webhook.user_id,
+        event: delivery.event,
+        payload: delivery.payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this.deliver(copy, webhook);
+  }
+}
+
+module.exports = new WebhookService();
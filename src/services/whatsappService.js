@@ -1,14 +1,60 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
 const { supabaseAdmin } = require('../config/supabase');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const authBackupService = require('./authBackupService');
+const inboundMediaService = require('./inboundMediaService');
+const suppressionService = require('./suppressionService');
+const clusterService = require('./clusterService');
+const { createProvider, DEFAULT_PROVIDER, PROVIDER_OVERRIDE } = require('../providers');
 
-class WhatsAppService {
+// WhatsApp replaces a pairing code every 3 minutes; the client requests a new one on the same schedule
+const PAIRING_CODE_INTERVAL_MS = parseInt(process.env.WHATSAPP_PAIRING_CODE_INTERVAL_MS) || 180000;
+
+// How long createSession waits for the first pairing code before returning without it
+const PAIRING_CODE_WAIT_MS = 20000;
+
+// Provider methods runnable through groupOperation (and forwarded between nodes)
+const GROUP_METHODS = ['getGroups', 'getGroup', 'createGroup', 'updateGroupParticipants', 'updateGroup', 'getGroupInviteCode'];
+
+// Simulated receipts for sandbox sends: delivered, then read
+const SANDBOX_ACK_STEPS = [
+  { ack: 2, delayMs: 2000 },
+  { ack: 3, delayMs: 5000 }
+];
+
+/**
+ * WhatsApp Service
+ *
+ * Manages the WhatsApp client of each session: a provider (src/providers)
+ * chosen per session - the web client (whatsapp-web.js, default) or the
+ * official Cloud API. Emits events other services
+ * subscribe to (webhooks, automations):
+ * - 'message' ({ sessionId, message, record }) - incoming message stored in received_messages
+ *   (with its media downloaded, see InboundMediaService)
+ * - 'message_ack' ({ sessionId, record, ack }) - outgoing message moved to a new delivery status
+ * - 'session_status' ({ sessionId, status, ... }) - connection lifecycle: qr (qr_code),
+ *   pairing_code (pairing_code, expires_at), authenticated,
+ *   ready (phone_number), auth_failure (reason), disconnected (reason), reconnecting,
+ *   reconnect_failed (attempt, max_attempts, error, retry_in_ms), state_changed (state),
+ *   keepalive_failed (state, reason), keepalive_recovered, restoring, stopped (reason)
+ * - 'session_deleted' ({ sessionId }) - session removed (drop anything cached for it)
+ *
+ * Sandbox sends (test API keys) go through the same validation, normalization,
+ * opt-out check and logging, but are stored with is_test and a fake WhatsApp ID
+ * and never reach the client; their acks are simulated.
+ *
+ * In cluster mode a client only runs on the node holding the session's lease
+ * (see ClusterService); operations on sessions of other nodes are forwarded there.
+ */
+class WhatsAppService extends EventEmitter {
   constructor() {
+    super();
     this.clients = new Map();
     this.keepaliveIntervals = new Map();
+    this.keepaliveFailures = new Set(); // Sessions whose keepalive failure was already reported
     
     // Ensure auth data directory exists and is persistent
     this.authDataPath = path.join(process.cwd(), '.wwebjs_auth');
@@ -16,10 +62,127 @@ class WhatsAppService {
       fs.mkdirSync(this.authDataPath, { recursive: true });
       console.log('📁 Created auth data directory:', this.authDataPath);
     }
+
+    // Another node runs the session now - stop ours without touching the session row
+    clusterService.on('lease_lost', (sessionId) => {
+      this.dropClient(sessionId).catch(error => {
+        console.error(`Failed to drop client of session ${sessionId}:`, error.message);
+      });
+    });
+
+    // The node running this session stopped heartbeating - run it here
+    clusterService.on('takeover', (sessionId) => {
+      this.reconnectSession(sessionId).catch(error => {
+        console.error(`Failed to take over session ${sessionId}:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Map a whatsapp-web.js ack value to a message status
+   * -1 ERROR, 0 PENDING, 1 SERVER, 2 DEVICE, 3 READ, 4 PLAYED
+   * @param {number} ack
+   * @returns {string|null}
+   */
+  getAckStatus(ack) {
+    if (ack === -1) return 'failed';
+    if (ack === 1) return 'sent';
+    if (ack === 2) return 'delivered';
+    if (ack >= 3) return 'read';
+    return null;
   }
 
-  async createSession(sessionName, userId) {
+  /**
+   * Apply a delivery receipt to the logged outgoing message
+   * Statuses only move forward: sent -> delivered -> read (failed only before delivery)
+   * @param {string} sessionId - Session UUID
+   * @param {string} whatsappMessageId - Serialized WhatsApp message ID
+   * @param {number} ack - whatsapp-web.js ack value
+   * @param {number} retries - Lookups left if the message row isn't logged yet
+   */
+  async handleMessageAck(sessionId, whatsappMessageId, ack, retries = 2) {
+    const status = this.getAckStatus(ack);
+    if (!status || !whatsappMessageId) {
+      return;
+    }
+
+    const { data: record, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, status, sent_at, delivered_at, read_at')
+      .eq('session_id', sessionId)
+      .eq('whatsapp_message_id', whatsappMessageId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Failed to look up message for ack ${whatsappMessageId}:`, error.message);
+      return;
+    }
+
+    if (!record) {
+      // The ack can arrive before sendMessage has logged the message
+      if (retries > 0) {
+        setTimeout(() => {
+          this.handleMessageAck(sessionId, whatsappMessageId, ack, retries - 1).catch(retryError => {
+            console.error(`Failed to apply ack for ${whatsappMessageId}:`, retryError.message);
+          });
+        }, 2000);
+      }
+      return;
+    }
+
+    const rank = { pending: 0, processing: 0, failed: 0, sent: 1, delivered: 2, read: 3 };
+    const now = new Date().toISOString();
+    const updates = { ack };
+
+    if (status === 'failed') {
+      if (rank[record.status] >= rank.delivered) {
+        return; // Already delivered - ignore late errors
+      }
+      updates.status = 'failed';
+      updates.failed_at = now;
+    } else {
+      if (rank[status] <= rank[record.status]) {
+        return; // Never move backwards
+      }
+      updates.status = status;
+      // Fill in skipped steps (e.g. read without a delivered receipt)
+      if (!record.sent_at) updates.sent_at = now;
+      if (rank[status] >= rank.delivered && !record.delivered_at) updates.delivered_at = now;
+      if (status === 'read' && !record.read_at) updates.read_at = now;
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('messages')
+      .update(updates)
+      .eq('id', record.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error(`Failed to update message status for ${whatsappMessageId}:`, updateError.message);
+      return;
+    }
+
+    console.log(`📬 Message ${record.id} is now ${updates.status} (ack ${ack})`);
+    this.emit('message_ack', { sessionId, record: updated, ack });
+  }
+
+  /**
+   * Create a session and start linking it
+   * By default the phone links by scanning a QR code. With options.phoneNumber the
+   * session links with an 8-character pairing code instead, typed into WhatsApp's
+   * "Link with phone number" screen; the first code is returned when it arrives in time.
+   * @param {string} sessionName
+   * @param {string} userId
+   * @param {Object} options - { phoneNumber } (digits, normalized) for pairing code login,
+   *   { provider, cloudApi: { phoneNumberId, accessToken } } to run the session on the Cloud API
+   * @returns {Promise<Object>} - Session row (with pairing_code and pairing_code_expires_at in pairing mode)
+   */
+  async createSession(sessionName, userId, options = {}) {
     try {
+      const pairingPhoneNumber = options.phoneNumber || null;
+      const cloudApi = options.cloudApi || {};
+
       // Create session record in database
       const { data: session, error } = await supabaseAdmin
         .from('sessions')
@@ -27,7 +190,11 @@ class WhatsAppService {
           {
             session_name: sessionName,
             status: 'connecting',
-            user_id: userId
+            user_id: userId,
+            pairing_phone_number: pairingPhoneNumber,
+            provider: options.provider || PROVIDER_OVERRIDE || DEFAULT_PROVIDER,
+            cloud_phone_number_id: cloudApi.phoneNumberId || null,
+            cloud_access_token: cloudApi.accessToken || null
           }
         ])
         .select()
@@ -35,29 +202,11 @@ class WhatsAppService {
 
       if (error) throw error;
 
+      // New sessions run on the node that created them
+      await clusterService.acquire(session.id);
+
       // Initialize WhatsApp client with persistent auth
-      const client = new Client({
-        authStrategy: new LocalAuth({ 
-          clientId: session.id,
-          dataPath: this.authDataPath 
-        }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-          ]
-        },
-        // Increase timeout for better stability
-        authTimeoutMs: 60000,
-        // Enable qr refresh
-        qrMaxRetries: 5
-      });
+      const client = this.createClient(session, pairingPhoneNumber);
 
       // Store client instance
       this.clients.set(session.id, client);
@@ -65,16 +214,109 @@ class WhatsAppService {
       // Set up event handlers
       this.setupEventHandlers(client, session.id);
 
+      const firstCode = pairingPhoneNumber ? this.waitForPairingCode(session.id) : null;
+
       // Initialize client
       await client.initialize();
 
-      return session;
+      const pairing = firstCode ? await firstCode : null;
+      return pairing
+        ? { ...session, status: 'pairing', pairing_code: pairing.pairing_code, pairing_code_expires_at: pairing.expires_at }
+        : session;
     } catch (error) {
       console.error('Error creating session:', error);
       throw error;
     }
   }
 
+  /**
+   * Create the client of a session with the provider it uses
+   * @param {Object} session - sessions row
+   * @param {string|null} pairingPhoneNumber - Digits of the phone to link with a pairing code (none for QR login)
+   * @returns {BaseProvider}
+   */
+  createClient(session, pairingPhoneNumber = null) {
+    return createProvider(session, {
+      authDataPath: this.authDataPath,
+      pairing: pairingPhoneNumber ? { phoneNumber: pairingPhoneNumber, intervalMs: PAIRING_CODE_INTERVAL_MS } : null
+    });
+  }
+
+  /**
+   * Wait for the next pairing code of a session
+   * @param {string} sessionId
+   * @param {number} timeoutMs
+   * @returns {Promise<Object|null>} - { pairing_code, expires_at }, or null on timeout
+   */
+  waitForPairingCode(sessionId, timeoutMs = PAIRING_CODE_WAIT_MS) {
+    return new Promise(resolve => {
+      const onStatus = (event) => {
+        if (event.sessionId === sessionId && event.status === 'pairing_code') {
+          clearTimeout(timer);
+          this.off('session_status', onStatus);
+          resolve({ pairing_code: event.pairing_code, expires_at: event.expires_at });
+        }
+      };
+
+      const timer = setTimeout(() => {
+        this.off('session_status', onStatus);
+        resolve(null);
+      }, timeoutMs);
+
+      this.on('session_status', onStatus);
+    });
+  }
+
+  /**
+   * Request a new pairing code for a session that links by phone number
+   * The previous code stops working. The new code is also stored by the 'code' handler.
+   * @param {string} sessionId
+   * @returns {Promise<Object>} - { pairing_code, expires_at }
+   */
+  async regeneratePairingCode(sessionId) {
+    const session = await this.getSession(sessionId);
+
+    const unavailable = (message) => {
+      const error = new Error(message);
+      error.code = 'PAIRING_CODE_UNAVAILABLE';
+      return error;
+    };
+
+    if (!session.pairing_phone_number) {
+      throw unavailable('This session links with a QR code, not a pairing code');
+    }
+
+    if (session.phone_number) {
+      throw unavailable('This session is already linked');
+    }
+
+    const client = this.clients.get(sessionId);
+    if (!client) {
+      const owner = await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'pairing-code');
+      }
+      throw unavailable('This session is not running. Reconnect it to get a new pairing code');
+    }
+
+    const code = await client.requestPairingCode(session.pairing_phone_number, PAIRING_CODE_INTERVAL_MS);
+    return {
+      pairing_code: code,
+      expires_at: new Date(Date.now() + PAIRING_CODE_INTERVAL_MS).toISOString()
+    };
+  }
+
+  /**
+   * Notify subscribers (real-time event stream) of a session lifecycle change
+   * @param {string} sessionId - Session UUID
+   * @param {string} status - qr, pairing_code, authenticated, ready, auth_failure, disconnected, reconnecting,
+   *   reconnect_failed, state_changed, keepalive_failed, keepalive_recovered, restoring, stopped
+   * @param {Object} data - Event details
+   */
+  emitSessionStatus(sessionId, status, data = {}) {
+    this.emit('session_status', { sessionId, status, ...data });
+  }
+
   setupEventHandlers(client, sessionId) {
     client.on('qr', async (qr) => {
       console.log(`QR Code generated for session ${sessionId}`);
@@ -91,27 +333,54 @@ class WhatsAppService {
           updated_at: new Date().toISOString()
         })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'qr', { qr_code: qrDataUrl });
+    });
+
+    // Pairing code login: a new code arrives on creation, on regeneration and every PAIRING_CODE_INTERVAL_MS
+    client.on('code', async (code) => {
+      console.log(`Pairing code generated for session ${sessionId}`);
+
+      const expiresAt = new Date(Date.now() + PAIRING_CODE_INTERVAL_MS).toISOString();
+
+      await supabaseAdmin
+        .from('sessions')
+        .update({
+          status: 'pairing',
+          pairing_code: code,
+          pairing_code_expires_at: expiresAt,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'pairing_code', { pairing_code: code, expires_at: expiresAt });
     });
 
     client.on('ready', async () => {
       console.log(`Client ${sessionId} is ready!`);
 
       // Get phone number
-      const info = client.info;
+      const phoneNumber = client.getPhoneNumber();
       
       await supabaseAdmin
         .from('sessions')
         .update({
           status: 'connected',
-          phone_number: info.wid.user,
+          phone_number: phoneNumber,
           qr_code: null,
+          pairing_code: null,
+          pairing_code_expires_at: null,
           last_connected_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'ready', { phone_number: phoneNumber });
       
-      // Backup auth data (if enabled)
-      await authBackupService.backupAuthData(sessionId);
+      // Backup auth data (if enabled - only web sessions keep a browser profile)
+      if (client.usesLocalAuth) {
+        await authBackupService.backupAuthData(sessionId);
+      }
       
       // Start keepalive mechanism immediately
       // This is critical to prevent disconnection
@@ -125,9 +394,13 @@ class WhatsAppService {
         .from('sessions')
         .update({
           status: 'connecting',
+          pairing_code: null,
+          pairing_code_expires_at: null,
           updated_at: new Date().toISOString()
         })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'authenticated');
     });
 
     client.on('auth_failure', async (msg) => {
@@ -141,13 +414,27 @@ class WhatsAppService {
           updated_at: new Date().toISOString()
         })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'auth_failure', { reason: msg || null });
     });
 
     client.on('disconnected', async (reason) => {
       console.log(`Client ${sessionId} disconnected:`, reason);
+
+      // The client was already dropped (e.g. the session moved to another node)
+      if (this.clients.get(sessionId) !== client) {
+        return;
+      }
       
       // Stop keepalive (it will restart after reconnection)
       this.stopKeepalive(sessionId);
+
+      // A logged out profile can't be restored - drop its snapshot too
+      if (reason === 'LOGOUT') {
+        await authBackupService.deleteAuthData(sessionId);
+      } else {
+        authBackupService.cancelScheduledBackup(sessionId);
+      }
       
       await supabaseAdmin
         .from('sessions')
@@ -158,6 +445,8 @@ class WhatsAppService {
         })
         .eq('id', sessionId);
 
+      this.emitSessionStatus(sessionId, 'disconnected', { reason: reason || null });
+
       // Remove old client from map immediately to allow reconnection
       this.clients.delete(sessionId);
       
@@ -178,9 +467,16 @@ class WhatsAppService {
             retryCount++;
             console.error(`Failed to reconnect ${sessionId} (attempt ${retryCount}/${maxRetries}):`, error.message);
             
-            if (retryCount < maxRetries) {
-              // Exponential backoff: 5s, 10s, 20s, 40s, 60s, then 120s for remaining attempts
-              const delay = Math.min(5000 * Math.pow(2, retryCount - 1), 120000);
+            // Exponential backoff: 5s, 10s, 20s, 40s, 60s, then 120s for remaining attempts
+            const delay = retryCount < maxRetries ? Math.min(5000 * Math.pow(2, retryCount - 1), 120000) : null;
+            this.emitSessionStatus(sessionId, 'reconnect_failed', {
+              attempt: retryCount,
+              max_attempts: maxRetries,
+              error: error.message,
+              retry_in_ms: delay
+            });
+
+            if (delay !== null) {
               console.log(`⏰ Retrying reconnection for ${sessionId} in ${delay/1000} seconds...`);
               setTimeout(attemptReconnect, delay);
             } else {
@@ -197,141 +493,265 @@ class WhatsAppService {
     });
 
     client.on('message', async (message) => {
-      console.log(`Message received in session ${sessionId}:`, message.body);
+      console.log(`Message received in session ${sessionId}:`, message.hasMedia ? `[${message.type}] ${message.body}` : message.body);
       
+      // Images, documents, voice notes... are downloaded first, so the row describes them
+      const media = await inboundMediaService.captureMedia(sessionId, message);
+
       // Store received message
-      await supabaseAdmin
+      const { data: record, error } = await supabaseAdmin
         .from('received_messages')
         .insert([
           {
             session_id: sessionId,
             from: message.from,
-            message: message.body,
-            timestamp: new Date(message.timestamp * 1000).toISOString()
+            message: message.body || '',
+            timestamp: new Date(message.timestamp * 1000).toISOString(),
+            ...media
           }
-        ]);
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Failed to store received message for session ${sessionId}:`, error.message);
+      }
+
+      // Notify subscribers (webhooks, automations)
+      this.emit('message', { sessionId, message, record: record || null });
+    });
+
+    // WhatsApp Web state changes (CONFLICT, TIMEOUT, UNPAIRED...) explain most drops
+    client.on('change_state', (state) => {
+      console.log(`Session ${sessionId} state changed: ${state}`);
+      this.emitSessionStatus(sessionId, 'state_changed', { state });
+    });
+
+    // Delivery status of outgoing messages (the only ones tracked in the messages table)
+    client.on('message_ack', async (whatsappMessageId, ack) => {
+      try {
+        await this.handleMessageAck(sessionId, whatsappMessageId, ack);
+      } catch (error) {
+        console.error(`Failed to handle ack for session ${sessionId}:`, error.message);
+      }
     });
   }
 
-  async sendMessage(sessionId, to, message) {
-    try {
-      const client = this.clients.get(sessionId);
+  /**
+   * Normalize international phone number for WhatsApp
+   * Handles various formats including numbers with leading zeros after country code
+   * @param {string} phoneNumber - Raw phone number in any format
+   * @returns {string} - Normalized digits only (without @c.us)
+   */
+  normalizePhoneNumber(phoneNumber) {
+    // Remove all non-digit characters to get just the digits
+    let digits = phoneNumber.replace(/\D/g, '');
+    
+    if (!digits || digits.length < 8) {
+      return null;
+    }
+    
+    // Handle leading zeros after country codes (common in international formats)
+    // This pattern handles cases like: +212 0655... where 0 should be removed
+    // Country codes are typically 1-3 digits, so we check positions 1-5 for a leading zero
+    // Common patterns:
+    // - 1-digit country code: 1-2 digit, then potential 0
+    // - 2-digit country code: 2-3 digit, then potential 0  
+    // - 3-digit country code: 3-4 digit, then potential 0
+    
+    // Check if number starts with common country codes and has a leading zero after
+    // Most common: numbers starting with 1-3 digits (country code) followed by 0
+    // IMPORTANT: Check patterns in reverse order (3-digit first) to catch longer codes first
+    // This prevents false matches with shorter country codes
+    const countryCodePatterns = [
+      /^(\d{3})(0)(\d{5,})/,  // 3-digit country code followed by 0 (common for countries like 212, 234, etc.)
+      /^(\d{2})(0)(\d{6,})/,  // 2-digit country code followed by 0 (common)
+      /^(\d{1})(0)(\d{7,})/,  // 1-digit country code followed by 0 (rare but possible)
+    ];
+    
+    for (const pattern of countryCodePatterns) {
+      const match = digits.match(pattern);
+      if (match) {
+        // Remove the leading zero after country code
+        const countryCode = match[1];
+        const rest = match[3];
+        
+        // Validate: the resulting number should be reasonable (7-15 digits total)
+        const normalized = countryCode + rest;
+        if (normalized.length >= 7 && normalized.length <= 15) {
+          console.log(`[normalizePhoneNumber] Removed leading zero: ${digits} -> ${normalized}`);
+          return normalized;
+        }
+      }
+    }
+    
+    // If no pattern matched, return digits as-is (might be already formatted correctly)
+    return digits;
+  }
+
+  /**
+   * Whether a recipient is a group: a @g.us chat ID, or a bare group ID
+   * (current group IDs have 18 digits, longer than any phone number)
+   * @param {string} to - Raw recipient
+   * @returns {boolean}
+   */
+  isGroupRecipient(to) {
+    const raw = String(to).trim();
+    return raw.endsWith('@g.us') || /^\d{16,}$/.test(raw);
+  }
+
+  /**
+   * Format a recipient into a WhatsApp chat ID
+   * Automatically adds @c.us if not already present, so users can send messages
+   * by providing just the phone number with country code
+   * Examples: "+212 665-927999" -> "212665927999@c.us"
+   *          "+212 0655-927999" -> "212655927999@c.us" (removes leading zero)
+   *          "1234567890" -> "1234567890@c.us"
+   *          "1234567890@c.us" -> "1234567890@c.us" (already formatted)
+   *          "120363025246125888" -> "120363025246125888@g.us" (group ID)
+   *          "212600000000-1600000000@g.us" -> unchanged (older group IDs keep their hyphen)
+   * @param {string} to - Raw recipient (phone number or WhatsApp ID)
+   * @returns {string} - Formatted WhatsApp chat ID
+   */
+  formatRecipient(to) {
+    let formattedNumber = String(to).trim();
+    console.log(`[sendMessage] Original phone number: "${to}"`);
+    
+    // Check if it's already a WhatsApp ID format
+    if (this.isGroupRecipient(formattedNumber)) {
+      // Group - keep @g.us format, just clean the ID part (digits, and the hyphen of older IDs)
+      const parts = formattedNumber.split('@');
+      const cleanedId = parts[0].replace(/[^0-9-]/g, '');
+      formattedNumber = `${cleanedId}@g.us`;
+      console.log(`[sendMessage] Detected group number, formatted: ${formattedNumber}`);
+    } else if (formattedNumber.includes('@c.us')) {
+      // Already has @c.us, just clean any non-digits before @
+      const parts = formattedNumber.split('@');
+      const digitsOnly = parts[0].replace(/\D/g, '');
+      formattedNumber = `${digitsOnly}@c.us`;
+      console.log(`[sendMessage] Already had @c.us, formatted: ${formattedNumber}`);
+    } else {
+      // No @ found - normalize and add @c.us automatically
+      const normalizedDigits = this.normalizePhoneNumber(formattedNumber);
       
-      if (!client) {
-        throw new Error('Session not found or not connected');
+      if (!normalizedDigits) {
+        throw new Error(`Invalid phone number: "${to}". Must contain at least 8 digits after normalization.`);
       }
+      
+      // Automatically add @c.us suffix for individual contacts
+      formattedNumber = `${normalizedDigits}@c.us`;
+      console.log(`[sendMessage] Normalized and auto-added @c.us, formatted: ${formattedNumber}`);
+    }
+    
+    console.log(`[sendMessage] Final formatted number: ${to} -> ${formattedNumber}`);
+    
+    // Validate formatted number (should be at least 8 digits + @c.us = minimum 13 characters)
+    if (!formattedNumber || formattedNumber.length < 13) {
+      throw new Error(`Invalid phone number format after processing: ${formattedNumber}`);
+    }
 
-      const state = await client.getState();
-      if (state !== 'CONNECTED') {
-        throw new Error('WhatsApp client is not connected');
+    return formattedNumber;
+  }
+
+  /**
+   * Get the phone number (digits) of an individual recipient
+   * @param {string} to - Phone number or WhatsApp ID
+   * @returns {string|null} - Digits, or null for groups and invalid numbers
+   */
+  getRecipientNumber(to) {
+    const raw = String(to).trim();
+    if (this.isGroupRecipient(raw)) {
+      return null;
+    }
+    if (raw.includes('@')) {
+      return raw.endsWith('@c.us') ? raw.split('@')[0].replace(/\D/g, '') || null : null;
+    }
+    return this.normalizePhoneNumber(raw);
+  }
+
+  /**
+   * Send a message through a connected session
+   * @param {string} sessionId - Session UUID
+   * @param {string} to - Recipient phone number or WhatsApp ID
+   * @param {string} message - Message text (used as caption when sending media)
+   * @param {Object} options - Optional send options
+   * @param {Object} options.media - Media payload from mediaHelper ({ mimetype, data, filename, size, mediaType, url })
+   * @param {boolean} options.sendAudioAsVoice - Send audio as a voice note
+   * @param {boolean} options.sendMediaAsDocument - Send image/video as a document
+   * @param {string} options.messageId - Existing messages row to update (queued messages) instead of inserting a new one
+   * @param {boolean} options.sandbox - Simulate the send (test API keys): nothing is sent to WhatsApp
+   * @param {boolean} options.forwarded - Forwarded by another node: never forward again
+   * @returns {Promise<Object>} - Logged message row with formatted number and WhatsApp message ID
+   */
+  async sendMessage(sessionId, to, message, options = {}) {
+    // The session runs on another node - send (and log) it there
+    if (!options.sandbox && !options.forwarded && !this.clients.has(sessionId)) {
+      const owner = await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'send', { to, message, options });
       }
+    }
 
-      // Format phone number - automatically add @c.us if not already present
-      // This ensures users can send messages by providing just the phone number with country code
-      // Examples: "+212 665-927999" -> "212665927999@c.us"
-      //          "+212 0655-927999" -> "212655927999@c.us" (removes leading zero)
-      //          "1234567890" -> "1234567890@c.us"
-      //          "1234567890@c.us" -> "1234567890@c.us" (already formatted)
-      
-      /**
-       * Normalize international phone number for WhatsApp
-       * Handles various formats including numbers with leading zeros after country code
-       * @param {string} phoneNumber - Raw phone number in any format
-       * @returns {string} - Normalized digits only (without @c.us)
-       */
-      const normalizePhoneNumber = (phoneNumber) => {
-        // Remove all non-digit characters to get just the digits
-        let digits = phoneNumber.replace(/\D/g, '');
-        
-        if (!digits || digits.length < 8) {
-          return null;
-        }
-        
-        // Handle leading zeros after country codes (common in international formats)
-        // This pattern handles cases like: +212 0655... where 0 should be removed
-        // Country codes are typically 1-3 digits, so we check positions 1-5 for a leading zero
-        // Common patterns:
-        // - 1-digit country code: 1-2 digit, then potential 0
-        // - 2-digit country code: 2-3 digit, then potential 0  
-        // - 3-digit country code: 3-4 digit, then potential 0
-        
-        // Check if number starts with common country codes and has a leading zero after
-        // Most common: numbers starting with 1-3 digits (country code) followed by 0
-        // IMPORTANT: Check patterns in reverse order (3-digit first) to catch longer codes first
-        // This prevents false matches with shorter country codes
-        const countryCodePatterns = [
-          /^(\d{3})(0)(\d{5,})/,  // 3-digit country code followed by 0 (common for countries like 212, 234, etc.)
-          /^(\d{2})(0)(\d{6,})/,  // 2-digit country code followed by 0 (common)
-          /^(\d{1})(0)(\d{7,})/,  // 1-digit country code followed by 0 (rare but possible)
-        ];
-        
-        for (const pattern of countryCodePatterns) {
-          const match = digits.match(pattern);
-          if (match) {
-            // Remove the leading zero after country code
-            const countryCode = match[1];
-            const rest = match[3];
-            
-            // Validate: the resulting number should be reasonable (7-15 digits total)
-            const normalized = countryCode + rest;
-            if (normalized.length >= 7 && normalized.length <= 15) {
-              console.log(`[normalizePhoneNumber] Removed leading zero: ${digits} -> ${normalized}`);
-              return normalized;
-            }
-          }
+    const media = options.media || null;
+    const text = message || '';
+
+    // Media details stored alongside the message log
+    const mediaData = media ? {
+      media_type: media.mediaType,
+      media_mime_type: media.mimetype,
+      media_filename: media.filename,
+      media_size_bytes: media.size,
+      media_url: media.url || null
+    } : {};
+
+    try {
+      const client = this.clients.get(sessionId);
+
+      // Sandbox sends never use the client, so they also work while the phone is not linked
+      if (!options.sandbox) {
+        if (!client) {
+          throw new Error('Session not found or not connected');
         }
-        
-        // If no pattern matched, return digits as-is (might be already formatted correctly)
-        return digits;
-      };
-      
-      let formattedNumber = String(to).trim();
-      console.log(`[sendMessage] Original phone number: "${to}"`);
-      
-      // Check if it's already a WhatsApp ID format
-      if (formattedNumber.includes('@g.us')) {
-        // Group number - keep @g.us format, just clean the ID part
-        const parts = formattedNumber.split('@');
-        const cleanedId = parts[0].replace(/[^0-9]/g, '');
-        formattedNumber = `${cleanedId}@g.us`;
-        console.log(`[sendMessage] Detected group number, formatted: ${formattedNumber}`);
-      } else if (formattedNumber.includes('@c.us')) {
-        // Already has @c.us, just clean any non-digits before @
-        const parts = formattedNumber.split('@');
-        const digitsOnly = parts[0].replace(/\D/g, '');
-        formattedNumber = `${digitsOnly}@c.us`;
-        console.log(`[sendMessage] Already had @c.us, formatted: ${formattedNumber}`);
-      } else {
-        // No @ found - normalize and add @c.us automatically
-        const normalizedDigits = normalizePhoneNumber(formattedNumber);
-        
-        if (!normalizedDigits) {
-          throw new Error(`Invalid phone number: "${to}". Must contain at least 8 digits after normalization.`);
+
+        const state = await client.getState();
+        if (state !== 'CONNECTED') {
+          throw new Error('WhatsApp client is not connected');
         }
-        
-        // Automatically add @c.us suffix for individual contacts
-        formattedNumber = `${normalizedDigits}@c.us`;
-        console.log(`[sendMessage] Normalized and auto-added @c.us, formatted: ${formattedNumber}`);
       }
-      
-      console.log(`[sendMessage] Final formatted number: ${to} -> ${formattedNumber}`);
-      
-      // Validate formatted number (should be at least 8 digits + @c.us = minimum 13 characters)
-      if (!formattedNumber || formattedNumber.length < 13) {
-        throw new Error(`Invalid phone number format after processing: ${formattedNumber}`);
+
+      const formattedNumber = this.formatRecipient(to);
+
+      // Never message a number that opted out (groups are not suppressed)
+      if (await suppressionService.isSuppressedForSession(sessionId, this.getRecipientNumber(formattedNumber))) {
+        const optOutError = new Error(`Recipient ${formattedNumber} has opted out of messages`);
+        optOutError.code = 'RECIPIENT_OPTED_OUT';
+        throw optOutError;
       }
 
-      // Send message using whatsapp-web.js
+      // Send message through the session's provider
       console.log(`[sendMessage] Attempting to send message to: ${formattedNumber}`);
-      console.log(`[sendMessage] Message content length: ${message.length} characters`);
       
       let sentMessage;
       try {
-        sentMessage = await client.sendMessage(formattedNumber, message);
+        if (options.sandbox) {
+          console.log(`[sendMessage] 🧪 Sandbox: simulating send (${media ? media.mediaType : 'text'}), WhatsApp is not called`);
+          sentMessage = this.simulateSend(formattedNumber);
+        } else {
+          if (media) {
+            console.log(`[sendMessage] Sending ${media.mediaType} (${media.mimetype}, ${media.size} bytes) via ${client.name}`);
+          } else {
+            console.log(`[sendMessage] Message content length: ${text.length} characters (via ${client.name})`);
+          }
+          sentMessage = await client.sendMessage(formattedNumber, text, {
+            media,
+            sendAudioAsVoice: options.sendAudioAsVoice,
+            sendMediaAsDocument: options.sendMediaAsDocument
+          });
+        }
         console.log(`[sendMessage] ✅ Message sent successfully to ${formattedNumber}`);
-        console.log(`[sendMessage] Sent message ID: ${sentMessage.id?._serialized || sentMessage.id || 'N/A'}`);
+        console.log(`[sendMessage] Sent message ID: ${sentMessage.id || 'N/A'}`);
       } catch (sendError) {
-        console.error(`[sendMessage] ❌ Error from whatsapp-web.js:`, sendError);
+        console.error(`[sendMessage] ❌ Error from provider:`, sendError);
         console.error(`[sendMessage] Error details:`, {
           message: sendError.message,
           stack: sendError.stack,
@@ -340,6 +760,11 @@ class WhatsAppService {
           originalNumber: to
         });
         
+        // Errors of other providers (and unsupported features) are already explicit
+        if (client.name !== 'web' || sendError.code === 'PROVIDER_UNSUPPORTED') {
+          throw sendError;
+        }
+
         // Provide more helpful error messages based on common whatsapp-web.js errors
         if (sendError.message && (sendError.message.includes('not found') || sendError.message.includes('not exist'))) {
           throw new Error(`Phone number ${formattedNumber} is not registered on WhatsApp. Please ensure the number exists and has WhatsApp installed. Original: ${to}`);
@@ -361,40 +786,64 @@ class WhatsAppService {
       const messageData = {
         session_id: sessionId,
         to: to, // Store original number
-        message: message,
+        remote_jid: formattedNumber,
+        message: text,
         status: 'sent',
-        sent_at: new Date().toISOString()
+        sent_at: new Date().toISOString(),
+        whatsapp_message_id: sentMessage?.id || null,
+        is_test: !!options.sandbox,
+        ...mediaData
       };
 
-      const { data, error } = await supabaseAdmin
-        .from('messages')
-        .insert([messageData])
-        .select()
-        .single();
+      // Queued messages already have a row - update it instead of logging a duplicate
+      const { data, error } = options.messageId
+        ? await supabaseAdmin
+          .from('messages')
+          .update(messageData)
+          .eq('id', options.messageId)
+          .select()
+          .single()
+        : await supabaseAdmin
+          .from('messages')
+          .insert([messageData])
+          .select()
+          .single();
 
       if (error) {
         console.error(`[sendMessage] Database error:`, error);
         // Don't throw here - message was sent successfully, just couldn't log it
         console.warn(`[sendMessage] Message sent but failed to log in database`);
+      } else if (options.sandbox) {
+        this.simulateAcks(sessionId, data.whatsapp_message_id);
       }
 
       return {
         ...(data || {}),
         formatted_number: formattedNumber,
-        whatsapp_message_id: sentMessage?.id?._serialized || sentMessage?.id
+        whatsapp_message_id: sentMessage?.id || null
       };
     } catch (error) {
       console.error('Error sending message:', error);
       
-      // Log failed message
+      // Queued messages are retried by the queue, which records the failure itself
+      if (options.messageId) {
+        throw error;
+      }
+
+      // Log failed (or skipped, for opted-out recipients) message
+      const skipped = error.code === 'RECIPIENT_OPTED_OUT';
       await supabaseAdmin
         .from('messages')
         .insert([
           {
             session_id: sessionId,
             to: to,
-            message: message,
-            status: 'failed'
+            message: text,
+            status: skipped ? 'skipped' : 'failed',
+            failed_at: skipped ? null : new Date().toISOString(),
+            last_error: skipped ? error.message : null,
+            is_test: !!options.sandbox,
+            ...mediaData
           }
         ]);
 
@@ -402,6 +851,192 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Build a fake sent message for a sandbox send
+   * The ID looks like a WhatsApp ID but is marked TEST so it cannot be mistaken for a real one.
+   * @param {string} formattedNumber - Recipient chat ID
+   * @returns {Object} - { id }
+   */
+  simulateSend(formattedNumber) {
+    const fakeId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    return { id: `true_${formattedNumber}_TEST${fakeId}` };
+  }
+
+  /**
+   * Play the delivered and read receipts of a sandbox send through the normal ack handling
+   * @param {string} sessionId - Session UUID
+   * @param {string} whatsappMessageId - Fake WhatsApp message ID
+   */
+  simulateAcks(sessionId, whatsappMessageId) {
+    for (const step of SANDBOX_ACK_STEPS) {
+      setTimeout(() => {
+        this.handleMessageAck(sessionId, whatsappMessageId, step.ack).catch(error => {
+          console.error(`Failed to simulate ack for ${whatsappMessageId}:`, error.message);
+        });
+      }, step.delayMs);
+    }
+  }
+
+  /**
+   * Send a media message (image, video, audio, document)
+   * @param {string} sessionId - Session UUID
+   * @param {string} to - Recipient phone number or WhatsApp ID
+   * @param {Object} media - Media payload from mediaHelper
+   * @param {Object} options - { caption, sendAudioAsVoice, sendMediaAsDocument, sandbox }
+   * @returns {Promise<Object>} - Logged message row
+   */
+  async sendMedia(sessionId, to, media, options = {}) {
+    if (!media) {
+      throw new Error('Media is required');
+    }
+
+    return this.sendMessage(sessionId, to, options.caption || '', {
+      media,
+      sendAudioAsVoice: options.sendAudioAsVoice,
+      sendMediaAsDocument: options.sendMediaAsDocument,
+      sandbox: options.sandbox
+    });
+  }
+
+  /**
+   * Get the live state of a session's client, wherever it runs
+   * @param {string} sessionId
+   * @param {Object} options - { forwarded } (don't ask other nodes)
+   * @returns {Promise<Object>} - { state, is_ready, phone_number, provider, node_id }
+   */
+  async getClientState(sessionId, options = {}) {
+    const client = this.clients.get(sessionId);
+
+    if (!client) {
+      const owner = options.forwarded ? null : await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'state').catch(() => ({
+          state: 'error', is_ready: false, phone_number: null, provider: null, node_id: owner.node_id
+        }));
+      }
+      return { state: 'no_client', is_ready: false, phone_number: null, provider: null, node_id: null };
+    }
+
+    try {
+      const state = await client.getState();
+      const phoneNumber = client.getPhoneNumber();
+      return {
+        state,
+        is_ready: !!phoneNumber,
+        phone_number: phoneNumber,
+        provider: client.name,
+        node_id: clusterService.enabled ? clusterService.nodeId : null
+      };
+    } catch (error) {
+      return { state: 'error', is_ready: false, phone_number: null, provider: client.name, node_id: null };
+    }
+  }
+
+  /**
+   * Ask WhatsApp whether a number has an account, through a connected session
+   * @param {string} sessionId
+   * @param {string} phoneNumber - Digits with country code (normalized)
+   * @param {Object} options - { forwarded } (don't ask other nodes)
+   * @returns {Promise<Object>} - { registered, jid } jid: canonical chat ID, null when not registered
+   */
+  async checkNumber(sessionId, phoneNumber, options = {}) {
+    if (!this.clients.has(sessionId)) {
+      const owner = options.forwarded ? null : await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'check-number', { phoneNumber });
+      }
+    }
+
+    const client = await this.getConnectedClient(sessionId);
+    return client.checkNumber(phoneNumber);
+  }
+
+  /**
+   * Run a group operation on a connected session, wherever it runs
+   * @param {string} sessionId
+   * @param {string} method - Provider group method: getGroups, getGroup, createGroup,
+   *   updateGroupParticipants, updateGroup or getGroupInviteCode (see BaseProvider)
+   * @param {Array} args - Arguments of the method
+   * @param {Object} options - { forwarded } (don't ask other nodes)
+   * @returns {Promise<*>}
+   */
+  async groupOperation(sessionId, method, args = [], options = {}) {
+    if (!GROUP_METHODS.includes(method)) {
+      throw new Error(`Unknown group operation: ${method}`);
+    }
+
+    if (!this.clients.has(sessionId)) {
+      const owner = options.forwarded ? null : await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        return clusterService.forward(owner, sessionId, 'group', { method, args });
+      }
+    }
+
+    const client = await this.getConnectedClient(sessionId);
+    return client[method](...args);
+  }
+
+  /**
+   * Local client of a session, which must be connected
+   * @param {string} sessionId
+   * @returns {Promise<BaseProvider>} - (throws SESSION_NOT_RUNNING)
+   */
+  async getConnectedClient(sessionId) {
+    const client = this.clients.get(sessionId);
+    const state = client ? await client.getState().catch(() => null) : null;
+
+    if (state !== 'CONNECTED') {
+      const notRunning = new Error(client ? 'WhatsApp client is not connected' : 'Session is not running');
+      notRunning.code = 'SESSION_NOT_RUNNING';
+      throw notRunning;
+    }
+
+    return client;
+  }
+
+  /**
+   * Hand a Cloud API webhook change (incoming messages, status callbacks) to the session of its phone number
+   * @param {Object} value - entry[].changes[].value of a 'messages' change
+   * @param {Object} options - { forwarded } (don't ask other nodes)
+   */
+  async handleCloudWebhook(value, options = {}) {
+    const phoneNumberId = value?.metadata?.phone_number_id;
+    if (!phoneNumberId) {
+      return;
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('id')
+      .eq('provider', 'cloud_api')
+      .eq('cloud_phone_number_id', phoneNumberId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session) {
+      console.warn(`⚠️ Cloud API webhook for unknown phone number ID ${phoneNumberId} ignored`);
+      return;
+    }
+
+    const client = this.clients.get(session.id);
+    if (client) {
+      client.handleWebhook(value);
+      return;
+    }
+
+    const owner = options.forwarded ? null : await clusterService.getRemoteOwner(session.id);
+    if (owner) {
+      await clusterService.forward(owner, session.id, 'cloud-webhook', { value });
+      return;
+    }
+
+    // Not acknowledged, so the Cloud API delivers it again later
+    const notRunning = new Error(`Session ${session.id} is not running`);
+    notRunning.code = 'SESSION_NOT_RUNNING';
+    throw notRunning;
+  }
+
   async getSession(sessionId, userId) {
     const query = supabaseAdmin
       .from('sessions')
@@ -468,6 +1103,12 @@ class WhatsAppService {
       
       await client.destroy();
       this.clients.delete(sessionId);
+    } else {
+      // Stop the client (and remove its profile) on the node running it
+      const owner = await clusterService.getRemoteOwner(sessionId);
+      if (owner) {
+        await clusterService.forward(owner, sessionId, 'release', { deleteAuthData: true });
+      }
     }
     
     // Clean up auth data
@@ -481,18 +1122,50 @@ class WhatsAppService {
       console.error(`Failed to delete auth data for session ${sessionId}:`, error);
     }
 
+    await authBackupService.deleteAuthData(sessionId);
+    await inboundMediaService.deleteSessionMedia(sessionId);
+
     const { error } = await supabaseAdmin
       .from('sessions')
       .delete()
       .eq('id', sessionId);
 
     if (error) throw error;
+
+    this.emit('session_deleted', { sessionId });
   }
 
   getClient(sessionId) {
     return this.clients.get(sessionId);
   }
 
+  /**
+   * Stop the local client of a session without changing its status
+   * (the session moved to another node, or is being deleted there)
+   * @param {string} sessionId
+   * @param {Object} options - { deleteAuthData } also remove the local profile
+   */
+  async dropClient(sessionId, options = {}) {
+    const client = this.clients.get(sessionId);
+
+    this.stopKeepalive(sessionId);
+    authBackupService.cancelScheduledBackup(sessionId);
+    this.clients.delete(sessionId);
+
+    if (client) {
+      await client.destroy().catch(error => {
+        console.error(`Failed to close client of session ${sessionId}:`, error.message);
+      });
+      console.log(`📤 Stopped local client of session ${sessionId}`);
+    }
+
+    // deleteAuthData: the session is being deleted through another node
+    if (options.deleteAuthData) {
+      fs.rmSync(path.join(this.authDataPath, `session-${sessionId}`), { recursive: true, force: true });
+      this.emit('session_deleted', { sessionId });
+    }
+  }
+
   getAllClients() {
     return this.clients;
   }
@@ -513,35 +1186,30 @@ class WhatsAppService {
         console.log(`Session ${sessionId} already has active client`);
         return;
       }
+
+      // Only the node holding the lease may run the session
+      if (!(await clusterService.acquire(sessionId))) {
+        console.log(`Session ${sessionId} is running on another node, skipping reconnection`);
+        return;
+      }
+
+      // A pairing code session that was never linked keeps linking by pairing code
+      const client = this.createClient(session, session.phone_number ? null : session.pairing_phone_number);
+
+      // Taken over from another node (or redeployed): pull the profile from the auth store
+      if (client.usesLocalAuth && session.phone_number && !authBackupService.authDataExists(sessionId)) {
+        await authBackupService.restoreAuthData(sessionId);
+      }
       
       // Mark as connecting
       await supabaseAdmin
         .from('sessions')
         .update({ status: 'connecting' })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'reconnecting');
       
       // Initialize new client with same ID (reuses saved auth)
-      const client = new Client({
-        authStrategy: new LocalAuth({ 
-          clientId: sessionId,
-          dataPath: this.authDataPath 
-        }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-          ]
-        },
-        authTimeoutMs: 60000,
-        qrMaxRetries: 5
-      });
-      
       this.clients.set(sessionId, client);
       this.setupEventHandlers(client, sessionId);
       
@@ -557,6 +1225,8 @@ class WhatsAppService {
         .from('sessions')
         .update({ status: 'disconnected' })
         .eq('id', sessionId);
+
+      this.emitSessionStatus(sessionId, 'reconnect_failed', { error: error.message, retry_in_ms: 30000 });
       
       // Use exponential backoff for reconnection attempts
       let retryCount = 0;
@@ -613,16 +1283,30 @@ class WhatsAppService {
       
       for (const session of sessions) {
         try {
-          // Check if auth data exists for this session
-          // LocalAuth uses clientId as folder name directly (not session-{id})
-          const authPath = path.join(this.authDataPath, session.id);
-          const authExists = fs.existsSync(authPath) && fs.existsSync(path.join(authPath, 'Default'));
+          // Already running (taken over) or running on another node
+          if (this.clients.has(session.id)) {
+            continue;
+          }
+
+          if (!(await clusterService.acquire(session.id))) {
+            console.log(`⏭️ ${session.session_name} is running on another node, skipping`);
+            continue;
+          }
+
+          const client = this.createClient(session);
+
+          // Check if auth data exists for this session (LocalAuth stores it in session-{id}),
+          // otherwise pull it from the auth store (e.g. after a redeploy)
+          const authExists = !client.usesLocalAuth ||
+            authBackupService.authDataExists(session.id) ||
+            await authBackupService.restoreAuthData(session.id);
           if (!authExists) {
             console.log(`⚠️ No auth data found for ${session.session_name}, skipping`);
             continue;
           }
           
           console.log(`📱 Restoring: ${session.session_name} (${session.phone_number})`);
+          this.emitSessionStatus(session.id, 'restoring');
           
           // Mark as connecting
           await supabaseAdmin
@@ -631,27 +1315,6 @@ class WhatsAppService {
             .eq('id', session.id);
           
           // Initialize client with saved auth
-          const client = new Client({
-            authStrategy: new LocalAuth({ 
-              clientId: session.id,
-              dataPath: this.authDataPath 
-            }),
-            puppeteer: {
-              headless: true,
-              args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu'
-              ]
-            },
-            authTimeoutMs: 60000,
-            qrMaxRetries: 5
-          });
-          
           this.clients.set(session.id, client);
           this.setupEventHandlers(client, session.id);
           
@@ -707,12 +1370,16 @@ class WhatsAppService {
         }
 
         if (state === 'CONNECTED') {
+          if (this.keepaliveFailures.delete(sessionId)) {
+            console.log(`💚 Keepalive recovered for session ${sessionId}`);
+            this.emitSessionStatus(sessionId, 'keepalive_recovered', { state });
+          }
+
           // Additional keepalive actions to maintain connection
           try {
             // Access client info as a keepalive action (lightweight operation)
             // This helps keep the connection active
-            const info = client.info;
-            if (info && info.wid) {
+            if (client.getPhoneNumber()) {
               // Connection is truly alive
             }
           } catch (infoError) {
@@ -747,6 +1414,7 @@ class WhatsAppService {
         } else {
           // State is not CONNECTED - attempt immediate reconnection
           console.log(`⚠️ Session ${sessionId} not connected (state: ${state}), attempting reconnect...`);
+          this.reportKeepaliveFailure(sessionId, state, `Client state is ${state}`);
           
           // Update status but keep keepalive running (it will stop if reconnect succeeds)
           await supabaseAdmin
@@ -766,6 +1434,7 @@ class WhatsAppService {
       } catch (error) {
         // Connection error detected
         console.error(`💔 Keepalive check failed for session ${sessionId}:`, error.message);
+        this.reportKeepaliveFailure(sessionId, null, error.message);
         
         // Update status to disconnected
         await supabaseAdmin
@@ -798,6 +1467,22 @@ class WhatsAppService {
       this.keepaliveIntervals.delete(sessionId);
       console.log(`💔 Keepalive stopped for session ${sessionId}`);
     }
+    this.keepaliveFailures.delete(sessionId);
+  }
+
+  /**
+   * Record the first keepalive failure of an outage (later ones only go to the log)
+   * @param {string} sessionId
+   * @param {string|null} state - Client state, null when it could not be read
+   * @param {string} reason
+   */
+  reportKeepaliveFailure(sessionId, state, reason) {
+    if (this.keepaliveFailures.has(sessionId)) {
+      return;
+    }
+
+    this.keepaliveFailures.add(sessionId);
+    this.emitSessionStatus(sessionId, 'keepalive_failed', { state, reason });
   }
 }
 
@@ -1,17 +1,22 @@
 const crypto = require('crypto');
 
+// live keys send real messages; test keys only simulate sends (sandbox)
+const API_KEY_MODES = ['live', 'test'];
+
 /**
  * Generate a secure API key
- * Format: wp_live_[64 random hex characters]
+ * Format: wp_live_[64 random hex characters] (or wp_test_ for sandbox keys)
  * Example: wp_live_a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0u1v2w3x4y5z6a7b8c9d0e1f2
  * 
  * IMPORTANT: API keys NEVER expire. They remain valid until manually regenerated or revoked.
  * Users must manually regenerate their API key to invalidate the old one.
+ * Store the result of hashApiKey(), never the key itself.
+ * @param {string} mode - 'live' (default) or 'test'
  */
-function generateApiKey() {
+function generateApiKey(mode = 'live') {
   const randomBytes = crypto.randomBytes(32);
   const hexString = randomBytes.toString('hex');
-  return `wp_live_${hexString}`;
+  return `wp_${mode}_${hexString}`;
 }
 
 /**
@@ -23,13 +28,58 @@ function validateApiKeyFormat(apiKey) {
     return false;
   }
   
-  // Check format: wp_live_[64 hex characters]
-  const regex = /^wp_live_[a-f0-9]{64}$/;
+  // Check format: wp_live_[64 hex characters] or wp_test_[64 hex characters]
+  const regex = /^wp_(live|test)_[a-f0-9]{64}$/;
   return regex.test(apiKey);
 }
 
+// "wp_live_" (or "wp_test_") plus the first 8 hex characters - enough to find the key, useless on its own
+const API_KEY_PREFIX_LENGTH = 16;
+
+/**
+ * Hash an API key for storage
+ * Keys are 256-bit random values, so a single SHA-256 is enough (no salt or slow hash needed).
+ * Only the hash and the prefix are stored; the full key is shown once when it is generated.
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Get the lookup prefix of an API key (stored in plain text to find the key and to show it masked)
+ */
+function getApiKeyPrefix(apiKey) {
+  return apiKey.slice(0, API_KEY_PREFIX_LENGTH);
+}
+
+/**
+ * Compare an API key with a stored hash in constant time
+ */
+function verifyApiKey(apiKey, storedHash) {
+  if (!storedHash) {
+    return false;
+  }
+
+  const hash = Buffer.from(hashApiKey(apiKey), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return hash.length === stored.length && crypto.timingSafeEqual(hash, stored);
+}
+
+/**
+ * Get the mode of an API key (or of its stored prefix)
+ * @returns {string} - 'test' for wp_test_ keys, otherwise 'live'
+ */
+function getApiKeyMode(apiKeyOrPrefix) {
+  return String(apiKeyOrPrefix || '').startsWith('wp_test_') ? 'test' : 'live';
+}
+
 module.exports = {
+  API_KEY_MODES,
   generateApiKey,
-  validateApiKeyFormat
+  validateApiKeyFormat,
+  hashApiKey,
+  getApiKeyPrefix,
+  verifyApiKey,
+  getApiKeyMode
 };
 
@@ -0,0 +1,127 @@
+/**
+ * API key scopes
+ *
+ * Scopes have the form "<resource>:<action>". A key can also hold "*" (everything)
+ * or "<resource>:*" (every action on one resource). Requests authenticated with a
+ * JWT are not limited by scopes.
+ *
+ * Test keys (wp_test_) can only read data and simulate sends: whatever else they
+ * are granted, write scopes other than messages:send are refused, because they
+ * would change or message real chats (bots, campaigns, auto-replies...).
+ */
+const SCOPES = {
+  'sessions:read': 'List sessions and read their status',
+  'sessions:write': 'Create and delete sessions',
+  'messages:read': 'Read message history, queue and received messages',
+  'messages:send': 'Send, schedule, reschedule and cancel messages',
+  'bots:read': 'List bots',
+  'bots:write': 'Create, update, delete and trigger bots',
+  'contacts:read': 'List contacts and contact groups',
+  'contacts:write': 'Create, update and delete contacts and contact groups',
+  'groups:read': 'List WhatsApp groups, their participants and invite links',
+  'groups:write': 'Create WhatsApp groups, manage participants, subject, description and invite links',
+  'campaigns:read': 'List campaigns and their recipients',
+  'campaigns:write': 'Create, schedule, start, pause and cancel campaigns',
+  'conversations:read': 'Read conversations',
+  'conversations:write': 'Mark conversations as read',
+  'auto_replies:read': 'List auto-reply rules and logs',
+  'auto_replies:write': 'Create, update and delete auto-reply rules',
+  'flows:read': 'List flows and flow conversations',
+  'flows:write': 'Create, update and delete flows, hand off and release conversations',
+  'webhooks:read': 'List webhooks and deliveries',
+  'webhooks:write': 'Create, update, test and delete webhooks',
+  'opt_outs:read': 'Read and export the suppression list',
+  'opt_outs:write': 'Add, import and remove opt-outs and keywords',
+  'woocommerce:read': 'Read WooCommerce settings, orders and notifications',
+  'woocommerce:write': 'Update WooCommerce settings'
+};
+
+const ALL_SCOPES = '*';
+
+// The only write scope a test key can use - its sends are simulated
+const TEST_KEY_WRITE_SCOPES = ['messages:send'];
+
+/**
+ * Check that every requested scope exists
+ * @param {string[]} scopes
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+
+  const resources = new Set(Object.keys(SCOPES).map(scope => scope.split(':')[0]));
+  const unknown = scopes.filter(scope => {
+    if (scope === ALL_SCOPES || SCOPES[scope]) return false;
+    const [resource, action] = String(scope).split(':');
+    return !(action === '*' && resources.has(resource));
+  });
+
+  return unknown.length > 0 ? `Unknown scope(s): ${unknown.join(', ')}` : null;
+}
+
+/**
+ * Check whether granted scopes cover a required scope
+ * @param {string[]} granted - Scopes of the API key
+ * @param {string} required - e.g. "messages:send"
+ * @returns {boolean}
+ */
+function hasScope(granted, required) {
+  if (!Array.isArray(granted)) {
+    return false;
+  }
+
+  const [resource] = required.split(':');
+  return granted.includes(ALL_SCOPES) || granted.includes(required) || granted.includes(`${resource}:*`);
+}
+
+/**
+ * Check whether a test key may use a scope
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function isTestKeyScope(scope) {
+  return scope.endsWith(':read') || TEST_KEY_WRITE_SCOPES.includes(scope);
+}
+
+/**
+ * Check whether a request was made with a test (sandbox) key
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isTestRequest(req) {
+  return req.authType === 'api_key' && req.apiKey?.mode === 'test';
+}
+
+/**
+ * Get the sessions a request is limited to
+ * @param {Object} req - Express request
+ * @returns {string[]|null} - Allowed session IDs, or null when every session of the user is allowed
+ */
+function getAllowedSessionIds(req) {
+  const sessionIds = req.authType === 'api_key' ? req.apiKey?.session_ids : null;
+  return Array.isArray(sessionIds) && sessionIds.length > 0 ? sessionIds : null;
+}
+
+/**
+ * Check whether a request may use a session
+ * @param {Object} req - Express request
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+function isSessionAllowed(req, sessionId) {
+  const allowed = getAllowedSessionIds(req);
+  return !allowed || allowed.includes(sessionId);
+}
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+  validateScopes,
+  hasScope,
+  isTestKeyScope,
+  isTestRequest,
+  getAllowedSessionIds,
+  isSessionAllowed
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Session auth snapshots
+ *
+ * A snapshot holds the files of a whatsapp-web.js profile that are needed to
+ * restore a linked session (the same set RemoteAuth keeps): everything under
+ * Default/IndexedDB and Default/Local Storage. The rest of the Chrome profile
+ * (caches, service workers...) is rebuilt by the browser.
+ *
+ * Layout: "WPAS" | version (1 byte) | flags (1 byte) | [iv (12) | auth tag (16)] | payload
+ * flags: 1 = gzip compressed, 2 = AES-256-GCM encrypted. The payload is a list of
+ * entries: path length (uint32) | path (utf8) | data length (uint32) | data.
+ * Snapshots describe themselves, so they can be restored after the compression
+ * setting changed; encrypted ones need the key they were written with.
+ */
+
+const MAGIC = Buffer.from('WPAS');
+const VERSION = 1;
+const FLAG_COMPRESSED = 1;
+const FLAG_ENCRYPTED = 2;
+
+// Profile directories needed to restore a session
+const REQUIRED_PATHS = [
+  path.join('Default', 'IndexedDB'),
+  path.join('Default', 'Local Storage')
+];
+
+// Chrome lock files must not be restored
+const SKIPPED_FILES = ['LOCK', 'lockfile'];
+
+/**
+ * Derive the AES-256 key from the configured secret
+ * @param {string} secret - AUTH_STORE_ENCRYPTION_KEY
+ * @returns {Buffer|null}
+ */
+function deriveKey(secret) {
+  if (!secret) return null;
+  return crypto.scryptSync(secret, 'whatsapp-platform-auth-snapshot', 32);
+}
+
+async function listFiles(root, relativeDir) {
+  const dir = path.join(root, relativeDir);
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(root, relativePath));
+    } else if (entry.isFile() && !SKIPPED_FILES.includes(entry.name)) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Create a snapshot of a session profile directory
+ * @param {string} profileDir - .wwebjs_auth/session-<id>
+ * @param {Object} options - { compress, key } (key from deriveKey, null = not encrypted)
+ * @returns {Promise<Object>} - { buffer, files, compressed, encrypted, checksum }
+ */
+async function createSnapshot(profileDir, { compress = true, key = null } = {}) {
+  const files = [];
+  for (const requiredPath of REQUIRED_PATHS) {
+    files.push(...await listFiles(profileDir, requiredPath));
+  }
+
+  if (files.length === 0) {
+    throw new Error(`No session auth files found in ${profileDir}`);
+  }
+
+  const parts = [];
+  for (const file of files) {
+    // Files can disappear while Chrome compacts its databases - skip them
+    const data = await fs.promises.readFile(path.join(profileDir, file)).catch(() => null);
+    if (!data) continue;
+
+    const name = Buffer.from(file.split(path.sep).join('/'), 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(name.length);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(data.length);
+    parts.push(header, name, size, data);
+  }
+
+  let payload = Buffer.concat(parts);
+  let flags = 0;
+
+  if (compress) {
+    payload = await gzip(payload);
+    flags |= FLAG_COMPRESSED;
+  }
+
+  let cipherHeader = Buffer.alloc(0);
+  if (key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    payload = Buffer.concat([cipher.update(payload), cipher.final()]);
+    cipherHeader = Buffer.concat([iv, cipher.getAuthTag()]);
+    flags |= FLAG_ENCRYPTED;
+  }
+
+  const buffer = Buffer.concat([MAGIC, Buffer.from([VERSION, flags]), cipherHeader, payload]);
+
+  return {
+    buffer,
+    files: files.length,
+    compressed: !!(flags & FLAG_COMPRESSED),
+    encrypted: !!(flags & FLAG_ENCRYPTED),
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+/**
+ * Write a snapshot back into a session profile directory
+ * @param {Buffer} buffer - Snapshot created by createSnapshot
+ * @param {string} profileDir - .wwebjs_auth/session-<id> (created if missing)
+ * @param {Object} options - { key } (required for encrypted snapshots)
+ * @returns {Promise<number>} - Number of restored files
+ */
+async function restoreSnapshot(buffer, profileDir, { key = null } = {}) {
+  if (buffer.length < 6 || !buffer.subarray(0, 4).equals(MAGIC)) {
+    throw new Error('Not a session auth snapshot');
+  }
+
+  if (buffer[4] !== VERSION) {
+    throw new Error(`Unsupported snapshot version ${buffer[4]}`);
+  }
+
+  const flags = buffer[5];
+  let payload = buffer.subarray(6);
+
+  if (flags & FLAG_ENCRYPTED) {
+    if (!key) {
+      throw new Error('Snapshot is encrypted: set AUTH_STORE_ENCRYPTION_KEY to the key it was created with');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, payload.subarray(0, 12));
+    decipher.setAuthTag(payload.subarray(12, 28));
+    try {
+      payload = Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Snapshot could not be decrypted (wrong AUTH_STORE_ENCRYPTION_KEY?)');
+    }
+  }
+
+  if (flags & FLAG_COMPRESSED) {
+    payload = await gunzip(payload);
+  }
+
+  const root = path.resolve(profileDir);
+  let offset = 0;
+  let restored = 0;
+
+  while (offset < payload.length) {
+    const nameLength = payload.readUInt32BE(offset);
+    const name = payload.subarray(offset + 4, offset + 4 + nameLength).toString('utf8');
+    offset += 4 + nameLength;
+    const dataLength = payload.readUInt32BE(offset);
+    const data = payload.subarray(offset + 4, offset + 4 + dataLength);
+    offset += 4 + dataLength;
+
+    // Never write outside the profile directory
+    const target = path.resolve(root, name);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid path in snapshot: ${name}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, data);
+    restored++;
+  }
+
+  return restored;
+}
+
+module.exports = {
+  deriveKey,
+  createSnapshot,
+  restoreSnapshot
+};
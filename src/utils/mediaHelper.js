@@ -0,0 +1,179 @@
+const axios = require('axios');
+const path = require('path');
+const mimeTypes = require('mime-types');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('./urlGuard');
+
+/**
+ * Media Helper Utilities
+ * Builds WhatsApp-ready media payloads from uploads and remote URLs
+ */
+
+// WhatsApp rejects media larger than 16MB (documents allow up to 100MB)
+const MAX_MEDIA_BYTES = parseInt(process.env.MEDIA_MAX_OUTBOUND_BYTES) || 16 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = parseInt(process.env.MEDIA_MAX_DOCUMENT_BYTES) || 100 * 1024 * 1024;
+
+// Redirects followed when downloading a media URL (each hop is checked)
+const MAX_MEDIA_REDIRECTS = 5;
+
+/**
+ * Detect MIME type from a file name, falling back to a provided type
+ * @param {string} filename - File name or path (e.g. "invoice.pdf")
+ * @param {string} fallback - MIME type reported by the upload or HTTP response
+ * @returns {string} - Detected MIME type
+ */
+function detectMimeType(filename, fallback = null) {
+  // Generic types reported by browsers/servers are less precise than the extension
+  const genericTypes = ['application/octet-stream', 'binary/octet-stream'];
+  const cleanFallback = fallback ? fallback.split(';')[0].trim().toLowerCase() : null;
+
+  if (cleanFallback && !genericTypes.includes(cleanFallback)) {
+    return cleanFallback;
+  }
+
+  const fromName = filename ? mimeTypes.lookup(filename) : false;
+  return fromName || cleanFallback || 'application/octet-stream';
+}
+
+/**
+ * Map a MIME type to the media type stored on the message
+ * @param {string} mimetype - MIME type
+ * @param {Object} options - { asDocument: boolean }
+ * @returns {string} - image | video | audio | document
+ */
+function getMediaType(mimetype, options = {}) {
+  if (options.asDocument || !mimetype) {
+    return 'document';
+  }
+
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+
+  return 'document';
+}
+
+/**
+ * Get the maximum allowed size for a media type
+ * @param {string} mediaType - image | video | audio | document
+ * @returns {number} - Size limit in bytes
+ */
+function getMaxSizeForType(mediaType) {
+  return mediaType === 'document' ? MAX_DOCUMENT_BYTES : MAX_MEDIA_BYTES;
+}
+
+/**
+ * Build a media payload from a buffer
+ * @param {Buffer} buffer - File contents
+ * @param {Object} meta - { filename, mimetype, asDocument, url }
+ * @returns {Object} - { mimetype, data (base64), filename, size, mediaType, url }
+ */
+function buildMediaFromBuffer(buffer, meta = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Media file is empty');
+  }
+
+  const mimetype = detectMimeType(meta.filename, meta.mimetype);
+  const mediaType = getMediaType(mimetype, { asDocument: meta.asDocument });
+  const maxSize = getMaxSizeForType(mediaType);
+
+  if (buffer.length > maxSize) {
+    throw new Error(`Media file is too large (${buffer.length} bytes). Maximum for ${mediaType} is ${maxSize} bytes.`);
+  }
+
+  // Documents need a file name so the recipient sees something meaningful
+  const extension = mimeTypes.extension(mimetype);
+  const filename = meta.filename || `${mediaType}${extension ? `.${extension}` : ''}`;
+
+  return {
+    mimetype,
+    data: buffer.toString('base64'),
+    filename,
+    size: buffer.length,
+    mediaType,
+    url: meta.url || null
+  };
+}
+
+/**
+ * Build a media payload from a multer upload
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options - { filename, mimetype, asDocument }
+ * @returns {Object} - Media payload
+ */
+function buildMediaFromUpload(file, options = {}) {
+  return buildMediaFromBuffer(file.buffer, {
+    filename: options.filename || file.originalname,
+    mimetype: options.mimetype || file.mimetype,
+    asDocument: options.asDocument
+  });
+}
+
+/**
+ * Download a remote file and build a media payload
+ * @param {string} url - Public http(s) URL of the file
+ * @param {Object} options - { filename, mimetype, asDocument }
+ * @returns {Promise<Object>} - Media payload
+ */
+async function buildMediaFromUrl(url, options = {}) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid media URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('Media URL must use http or https');
+  }
+
+  // Follow redirects by hand so that no hop can point at an internal host
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(parsedUrl.href);
+
+    response = await axios.get(parsedUrl.href, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: MAX_DOCUMENT_BYTES,
+      maxBodyLength: MAX_DOCUMENT_BYTES,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status < 300) {
+      break;
+    }
+
+    if (!response.headers.location || redirects >= MAX_MEDIA_REDIRECTS) {
+      throw new Error(`Media URL redirected too many times or without a location (HTTP ${response.status})`);
+    }
+    parsedUrl = new URL(response.headers.location, parsedUrl);
+  }
+
+  // Prefer the file name from Content-Disposition, then the URL path
+  const disposition = response.headers['content-disposition'];
+  const dispositionMatch = disposition ? disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i) : null;
+  const urlFilename = path.basename(parsedUrl.pathname) || null;
+  const filename = options.filename ||
+    (dispositionMatch ? decodeURIComponent(dispositionMatch[1]) : urlFilename);
+
+  return buildMediaFromBuffer(Buffer.from(response.data), {
+    filename,
+    mimetype: options.mimetype || response.headers['content-type'],
+    asDocument: options.asDocument,
+    url
+  });
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  MAX_DOCUMENT_BYTES,
+  detectMimeType,
+  getMediaType,
+  getMaxSizeForType,
+  buildMediaFromBuffer,
+  buildMediaFromUpload,
+  buildMediaFromUrl
+};
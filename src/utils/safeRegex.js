@@ -0,0 +1,133 @@
+const vm = require('vm');
+
+/**
+ * Safe Regex Utilities
+ * Tenant supplied patterns (auto-reply rules, flow triggers and conditions) run
+ * against every incoming message. Patterns prone to catastrophic backtracking
+ * are refused when saved, and every match runs with a time limit so a pattern
+ * saved earlier can never block the event loop.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+
+// A match that takes longer counts as no match
+const MATCH_TIMEOUT_MS = 50;
+
+const compiledPatterns = new Map(); // "<flags>/<pattern>" -> RegExp
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('pattern.test(text)');
+
+/**
+ * Find the reason a pattern may backtrack catastrophically: a repeated group
+ * that itself contains a quantifier or an alternation ("(a+)+", "(\w|\d)*"),
+ * or a backreference
+ * @param {string} pattern
+ * @returns {string|null} - Reason, or null when none is found
+ */
+function findBacktrackingRisk(pattern) {
+  const groups = [{ quantified: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'backreferences are not allowed';
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      // Skip (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (pattern[i + 1] === '?') {
+        const prefix = pattern.slice(i + 1).match(/^\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/);
+        i += prefix ? prefix[0].length : 1;
+      }
+    } else if (char === ')') {
+      const closed = groups.pop();
+      const parent = groups[groups.length - 1] || group;
+      const repeated = /^([*+]|\{\d+(,\d*)?\})/.test(pattern.slice(i + 1));
+      if (repeated && (closed.quantified || closed.alternation)) {
+        return 'repeated groups cannot contain quantifiers or alternatives';
+      }
+      parent.quantified = parent.quantified || closed.quantified || repeated;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d/.test(pattern.slice(i)))) {
+      group.quantified = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a tenant supplied regular expression before saving it
+ * @param {string} pattern
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateRegex(pattern) {
+  if (typeof pattern !== 'string') {
+    return 'must be a string';
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+
+  const risk = findBacktrackingRisk(pattern);
+  return risk ? `may be too slow to match (${risk})` : null;
+}
+
+/**
+ * Test text against a tenant supplied regular expression with a time limit
+ * @param {string} pattern
+ * @param {string} flags - RegExp flags, e.g. 'i'
+ * @param {string} text
+ * @returns {boolean} - false for invalid patterns and matches over the time limit
+ */
+function testRegex(pattern, flags, text) {
+  const key = `${flags}/${pattern}`;
+  let regex = compiledPatterns.get(key);
+
+  if (!regex) {
+    try {
+      regex = new RegExp(pattern, flags);
+    } catch (error) {
+      return false;
+    }
+    if (compiledPatterns.size >= 1000) {
+      compiledPatterns.clear();
+    }
+    compiledPatterns.set(key, regex);
+  }
+
+  matchContext.pattern = regex;
+  matchContext.text = String(text);
+  try {
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.warn(`⚠️ Regex /${pattern}/ gave up after ${MATCH_TIMEOUT_MS}ms:`, error.message);
+    return false;
+  } finally {
+    matchContext.text = null;
+  }
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  MATCH_TIMEOUT_MS,
+  validateRegex,
+  testRegex
+};
@@ -0,0 +1,142 @@
+/**
+ * Timezone Utilities
+ * Converts wall-clock times in an IANA timezone (e.g. "Africa/Casablanca") to UTC
+ * using the built-in Intl API
+ */
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays.indexOf(parts.weekday) // 0 = Sunday
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Check that matched date/time fields name a real calendar date and time
+ * (Date.UTC rolls 2025-02-31 over to March 3rd, and 24:00 to the next day)
+ * @param {Array} fields - Match of [, year, month, day, hour, minute, second]
+ * @returns {boolean}
+ */
+function isRealDateTime(fields) {
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = fields;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+
+  return date.getUTCFullYear() === +year &&
+    date.getUTCMonth() === +month - 1 &&
+    date.getUTCDate() === +day &&
+    date.getUTCHours() === +hour &&
+    date.getUTCMinutes() === +minute &&
+    date.getUTCSeconds() === +second;
+}
+
+/**
+ * Convert a date/time to UTC
+ * - Values with an explicit offset or "Z" are used as-is
+ * - Values without an offset ("2025-12-31T09:00") are wall-clock times in timeZone
+ * @param {string} value - ISO 8601 date/time
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {Date} - Instant in time
+ */
+function toUtcDate(value, timeZone = 'UTC') {
+  if (!value || typeof value !== 'string') {
+    throw new Error('Date/time is required');
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+
+  const trimmed = value.trim();
+
+  // Explicit offset - timezone is not needed
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed)) {
+    const date = new Date(trimmed);
+    const fields = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/i);
+    if (isNaN(date.getTime()) || (fields && !isRealDateTime(fields))) {
+      throw new Error(`Invalid date/time: ${value}`);
+    }
+    return date;
+  }
+
+  const match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match || !isRealDateTime(match)) {
+    throw new Error(`Invalid date/time: ${value}. Use ISO 8601, e.g. 2025-12-31T09:00`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // Apply the offset, then re-check in case the offset differs at the result (DST change)
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  const offsetAtResult = getTimeZoneOffset(new Date(utc), timeZone);
+  utc = wallClock - offsetAtResult;
+
+  return new Date(utc);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  toUtcDate
+};
@@ -0,0 +1,127 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * URL Guard
+ * Keeps server-side requests to user supplied URLs (media downloads, webhooks)
+ * away from internal hosts: loopback, private networks, link-local addresses
+ * (including the 169.254.169.254 cloud metadata endpoint) and other reserved ranges.
+ */
+
+const blockedAddresses = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private (RFC 1918)
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local and cloud metadata
+  ['172.16.0.0', 12], // Private (RFC 1918)
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private (RFC 1918)
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (embeds an IPv4 address)
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is internal (IPv4-mapped IPv6 addresses included)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true for addresses requests must not reach
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for sockets: fails when the host resolves to an
+ * internal address, so a DNS answer that changed since the URL was checked
+ * (DNS rebinding) cannot reach one either
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+// Agents for axios requests to user supplied URLs
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check that a URL is http(s) and that its host resolves only to public addresses
+ * @param {string} url - URL to check
+ * @returns {Promise<URL>} - Parsed URL
+ * @throws {Error} - Invalid URL, unsupported protocol or internal host
+ */
+async function assertPublicUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('URL must use http or https');
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = parsedUrl.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`Cannot resolve host ${hostname}`);
+    }
+  }
+
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) {
+    throw new Error(`URL host ${hostname} is a private address (${blocked})`);
+  }
+
+  return parsedUrl;
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  httpAgent,
+  httpsAgent,
+  assertPublicUrl
+};